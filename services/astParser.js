@@ -91,6 +91,52 @@ class ASTParser {
     return features;
   }
 
+  /**
+   * Extract features from every file of a multi-file project
+   * Counts are summed, depth is the deepest unit, lists are concatenated.
+   *
+   * @param {string} language - Programming language
+   * @param {Array} files - [{ name, content }] sources (and headers) to parse
+   * @returns {Object} { features, units: [{ file, totalNodes, depth, functions }] }
+   */
+  extractProjectFeatures(language, files) {
+    const units = files.map(file => ({
+      file: file.name,
+      features: this.extractFeatures(this.parse(language, file.content))
+    }));
+
+    const features = units.reduce((merged, unit) => {
+      const current = unit.features;
+
+      for (const [type, count] of Object.entries(current.nodeTypes)) {
+        merged.nodeTypes[type] = (merged.nodeTypes[type] || 0) + count;
+      }
+      for (const key of Object.keys(merged.controlFlow)) {
+        merged.controlFlow[key] += current.controlFlow[key];
+      }
+      for (const key of Object.keys(merged.operations)) {
+        merged.operations[key] += current.operations[key];
+      }
+
+      merged.depth = Math.max(merged.depth, current.depth);
+      merged.totalNodes += current.totalNodes;
+      merged.functions.push(...current.functions);
+      merged.functionCalls.push(...current.functionCalls);
+      merged.variableDeclarations.push(...current.variableDeclarations);
+      return merged;
+    }, this.extractFeatures({ rootNode: null }));
+
+    return {
+      features: features,
+      units: units.map(unit => ({
+        file: unit.file,
+        totalNodes: unit.features.totalNodes,
+        depth: unit.features.depth,
+        functions: unit.features.functions
+      }))
+    };
+  }
+
   /**
    * Traverse AST and collect features
    */
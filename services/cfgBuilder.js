@@ -0,0 +1,280 @@
+/**
+ * CFG Builder - Control-flow graphs over TAC
+ *
+ * filter() drops labels and jumps, so loops and conditionals are invisible to the operation
+ * counts: a loop that sums 1..n and the closed form n * (n + 1) / 2 both have an add. The
+ * unfiltered TAC (tac_raw) still has them, in the same form for every language:
+ *
+ *   L2:                              a block starts at a label...
+ *   goto L2                          ...and ends after a jump, return or unreachable
+ *   if t3 goto L2 else L3
+ *   switch t1 [1: L2] default L3
+ *
+ * build() splits the TAC of one function into basic blocks and edges, then computes
+ * dominators and natural loops. shape() summarizes a CFG (loops, nesting, branches,
+ * cyclomatic complexity) and compare() compares two shapes. controlDependences() tells which
+ * branches decide whether a block runs (used by dataFlowAnalyzer.js).
+ */
+
+const TERMINATOR = /^(goto |if .* goto |switch |return\b|unreachable$)/;
+
+// Shape metrics compared between reference and user code, in order of importance
+const SHAPE_METRICS = ['loops', 'max_loop_depth', 'branches', 'cyclomatic_complexity'];
+
+class CFGBuilder {
+  /**
+   * Build the CFG of one function's TAC
+   * @param {Array} tac - Unfiltered TAC strings (labels and jumps included)
+   * @returns {Object} { blocks, entry, edges, dominators, loops }
+   *   blocks: [{ id, label, instructions, successors, predecessors, reachable }]
+   *   dominators: per block id, the ids of the blocks that dominate it (null if unreachable)
+   *   loops: [{ header, latches, blocks, depth }]
+   */
+  build(tac) {
+    const blocks = [];
+    let block = null;
+
+    const startBlock = label => {
+      block = { id: blocks.length, label: label, instructions: [], successors: [], predecessors: [], reachable: false };
+      blocks.push(block);
+    };
+
+    for (const line of tac) {
+      const label = line.match(/^(L\d+):$/);
+      if (label) {
+        // A label right at the start of an empty block names that block
+        if (block && !block.label && block.instructions.length === 0) {
+          block.label = label[1];
+        } else {
+          startBlock(label[1]);
+        }
+        continue;
+      }
+
+      if (!block) startBlock(null);
+      block.instructions.push(line);
+      if (TERMINATOR.test(line)) block = null;
+    }
+    if (blocks.length === 0) startBlock(null);
+
+    // Edges: jump targets, or the next block when a block does not end with a jump
+    const byLabel = new Map(blocks.filter(entry => entry.label).map(entry => [entry.label, entry.id]));
+    const edges = [];
+    for (const current of blocks) {
+      const last = current.instructions[current.instructions.length - 1] || '';
+      const targets = TERMINATOR.test(last)
+        ? this.jumpTargets(last).filter(target => byLabel.has(target)).map(target => byLabel.get(target))
+        : current.id + 1 < blocks.length ? [current.id + 1] : [];
+
+      for (const target of new Set(targets)) {
+        current.successors.push(target);
+        blocks[target].predecessors.push(current.id);
+        edges.push([current.id, target]);
+      }
+    }
+
+    const cfg = { blocks, entry: 0, edges };
+    this.markReachable(cfg);
+    cfg.dominators = this.dominators(cfg);
+    cfg.loops = this.loops(cfg);
+    return cfg;
+  }
+
+  /**
+   * Labels a terminator can jump to
+   */
+  jumpTargets(line) {
+    if (line.startsWith('return') || line === 'unreachable' || line.startsWith('goto *')) {
+      return [];
+    }
+    return line.match(/L\d+/g) || [];
+  }
+
+  markReachable(cfg) {
+    const stack = [cfg.entry];
+    while (stack.length > 0) {
+      const block = cfg.blocks[stack.pop()];
+      if (block.reachable) continue;
+      block.reachable = true;
+      stack.push(...block.successors);
+    }
+  }
+
+  /**
+   * Dominator sets: a block is dominated by itself and by every block that is on all paths
+   * from the entry to it (iterated until nothing changes)
+   */
+  dominators(cfg) {
+    const reachable = cfg.blocks.filter(block => block.reachable).map(block => block.id);
+    const dominators = cfg.blocks.map(block => block.reachable ? new Set(reachable) : null);
+    dominators[cfg.entry] = new Set([cfg.entry]);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const id of reachable) {
+        if (id === cfg.entry) continue;
+
+        const predecessors = cfg.blocks[id].predecessors.filter(predecessor => dominators[predecessor]);
+        const next = new Set(predecessors.length > 0
+          ? [...dominators[predecessors[0]]].filter(dominator => predecessors.every(predecessor => dominators[predecessor].has(dominator)))
+          : []);
+        next.add(id);
+
+        if (next.size !== dominators[id].size) {
+          dominators[id] = next;
+          changed = true;
+        }
+      }
+    }
+
+    return dominators.map(set => set ? [...set].sort((a, b) => a - b) : null);
+  }
+
+  /**
+   * Post-dominator sets: the blocks that are on all paths from a block to a return
+   * (blocks without successors are the exits; a block that never exits keeps every block)
+   */
+  postDominators(cfg) {
+    const reachable = cfg.blocks.filter(block => block.reachable).map(block => block.id);
+    const postDominators = cfg.blocks.map(block => block.reachable
+      ? new Set(block.successors.length === 0 ? [block.id] : reachable)
+      : null);
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const id of [...reachable].reverse()) {
+        const successors = cfg.blocks[id].successors;
+        if (successors.length === 0) continue;
+
+        const next = new Set([...postDominators[successors[0]]]
+          .filter(postDominator => successors.every(successor => postDominators[successor].has(postDominator))));
+        next.add(id);
+
+        if (next.size !== postDominators[id].size) {
+          postDominators[id] = next;
+          changed = true;
+        }
+      }
+    }
+
+    return postDominators.map(set => set ? [...set].sort((a, b) => a - b) : null);
+  }
+
+  /**
+   * Control dependences: per block id, the branching blocks that decide whether it runs.
+   * A block depends on a branch when it post-dominates one successor of the branch but not
+   * the branch itself (a loop header depends on its own condition).
+   */
+  controlDependences(cfg) {
+    const postDominators = this.postDominators(cfg);
+    const dependences = cfg.blocks.map(() => []);
+
+    for (const block of cfg.blocks) {
+      if (!block.reachable || block.successors.length < 2) continue;
+
+      for (const successor of block.successors) {
+        for (const id of postDominators[successor]) {
+          const dependent = id === block.id || !postDominators[block.id].includes(id);
+          if (dependent && !dependences[id].includes(block.id)) {
+            dependences[id].push(block.id);
+          }
+        }
+      }
+    }
+
+    return dependences;
+  }
+
+  /**
+   * Natural loops: a back edge latch → header (the header dominates the latch) loops over
+   * the header and every block that reaches the latch without passing the header.
+   * Back edges to the same header form one loop; depth 1 is an outermost loop.
+   */
+  loops(cfg) {
+    const byHeader = new Map();
+
+    for (const [from, to] of cfg.edges) {
+      if (!cfg.dominators[from] || !cfg.dominators[from].includes(to)) continue;
+
+      const loop = byHeader.get(to) || { header: to, latches: [], blocks: new Set([to]) };
+      byHeader.set(to, loop);
+      loop.latches.push(from);
+
+      const stack = [from];
+      while (stack.length > 0) {
+        const id = stack.pop();
+        if (loop.blocks.has(id)) continue;
+        loop.blocks.add(id);
+        stack.push(...cfg.blocks[id].predecessors.filter(predecessor => cfg.blocks[predecessor].reachable));
+      }
+    }
+
+    const loops = [...byHeader.values()].sort((a, b) => a.header - b.header);
+    return loops.map(loop => ({
+      header: loop.header,
+      latches: loop.latches,
+      blocks: [...loop.blocks].sort((a, b) => a - b),
+      depth: loops.filter(other => other.blocks.has(loop.header)).length
+    }));
+  }
+
+  /**
+   * Shape of one CFG, over the reachable blocks
+   * Cyclomatic complexity is edges - blocks + 2 (1 for straight-line code, +1 per if or loop)
+   */
+  shape(cfg) {
+    const blocks = cfg.blocks.filter(block => block.reachable);
+    const edges = cfg.edges.filter(([from]) => cfg.blocks[from].reachable).length;
+
+    return {
+      blocks: blocks.length,
+      edges: edges,
+      branches: blocks.filter(block => block.successors.length > 1).length,
+      loops: cfg.loops.length,
+      max_loop_depth: Math.max(0, ...cfg.loops.map(loop => loop.depth)),
+      cyclomatic_complexity: edges - blocks.length + 2
+    };
+  }
+
+  /**
+   * Shape of a program: one CFG per function, summed (loop depth is the deepest of any function)
+   * @param {Array} units - [{ name, tac }] with unfiltered TAC
+   */
+  programShape(units) {
+    const functions = units.map(unit => ({ name: unit.name, ...this.shape(this.build(unit.tac || [])) }));
+    const sum = metric => functions.reduce((total, func) => total + func[metric], 0);
+
+    return {
+      blocks: sum('blocks'),
+      edges: sum('edges'),
+      branches: sum('branches'),
+      loops: sum('loops'),
+      max_loop_depth: Math.max(0, ...functions.map(func => func.max_loop_depth)),
+      cyclomatic_complexity: sum('cyclomatic_complexity'),
+      functions: functions
+    };
+  }
+
+  /**
+   * Compare two shapes (informational: loops vs closed forms, extra branches)
+   */
+  compare(reference, user) {
+    const differences = SHAPE_METRICS
+      .filter(metric => reference[metric] !== user[metric])
+      .map(metric => ({ metric, reference: reference[metric], user: user[metric] }));
+
+    const [first] = differences;
+    return {
+      match: differences.length === 0,
+      loops_match: reference.loops === user.loops && reference.max_loop_depth === user.max_loop_depth,
+      reason: first ? `Different ${first.metric.replace(/_/g, ' ')}: reference ${first.reference}, user ${first.user}` : 'Control flow matches',
+      differences: differences,
+      reference: reference,
+      user: user
+    };
+  }
+}
+
+module.exports = { CFGBuilder };
@@ -0,0 +1,164 @@
+const path = require('path');
+
+/**
+ * Compiler Diagnostics Parser
+ * Turns gcc/clang/javac stderr into structured entries the frontend can show inline:
+ *   { file, line, column, severity, message }
+ *
+ * gcc / clang:  main.c:5:12: error: expected ';' before 'return'
+ * javac:        Main.java:3: error: cannot find symbol
+ *                       int x = y;
+ *                               ^
+ * linker:       main.c:(.text+0x1f): undefined reference to `sqrt'
+ *               /usr/bin/ld: cannot find -lfoo
+ * python:       File "main.py", line 2 ... SyntaxError: invalid syntax
+ */
+
+const GCC_PATTERN = /^(.+?):(\d+):(?:(\d+):)?\s+(fatal error|error|warning|note):\s+(.*)$/;
+const JAVAC_PATTERN = /^(.+?\.java):(\d+):\s+(error|warning):\s+(.*)$/;
+const LINKER_REFERENCE_PATTERN = /^(.+?):\(\.[\w.]+\+0x[0-9a-f]+\):\s+(.*)$/;
+const LINKER_PATTERN = /^(?:\S*\/)?ld(?:\.\w+)?:\s+(?:(error|warning):\s+)?(.*)$/;
+const PYTHON_FILE_PATTERN = /^\s*File "(.+?)", line (\d+)/;
+const PYTHON_ERROR_PATTERN = /^(\w*(?:Error|Exception)):\s*(.*)$/;
+
+class CompilerDiagnostics {
+  /**
+   * Parse compiler output for a language
+   * @param {string} language - c, cpp, c++, java or python
+   * @param {string} output - Compiler stderr (and stdout)
+   * @returns {Array} Diagnostics
+   */
+  parse(language, output) {
+    if (!output) return [];
+
+    const lang = language.toLowerCase();
+    if (lang === 'java') {
+      return this.parseJavac(output);
+    }
+    if (['c', 'cpp', 'c++'].includes(lang)) {
+      return this.parseGcc(output);
+    }
+    if (lang === 'python') {
+      return this.parsePython(output);
+    }
+    return [];
+  }
+
+  /**
+   * gcc and clang share the file:line:column: severity: message format
+   */
+  parseGcc(output) {
+    const diagnostics = [];
+
+    for (const line of output.split('\n')) {
+      const match = line.match(GCC_PATTERN);
+      if (match) {
+        diagnostics.push({
+          file: this.displayName(match[1]),
+          line: parseInt(match[2], 10),
+          column: match[3] ? parseInt(match[3], 10) : null,
+          severity: match[4] === 'fatal error' ? 'error' : match[4],
+          message: match[5].trim()
+        });
+        continue;
+      }
+
+      const referenceMatch = line.match(LINKER_REFERENCE_PATTERN);
+      if (referenceMatch) {
+        diagnostics.push({
+          file: this.displayName(referenceMatch[1]),
+          line: null,
+          column: null,
+          severity: 'error',
+          message: referenceMatch[2].trim()
+        });
+        continue;
+      }
+
+      // "ld: obj.o: in function `main':" only gives context for the next line
+      const linkerMatch = line.match(LINKER_PATTERN);
+      if (linkerMatch && !/: in function /.test(line)) {
+        diagnostics.push({
+          file: null,
+          line: null,
+          column: null,
+          severity: linkerMatch[1] || 'error',
+          message: linkerMatch[2].trim()
+        });
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * javac reports the line in the header and the column as a caret two lines below
+   */
+  parseJavac(output) {
+    const diagnostics = [];
+    const lines = output.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(JAVAC_PATTERN);
+      if (!match) continue;
+
+      let column = null;
+      const caretLine = lines[i + 2];
+      if (caretLine !== undefined && /^\s*\^\s*$/.test(caretLine)) {
+        column = caretLine.indexOf('^') + 1;
+      }
+
+      diagnostics.push({
+        file: this.displayName(match[1]),
+        line: parseInt(match[2], 10),
+        column: column,
+        severity: match[3],
+        message: match[4].trim()
+      });
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Python stops at the first syntax error: the traceback's last frame is the
+   * submitted file, the last line the error (frames of runpy/dis come first)
+   */
+  parsePython(output) {
+    const lines = output.split('\n');
+    const errorIndex = lines.map(line => PYTHON_ERROR_PATTERN.test(line)).lastIndexOf(true);
+    if (errorIndex === -1) return [];
+
+    const error = lines[errorIndex].match(PYTHON_ERROR_PATTERN);
+    const frame = lines.slice(0, errorIndex).reverse().map(line => line.match(PYTHON_FILE_PATTERN)).find(Boolean);
+
+    return [{
+      file: frame ? this.displayName(frame[1]) : null,
+      line: frame ? parseInt(frame[2], 10) : null,
+      column: null,
+      severity: 'error',
+      message: `${error[1]}: ${error[2].trim()}`
+    }];
+  }
+
+  /**
+   * Strip the per-run directory so the frontend only sees the submitted file name
+   * Relative names are kept as-is, so project subdirectories (lib/util.c) survive.
+   */
+  displayName(file) {
+    const name = file.trim();
+    return path.isAbsolute(name) ? path.basename(name) : name;
+  }
+
+  /**
+   * Count diagnostics by severity
+   */
+  summarize(diagnostics) {
+    return diagnostics.reduce((summary, diagnostic) => {
+      summary[diagnostic.severity] = (summary[diagnostic.severity] || 0) + 1;
+      return summary;
+    }, { error: 0, warning: 0, note: 0 });
+  }
+}
+
+module.exports = { CompilerDiagnostics };
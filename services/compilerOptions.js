@@ -0,0 +1,247 @@
+/**
+ * Compiler Options - Validates the optional `compilerOptions` request object and
+ * turns it into compiler flags for gcc/g++/javac.
+ *
+ * {
+ *   "standard": "c++17",          // -std=c++17 (C/C++) or --release 17 (Java)
+ *   "optimization": "O2",         // O0, O1, O2, O3, Os
+ *   "warningsAsErrors": true,     // -Wall -Werror
+ *   "defines": { "DEBUG": "1" },  // -DDEBUG=1 (C/C++ only)
+ *   "libraries": ["m", "pthread"] // -lm -lpthread (allowlisted)
+ * }
+ *
+ * Every value is checked against an allowlist or a strict pattern, so nothing
+ * from the request reaches the compiler argv unvalidated.
+ */
+
+const STANDARDS = {
+  c: ['c89', 'c99', 'c11', 'c17', 'c2x', 'gnu89', 'gnu99', 'gnu11', 'gnu17', 'gnu2x'],
+  cpp: ['c++11', 'c++14', 'c++17', 'c++20', 'c++23', 'gnu++11', 'gnu++14', 'gnu++17', 'gnu++20', 'gnu++23'],
+  java: ['8', '11', '17', '21']
+};
+
+const OPTIMIZATION_LEVELS = ['O0', 'O1', 'O2', 'O3', 'Os'];
+
+const ALLOWED_LIBRARIES = (process.env.COMPILER_LIBRARY_ALLOWLIST || 'm,pthread,rt')
+  .split(',')
+  .map(lib => lib.trim())
+  .filter(Boolean);
+
+// Applied when a request does not specify a value
+const DEFAULTS = {
+  c: { standard: 'gnu11', optimization: 'O0', libraries: ['m'] },
+  cpp: { standard: 'gnu++17', optimization: 'O0', libraries: ['m'] },
+  java: {}
+};
+
+const DEFINE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DEFINE_VALUE = /^[A-Za-z0-9_.+-]*$/;
+
+const LANGUAGE_KEYS = {
+  c: 'c',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  java: 'java'
+};
+
+class CompilerOptions {
+  /**
+   * Language family that takes compiler options, or null for interpreted languages
+   */
+  getLanguageKey(language) {
+    return LANGUAGE_KEYS[(language || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Validate request options and merge them with the language defaults
+   *
+   * @param {string} language - Programming language
+   * @param {Object} options - compilerOptions from the request (optional)
+   * @returns {Object} { valid, error, options }
+   */
+  validate(language, options) {
+    const key = this.getLanguageKey(language);
+
+    if (options !== undefined && options !== null && (typeof options !== 'object' || Array.isArray(options))) {
+      return { valid: false, error: 'compilerOptions must be an object' };
+    }
+
+    const requested = options || {};
+
+    // Interpreted languages have no compile step; options are accepted but unused
+    if (!key) {
+      return { valid: true, options: null };
+    }
+
+    const defaults = DEFAULTS[key];
+    const normalized = {
+      standard: defaults.standard || null,
+      optimization: defaults.optimization || null,
+      warningsAsErrors: false,
+      defines: {},
+      libraries: [...(defaults.libraries || [])]
+    };
+
+    if (requested.standard !== undefined) {
+      const standard = String(requested.standard).toLowerCase();
+      if (!STANDARDS[key].includes(standard)) {
+        return { valid: false, error: `Unsupported standard "${requested.standard}" for ${language}. Allowed: ${STANDARDS[key].join(', ')}` };
+      }
+      normalized.standard = standard;
+    }
+
+    if (requested.optimization !== undefined) {
+      if (key === 'java') {
+        return { valid: false, error: 'optimization is not supported for java' };
+      }
+      const level = String(requested.optimization).replace(/^-/, '');
+      if (!OPTIMIZATION_LEVELS.includes(level)) {
+        return { valid: false, error: `Unsupported optimization "${requested.optimization}". Allowed: ${OPTIMIZATION_LEVELS.join(', ')}` };
+      }
+      normalized.optimization = level;
+    }
+
+    if (requested.warningsAsErrors !== undefined) {
+      if (typeof requested.warningsAsErrors !== 'boolean') {
+        return { valid: false, error: 'warningsAsErrors must be a boolean' };
+      }
+      normalized.warningsAsErrors = requested.warningsAsErrors;
+    }
+
+    if (requested.defines !== undefined) {
+      if (key === 'java') {
+        return { valid: false, error: 'defines are not supported for java' };
+      }
+      if (typeof requested.defines !== 'object' || requested.defines === null || Array.isArray(requested.defines)) {
+        return { valid: false, error: 'defines must be an object of NAME: value pairs' };
+      }
+      for (const [name, value] of Object.entries(requested.defines)) {
+        const stringValue = value === null || value === true ? '' : String(value);
+        if (!DEFINE_NAME.test(name) || !DEFINE_VALUE.test(stringValue)) {
+          return { valid: false, error: `Invalid define "${name}"` };
+        }
+        normalized.defines[name] = stringValue;
+      }
+    }
+
+    if (requested.libraries !== undefined) {
+      if (key === 'java') {
+        return { valid: false, error: 'libraries are not supported for java' };
+      }
+      if (!Array.isArray(requested.libraries)) {
+        return { valid: false, error: 'libraries must be an array' };
+      }
+      for (const lib of requested.libraries) {
+        const name = String(lib).replace(/^-l/, '');
+        if (!ALLOWED_LIBRARIES.includes(name)) {
+          return { valid: false, error: `Library "${lib}" is not allowed. Allowed: ${ALLOWED_LIBRARIES.join(', ')}` };
+        }
+        if (!normalized.libraries.includes(name)) {
+          normalized.libraries.push(name);
+        }
+      }
+    }
+
+    return { valid: true, options: normalized };
+  }
+
+  /**
+   * gcc/g++ flags: compile flags go before the sources, link flags after
+   * @returns {Object} { compileFlags, linkFlags }
+   */
+  buildGccFlags(options) {
+    const compileFlags = [];
+    const linkFlags = [];
+
+    if (!options) return { compileFlags, linkFlags };
+
+    if (options.standard) compileFlags.push(`-std=${options.standard}`);
+    if (options.optimization) compileFlags.push(`-${options.optimization}`);
+    if (options.warningsAsErrors) compileFlags.push('-Wall', '-Werror');
+
+    for (const [name, value] of Object.entries(options.defines)) {
+      compileFlags.push(value === '' ? `-D${name}` : `-D${name}=${value}`);
+    }
+
+    for (const lib of options.libraries) {
+      linkFlags.push(`-l${lib}`);
+    }
+
+    return { compileFlags, linkFlags };
+  }
+
+  /**
+   * clang flags for LLVM IR (TAC extraction): the standard and the defines; optimization
+   * and warnings are left out, the IR is always built with -O0 -g
+   */
+  buildIRFlags(options) {
+    const { compileFlags } = this.buildGccFlags(options);
+    return compileFlags.filter(flag => flag.startsWith('-std=') || flag.startsWith('-D'));
+  }
+
+  /**
+   * javac flags
+   */
+  buildJavacFlags(options) {
+    const flags = [];
+
+    if (!options) return flags;
+
+    if (options.standard) flags.push('--release', options.standard);
+    if (options.warningsAsErrors) flags.push('-Xlint:all', '-Werror');
+
+    return flags;
+  }
+
+  /**
+   * Piston's compile step takes no flags, so C/C++ options that can be expressed
+   * in source are prepended to the main file. `#line` keeps diagnostics aligned.
+   * No pragma turns a warning group into errors (`#pragma GCC diagnostic error`
+   * takes single -W options, not -Wall), so warningsAsErrors is not applied.
+   *
+   * @returns {Object} { code, applied, unsupported }
+   */
+  applyToSource(language, code, options, fileName) {
+    const key = this.getLanguageKey(language);
+
+    if (!options) {
+      return { code, applied: [], unsupported: [] };
+    }
+
+    if (key !== 'c' && key !== 'cpp') {
+      const requested = ['standard', 'warningsAsErrors'].filter(name => options[name]);
+      return { code, applied: [], unsupported: requested };
+    }
+
+    const preamble = [];
+    const applied = [];
+
+    if (options.optimization) {
+      preamble.push(`#pragma GCC optimize ("${options.optimization}")`);
+      applied.push('optimization');
+    }
+    for (const [name, value] of Object.entries(options.defines)) {
+      preamble.push(`#define ${name}${value === '' ? '' : ` ${value}`}`);
+    }
+    if (Object.keys(options.defines).length > 0) {
+      applied.push('defines');
+    }
+
+    // Piston compiles with its own fixed -std, warning and link flags
+    const unsupported = ['standard', ...(options.warningsAsErrors ? ['warningsAsErrors'] : []), 'libraries'];
+
+    if (preamble.length === 0) {
+      return { code, applied, unsupported };
+    }
+
+    preamble.push(`#line 1 "${fileName}"`);
+
+    return {
+      code: `${preamble.join('\n')}\n${code}`,
+      applied: applied,
+      unsupported: unsupported
+    };
+  }
+}
+
+module.exports = { CompilerOptions, ALLOWED_LIBRARIES };
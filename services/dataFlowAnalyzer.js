@@ -0,0 +1,364 @@
+/**
+ * Data-flow Analyzer - Def-use chains over TAC
+ *
+ * The operation counts only say that an add happened, not what it added:
+ *
+ *   int x = 5; x = x + 3; return x;   →  store 5 -> t1; t2 = load t1; t3 = t2 + 3; store t3 -> t1; t4 = load t1; return t4
+ *
+ * has an add, but returns 8 whatever the input. analyze() links every use in the unfiltered TAC
+ * of one function to the definitions that reach it (reaching definitions over the CFG of
+ * cfgBuilder.js) and follows the chains back from each return to what the value is computed
+ * from: parameters, input calls (scanf, input, Scanner.nextInt ...), other calls and globals,
+ * or literals only. A branch counts for everything computed under it, so a loop bound that is
+ * a parameter reaches the sum the loop computes.
+ *
+ * Locations are the temps that are loaded from and stored to (allocas, local slots, fields);
+ * the other temps are assigned once, and one that is also stored into (a Python list) holds
+ * what was stored. TAC does not list call arguments, so a value that is never
+ * used is taken to be an argument of the next call, and a call may write to any location
+ * (scanf("%d", &x)) unless it only prints.
+ */
+
+const { CFGBuilder } = require('./cfgBuilder');
+const { TACInstructions } = require('./tacInstructions');
+
+// Calls whose result (or the memory they write) comes from standard input
+const INPUT_CALLS = /(^|[.:])(__isoc99_scanf|__isoc23_scanf|scanf|fscanf|getchar|getc|fgetc|fgets|gets|getline|operator>>|input|readline|readLine|readlines|readFileSync|next|nextInt|nextLong|nextDouble|nextLine)$/;
+
+// Calls that only print, so they do not write to the locations of the caller
+const OUTPUT_CALLS = /(^|[.:])(printf|puts|putchar|operator<<|endl|print|println|log|write)$/;
+
+const TEMP = /\bt\d+\b/g;
+
+const tacInstructions = new TACInstructions();
+
+class DataFlowAnalyzer {
+  constructor() {
+    this.cfgBuilder = new CFGBuilder();
+  }
+
+  /**
+   * What one TAC line defines, reads and calls
+   *   t3 = t1 + t2   store t3 -> t1   t4 = load t1   t5 = call f   if t6 goto L1 else L2   return t4
+   */
+  parse(line) {
+    const { op, dst, args } = tacInstructions.parse(line);
+    const instruction = {
+      line: tacInstructions.render(line), defines: dst, stores: null, loads: null, call: null, alloca: false, returns: null, uses: []
+    };
+    const temps = text => text.match(TEMP) || [];
+
+    switch (op) {
+      case 'call':
+        instruction.call = args[0];
+        break;
+      case 'load':
+        instruction.loads = args[0];
+        break;
+      case 'alloca':
+        instruction.alloca = true;
+        break;
+      case 'store':
+        instruction.stores = args[1];
+        instruction.uses = temps(args[0]);
+        break;
+      case 'return':
+        if (args.length > 0) {
+          instruction.returns = args[0];
+          instruction.uses = temps(args[0]);
+        }
+        break;
+      // Conditions of if / switch, and the target of an indirect goto
+      case 'branch':
+      case 'switch':
+      case 'indirect_goto':
+        instruction.uses = /^t\d+$/.test(args[0]) ? [args[0]] : [];
+        break;
+      default:
+        instruction.uses = dst ? temps(args.join(' ')) : [];
+    }
+
+    return instruction;
+  }
+
+  /**
+   * Parsed instructions of a CFG in block order, each with its block id
+   * @returns {Object} { instructions, blockEnds } blockEnds: per block, the index of its last instruction
+   */
+  instructions(cfg) {
+    const instructions = [];
+    const blockEnds = [];
+    for (const block of cfg.blocks) {
+      for (const line of block.instructions) {
+        instructions.push({ ...this.parse(line), block: block.id });
+      }
+      blockEnds.push(instructions.length - 1);
+    }
+    return { instructions, blockEnds };
+  }
+
+  /**
+   * Def-use analysis of one function
+   * @param {Array} tac - Unfiltered TAC of the function
+   * @param {Array|null} params - [{ name, temp }] in declaration order, null if unknown
+   * @param {Set} constantCalls - Functions known to return a compile-time constant
+   * @returns {Object} { returns, returns_constant, parameters, findings }
+   *   returns: [{ instruction, constant, sources, instructions }] for every `return value`
+   *   parameters: [{ name, temp, used, reaches_result }] (null if params is null)
+   *   findings: [{ type: 'constant_return' | 'unused_parameter', message, instructions, ... }]
+   */
+  analyze(tac, params = null, constantCalls = new Set()) {
+    const cfg = this.cfgBuilder.build(tac || []);
+    const { instructions, blockEnds } = this.instructions(cfg);
+
+    const parameters = new Map((params || []).filter(param => param.temp).map(param => [param.temp, param]));
+
+    // Assigned temps, and how often each temp is read
+    const assignments = new Map();
+    const reads = new Map();
+    instructions.forEach((instruction, index) => {
+      if (instruction.defines) {
+        assignments.set(instruction.defines, (assignments.get(instruction.defines) || []).concat(index));
+      }
+      for (const temp of instruction.uses.concat(instruction.loads || [], instruction.stores || [])) {
+        reads.set(temp, (reads.get(temp) || 0) + 1);
+      }
+    });
+
+    // Call arguments: values that are never read belong to the next call in their block
+    const argumentsOf = new Map();
+    instructions.forEach((instruction, index) => {
+      if (!instruction.defines || instruction.alloca || reads.has(instruction.defines)) return;
+      for (let next = index + 1; next < instructions.length && instructions[next].block === instruction.block; next++) {
+        if (instructions[next].call) {
+          argumentsOf.set(next, (argumentsOf.get(next) || []).concat(instruction.defines));
+          break;
+        }
+      }
+    });
+
+    const definitions = this.reachingDefinitions(cfg, instructions);
+    const containers = new Set(instructions.filter(instruction => instruction.stores && assignments.has(instruction.stores))
+      .map(instruction => instruction.stores));
+    const dependences = this.cfgBuilder.controlDependences(cfg);
+
+    /**
+     * Backward slice of one instruction: the instructions its value is computed from (data and
+     * control dependences) and the non-constant sources among them
+     */
+    const slice = start => {
+      const visited = new Set();
+      const sources = new Set();
+      const stack = [start];
+
+      // A value that is stored into (a list a comprehension appends to) also holds what was stored
+      const value = (temp, index) => {
+        if (assignments.has(temp)) {
+          stack.push(...assignments.get(temp));
+        } else {
+          sources.add(parameters.has(temp) ? `parameter ${parameters.get(temp).name || temp}` : `global ${temp}`);
+        }
+        if (containers.has(temp)) {
+          definitions.at(index, temp).filter(definition => definition.index !== null && instructions[definition.index].stores === temp)
+            .forEach(definition => stack.push(definition.index));
+        }
+      };
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        if (visited.has(index)) continue;
+        visited.add(index);
+
+        const instruction = instructions[index];
+        dependences[instruction.block].forEach(block => stack.push(blockEnds[block]));
+        instruction.uses.forEach(temp => value(temp, index));
+
+        if (instruction.loads) {
+          for (const definition of definitions.at(index, instruction.loads)) {
+            if (definition.index !== null) {
+              stack.push(definition.index);
+            } else if (parameters.has(definition.location)) {
+              sources.add(`parameter ${parameters.get(definition.location).name || definition.location}`);
+            } else if (!assignments.has(definition.location)) {
+              sources.add(`global ${definition.location}`);
+            } else if (!assignments.get(definition.location).every(at => instructions[at].alloca)) {
+              sources.add(`memory ${definition.location}`);
+            } else {
+              sources.add(`uninitialized ${definition.location}`);
+            }
+          }
+          // The element an address points to depends on the index: t9 = &t1[0][t2]
+          if (assignments.has(instruction.loads)) value(instruction.loads, index);
+        }
+
+        // The result of a constant function does not depend on its arguments
+        if (instruction.call && !constantCalls.has(instruction.call)) {
+          sources.add(`${INPUT_CALLS.test(instruction.call) ? 'input' : 'call'} ${instruction.call}`);
+          (argumentsOf.get(index) || []).forEach(temp => value(temp, index));
+        }
+      }
+
+      return {
+        sources: [...sources],
+        instructions: [...visited].sort((a, b) => a - b)
+          .filter(at => !instructions[at].alloca)
+          .map(at => instructions[at].line)
+      };
+    };
+
+    const returns = [];
+    instructions.forEach((instruction, index) => {
+      if (instruction.returns === null || !cfg.blocks[instruction.block].reachable) return;
+      const result = slice(index);
+      returns.push({ instruction: instruction.line, constant: result.sources.length === 0, ...result });
+    });
+
+    const returnsConstant = returns.length > 0 && returns.every(entry => entry.constant);
+    const reaching = new Set(returns.flatMap(entry => entry.sources));
+    const parameterList = params ? params.map(param => ({
+      name: param.name,
+      temp: param.temp,
+      used: Boolean(param.temp) && reads.has(param.temp),
+      reaches_result: reaching.has(`parameter ${param.name || param.temp}`)
+    })) : null;
+
+    const findings = [];
+    const resultInstructions = () => [...new Set(returns.flatMap(entry => entry.instructions))];
+    if (returnsConstant) {
+      const literals = new Set(returns.map(entry => entry.instruction.slice('return '.length)));
+      const constant = literals.size === 1 && !/^t\d+$/.test([...literals][0]) ? [...literals][0] : null;
+      findings.push({
+        type: 'constant_return',
+        message: `Return value is a compile-time constant${constant !== null ? ` (${constant})` : ''}`,
+        constant: constant,
+        instructions: resultInstructions()
+      });
+    } else if (parameterList && returns.length > 0) {
+      parameterList.forEach((param, index) => {
+        if (param.reaches_result) return;
+        const label = param.name || (param.temp ? `${index + 1} (${param.temp})` : `${index + 1}`);
+        findings.push({
+          type: 'unused_parameter',
+          message: param.used ? `Parameter ${label} never reaches the return value` : `Parameter ${label} is never used`,
+          parameter: param.name || param.temp || null,
+          position: index + 1,
+          instructions: resultInstructions()
+        });
+      });
+    }
+
+    return {
+      returns: returns,
+      returns_constant: returnsConstant,
+      parameters: parameterList,
+      findings: findings
+    };
+  }
+
+  /**
+   * Reaching definitions of the locations (stores, calls that may write, and the value on entry)
+   * @returns {Object} { at(index, location) } the definitions of a location that reach an instruction
+   */
+  reachingDefinitions(cfg, instructions) {
+    const locations = new Set();
+    instructions.forEach(instruction => {
+      if (instruction.loads) locations.add(instruction.loads);
+      if (instruction.stores) locations.add(instruction.stores);
+    });
+
+    const definitions = [];
+    const byLocation = new Map();
+    const define = (index, location) => {
+      const id = definitions.length;
+      definitions.push({ id, index, location });
+      byLocation.set(location, (byLocation.get(location) || []).concat(id));
+      return id;
+    };
+
+    const entry = [...locations].map(location => define(null, location));
+    const generated = new Map();
+    instructions.forEach((instruction, index) => {
+      if (instruction.stores) {
+        generated.set(index, [define(index, instruction.stores)]);
+      } else if (instruction.call && !OUTPUT_CALLS.test(instruction.call)) {
+        generated.set(index, [...locations].map(location => define(index, location)));
+      }
+    });
+
+    // A store replaces the location's earlier definitions; a call only adds to them
+    const transfer = (set, index) => {
+      const instruction = instructions[index];
+      if (instruction.stores) {
+        byLocation.get(instruction.stores).forEach(id => set.delete(id));
+      }
+      (generated.get(index) || []).forEach(id => set.add(id));
+    };
+
+    const starts = [];
+    instructions.forEach((instruction, index) => {
+      if (starts[instruction.block] === undefined) starts[instruction.block] = index;
+    });
+    const blockInstructions = block => {
+      const indexes = [];
+      for (let index = starts[block.id]; index !== undefined && index < instructions.length &&
+        instructions[index].block === block.id; index++) {
+        indexes.push(index);
+      }
+      return indexes;
+    };
+
+    const inSets = cfg.blocks.map(() => new Set());
+    const outSets = cfg.blocks.map(() => new Set());
+    entry.forEach(id => inSets[cfg.entry].add(id));
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const block of cfg.blocks) {
+        if (block.id !== cfg.entry) {
+          block.predecessors.forEach(predecessor => outSets[predecessor].forEach(id => inSets[block.id].add(id)));
+        }
+        const out = new Set(inSets[block.id]);
+        blockInstructions(block).forEach(index => transfer(out, index));
+        if (out.size !== outSets[block.id].size) {
+          outSets[block.id] = out;
+          changed = true;
+        }
+      }
+    }
+
+    return {
+      at: (index, location) => {
+        const block = cfg.blocks[instructions[index].block];
+        const set = new Set(inSets[block.id]);
+        for (const before of blockInstructions(block)) {
+          if (before === index) break;
+          transfer(set, before);
+        }
+        return [...set].map(id => definitions[id]).filter(definition => definition.location === location);
+      }
+    };
+  }
+
+  /**
+   * Analyze every function of a program; calls to a function that returns a compile-time
+   * constant are constant too (repeated until no more functions become constant)
+   * @param {Array} units - [{ name, tac, params }] with unfiltered TAC
+   * @returns {Array} [{ name, ...analyze() }]
+   */
+  analyzeProgram(units) {
+    let constantCalls = new Set();
+    let analyses = [];
+
+    for (;;) {
+      analyses = units.map(unit => ({ name: unit.name, ...this.analyze(unit.tac, unit.params, constantCalls) }));
+      const next = new Set(analyses.filter(analysis => analysis.name && analysis.returns_constant).map(analysis => analysis.name));
+      if (next.size === constantCalls.size) break;
+      constantCalls = next;
+    }
+
+    return analyses;
+  }
+}
+
+module.exports = { DataFlowAnalyzer };
@@ -0,0 +1,188 @@
+const { spawn } = require('child_process');
+
+/**
+ * C++ Demangler - Readable names for mangled (Itanium ABI) symbols in LLVM IR
+ *
+ * TAC shows calls by a simplified name, so the reference and the submission compare
+ * `std::sort` instead of `_ZSt4sortIN9__gnu_cxx17__normal_iteratorIPiSt6vector...`:
+ *   void std::sort<__gnu_cxx::__normal_iterator<int*, ...> >(...)  →  std::sort
+ *   std::vector<int, std::allocator<int> >::push_back(int const&)   →  std::vector::push_back
+ *
+ * Demangling uses c++filt (binutils) or llvm-cxxfilt; without either, names stay mangled.
+ * prepare() demangles every name of a module in one tool run before the (synchronous)
+ * conversion, which only reads the cache through readableName().
+ */
+
+const TOOLS = ['c++filt', 'llvm-cxxfilt'];
+
+const MANGLED_PATTERN = /^_Z[\w$.]+$/;
+
+// Operator names that would confuse the bracket matching below
+const OPERATOR_PATTERN = /operator\s*(<<=|>>=|<=>|<<|>>|<=|>=|->\*|->|<|>|\(\)|\[\])/g;
+
+// libstdc++ / libc++ inline ABI namespaces
+const ABI_NAMESPACE_PATTERN = /::__(cxx11|1)::/g;
+
+const MAX_CACHE_SIZE = 5000;
+
+const TOOL_TIMEOUT_MS = 5000;
+
+class Demangler {
+  constructor() {
+    this.cache = new Map(); // mangled → simplified name
+    this.detection = null; // detectTool() result (a promise), set on the first call
+  }
+
+  isMangled(name) {
+    return MANGLED_PATTERN.test(name || '');
+  }
+
+  /**
+   * Run a tool, writing input to its stdin
+   * @returns {Promise<Object>} { error, status, stdout, stderr }
+   */
+  run(tool, args, input = '') {
+    return new Promise((resolve) => {
+      const child = spawn(tool, args);
+      const stdout = [];
+      const stderr = [];
+      const timer = setTimeout(() => child.kill('SIGKILL'), TOOL_TIMEOUT_MS);
+
+      child.stdout.on('data', data => stdout.push(data));
+      child.stderr.on('data', data => stderr.push(data));
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        resolve({ error, status: null, stdout: '', stderr: '' });
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({
+          error: signal ? new Error(`${tool} was stopped (${signal})`) : null,
+          status: code,
+          stdout: Buffer.concat(stdout).toString('utf8'),
+          stderr: Buffer.concat(stderr).toString('utf8')
+        });
+      });
+    });
+  }
+
+  /**
+   * Find a demangling tool (cached)
+   * @returns {Promise<string|null>} The tool, null when none is installed
+   */
+  detectTool() {
+    if (!this.detection) {
+      this.detection = (async () => {
+        for (const tool of TOOLS) {
+          const result = await this.run(tool, ['--version']);
+          if (!result.error && result.status === 0) return tool;
+        }
+        console.log('⚠ c++filt not available - C++ names in TAC stay mangled');
+        return null;
+      })();
+    }
+    return this.detection;
+  }
+
+  /**
+   * Demangle many names with a single tool run
+   * @param {Array} names - Symbol names (unmangled names are passed through)
+   * @returns {Promise<Map>} name → full demangled signature
+   */
+  async demangleAll(names) {
+    const mangled = [...new Set(names.filter(name => this.isMangled(name)))];
+    const demangled = new Map();
+    if (mangled.length === 0) return demangled;
+
+    const tool = await this.detectTool();
+    if (!tool) return demangled;
+
+    const result = await this.run(tool, [], mangled.join('\n'));
+    if (result.error || result.status !== 0) {
+      console.error('⚠ Demangling failed:', result.error ? result.error.message : result.stderr);
+      return demangled;
+    }
+
+    const lines = result.stdout.split('\n');
+    mangled.forEach((name, index) => {
+      if (lines[index] && lines[index] !== name) {
+        demangled.set(name, lines[index]);
+      }
+    });
+    return demangled;
+  }
+
+  /**
+   * Demangle and simplify the mangled names found in an LLVM IR module (cached),
+   * all of them in one tool run
+   */
+  async prepare(llvmIR) {
+    const names = (llvmIR.match(/@_Z[\w$.]+/g) || []).map(name => name.slice(1));
+    const missing = [...new Set(names.filter(name => !this.cache.has(name)))];
+    if (missing.length === 0) return;
+
+    const demangled = await this.demangleAll(missing);
+    if (this.cache.size + demangled.size > MAX_CACHE_SIZE) {
+      this.cache.clear();
+    }
+    for (const [name, full] of demangled) {
+      this.cache.set(name, this.simplify(full));
+    }
+  }
+
+  /**
+   * Readable name for a symbol from the cache; names prepare() has not demangled stay as they are
+   */
+  readableName(name) {
+    return this.cache.get(name) || name;
+  }
+
+  /**
+   * Reduce a demangled signature to a qualified name: no return type,
+   * template arguments, parameter list, cv-qualifiers or ABI namespaces
+   */
+  simplify(signature) {
+    // Protect operator<<, operator() etc. from the bracket matching
+    const operators = [];
+    let text = signature.replace(OPERATOR_PATTERN, (match, symbol) => {
+      operators.push(symbol);
+      return `operator\u0000${operators.length - 1}\u0000`;
+    });
+
+    // Cut at the last top-level parameter list: "ns::f<T>(int) const" → "ns::f<T>"
+    let depth = 0;
+    let listStart = -1;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '<' || char === '(') {
+        if (depth === 0 && char === '(' && i > 0) listStart = i;
+        depth++;
+      } else if (char === '>' || char === ')') {
+        depth--;
+      }
+    }
+    if (listStart > 0) text = text.slice(0, listStart);
+
+    // Drop template arguments
+    let name = '';
+    depth = 0;
+    for (const char of text) {
+      if (char === '<') depth++;
+      else if (char === '>') depth--;
+      else if (depth === 0) name += char;
+    }
+
+    // Drop the return type of function templates ("void std::sort"), keeping "(anonymous namespace)"
+    const parts = name.trim().split(/ (?![^(]*\))/);
+    name = parts[parts.length - 1];
+
+    return name
+      .replace(ABI_NAMESPACE_PATTERN, '::')
+      .replace(/operator\u0000(\d+)\u0000/g, (match, index) => `operator${operators[index]}`);
+  }
+}
+
+module.exports = { Demangler };
@@ -0,0 +1,246 @@
+const os = require('os');
+
+/**
+ * Execution Queue - Concurrency limit and backpressure in front of executeCode
+ *
+ * - Workers per language: at most N compilers/programs of a language run at once
+ *   QUEUE_WORKERS='{"c": 2, "cpp": 2, "java": 1}', others use QUEUE_DEFAULT_WORKERS (default: CPU count)
+ * - Depth limit: once QUEUE_MAX_DEPTH jobs are waiting, new requests are refused
+ *   (the API answers 429 with Retry-After). Admission is per request, so an accepted
+ *   /api/verify always runs all of its jobs instead of failing half way.
+ * - Priority lanes: queued `reference` jobs start before queued `user` jobs
+ */
+
+const LANES = ['reference', 'user'];
+
+const LANGUAGE_KEYS = {
+  c: 'c',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  python: 'python',
+  java: 'java',
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript'
+};
+
+// Weight of the newest sample in the moving averages
+const AVERAGE_WEIGHT = 0.2;
+
+class ExecutionQueue {
+  /**
+   * @param {Object} options - { workers, defaultWorkers, maxDepth } (defaults from env)
+   */
+  constructor(options = {}) {
+    this.defaultWorkers = options.defaultWorkers ||
+      parseInt(process.env.QUEUE_DEFAULT_WORKERS, 10) ||
+      Math.max(1, os.cpus().length);
+    this.maxDepth = options.maxDepth || parseInt(process.env.QUEUE_MAX_DEPTH, 10) || 100;
+    this.workers = { ...this.parseWorkers(process.env.QUEUE_WORKERS), ...(options.workers || {}) };
+
+    this.lanes = {};
+    for (const lane of LANES) {
+      this.lanes[lane] = [];
+    }
+
+    this.languages = {};
+    this.rejected = 0;
+  }
+
+  /**
+   * Parse the QUEUE_WORKERS JSON env var, ignoring it when malformed
+   */
+  parseWorkers(value) {
+    if (!value) return {};
+
+    try {
+      const parsed = JSON.parse(value);
+      const workers = {};
+      for (const [language, count] of Object.entries(parsed)) {
+        const key = this.getLanguageKey(language);
+        if (Number.isInteger(count) && count > 0) {
+          workers[key] = count;
+        }
+      }
+      return workers;
+    } catch (error) {
+      console.error('⚠ Ignoring invalid QUEUE_WORKERS:', error.message);
+      return {};
+    }
+  }
+
+  getLanguageKey(language) {
+    const lang = (language || '').toLowerCase();
+    return LANGUAGE_KEYS[lang] || lang;
+  }
+
+  /**
+   * Per-language counters, created on first use
+   */
+  getLanguageState(key) {
+    if (!this.languages[key]) {
+      this.languages[key] = {
+        workers: this.workers[key] || this.defaultWorkers,
+        active: 0,
+        started: 0,
+        completed: 0,
+        failed: 0,
+        avgWaitMs: 0,
+        avgRunMs: 0
+      };
+    }
+    return this.languages[key];
+  }
+
+  /**
+   * Jobs waiting for a worker, across all lanes
+   */
+  getDepth() {
+    return LANES.reduce((depth, lane) => depth + this.lanes[lane].length, 0);
+  }
+
+  /**
+   * Whether new requests should be refused
+   */
+  isFull() {
+    return this.getDepth() >= this.maxDepth;
+  }
+
+  /**
+   * Record a refused request (for metrics)
+   */
+  reject() {
+    this.rejected++;
+  }
+
+  /**
+   * Seconds a refused client should wait: time to drain the current backlog
+   */
+  getRetryAfter() {
+    const states = Object.values(this.languages);
+    const totalWorkers = states.reduce((sum, state) => sum + state.workers, 0) || this.defaultWorkers;
+    const avgRunMs = states.length > 0
+      ? states.reduce((sum, state) => sum + state.avgRunMs, 0) / states.length
+      : 1000;
+
+    return Math.max(1, Math.ceil((this.getDepth() * (avgRunMs || 1000)) / totalWorkers / 1000));
+  }
+
+  /**
+   * Run a task once a worker for its language is free
+   *
+   * @param {string} language - Programming language (selects the worker pool)
+   * @param {Function} task - async () => result
+   * @param {string} priority - 'reference' or 'user' (default)
+   * @returns {Promise} The task's result
+   */
+  run(language, task, priority = 'user') {
+    const lane = LANES.includes(priority) ? priority : 'user';
+
+    return new Promise((resolve, reject) => {
+      this.lanes[lane].push({
+        key: this.getLanguageKey(language),
+        task: task,
+        resolve: resolve,
+        reject: reject,
+        enqueuedAt: Date.now()
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Wrap executeCode(language, code, stdin, args, options) so every call goes
+   * through the queue; `options.priority` selects the lane.
+   */
+  wrap(executor) {
+    return (language, code, stdin, args, options = {}) => this.run(
+      language,
+      () => executor(language, code, stdin, args, options),
+      options.priority
+    );
+  }
+
+  /**
+   * Start every queued job that has a free worker, higher-priority lanes first
+   */
+  dispatch() {
+    for (const lane of LANES) {
+      const queue = this.lanes[lane];
+
+      for (let i = 0; i < queue.length; i++) {
+        const state = this.getLanguageState(queue[i].key);
+        if (state.active >= state.workers) continue;
+
+        const [job] = queue.splice(i, 1);
+        i--;
+        this.start(job, state);
+      }
+    }
+  }
+
+  async start(job, state) {
+    const startedAt = Date.now();
+    state.active++;
+    state.started++;
+    state.avgWaitMs = this.average(state.avgWaitMs, startedAt - job.enqueuedAt, state.started);
+
+    try {
+      const result = await job.task();
+      state.completed++;
+      job.resolve(result);
+    } catch (error) {
+      state.failed++;
+      job.reject(error);
+    } finally {
+      state.active--;
+      state.avgRunMs = this.average(state.avgRunMs, Date.now() - startedAt, state.completed + state.failed);
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Exponential moving average; the first sample is taken as-is
+   */
+  average(current, sample, samples) {
+    if (samples <= 1) return sample;
+    return current + AVERAGE_WEIGHT * (sample - current);
+  }
+
+  /**
+   * Snapshot for the metrics endpoint
+   */
+  getMetrics() {
+    const languages = {};
+    for (const [key, state] of Object.entries(this.languages)) {
+      languages[key] = {
+        workers: state.workers,
+        active: state.active,
+        queued: LANES.reduce((count, lane) => count + this.lanes[lane].filter(job => job.key === key).length, 0),
+        completed: state.completed,
+        failed: state.failed,
+        avg_wait_ms: Math.round(state.avgWaitMs),
+        avg_run_ms: Math.round(state.avgRunMs)
+      };
+    }
+
+    const lanes = {};
+    for (const lane of LANES) {
+      lanes[lane] = this.lanes[lane].length;
+    }
+
+    return {
+      depth: this.getDepth(),
+      max_depth: this.maxDepth,
+      full: this.isFull(),
+      active: Object.values(this.languages).reduce((sum, state) => sum + state.active, 0),
+      rejected_requests: this.rejected,
+      retry_after: this.getRetryAfter(),
+      default_workers: this.defaultWorkers,
+      lanes: lanes,
+      languages: languages
+    };
+  }
+}
+
+module.exports = { ExecutionQueue };
@@ -0,0 +1,205 @@
+const { CompilerOptions } = require('./compilerOptions');
+const { LocalExecutor } = require('./localExecutor');
+const { SimpleIRExtractor } = require('./simpleIRExtractor');
+
+/**
+ * IR Provider - Where the LLVM IR for TAC extraction comes from
+ *
+ * Providers, in default order:
+ *   local             - clang on this host (LocalExecutor)
+ *   compiler_explorer - a self-hosted Compiler Explorer at COMPILER_EXPLORER_URL
+ *   godbolt           - the public Compiler Explorer at godbolt.org
+ *
+ * IR_PROVIDERS selects and orders them, e.g. IR_PROVIDERS=local,compiler_explorer
+ * keeps an air-gapped lab off the internet. An unavailable provider (clang not
+ * installed, service unreachable) hands over to the next one; a compile error
+ * is final, since every provider would report the same error.
+ *
+ * A self-hosted instance whose compiler ids differ from godbolt's sets
+ * COMPILER_EXPLORER_C_COMPILER / COMPILER_EXPLORER_CPP_COMPILER.
+ *
+ * Every provider builds the IR with the request's standard and defines
+ * (CompilerOptions.buildIRFlags), at -O0 -g.
+ */
+
+const PROVIDERS = ['local', 'compiler_explorer', 'godbolt'];
+
+const GODBOLT_URL = 'https://godbolt.org';
+
+const compilerOptionsService = new CompilerOptions();
+
+class IRProvider {
+  /**
+   * @param {Object} options - { providers, compilerExplorerUrl, compilerExplorerCompilers, localExecutor } (defaults from env)
+   */
+  constructor(options = {}) {
+    this.providers = this.parseProviders(options.providers || process.env.IR_PROVIDERS);
+    this.compilerExplorerUrl = options.compilerExplorerUrl || process.env.COMPILER_EXPLORER_URL || null;
+    this.compilerExplorerCompilers = options.compilerExplorerCompilers || {
+      c: process.env.COMPILER_EXPLORER_C_COMPILER ? { id: process.env.COMPILER_EXPLORER_C_COMPILER } : {},
+      cpp: process.env.COMPILER_EXPLORER_CPP_COMPILER ? { id: process.env.COMPILER_EXPLORER_CPP_COMPILER } : {}
+    };
+    this.localExecutor = options.localExecutor || new LocalExecutor();
+    this.clangAvailable = null;
+  }
+
+  /**
+   * Parse a comma-separated provider list, dropping unknown names
+   */
+  parseProviders(value) {
+    if (!value) return [...PROVIDERS];
+
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+      .map(name => String(name).trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = names.filter(name => !PROVIDERS.includes(name));
+    if (unknown.length > 0) {
+      console.error(`⚠ Ignoring unknown IR provider(s): ${unknown.join(', ')}`);
+    }
+
+    const providers = names.filter((name, index) => PROVIDERS.includes(name) && names.indexOf(name) === index);
+    if (providers.length === 0) {
+      console.error('✗ No valid IR_PROVIDERS given, using defaults');
+      return [...PROVIDERS];
+    }
+    return providers;
+  }
+
+  /**
+   * Generate LLVM IR for every translation unit of a project, using the
+   * first available provider
+   *
+   * @param {string} language - 'c' or 'c++'
+   * @param {Object} project - Normalized project (see ProjectFiles)
+   * @param {Array} units - Translation units to compile ({ name, content })
+   * @param {Object} compilerOptions - Validated compiler options (CompilerOptions.validate), or null
+   * @returns {Object} { success, provider, units: [{ file, ir }], error, file, ir, attempts }
+   */
+  async extract(language, project, units, compilerOptions = null) {
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      const result = await this.extractWith(provider, language, project, units, compilerOptions);
+
+      if (!result.available) {
+        console.log(`⚠ IR provider ${provider} unavailable: ${result.error}`);
+        attempts.push({ provider: provider, status: 'unavailable', error: result.error });
+        continue;
+      }
+
+      attempts.push({ provider: provider, status: result.success ? 'ok' : 'compile_error', error: result.error || null });
+      return {
+        success: result.success,
+        provider: provider,
+        units: result.units || [],
+        error: result.error || null,
+        file: result.file || null,
+        ir: result.ir || null,
+        attempts: attempts
+      };
+    }
+
+    return {
+      success: false,
+      provider: null,
+      units: [],
+      error: `No IR provider available (tried ${this.providers.join(', ')})`,
+      file: null,
+      ir: null,
+      attempts: attempts
+    };
+  }
+
+  /**
+   * Run one provider
+   * @returns {Object} { available, success, units, error, file, ir }
+   */
+  async extractWith(provider, language, project, units, compilerOptions = null) {
+    switch (provider) {
+      case 'local':
+        return await this.extractLocal(language, project, units, compilerOptions);
+      case 'compiler_explorer':
+        if (!this.compilerExplorerUrl) {
+          return { available: false, error: 'COMPILER_EXPLORER_URL is not set' };
+        }
+        return await this.extractCompilerExplorer(
+          new SimpleIRExtractor({ baseUrl: this.compilerExplorerUrl, compilers: this.compilerExplorerCompilers }),
+          language, project, units, compilerOptions
+        );
+      case 'godbolt':
+        return await this.extractCompilerExplorer(
+          new SimpleIRExtractor({ baseUrl: GODBOLT_URL }), language, project, units, compilerOptions
+        );
+      default:
+        return { available: false, error: `Unknown IR provider: ${provider}` };
+    }
+  }
+
+  /**
+   * clang on this host; all units are compiled in one working directory
+   */
+  async extractLocal(language, project, units, compilerOptions = null) {
+    if (this.clangAvailable === null) {
+      this.clangAvailable = await this.localExecutor.sandbox.probe('clang', ['--version']);
+    }
+    if (!this.clangAvailable) {
+      return { available: false, error: 'clang is not installed' };
+    }
+
+    const compiled = await this.localExecutor.generateProjectLLVMIR(project, language, compilerOptions);
+    if (compiled.length < units.length) {
+      return { available: false, error: 'local clang did not run' };
+    }
+
+    const failed = compiled.find(unit => !unit.ir);
+    if (failed) {
+      return {
+        available: true,
+        success: false,
+        error: `LLVM IR extraction failed for ${failed.file}`,
+        file: failed.file,
+        ir: `; Compilation failed\n; ${failed.error || 'Unknown error'}`
+      };
+    }
+
+    return { available: true, success: true, units: compiled.map(unit => ({ file: unit.file, ir: unit.ir })) };
+  }
+
+  /**
+   * Compiler Explorer API (self-hosted or godbolt.org), one unit at a time;
+   * the other project files are sent along so #include "..." resolves
+   */
+  async extractCompilerExplorer(extractor, language, project, units, compilerOptions = null) {
+    const flags = compilerOptionsService.buildIRFlags(compilerOptions);
+    const compiled = [];
+
+    for (const unit of units) {
+      const otherFiles = project.files.filter(file => file !== unit);
+      const ir = await extractor.extract(language, unit.content, otherFiles, flags);
+
+      // Network errors, timeouts and empty responses: let the next provider try
+      if (!ir || ir.startsWith('; Error:') || ir.startsWith('; LLVM IR not generated')) {
+        return { available: false, error: (ir || 'no response').replace(/^; (Error: )?/, '') };
+      }
+
+      // A failed build: extractC checks the exit code before the asm field, which then only
+      // says "<Compilation failed>"
+      if (ir.startsWith('; Compilation failed')) {
+        return {
+          available: true,
+          success: false,
+          error: `LLVM IR extraction failed for ${unit.name}`,
+          file: unit.name,
+          ir: ir
+        };
+      }
+
+      compiled.push({ file: unit.name, ir: ir });
+    }
+
+    return { available: true, success: true, units: compiled };
+  }
+}
+
+module.exports = { IRProvider, PROVIDERS };
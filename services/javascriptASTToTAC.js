@@ -0,0 +1,742 @@
+/**
+ * JavaScript AST to TAC Converter
+ * JavaScript has no bytecode to disassemble, so the tree-sitter AST is lowered directly,
+ * into the same TAC strings LLVMToTACConverter produces (TACLogicChecker and
+ * LLVMToTACConverter.filter/count work for JavaScript unchanged):
+ *
+ *   function add(a, b) { return a + b; }  →  t4 = load t2; t5 = load t3; t6 = t4 + t5; return t6
+ *
+ * Variables are load/store temps (like clang's -O0 allocas). Control flow is lowered to
+ * labels and jumps laid out like clang's blocks (for.cond, for.body, for.inc, for.end):
+ *
+ *   while (i < n) i++;  →  goto L1; L1: ...; t3 = t1 < t2; if t3 goto L2 else L3; L2: ...; goto L1; L3:
+ *
+ * &&, || and ?: branch too; their value goes through a temp (store in each branch, load after).
+ */
+
+const { TACConverter } = require('./tacConverter');
+
+class JavaScriptASTToTACConverter extends TACConverter {
+  constructor() {
+    super(); // Globals and properties are renamed to temps
+    this.scopes = []; // Declared variables per block / function: name → temp
+    this.targets = []; // Enclosing loops, switches and labeled statements: break / continue labels
+  }
+
+  emit(line) {
+    if (!this.current) {
+      this.current = { name: '<module>', signature: '<module>', arity: 0, params: [], tac: [] };
+      this.functions.push(this.current);
+    }
+
+    // A goto right after a jump (if (c) { break; } ...) could never run
+    const previous = this.current.tac[this.current.tac.length - 1];
+    if (line.startsWith('goto ') && previous && /^(goto |if |return|unreachable)/.test(previous)) return;
+
+    super.emit(line);
+  }
+
+  /**
+   * Convert tree-sitter-javascript trees to TAC
+   * @param {Object|Array} roots - Root node(s) of the parsed module(s), converted together
+   * @returns {Array} Array of TAC strings
+   */
+  convert(roots) {
+    this.reset();
+    this.targets = [];
+
+    for (const root of Array.isArray(roots) ? roots : [roots]) {
+      this.scopes = [new Map()]; // Module scope
+      this.current = null; // Module-level code of this module
+      this.statements(root.namedChildren);
+    }
+    this.orderOperands();
+
+    return this.tacOutput;
+  }
+
+  /**
+   * Syntax errors of a parsed module: tree-sitter marks them with ERROR and missing nodes
+   * @returns {Array} Diagnostics ({ file, line, column, severity, message }) in source order
+   */
+  syntaxErrors(root, file) {
+    const diagnostics = [];
+    const visit = node => {
+      if (node.type === 'ERROR' || node.isMissing) {
+        diagnostics.push({
+          file: file,
+          line: node.startPosition.row + 1,
+          column: node.startPosition.column + 1,
+          severity: 'error',
+          message: node.isMissing ? `Missing "${node.type}"` : 'Syntax error'
+        });
+        return;
+      }
+      if (node.hasError) node.children.forEach(visit);
+    };
+    visit(root);
+    return diagnostics;
+  }
+
+  // ============================================================================
+  // Scopes
+  // ============================================================================
+
+  declare(name) {
+    const scope = this.scopes[this.scopes.length - 1];
+    if (!scope.has(name)) {
+      scope.set(name, this.newTemp());
+    }
+    return scope.get(name);
+  }
+
+  isDeclared(name) {
+    return this.scopes.some(scope => scope.has(name));
+  }
+
+  /**
+   * Innermost declaration of a name; undeclared names are globals (console, Math, ...)
+   */
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return this.renameVar(`global:${name}`);
+  }
+
+  inScope(callback) {
+    this.scopes.push(new Map());
+    try {
+      return callback();
+    } finally {
+      this.scopes.pop();
+    }
+  }
+
+  // ============================================================================
+  // Labels and jumps
+  // ============================================================================
+
+  newLabel() {
+    this.labelCounter++;
+    return `L${this.labelCounter}`;
+  }
+
+  /**
+   * Start a block: falling into a label is an explicit goto, as in LLVM IR
+   */
+  label(name) {
+    this.emit(`goto ${name}`);
+    this.emit(`${name}:`);
+  }
+
+  /**
+   * A block reached only by jumps (the previous block ended with a goto or an if)
+   */
+  target(name) {
+    this.emit(`${name}:`);
+  }
+
+  branch(condition, whenTrue, whenFalse) {
+    this.emit(`if ${condition} goto ${whenTrue} else ${whenFalse}`);
+  }
+
+  /**
+   * Lower a loop, switch or labeled block with its break (and continue) labels
+   * @param {Object} target - { names, breakLabel, continueLabel, namedOnly }: names are the statement
+   *   labels (outer: for ...); a labeled block is only left by name (break outer)
+   */
+  withTargets(target, callback) {
+    this.targets.push(target);
+    try {
+      return callback();
+    } finally {
+      this.targets.pop();
+    }
+  }
+
+  /**
+   * break / continue [label]  →  goto the enclosing statement's label
+   */
+  jump(node, kind) {
+    const name = node.namedChildren.find(child => child.type === 'statement_identifier');
+    const target = this.targets.slice().reverse().find(entry => name ? entry.names.includes(name.text)
+      : kind === 'break' ? !entry.namedOnly : entry.continueLabel);
+    if (!target) return;
+    this.emit(`goto ${kind === 'break' ? target.breakLabel : target.continueLabel}`);
+  }
+
+  /**
+   * Value of a branching expression: each branch stores into a temp, which is loaded after
+   * @param {Function} lower - Called with store(value) and the labels to use
+   */
+  branchValue(lower) {
+    const slot = this.newTemp();
+    lower(value => this.emit(`store ${value} -> ${slot}`));
+    const dst = this.newTemp();
+    this.emit(`${dst} = load ${slot}`);
+    return dst;
+  }
+
+  // ============================================================================
+  // Statements
+  // ============================================================================
+
+  statements(nodes) {
+    for (const node of nodes) {
+      this.statement(node);
+    }
+  }
+
+  statement(node, names = []) {
+    if (!node) return;
+    const field = name => node.childForFieldName(name);
+
+    switch (node.type) {
+      case 'statement_block':
+        return this.inScope(() => this.statements(node.namedChildren));
+
+      case 'expression_statement':
+        return node.namedChildren.forEach(child => this.expression(child));
+
+      case 'lexical_declaration':
+      case 'variable_declaration':
+        for (const declarator of node.namedChildren.filter(child => child.type === 'variable_declarator')) {
+          const value = declarator.childForFieldName('value');
+          this.bind(declarator.childForFieldName('name'), value ? this.expression(value) : null, true);
+        }
+        return;
+
+      case 'return_statement': {
+        const argument = node.namedChildren.find(child => child.type !== 'comment');
+        return this.emit(argument ? `return ${this.expression(argument)}` : 'return');
+      }
+
+      // if (c) A else B  →  if c goto L1 else L2; L1: A; goto L3; L2: B; goto L3; L3:
+      case 'if_statement': {
+        const condition = this.expression(field('condition'));
+        const [then, otherwise, end] = [this.newLabel(), field('alternative') ? this.newLabel() : null, this.newLabel()];
+        this.branch(condition, then, otherwise || end);
+        this.target(then);
+        this.statement(field('consequence'));
+        if (otherwise) {
+          this.emit(`goto ${end}`);
+          this.target(otherwise);
+          this.statement(field('alternative'));
+        }
+        return this.label(end);
+      }
+
+      case 'else_clause':
+        return this.statements(node.namedChildren);
+
+      // outer: for (...) { ... break outer; }
+      case 'labeled_statement': {
+        const label = field('label').text;
+        const body = node.namedChildren.filter(child => child.type !== 'statement_identifier' && child.type !== 'comment');
+        if (body.length === 1 && /^(for|for_in|while|do)_statement$/.test(body[0].type)) {
+          return this.statement(body[0], names.concat(label));
+        }
+        const end = this.newLabel();
+        this.withTargets({ names: [label], breakLabel: end, continueLabel: null, namedOnly: true }, () => this.statements(body));
+        return this.label(end);
+      }
+
+      // for (init; c; inc) body  →  init; L1: c; if c goto L2 else L4; L2: body; L3: inc; goto L1; L4:
+      case 'for_statement':
+        return this.inScope(() => {
+          const [condition, body, increment, end] = [this.newLabel(), this.newLabel(), this.newLabel(), this.newLabel()];
+          this.statement(field('initializer'));
+          this.label(condition);
+          const test = field('condition');
+          if (test && test.type !== 'empty_statement' && test.type !== ';') {
+            this.branch(this.expression(test.type === 'expression_statement' ? test.namedChildren[0] : test), body, end);
+          } else {
+            this.emit(`goto ${body}`);
+          }
+          this.target(body);
+          this.withTargets({ names, breakLabel: end, continueLabel: increment }, () => this.statement(field('body')));
+          this.label(increment);
+          this.expression(field('increment'));
+          this.emit(`goto ${condition}`);
+          this.target(end);
+        });
+
+      // for (const x of items) / for (const key in object): the loop test is not in the source
+      case 'for_in_statement':
+        return this.inScope(() => {
+          const items = this.expression(field('right'));
+          const [condition, body, end] = [this.newLabel(), this.newLabel(), this.newLabel()];
+          this.label(condition);
+          this.branch(this.newTemp(), body, end);
+          this.target(body);
+          const element = this.newTemp();
+          this.emit(`${element} = load ${items}`);
+          this.bind(field('left'), element, Boolean(field('kind')));
+          this.withTargets({ names, breakLabel: end, continueLabel: condition }, () => this.statement(field('body')));
+          this.emit(`goto ${condition}`);
+          this.target(end);
+        });
+
+      case 'while_statement': {
+        const [condition, body, end] = [this.newLabel(), this.newLabel(), this.newLabel()];
+        this.label(condition);
+        this.branch(this.expression(field('condition')), body, end);
+        this.target(body);
+        this.withTargets({ names, breakLabel: end, continueLabel: condition }, () => this.statement(field('body')));
+        this.emit(`goto ${condition}`);
+        return this.target(end);
+      }
+
+      case 'do_statement': {
+        const [body, condition, end] = [this.newLabel(), this.newLabel(), this.newLabel()];
+        this.label(body);
+        this.withTargets({ names, breakLabel: end, continueLabel: condition }, () => this.statement(field('body')));
+        this.label(condition);
+        this.branch(this.expression(field('condition')), body, end);
+        return this.target(end);
+      }
+
+      // switch: the cases are tested in order, then the bodies follow each other (fallthrough)
+      //   t = v === a; if t goto <case a> else L1; L1: ... goto <default or end>
+      case 'switch_statement': {
+        const value = this.expression(field('value'));
+        const branches = field('body').namedChildren.filter(child => child.type === 'switch_case' || child.type === 'switch_default');
+        const bodies = branches.map(() => this.newLabel());
+        const end = this.newLabel();
+        const fallback = branches.findIndex(branch => branch.type === 'switch_default');
+
+        branches.forEach((branch, index) => {
+          const test = branch.childForFieldName('value');
+          if (!test) return;
+          const next = this.newLabel();
+          this.branch(this.binary('===', value, this.expression(test)), bodies[index], next);
+          this.target(next);
+        });
+        this.emit(`goto ${fallback >= 0 ? bodies[fallback] : end}`);
+
+        this.withTargets({ names, breakLabel: end, continueLabel: null }, () => branches.forEach((branch, index) => {
+          this.target(bodies[index]);
+          const test = branch.childForFieldName('value');
+          this.statements(branch.namedChildren.slice(test ? 1 : 0)); // The case value comes first
+          this.emit(`goto ${index + 1 < branches.length ? bodies[index + 1] : end}`);
+        }));
+        return this.target(end);
+      }
+
+      case 'try_statement':
+        this.statement(field('body'));
+        this.statement(field('handler'));
+        return this.statement(field('finalizer'));
+
+      case 'catch_clause':
+        return this.inScope(() => {
+          if (field('parameter')) this.bind(field('parameter'), null, true);
+          this.statement(field('body'));
+        });
+
+      case 'finally_clause':
+        return this.statement(field('body'));
+
+      case 'throw_statement':
+        node.namedChildren.forEach(child => this.expression(child));
+        return this.emit('unreachable');
+
+      case 'function_declaration':
+      case 'generator_function_declaration':
+        return this.func(node);
+
+      case 'class_declaration':
+        return this.classBody(node);
+
+      case 'export_statement':
+        return this.statements(node.namedChildren.filter(child => child.type !== 'export_clause' && child.type !== 'string'));
+
+      case 'break_statement':
+        return this.jump(node, 'break');
+
+      case 'continue_statement':
+        return this.jump(node, 'continue');
+
+      case 'import_statement':
+      case 'empty_statement':
+      case 'debugger_statement':
+      case 'comment':
+        return;
+
+      default:
+        // Expressions in statement position (e.g. a for loop's condition)
+        return this.expression(node);
+    }
+  }
+
+  /**
+   * Lower a function body in its own scope
+   *   function add(a, b) { ... }   (a, b) => a + b   class methods
+   * @returns {string} The function as a value
+   */
+  func(node) {
+    const name = node.childForFieldName('name');
+    if (name && node.type.endsWith('declaration')) {
+      this.declare(name.text);
+    }
+
+    // Nested functions get their own entry in this.functions (and no outer loops to break)
+    const outer = this.current;
+    const outerTargets = this.targets;
+    this.targets = [];
+    const parameters = node.childForFieldName('parameters') || node.childForFieldName('parameter');
+    const parameterList = parameters ? (parameters.type === 'formal_parameters' ? parameters.namedChildren : [parameters]) : [];
+    const functionName = this.functionName(node);
+    this.current = {
+      name: functionName,
+      signature: `${functionName}(${parameterList.map(parameter => parameter.text).join(', ')})`,
+      arity: parameterList.length,
+      params: [],
+      tac: []
+    };
+    this.functions.push(this.current);
+
+    this.inScope(() => {
+      for (const parameter of parameterList) {
+        this.bind(parameter, null, true);
+      }
+      // Destructured parameters have no single temp
+      this.current.params = parameterList.map(parameter => parameter.type === 'identifier'
+        ? { name: parameter.text, temp: this.lookup(parameter.text) }
+        : { name: parameter.text, temp: null });
+
+      const body = node.childForFieldName('body');
+      if (body.type !== 'statement_block') {
+        return this.emit(`return ${this.expression(body)}`); // Arrow function with an expression body
+      }
+
+      const statements = body.namedChildren.filter(child => child.type !== 'comment');
+      this.statements(statements);
+      if (statements.length === 0 || statements[statements.length - 1].type !== 'return_statement') {
+        this.emit('return');
+      }
+    });
+
+    this.current = outer;
+    this.targets = outerTargets;
+    return this.newTemp();
+  }
+
+  /**
+   * Name of a function: its own, or what it is assigned to
+   *   const square = x => x * x   exports.square = function (x) {...}   { square(x) {...} }
+   */
+  functionName(node) {
+    const name = node.childForFieldName('name');
+    if (name) return name.text;
+
+    const parent = node.parent;
+    if (parent && parent.type === 'variable_declarator') {
+      return parent.childForFieldName('name').text;
+    }
+    if (parent && parent.type === 'assignment_expression') {
+      const left = parent.childForFieldName('left');
+      return left.type === 'member_expression' ? left.childForFieldName('property').text : left.text;
+    }
+    if (parent && parent.type === 'pair') {
+      return parent.childForFieldName('key').text;
+    }
+    return '<anonymous>';
+  }
+
+  /**
+   * Methods and field initializers of a class
+   */
+  classBody(node) {
+    const name = node.childForFieldName('name');
+    if (name && node.type === 'class_declaration') {
+      this.declare(name.text);
+    }
+
+    for (const member of node.childForFieldName('body').namedChildren) {
+      if (member.type === 'method_definition') {
+        this.func(member);
+      } else if (member.type === 'field_definition' && member.childForFieldName('value')) {
+        this.expression(member.childForFieldName('value'));
+      }
+    }
+    return this.newTemp();
+  }
+
+  // ============================================================================
+  // Expressions (each returns the temp or constant holding its value)
+  // ============================================================================
+
+  expression(node) {
+    if (!node) return this.newTemp();
+    const field = name => node.childForFieldName(name);
+
+    switch (node.type) {
+      case 'number':
+      case 'true':
+      case 'false':
+      case 'null':
+      case 'undefined':
+      case 'this':
+      case 'regex':
+        return node.text;
+
+      case 'string':
+        return JSON.stringify(node.text.slice(1, -1));
+
+      case 'identifier': {
+        const dst = this.newTemp();
+        this.emit(`${dst} = load ${this.lookup(node.text)}`);
+        return dst;
+      }
+
+      case 'parenthesized_expression':
+      case 'expression_statement':
+        return this.sequence(node.namedChildren);
+
+      case 'sequence_expression':
+        return this.sequence(node.namedChildren);
+
+      // a && b  →  if a goto L1 else L2; L1: (value b) goto L2; L2:  (like clang's land.rhs)
+      case 'binary_expression': {
+        const operator = field('operator').type;
+        if (operator === '&&' || operator === '||' || operator === '??') {
+          return this.branchValue(store => {
+            const left = this.expression(field('left'));
+            store(left);
+            const [right, end] = [this.newLabel(), this.newLabel()];
+            if (operator === '&&') this.branch(left, right, end);
+            else if (operator === '||') this.branch(left, end, right);
+            else this.branch(this.binary('!=', left, 'null'), end, right);
+            this.target(right);
+            store(this.expression(field('right')));
+            this.label(end);
+          });
+        }
+        const left = this.expression(field('left'));
+        const right = this.expression(field('right'));
+        return this.binary(field('operator').type, left, right);
+      }
+
+      // -x  →  0 - x;  !x, ~x, typeof x keep their operator
+      case 'unary_expression': {
+        const operator = field('operator').type;
+        const argument = this.expression(field('argument'));
+        if (operator === '-') return this.binary('-', '0', argument);
+        if (operator === '+') return argument;
+
+        const dst = this.newTemp();
+        this.emit(/^\w/.test(operator) ? `${dst} = ${operator} ${argument}` : `${dst} = ${operator}${argument}`);
+        return dst;
+      }
+
+      // i++  →  load, add, store (what clang emits at -O0)
+      case 'update_expression': {
+        const target = field('argument');
+        const value = this.expression(target);
+        const updated = this.binary(field('operator').type === '++' ? '+' : '-', value, '1');
+        this.assign(target, updated);
+        return node.firstChild.type === field('operator').type ? updated : value;
+      }
+
+      case 'assignment_expression': {
+        const value = this.expression(field('right'));
+        this.assign(field('left'), value);
+        return value;
+      }
+
+      // s += x  →  load s, add, store s
+      case 'augmented_assignment_expression': {
+        const current = this.expression(field('left'));
+        const value = this.binary(field('operator').type.slice(0, -1), current, this.expression(field('right')));
+        this.assign(field('left'), value);
+        return value;
+      }
+
+      case 'call_expression':
+        return this.call(field('function'), field('arguments'), '');
+
+      case 'new_expression':
+        return this.call(field('constructor'), field('arguments'), 'new ');
+
+      // obj.length  →  t = load length
+      case 'member_expression': {
+        this.expression(field('object'));
+        const property = this.renameVar(`attr:${field('property').text}`);
+        const dst = this.newTemp();
+        this.emit(`${dst} = load ${property}`);
+        return dst;
+      }
+
+      // items[i]  →  t = load items
+      case 'subscript_expression': {
+        const object = this.expression(field('object'));
+        this.expression(field('index'));
+        const dst = this.newTemp();
+        this.emit(`${dst} = load ${object}`);
+        return dst;
+      }
+
+      // c ? a : b  →  if c goto L1 else L2; L1: (value a) goto L3; L2: (value b) goto L3; L3:
+      case 'ternary_expression':
+        return this.branchValue(store => {
+          const [consequence, alternative, end] = [this.newLabel(), this.newLabel(), this.newLabel()];
+          this.branch(this.expression(field('condition')), consequence, alternative);
+          this.target(consequence);
+          store(this.expression(field('consequence')));
+          this.emit(`goto ${end}`);
+          this.target(alternative);
+          store(this.expression(field('alternative')));
+          this.label(end);
+        });
+
+      case 'arrow_function':
+      case 'function_expression':
+      case 'function':
+      case 'generator_function':
+        return this.func(node);
+
+      case 'class':
+        return this.classBody(node);
+
+      case 'spread_element':
+        return this.sequence(node.namedChildren);
+
+      // Values built without arithmetic: [..], {..}, `..${x}..`, await x
+      default:
+        for (const child of node.namedChildren) {
+          if (child.type === 'pair') {
+            this.expression(child.childForFieldName('value'));
+          } else if (child.type === 'method_definition') {
+            this.func(child);
+          } else if (child.type === 'shorthand_property_identifier') {
+            this.emit(`${this.newTemp()} = load ${this.lookup(child.text)}`);
+          } else if (child.type === 'template_substitution') {
+            this.sequence(child.namedChildren);
+          } else if (child.isNamed && !/^(string_fragment|escape_sequence|property_identifier|comment)$/.test(child.type)) {
+            this.expression(child);
+          }
+        }
+        return this.newTemp();
+    }
+  }
+
+  /**
+   * Evaluate expressions in order, the last one is the value
+   */
+  sequence(nodes) {
+    let value = null;
+    for (const node of nodes) {
+      if (node.type !== 'comment') value = this.expression(node);
+    }
+    return value || this.newTemp();
+  }
+
+  /**
+   * Calls keep the callee's name: add(x) → call add, console.log(x) → call console.log,
+   * items.push(x) → call push (methods of local values go by method name only)
+   */
+  call(callee, args, prefix) {
+    let name = this.staticName(callee);
+    if (!name) {
+      if (callee.type === 'member_expression') {
+        this.expression(callee.childForFieldName('object'));
+        name = callee.childForFieldName('property').text;
+      } else {
+        name = this.expression(callee);
+      }
+    }
+
+    if (args && args.type === 'arguments') {
+      args.namedChildren.forEach(arg => this.expression(arg));
+    } else if (args) {
+      this.expression(args); // Tagged template
+    }
+
+    const dst = this.newTemp();
+    this.emit(`${dst} = call ${prefix}${name}`);
+    return dst;
+  }
+
+  /**
+   * Name of a function reached without local values: add, Math.max, process.stdout.write
+   */
+  staticName(node) {
+    if (node.type === 'identifier') {
+      return node.text;
+    }
+    if (node.type === 'member_expression') {
+      const object = node.childForFieldName('object');
+      if (object.type === 'identifier' && this.isDeclared(object.text)) return null;
+      const objectName = this.staticName(object);
+      return objectName ? `${objectName}.${node.childForFieldName('property').text}` : null;
+    }
+    return null;
+  }
+
+  /**
+   * Store a value into an assignment target
+   */
+  assign(target, value) {
+    switch (target.type) {
+      case 'identifier':
+        return this.emit(`store ${value} -> ${this.lookup(target.text)}`);
+      case 'member_expression':
+        this.expression(target.childForFieldName('object'));
+        return this.emit(`store ${value} -> ${this.renameVar(`attr:${target.childForFieldName('property').text}`)}`);
+      case 'subscript_expression': {
+        const object = this.expression(target.childForFieldName('object'));
+        this.expression(target.childForFieldName('index'));
+        return this.emit(`store ${value} -> ${object}`);
+      }
+      case 'parenthesized_expression':
+        return this.assign(target.namedChildren[0], value);
+      default:
+        return this.bind(target, value, false);
+    }
+  }
+
+  /**
+   * Bind a declaration or destructuring pattern: const [x, y] = ...; ({ a, b: c } = obj)
+   * Each destructured element is a load from the value.
+   * @param {boolean} declare - Declare the names in the current scope (let/const/var, parameters)
+   */
+  bind(pattern, value, declare) {
+    if (!pattern) return;
+
+    const element = () => {
+      if (value === null) return null;
+      const dst = this.newTemp();
+      this.emit(`${dst} = load ${value}`);
+      return dst;
+    };
+
+    switch (pattern.type) {
+      case 'identifier':
+      case 'shorthand_property_identifier_pattern': {
+        const variable = declare ? this.declare(pattern.text) : this.lookup(pattern.text);
+        if (value !== null) this.emit(`store ${value} -> ${variable}`);
+        return;
+      }
+      case 'array_pattern':
+        for (const child of pattern.namedChildren) this.bind(child, element(), declare);
+        return;
+      case 'object_pattern':
+        for (const child of pattern.namedChildren) {
+          this.bind(child.type === 'pair_pattern' ? child.childForFieldName('value') : child, element(), declare);
+        }
+        return;
+      case 'assignment_pattern':
+        return this.bind(pattern.childForFieldName('left'), value, declare);
+      case 'object_assignment_pattern':
+        return this.bind(pattern.childForFieldName('left'), value, declare);
+      case 'rest_pattern':
+        return this.bind(pattern.namedChildren[0], value, declare);
+      default:
+        if (!declare && value !== null) this.assign(pattern, value);
+    }
+  }
+}
+
+module.exports = { JavaScriptASTToTACConverter };
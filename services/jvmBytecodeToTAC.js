@@ -0,0 +1,469 @@
+/**
+ * JVM Bytecode to TAC Converter
+ * Turns `javap -c` output into the same TAC strings LLVMToTACConverter produces,
+ * so TACLogicChecker (and LLVMToTACConverter.filter/count) work for Java unchanged:
+ *
+ *   iload_0, iload_1, iadd, ireturn  →  t2 = load t1; t4 = load t3; t5 = t2 + t4; return t5
+ *
+ * The operand stack is simulated symbolically: loads push a temp, arithmetic pops its
+ * operands and pushes a new temp. Local variable slots are renamed per method (like
+ * LLVM allocas). Branches keep their LLVM TAC form, on labels for the jump targets:
+ *
+ *   if_icmpge 21  →  t7 = t5 >= t6; if t7 goto L2 else L1
+ */
+
+const { TACConverter } = require('./tacConverter');
+
+const ARITHMETIC_OPERATORS = {
+  add: '+',
+  sub: '-',
+  mul: '*',
+  div: '/',
+  rem: '%'
+};
+
+// if<cond> / if_icmp<cond> / if_acmp<cond> → comparison
+const BRANCH_CONDITIONS = {
+  eq: '==', ne: '!=', lt: '<', ge: '>=', gt: '>', le: '<=', null: '==', nonnull: '!='
+};
+
+class JVMBytecodeToTACConverter extends TACConverter {
+  constructor() {
+    super(); // Local slots and fields are renamed to temps, methods are the functions
+    this.method = 0;
+    this.labels = new Map(); // Jump target offsets of the current method → L1, L2...
+    this.savedStacks = new Map(); // Label → the stack at the jump to it
+    this.comparisons = new Map(); // lcmp / fcmpl / dcmpg result → its operands, for the next if<cond>
+    this.parameterSlots = []; // Local slots of the current method's parameters
+  }
+
+  /**
+   * Temp for a local variable slot of the current method
+   */
+  local(slot) {
+    return this.renameVar(`local:${this.method}:${slot}`);
+  }
+
+  /**
+   * Start the TAC of a method from its javap declaration
+   *   "public static int add(int, int);"  →  { name: 'add', signature: 'int add(int, int)', arity: 2 }
+   * Parameters are the first local slots, after `this` in instance methods; long and double take two
+   */
+  startMethod(declaration) {
+    const match = (declaration || '').match(/^(.*?)([\w$]+)\(([^)]*)\)(?:\s+throws\s+.*)?;$/);
+    const signature = match
+      ? `${match[1].replace(/\b(public|private|protected|static|final|synchronized|native|abstract|strictfp|default)\s+/g, '')}${match[2]}(${match[3]})`
+      : 'static {}';
+
+    this.current = {
+      name: match ? match[2] : '<clinit>',
+      signature: signature,
+      arity: match ? match[3].split(',').filter(part => part.trim()).length : 0,
+      params: [],
+      tac: []
+    };
+    this.functions.push(this.current);
+
+    let slot = !match || /\bstatic\b/.test(match[1]) ? 0 : 1;
+    this.parameterSlots = (match ? match[3].split(',').map(part => part.trim()).filter(Boolean) : []).map(type => {
+      const current = slot;
+      slot += /^(long|double)$/.test(type) ? 2 : 1;
+      return current;
+    });
+  }
+
+  /**
+   * Convert `javap -c` output to TAC
+   * @param {string} disassembly - javap -c output (one or more classes)
+   * @returns {Array} Array of TAC strings
+   */
+  convert(disassembly) {
+    this.reset();
+    this.method = 0;
+    this.comparisons = new Map();
+
+    let declaration = null;
+    let instructions = [];
+    let switchInstruction = null;
+    for (const line of disassembly.split('\n')) {
+      const trimmed = line.trim();
+
+      // Every method body starts with "Code:", after the method's declaration
+      if (trimmed === 'Code:') {
+        this.convertMethod(instructions);
+        instructions = [];
+        this.method++;
+        this.stack = [];
+        this.startMethod(declaration);
+        continue;
+      }
+      if (trimmed.endsWith(';') && !/^\d+:/.test(trimmed)) {
+        declaration = trimmed;
+      }
+
+      // tableswitch / lookupswitch cases: "1: 28", "default: 43", up to "}"
+      if (switchInstruction) {
+        const entry = trimmed.match(/^(-?\d+|default):\s*(-?\d+)$/);
+        if (entry) {
+          switchInstruction.cases.push({ value: entry[1], target: parseInt(entry[2], 10) });
+          continue;
+        }
+        if (trimmed === '}') {
+          switchInstruction = null;
+          continue;
+        }
+      }
+
+      // Instructions: "   12: invokevirtual #13   // Method java/io/PrintStream.println:(I)V"
+      const match = trimmed.match(/^(\d+):\s+([a-z][a-z0-9_]*)\b\s*([^/]*?)\s*(?:\/\/\s*(.*))?$/);
+      if (match) {
+        const instruction = { offset: parseInt(match[1], 10), opcode: match[2], operands: match[3], comment: match[4] || '', cases: [] };
+        instructions.push(instruction);
+        if (instruction.opcode === 'tableswitch' || instruction.opcode === 'lookupswitch') {
+          switchInstruction = instruction;
+        }
+      }
+    }
+    this.convertMethod(instructions);
+    this.orderOperands();
+
+    return this.tacOutput;
+  }
+
+  /**
+   * Convert the instructions of one method, with a label on every jump target and on the
+   * instruction after a conditional jump (its "else" side)
+   */
+  convertMethod(instructions) {
+    const targets = new Set();
+    instructions.forEach((instruction, index) => {
+      for (const target of this.jumpTargets(instruction)) targets.add(target);
+      if (/^if/.test(instruction.opcode) && instructions[index + 1]) targets.add(instructions[index + 1].offset);
+    });
+
+    // Labels follow the offset order, as LLVM labels follow the block order
+    this.labels = new Map();
+    this.savedStacks = new Map();
+    for (const offset of Array.from(targets).sort((a, b) => a - b)) {
+      this.labelCounter++;
+      this.labels.set(offset, `L${this.labelCounter}`);
+    }
+
+    instructions.forEach((instruction, index) => {
+      const label = this.labels.get(instruction.offset);
+      if (label) {
+        // Falling into a label is an explicit goto, as in LLVM IR
+        if (index > 0 && !this.isTerminator(instructions[index - 1].opcode)) {
+          this.emit(`goto ${label}`);
+        } else if (this.savedStacks.has(label)) {
+          this.stack = this.savedStacks.get(label).slice(); // Only reached by jumps
+        }
+        this.emit(`${label}:`);
+      }
+      instruction.next = instructions[index + 1] ? instructions[index + 1].offset : null;
+      this.convertInstruction(instruction.opcode, instruction.operands, instruction.comment, instruction);
+    });
+
+    // javap -c has no parameter names; a parameter that is never read has no temp
+    if (this.current) {
+      this.current.params = this.parameterSlots.map(slot => ({
+        name: null,
+        temp: this.varMap.get(`local:${this.method}:${slot}`) || null
+      }));
+    }
+  }
+
+  /**
+   * Offsets an instruction can jump to
+   */
+  jumpTargets(instruction) {
+    if (/^(if|goto)/.test(instruction.opcode)) {
+      return [parseInt(instruction.operands, 10)];
+    }
+    return instruction.cases.map(entry => entry.target);
+  }
+
+  isTerminator(opcode) {
+    return /^(goto|goto_w|tableswitch|lookupswitch|athrow|[ilfda]?return)$/.test(opcode) || /^if/.test(opcode);
+  }
+
+  /**
+   * Label of a jump target; the stack at the jump is what the target starts with
+   */
+  label(offset) {
+    const label = this.labels.get(offset) || `L${offset}`;
+    if (!this.savedStacks.has(label)) this.savedStacks.set(label, this.stack.slice());
+    return label;
+  }
+
+  /**
+   * Convert a single JVM instruction
+   * @param {string} opcode - e.g. iadd, iload_1, invokevirtual
+   * @param {string} operands - e.g. "1, 1" for iinc, "#7" for ldc
+   * @param {string} comment - javap's resolved constant, e.g. "Method Main.add:(II)I"
+   * @param {Object} instruction - { offset, next, cases } for jumps (optional)
+   */
+  convertInstruction(opcode, operands, comment, instruction = { next: null, cases: [] }) {
+    let match;
+
+    // Constants: iconst_1, bipush 10, ldc #7 // int 100000
+    if ((match = opcode.match(/^[ilfd]const_(m1|\d)$/))) {
+      return this.push(match[1] === 'm1' ? '-1' : match[1]);
+    }
+    if (opcode === 'bipush' || opcode === 'sipush') {
+      return this.push(operands);
+    }
+    if (opcode === 'aconst_null') {
+      return this.push('null');
+    }
+    if (/^ldc(_w|2_w)?$/.test(opcode)) {
+      return this.push(this.parseConstant(comment));
+    }
+
+    // Locals: iload_1 / iload 4  →  t = load local
+    if ((match = opcode.match(/^[ilfda]load(?:_(\d))?$/))) {
+      const variable = this.local(match[1] !== undefined ? match[1] : operands);
+      const dst = this.newTemp();
+      this.emit(`${dst} = load ${variable}`);
+      return this.push(dst);
+    }
+    if ((match = opcode.match(/^[ilfda]store(?:_(\d))?$/))) {
+      const value = this.pop();
+      return this.emit(`store ${value} -> ${this.local(match[1] !== undefined ? match[1] : operands)}`);
+    }
+
+    // iinc 1, 1  →  load, add, store (what clang emits for i++ at -O0)
+    if (opcode === 'iinc') {
+      const [slot, delta] = operands.split(',').map(part => part.trim());
+      const variable = this.local(slot);
+      const loaded = this.newTemp();
+      this.emit(`${loaded} = load ${variable}`);
+      const sum = this.binary('+', loaded, delta);
+      return this.emit(`store ${sum} -> ${variable}`);
+    }
+
+    // Arithmetic: iadd, lsub, dmul, idiv, irem
+    if ((match = opcode.match(/^[ilfd](add|sub|mul|div|rem)$/))) {
+      const right = this.pop();
+      const left = this.pop();
+      return this.push(this.binary(ARITHMETIC_OPERATORS[match[1]], left, right));
+    }
+    if (/^[ilfd]neg$/.test(opcode)) {
+      return this.push(this.binary('-', '0', this.pop()));
+    }
+
+    // Calls
+    if (/^invoke(virtual|special|static|interface|dynamic)$/.test(opcode)) {
+      return this.convertCall(opcode, comment);
+    }
+
+    // Returns: ireturn  →  return t
+    if (/^[ilfda]return$/.test(opcode)) {
+      return this.emit(`return ${this.pop()}`);
+    }
+    if (opcode === 'return') {
+      return this.emit('return');
+    }
+
+    // Fields: getstatic System.out  →  t = load field
+    if (opcode === 'getstatic' || opcode === 'getfield') {
+      if (opcode === 'getfield') this.pop();
+      const field = this.renameVar(`field:${this.parseMember(comment).name}`);
+      const dst = this.newTemp();
+      this.emit(`${dst} = load ${field}`);
+      return this.push(dst);
+    }
+    if (opcode === 'putstatic' || opcode === 'putfield') {
+      const value = this.pop();
+      if (opcode === 'putfield') this.pop();
+      return this.emit(`store ${value} -> ${this.renameVar(`field:${this.parseMember(comment).name}`)}`);
+    }
+
+    // Arrays
+    if (/^[ilfdabcs]aload$/.test(opcode)) {
+      this.pop(); // index
+      const array = this.pop();
+      const dst = this.newTemp();
+      this.emit(`${dst} = load ${array}`);
+      return this.push(dst);
+    }
+    if (/^[ilfdabcs]astore$/.test(opcode)) {
+      const value = this.pop();
+      this.pop(); // index
+      return this.emit(`store ${value} -> ${this.pop()}`);
+    }
+    if (opcode === 'newarray' || opcode === 'anewarray' || opcode === 'arraylength' || opcode === 'instanceof') {
+      this.pop();
+      return this.push(this.newTemp());
+    }
+    if (opcode === 'multianewarray') {
+      const dimensions = parseInt(operands.split(',')[1], 10) || 1;
+      for (let i = 0; i < dimensions; i++) this.pop();
+      return this.push(this.newTemp());
+    }
+    if (opcode === 'new') {
+      return this.push(this.newTemp());
+    }
+
+    // lcmp / fcmpl / dcmpg only feed the next if<cond>: if (a < b) is lcmp; ifge
+    if (/^[lfd]cmp[lg]?$/.test(opcode)) {
+      const right = this.pop();
+      const left = this.pop();
+      const result = this.newTemp();
+      this.comparisons.set(result, [left, right]);
+      return this.push(result);
+    }
+
+    // Branches: if_icmpge 21  →  t = a >= b; if t goto L2 else L1
+    if ((match = opcode.match(/^if_[ia]cmp(\w+)$/))) {
+      const right = this.pop();
+      const left = this.pop();
+      return this.branch(this.binary(BRANCH_CONDITIONS[match[1]], left, right), operands, instruction.next);
+    }
+    if ((match = opcode.match(/^if(\w+)$/))) {
+      const value = this.pop();
+      const [left, right] = this.comparisons.get(value) || [value, /null/.test(match[1]) ? 'null' : '0'];
+      return this.branch(this.binary(BRANCH_CONDITIONS[match[1]], left, right), operands, instruction.next);
+    }
+    if (opcode === 'goto' || opcode === 'goto_w') {
+      return this.emit(`goto ${this.label(parseInt(operands, 10))}`);
+    }
+    if (opcode === 'tableswitch' || opcode === 'lookupswitch') {
+      const value = this.pop();
+      const cases = instruction.cases.filter(entry => entry.value !== 'default');
+      const fallback = instruction.cases.find(entry => entry.value === 'default');
+      return this.emit(`switch ${value} [${cases.map(entry => `${entry.value}: ${this.label(entry.target)}`).join(', ')}]` +
+        ` default ${fallback ? this.label(fallback.target) : this.label(instruction.next)}`);
+    }
+    if (opcode === 'athrow') {
+      this.pop();
+      return this.emit('unreachable');
+    }
+    if (opcode === 'monitorenter' || opcode === 'monitorexit' || opcode === 'pop') {
+      this.pop();
+      return;
+    }
+
+    // Stack shuffling
+    if (opcode === 'dup') {
+      const top = this.pop();
+      this.push(top);
+      return this.push(top);
+    }
+    if (opcode === 'dup_x1') {
+      const top = this.pop();
+      const below = this.pop();
+      this.push(top);
+      this.push(below);
+      return this.push(top);
+    }
+    if (opcode === 'dup2') {
+      const top = this.pop();
+      const below = this.pop();
+      this.push(below);
+      this.push(top);
+      this.push(below);
+      return this.push(top);
+    }
+    if (opcode === 'swap') {
+      const top = this.pop();
+      const below = this.pop();
+      this.push(top);
+      return this.push(below);
+    }
+    if (opcode === 'pop2') {
+      this.pop();
+      this.pop();
+      return;
+    }
+
+    // Conversions (i2l, d2i, ...), checkcast, nop: the value is unchanged
+  }
+
+  /**
+   * if t goto <target> else <next instruction>
+   */
+  branch(condition, target, next) {
+    this.emit(`if ${condition} goto ${this.label(parseInt(target, 10))} else ${this.label(next)}`);
+  }
+
+  /**
+   * invoke*: pop the arguments (and receiver), push the result
+   *   invokestatic  // Method add:(II)I                      →  t = call add
+   *   invokevirtual // Method java/io/PrintStream.println:(I)V  →  call java.io.PrintStream.println
+   */
+  convertCall(opcode, comment) {
+    let name;
+    let descriptor;
+
+    if (opcode === 'invokedynamic') {
+      // InvokeDynamic #0:makeConcatWithConstants:(I)Ljava/lang/String;
+      const match = comment.match(/InvokeDynamic\s+#\d+:("?[^:"]+"?):(\(.*)$/);
+      name = match ? match[1].replace(/"/g, '') : 'invokedynamic';
+      descriptor = match ? match[2] : '()V';
+    } else {
+      const member = this.parseMember(comment);
+      name = member.name;
+      descriptor = member.descriptor || '()V';
+    }
+
+    for (let i = 0; i < this.countArguments(descriptor); i++) {
+      this.pop();
+    }
+    if (opcode !== 'invokestatic' && opcode !== 'invokedynamic') {
+      this.pop(); // receiver
+    }
+
+    if (descriptor.endsWith(')V')) {
+      return this.emit(`call ${name}`);
+    }
+
+    const dst = this.newTemp();
+    this.emit(`${dst} = call ${name}`);
+    this.push(dst);
+  }
+
+  /**
+   * "Method java/util/Arrays.sort:([I)V"  →  { name: 'java.util.Arrays.sort', descriptor: '([I)V' }
+   * Members of the class itself have no owner: "Method add:(II)I"  →  add
+   */
+  parseMember(comment) {
+    const match = comment.match(/^(?:Method|InterfaceMethod|Field)\s+(.+?):(\S+)$/);
+    if (!match) {
+      return { name: 'unknown', descriptor: null };
+    }
+
+    return {
+      name: match[1].replace(/"/g, '').replace(/\//g, '.'),
+      descriptor: match[2]
+    };
+  }
+
+  /**
+   * Number of parameters in a method descriptor, e.g. (I[JLjava/lang/String;)V → 3
+   */
+  countArguments(descriptor) {
+    const parameters = (descriptor.match(/^\((.*)\)/) || [null, ''])[1];
+    const types = parameters.match(/\[*(?:[BCDFIJSZ]|L[^;]+;)/g);
+    return types ? types.length : 0;
+  }
+
+  /**
+   * ldc constants: "int 100000", "String hello", "double 2.5d", "class Foo"
+   */
+  parseConstant(comment) {
+    const match = comment.match(/^(int|long|float|double|String|class)\s+(.*)$/);
+    if (!match) return this.newTemp();
+
+    switch (match[1]) {
+      case 'String':
+        return JSON.stringify(match[2]);
+      case 'class':
+        return `${match[2].replace(/\//g, '.')}.class`;
+      default:
+        return match[2].replace(/[lfdLFD]$/, '');
+    }
+  }
+}
+
+module.exports = { JVMBytecodeToTACConverter };
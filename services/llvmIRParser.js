@@ -0,0 +1,985 @@
+/**
+ * LLVM IR Parser
+ * Tokenizes textual LLVM IR (.ll) and parses it into a module AST:
+ *
+ *   module    { sourceFilename, targetTriple, types, globals, declarations, functions, metadata, errors }
+ *   function  { name, returnType, params: [{ type, name }], varargs, blocks, attachments }
+ *   block     { label, instructions }
+ *   instruction { result, opcode, type, operands, line, location, ... opcode specific fields }
+ *   operand   { kind: local | global | constant | expr | aggregate | metadata | asm, text, type }
+ *
+ * Types are objects too ({ kind: 'int', bits: 32 }, { kind: 'struct', fields }, ...);
+ * formatType() prints them back. Both typed (i32*) and opaque (ptr) pointers are accepted.
+ *
+ * IR compiled with -g has a `!dbg !12` attachment on most instructions; location is the
+ * !DILocation it names ({ line, column, file } of the source code), null without one.
+ * Metadata ids are resolved per module, so several modules can be parsed together.
+ *
+ * The parser is lenient: a statement it cannot parse is recorded in module.errors and
+ * skipped, and instructions outside a function (IR snippets) go to an unnamed function.
+ */
+
+const TOKEN_PATTERN = new RegExp([
+  '(?<space>[ \\t\\r]+)',
+  '(?<newline>\\n)',
+  '(?<comment>;[^\\n]*)',
+  '(?<local>%(?:"[^"]*"|[-\\w$.]+))',
+  '(?<global>@(?:"[^"]*"|[-\\w$.]+))',
+  '(?<metadata>!(?:"(?:[^"\\\\]|\\\\.)*"|[-\\w$.\\\\]+))',
+  '(?<record>#dbg_\\w+)',
+  '(?<attrgroup>#\\d+)',
+  '(?<cstring>c"[^"]*")',
+  '(?<string>"[^"]*")',
+  '(?<float>[-+]?\\d+\\.\\d*(?:[eE][-+]?\\d+)?|[-+]?\\d+[eE][-+]?\\d+)',
+  '(?<hex>[su]?0x[KLMHR]?[0-9A-Fa-f]+)',
+  '(?<integer>-?\\d+)',
+  '(?<ellipsis>\\.\\.\\.)',
+  '(?<word>[A-Za-z_$.][-\\w$.]*)',
+  '(?<punct>[=,()\\[\\]{}<>*:|!])',
+  '(?<unknown>.)'
+].join('|'), 'y');
+
+const BINARY_OPCODES = [
+  'add', 'fadd', 'sub', 'fsub', 'mul', 'fmul', 'udiv', 'sdiv', 'fdiv', 'urem', 'srem', 'frem',
+  'shl', 'lshr', 'ashr', 'and', 'or', 'xor'
+];
+
+const CAST_OPCODES = [
+  'trunc', 'zext', 'sext', 'fptrunc', 'fpext', 'fptoui', 'fptosi', 'uitofp', 'sitofp',
+  'ptrtoint', 'inttoptr', 'bitcast', 'addrspacecast'
+];
+
+const OTHER_OPCODES = [
+  'fneg', 'icmp', 'fcmp', 'select', 'phi', 'alloca', 'load', 'store', 'getelementptr', 'call', 'invoke',
+  'callbr', 'ret', 'br', 'switch', 'indirectbr', 'unreachable', 'resume', 'landingpad', 'extractvalue',
+  'insertvalue', 'extractelement', 'insertelement', 'shufflevector', 'freeze', 'va_arg', 'atomicrmw',
+  'cmpxchg', 'fence', 'catchswitch', 'catchpad', 'cleanuppad', 'catchret', 'cleanupret'
+];
+
+const OPCODES = new Set([...BINARY_OPCODES, ...CAST_OPCODES, ...OTHER_OPCODES]);
+
+// Words that start an instruction or a top-level entity
+const STATEMENT_WORDS = new Set([
+  ...OPCODES, 'tail', 'musttail', 'notail', 'define', 'declare', 'target', 'source_filename',
+  'attributes', 'module', 'uselistorder', 'uselistorder_bb'
+]);
+
+// Flags between an opcode and its type: nsw, inbounds, fast-math flags, ordering, ...
+const INSTRUCTION_FLAGS = new Set([
+  'nuw', 'nsw', 'exact', 'disjoint', 'nneg', 'samesign', 'inbounds', 'nusw', 'inalloca', 'atomic', 'volatile',
+  'nnan', 'ninf', 'nsz', 'arcp', 'contract', 'afn', 'reassoc', 'fast', 'weak', 'syncscope'
+]);
+
+const PRIMITIVE_TYPES = new Set([
+  'void', 'half', 'bfloat', 'float', 'double', 'x86_fp80', 'fp128', 'ppc_fp128', 'label', 'metadata',
+  'token', 'x86_mmx', 'x86_amx', 'opaque'
+]);
+
+const FLOAT_TYPES = new Set(['half', 'bfloat', 'float', 'double', 'x86_fp80', 'fp128', 'ppc_fp128']);
+
+const CONSTANT_WORDS = new Set(['true', 'false', 'null', 'none', 'undef', 'poison', 'zeroinitializer']);
+
+const IGNORED_STATEMENTS = new Set(['module', 'uselistorder', 'uselistorder_bb']);
+
+// Atomic orderings end an operand: load atomic i32, ptr %p seq_cst
+const ORDERINGS = ['unordered', 'monotonic', 'acquire', 'release', 'acq_rel', 'seq_cst', 'syncscope'];
+
+const CLOSING = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+class LLVMIRParser {
+  /**
+   * Split IR text into tokens ({ type, text, line }); whitespace and comments are dropped
+   */
+  tokenize(text) {
+    const tokens = [];
+    let line = 1;
+    TOKEN_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+      const [type, value] = Object.entries(match.groups).find(([, group]) => group !== undefined);
+      if (type === 'newline') {
+        line++;
+      } else if (type !== 'space' && type !== 'comment') {
+        tokens.push({ type: type, text: value, line: line });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse IR text into a module
+   * @param {string} text - Textual LLVM IR, one or more modules
+   * @returns {Object} Module AST
+   */
+  parse(text) {
+    const module = {
+      sourceFilename: null,
+      targetTriple: null,
+      types: new Map(), // %struct.Point → type
+      globals: [],
+      declarations: [],
+      functions: [],
+      metadata: new Map(), // !12 → node
+      attributes: new Map(), // #0 → attribute text
+      errors: []
+    };
+
+    let func = null;
+    let unit = { functions: 0, metadata: new Map() };
+    for (const statement of this.statements(this.tokenize(text))) {
+      // A new module: its metadata ids start over
+      if (statement[0].text === 'source_filename' && module.functions.length > unit.functions) {
+        this.resolveLocations(module.functions.slice(unit.functions), unit.metadata);
+        unit = { functions: module.functions.length, metadata: new Map() };
+      }
+      this.unitMetadata = unit.metadata;
+      this.tokens = statement;
+      this.pos = 0;
+
+      try {
+        func = this.statement(module, func);
+      } catch (error) {
+        module.errors.push({
+          line: statement[0].line,
+          message: error.message,
+          text: statement.map(token => token.text).join(' ')
+        });
+      }
+    }
+    this.resolveLocations(module.functions.slice(unit.functions), unit.metadata);
+
+    return module;
+  }
+
+  /**
+   * Source location of every instruction from its !dbg attachment
+   * @param {Array} functions - Functions of one module
+   * @param {Map} metadata - Metadata nodes of that module
+   */
+  resolveLocations(functions, metadata) {
+    for (const func of functions) {
+      for (const block of func.blocks) {
+        for (const instruction of block.instructions) {
+          const node = metadata.get(instruction.metadata && instruction.metadata.dbg);
+          // Line 0: code the compiler made up (no source line)
+          instruction.location = node && node.kind === 'DILocation' && node.fields.line > 0
+            ? { line: node.fields.line, column: node.fields.column || null, file: this.scopeFile(node.fields.scope, metadata) }
+            : null;
+        }
+      }
+    }
+  }
+
+  /**
+   * File name of a debug scope (DISubprogram, DILexicalBlock ...): the nearest scope with a file
+   */
+  scopeFile(scope, metadata) {
+    const seen = new Set();
+    let node = metadata.get(scope);
+    while (node && node.fields && !seen.has(node)) {
+      seen.add(node);
+      const file = metadata.get(node.fields.file);
+      if (file && file.kind === 'DIFile') {
+        return file.fields.filename;
+      }
+      node = metadata.get(node.fields.scope);
+    }
+    return null;
+  }
+
+  /**
+   * Group tokens into statements: one per line, except continuation lines
+   * (the `to label` of an invoke, switch cases) and open brackets
+   */
+  statements(tokens) {
+    const statements = [];
+    let current = null;
+    let depth = 0;
+
+    let start = 0;
+    while (start < tokens.length) {
+      let end = start;
+      while (end < tokens.length && tokens[end].line === tokens[start].line) end++;
+      const line = tokens.slice(start, end);
+      start = end;
+
+      if (current && (depth > 0 || !this.startsStatement(line))) {
+        current.push(...line);
+      } else {
+        current = [...line];
+        statements.push(current);
+      }
+
+      for (const token of line) {
+        if (token.text === '(' || token.text === '[') depth++;
+        if (token.text === ')' || token.text === ']') depth = Math.max(0, depth - 1);
+      }
+    }
+
+    return statements;
+  }
+
+  startsStatement(line) {
+    const [first, second] = line;
+    if (second && second.text === '=') return true;
+    if (second && second.text === ':' && line.length === 2) return true; // Block label
+    if (first.type === 'record') return true;
+    return first.text === '}' || (first.type === 'word' && STATEMENT_WORDS.has(first.text));
+  }
+
+  // ---- cursor ----
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset] || null;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new Error('Unexpected end of statement');
+    return token;
+  }
+
+  at(text) {
+    const token = this.peek();
+    return token !== null && token.text === text;
+  }
+
+  accept(text) {
+    if (!this.at(text)) return false;
+    this.pos++;
+    return true;
+  }
+
+  expect(text) {
+    const token = this.next();
+    if (token.text !== text) {
+      throw new Error(`Expected "${text}" but found "${token.text}"`);
+    }
+    return token;
+  }
+
+  /**
+   * Skip a bracketed group starting at the current token: ( ... ), [ ... ], { ... }, < ... >
+   */
+  skipGroup() {
+    const open = this.next().text;
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token.text === open) depth++;
+      if (token.text === CLOSING[open]) depth--;
+    }
+  }
+
+  /**
+   * Run a parse step and rewind if it fails
+   */
+  attempt(step) {
+    const saved = this.pos;
+    try {
+      const result = step();
+      if (result) return result;
+    } catch (error) {
+      // Not this alternative
+    }
+    this.pos = saved;
+    return null;
+  }
+
+  // ---- statements ----
+
+  statement(module, func) {
+    const first = this.peek();
+    const second = this.peek(1);
+
+    if (first.text === '}') {
+      return null;
+    }
+    if (second && second.text === ':' && this.tokens.length === 2) {
+      const owner = func || this.implicitFunction(module);
+      owner.blocks.push({ label: this.labelName(first), instructions: [] });
+      return owner;
+    }
+
+    if (first.text === 'define') {
+      const definition = this.functionHeader(true);
+      definition.blocks = [];
+      module.functions.push(definition);
+      return definition;
+    }
+    if (first.text === 'declare') {
+      module.declarations.push(this.functionHeader(false));
+      return func;
+    }
+
+    if (first.type === 'record') {
+      return func; // Debug records: #dbg_declare(...), #dbg_value(...)
+    }
+    if (IGNORED_STATEMENTS.has(first.text) || first.text.startsWith('$')) {
+      return func; // Comdats, module asm, use-list orders
+    }
+    if (first.text === 'source_filename') {
+      module.sourceFilename = this.tokens[2].text.slice(1, -1);
+      return func;
+    }
+    if (first.text === 'target') {
+      if (second.text === 'triple') module.targetTriple = this.tokens[3].text.slice(1, -1);
+      return func;
+    }
+    if (first.text === 'attributes') {
+      module.attributes.set(second.text, this.tokens.slice(3).map(token => token.text).join(' '));
+      return func;
+    }
+    if (first.type === 'metadata' && second && second.text === '=') {
+      this.pos = 2;
+      const node = { id: first.text, ...this.metadataNode() };
+      module.metadata.set(first.text, node);
+      this.unitMetadata.set(first.text, node);
+      return func;
+    }
+    if (first.type === 'global' && second && second.text === '=') {
+      module.globals.push(this.globalVariable());
+      return func;
+    }
+    if (first.type === 'local' && second && second.text === '=' && this.peek(2).text === 'type') {
+      this.pos = 3;
+      module.types.set(first.text, this.at('opaque') ? { kind: 'opaque' } : this.type());
+      return func;
+    }
+
+    const instruction = this.instruction();
+    const owner = func || this.implicitFunction(module);
+    if (owner.blocks.length === 0) {
+      owner.blocks.push({ label: null, instructions: [] }); // Entry block
+    }
+    owner.blocks[owner.blocks.length - 1].instructions.push(instruction);
+    return owner;
+  }
+
+  /**
+   * Function for instructions outside any define (IR snippets)
+   */
+  implicitFunction(module) {
+    const func = { name: null, returnType: null, params: [], varargs: false, blocks: [], attachments: {}, line: this.tokens[0].line };
+    module.functions.push(func);
+    return func;
+  }
+
+  /**
+   * Block labels are referenced as locals: `for.cond:` is `label %for.cond`
+   */
+  labelName(token) {
+    return `%${token.text}`;
+  }
+
+  /**
+   * define/declare <linkage, attributes...> <type> @name(<params>) <attributes...> [{]
+   */
+  functionHeader(isDefinition) {
+    const nameIndex = this.tokens.findIndex(token => token.type === 'global');
+    if (nameIndex < 0) throw new Error('Function without a name');
+
+    // The return type is the last type before the name
+    let returnType = null;
+    for (let start = 1; start < nameIndex && !returnType; start++) {
+      this.pos = start;
+      const type = this.attempt(() => this.type());
+      if (type && this.pos === nameIndex) returnType = type;
+    }
+
+    this.pos = nameIndex + 1;
+    const { params, varargs } = this.parameterList();
+
+    // Trailing attachments: !dbg !12
+    const attachments = {};
+    while (this.peek() && !this.at('{')) {
+      const token = this.next();
+      if (token.type === 'metadata' && this.peek() && this.peek().type === 'metadata') {
+        attachments[token.text.slice(1)] = this.next().text;
+      }
+    }
+
+    return {
+      name: this.tokens[nameIndex].text.slice(1).replace(/^"|"$/g, ''),
+      returnType: returnType,
+      params: params,
+      varargs: varargs,
+      attachments: attachments,
+      line: this.tokens[0].line,
+      ...(isDefinition ? {} : { declaration: true })
+    };
+  }
+
+  /**
+   * (<type> <attributes> [%name], ..., ...)
+   */
+  parameterList() {
+    this.expect('(');
+    const params = [];
+    let varargs = false;
+
+    while (!this.accept(')')) {
+      if (this.accept('...')) {
+        varargs = true;
+        continue;
+      }
+      const type = this.type();
+      let name = null;
+      while (!this.at(',') && !this.at(')')) {
+        if (this.peek().type === 'local') {
+          name = this.next().text;
+        } else if (this.peek(1) && this.peek(1).text === '(') {
+          this.next();
+          this.skipGroup(); // byval(%struct.S), dereferenceable(8)
+        } else {
+          this.next();
+        }
+      }
+      params.push({ type: type, name: name });
+      this.accept(',');
+    }
+
+    return { params, varargs };
+  }
+
+  /**
+   * @name = <linkage...> global|constant <type> [<initializer>], align 4
+   */
+  globalVariable() {
+    const name = this.next().text;
+    this.expect('=');
+
+    const global = { name: name, type: null, constant: false, initializer: null, line: this.tokens[0].line };
+    while (this.peek() && !['global', 'constant', 'alias', 'ifunc'].includes(this.peek().text)) {
+      this.next();
+    }
+    if (!this.peek()) return global;
+
+    const kind = this.next().text;
+    global.constant = kind === 'constant';
+    if (kind === 'alias' || kind === 'ifunc') {
+      global.alias = true;
+      return global;
+    }
+
+    global.type = this.type();
+    if (this.peek() && !this.at(',')) {
+      global.initializer = this.attempt(() => this.value(global.type));
+    }
+    return global;
+  }
+
+  /**
+   * !{...}, !DILocation(line: 3, column: 5, scope: !7), !"text", distinct ...
+   */
+  metadataNode() {
+    const distinct = this.accept('distinct');
+    const token = this.next();
+
+    if (token.text === '!' && this.at('{')) {
+      this.next();
+      const elements = [];
+      while (!this.accept('}')) {
+        const start = this.pos;
+        this.skipUntil([',', '}']);
+        elements.push(this.tokens.slice(start, this.pos).map(part => part.text).join(' '));
+        this.accept(',');
+      }
+      return { distinct, kind: 'tuple', elements };
+    }
+
+    if (token.type === 'metadata' && this.at('(')) {
+      this.next();
+      const fields = {};
+      while (!this.accept(')')) {
+        const field = this.next().text;
+        this.expect(':');
+        const start = this.pos;
+        this.skipUntil([',', ')']);
+        const value = this.tokens.slice(start, this.pos).map(part => part.text).join(' ');
+        fields[field] = /^-?\d+$/.test(value) ? parseInt(value, 10) : value.replace(/^"(.*)"$/, '$1');
+        this.accept(',');
+      }
+      return { distinct, kind: token.text.slice(1), fields };
+    }
+
+    if (token.type === 'metadata' && token.text.startsWith('!"')) {
+      return { distinct, kind: 'string', value: token.text.slice(2, -1) };
+    }
+
+    return { distinct, kind: 'other', text: [token, ...this.tokens.slice(this.pos)].map(part => part.text).join(' ') };
+  }
+
+  /**
+   * Advance to the next top-level token in `stops`
+   */
+  skipUntil(stops) {
+    while (this.peek() && !stops.includes(this.peek().text)) {
+      if (CLOSING[this.peek().text]) {
+        this.skipGroup();
+      } else {
+        this.next();
+      }
+    }
+  }
+
+  // ---- types ----
+
+  /**
+   * Parse a type; throws if the current tokens are not one
+   */
+  type() {
+    let type = this.primaryType();
+
+    for (;;) {
+      if (this.at('*')) {
+        this.next();
+        type = { kind: 'ptr', pointee: type };
+      } else if (this.at('addrspace') && this.peek(1) && this.peek(1).text === '(') {
+        this.next();
+        this.skipGroup();
+      } else if (this.at('(')) {
+        const signature = this.attempt(() => this.functionTypeParams());
+        if (!signature) break;
+        type = { kind: 'function', returns: type, params: signature.params, varargs: signature.varargs };
+      } else {
+        break;
+      }
+    }
+
+    return type;
+  }
+
+  primaryType() {
+    const token = this.next();
+
+    if (token.type === 'word') {
+      if (/^i\d+$/.test(token.text)) return { kind: 'int', bits: parseInt(token.text.slice(1), 10) };
+      if (token.text === 'ptr') return { kind: 'ptr', pointee: null };
+      if (FLOAT_TYPES.has(token.text)) return { kind: 'float', name: token.text };
+      if (PRIMITIVE_TYPES.has(token.text)) return { kind: token.text };
+      if (token.text === 'target' && this.at('(')) {
+        this.skipGroup();
+        return { kind: 'target' };
+      }
+    }
+    if (token.type === 'local') {
+      return { kind: 'named', name: token.text };
+    }
+
+    if (token.text === '[' || token.text === '<') {
+      if (token.text === '<' && this.at('{')) {
+        const struct = this.structBody();
+        this.expect('>');
+        return { ...struct, packed: true };
+      }
+      const scalable = this.accept('vscale') && this.expect('x');
+      const size = parseInt(this.next().text, 10);
+      if (isNaN(size)) throw new Error('Expected an element count');
+      this.expect('x');
+      const element = this.type();
+      this.expect(token.text === '[' ? ']' : '>');
+      return { kind: token.text === '[' ? 'array' : 'vector', size, element, ...(scalable ? { scalable: true } : {}) };
+    }
+
+    if (token.text === '{') {
+      this.pos--;
+      return this.structBody();
+    }
+
+    throw new Error(`"${token.text}" is not a type`);
+  }
+
+  structBody() {
+    this.expect('{');
+    const fields = [];
+    while (!this.accept('}')) {
+      fields.push(this.type());
+      if (!this.at('}')) this.expect(',');
+    }
+    return { kind: 'struct', fields };
+  }
+
+  functionTypeParams() {
+    this.expect('(');
+    const params = [];
+    let varargs = false;
+    while (!this.accept(')')) {
+      if (this.accept('...')) {
+        varargs = true;
+      } else {
+        params.push(this.type());
+      }
+      if (!this.at(')')) this.expect(',');
+    }
+    return { params, varargs };
+  }
+
+  // ---- values ----
+
+  /**
+   * Parse a value of the given type; throws if the current tokens are not one
+   */
+  value(type) {
+    const token = this.next();
+
+    if (token.type === 'local' || token.type === 'global') {
+      return { kind: token.type, text: token.text, type };
+    }
+    if (['integer', 'float', 'hex', 'cstring'].includes(token.type) || (token.type === 'word' && CONSTANT_WORDS.has(token.text))) {
+      return { kind: 'constant', text: token.text, type };
+    }
+    if (token.type === 'metadata' && !this.at('(')) {
+      return { kind: 'metadata', text: token.text, type };
+    }
+    // !{...} and inline nodes: !DIExpression(), !DILocation(line: 3, ...)
+    if ((token.text === '!' && this.at('{')) || token.type === 'metadata') {
+      const start = this.pos - 1;
+      this.skipGroup();
+      return { kind: 'metadata', text: this.tokens.slice(start, this.pos).map(part => part.text).join(' '), type };
+    }
+
+    if (['[', '<', '{'].includes(token.text)) {
+      const packed = token.text === '<' && this.accept('{');
+      const close = packed ? '}' : CLOSING[token.text];
+      const elements = [];
+      while (!this.accept(close)) {
+        elements.push(this.typedValue());
+        if (!this.at(close)) this.expect(',');
+      }
+      if (packed) this.expect('>');
+      return { kind: 'aggregate', text: token.text === '[' ? 'array' : token.text === '{' || packed ? 'struct' : 'vector', elements, type };
+    }
+
+    if (token.type === 'word') {
+      if (token.text === 'asm') {
+        while (this.peek() && this.peek().type === 'word') this.next(); // sideeffect, inteldialect...
+        const body = this.next().text;
+        this.expect(',');
+        this.next(); // Constraints
+        return { kind: 'asm', text: body, type };
+      }
+      if (token.text === 'dso_local_equivalent' || token.text === 'no_cfi') {
+        return this.value(type);
+      }
+      if (token.text === 'blockaddress') {
+        this.expect('(');
+        const func = this.next().text;
+        this.expect(',');
+        const block = this.next().text;
+        this.expect(')');
+        return { kind: 'expr', opcode: 'blockaddress', text: `blockaddress(${func}, ${block})`, operands: [], type };
+      }
+      if (OPCODES.has(token.text) || token.text === 'splat') {
+        return this.constantExpression(token.text, type);
+      }
+    }
+
+    throw new Error(`"${token.text}" is not a value`);
+  }
+
+  /**
+   * getelementptr inbounds ([4 x i8], ptr @.str, i64 0, i64 0), bitcast (ptr @f to ptr), ...
+   */
+  constantExpression(opcode, type) {
+    while (!this.at('(')) this.next(); // inbounds, inrange(...) and other flags
+    this.expect('(');
+
+    const expr = { kind: 'expr', opcode, operands: [], type };
+    if (opcode === 'getelementptr') {
+      expr.sourceType = this.type();
+      this.expect(',');
+    }
+    if (['icmp', 'fcmp'].includes(opcode)) {
+      expr.predicate = this.next().text;
+    }
+
+    while (!this.accept(')')) {
+      expr.operands.push(this.typedValue());
+      if (this.accept('to')) {
+        expr.type = this.type(); // Cast destination
+      }
+      if (!this.at(')')) this.expect(',');
+    }
+    return expr;
+  }
+
+  /**
+   * <type> [attributes] <value>, e.g. `i32 noundef %a`, `ptr nonnull align 8 %p`
+   */
+  typedValue() {
+    while (this.peek() && INSTRUCTION_FLAGS.has(this.peek().text)) this.next(); // inrange, inbounds in indices
+    const type = this.type();
+
+    if (type.kind === 'metadata' && !this.at('!') && this.peek().type !== 'metadata') {
+      return { ...this.typedValue(), type }; // metadata i32 %x (intrinsic arguments)
+    }
+
+    const stops = [',', ')', ']', '}', '>', 'to', ...ORDERINGS];
+    for (;;) {
+      const value = this.attempt(() => {
+        const candidate = this.value(type);
+        return !this.peek() || stops.includes(this.peek().text) ? candidate : null;
+      });
+      if (value) return value;
+
+      // Parameter attribute: noundef, align 4, dereferenceable(24), byval(%struct.S)
+      this.next();
+      if (this.at('(') && !this.attempt(() => this.value(type))) {
+        this.skipGroup();
+      }
+      if (!this.peek() || stops.includes(this.peek().text)) {
+        throw new Error('Expected a value');
+      }
+    }
+  }
+
+  /**
+   * A label operand: label %bb
+   */
+  labelOperand() {
+    this.expect('label');
+    return this.next().text;
+  }
+
+  // ---- instructions ----
+
+  instruction() {
+    let result = null;
+    if (this.peek(1) && this.peek(1).text === '=') {
+      result = this.next().text;
+      this.next();
+    }
+
+    let opcode = this.next().text;
+    if (['tail', 'musttail', 'notail'].includes(opcode)) {
+      opcode = this.next().text;
+    }
+    if (!OPCODES.has(opcode)) {
+      throw new Error(`Unknown instruction "${opcode}"`);
+    }
+
+    const instruction = { result, opcode, type: null, operands: [], flags: [], line: this.tokens[0].line };
+    while (this.peek() && INSTRUCTION_FLAGS.has(this.peek().text)) {
+      const flag = this.next().text;
+      if (flag === 'syncscope') this.skipGroup();
+      instruction.flags.push(flag);
+    }
+
+    if (BINARY_OPCODES.includes(opcode) || opcode === 'fneg') {
+      instruction.type = this.type();
+      instruction.operands.push(this.value(instruction.type));
+      if (opcode !== 'fneg') {
+        this.expect(',');
+        instruction.operands.push(this.value(instruction.type));
+      }
+    } else if (opcode === 'icmp' || opcode === 'fcmp') {
+      instruction.predicate = this.next().text;
+      const type = this.type();
+      instruction.operands.push(this.value(type));
+      this.expect(',');
+      instruction.operands.push(this.value(type));
+      instruction.type = { kind: 'int', bits: 1 };
+    } else if (CAST_OPCODES.includes(opcode)) {
+      instruction.operands.push(this.typedValue());
+      this.expect('to');
+      instruction.type = this.type();
+    } else if (opcode === 'select') {
+      instruction.operands.push(this.typedValue());
+      this.expect(',');
+      instruction.operands.push(this.typedValue());
+      this.expect(',');
+      instruction.operands.push(this.typedValue());
+      instruction.type = instruction.operands[1].type;
+    } else if (opcode === 'phi') {
+      instruction.type = this.type();
+      instruction.incoming = [];
+      do {
+        this.expect('[');
+        const value = this.value(instruction.type);
+        this.expect(',');
+        instruction.incoming.push({ value, block: this.next().text });
+        this.expect(']');
+      } while (this.accept(',') && this.at('['));
+      instruction.operands = instruction.incoming.map(entry => entry.value);
+    } else if (opcode === 'alloca') {
+      instruction.allocatedType = this.type();
+      instruction.type = { kind: 'ptr', pointee: instruction.allocatedType };
+      if (this.at(',') && !['align', 'addrspace'].includes(this.peek(1).text) && this.peek(1).type !== 'metadata') {
+        this.next();
+        instruction.operands.push(this.typedValue()); // Element count
+      }
+    } else if (opcode === 'load') {
+      instruction.type = this.type();
+      this.expect(',');
+      instruction.operands.push(this.typedValue());
+    } else if (opcode === 'store') {
+      instruction.operands.push(this.typedValue());
+      this.expect(',');
+      instruction.operands.push(this.typedValue());
+    } else if (opcode === 'getelementptr') {
+      instruction.sourceType = this.type();
+      this.expect(',');
+      instruction.operands.push(this.typedValue());
+      while (this.at(',') && this.peek(1).type !== 'metadata') {
+        this.next();
+        instruction.operands.push(this.typedValue());
+      }
+      instruction.type = { kind: 'ptr', pointee: null };
+    } else if (opcode === 'call' || opcode === 'invoke' || opcode === 'callbr') {
+      this.call(instruction);
+    } else if (opcode === 'ret') {
+      if (this.accept('void')) {
+        instruction.type = { kind: 'void' };
+      } else {
+        instruction.operands.push(this.typedValue());
+        instruction.type = instruction.operands[0].type;
+      }
+    } else if (opcode === 'br') {
+      if (this.at('label')) {
+        instruction.targets = [this.labelOperand()];
+      } else {
+        instruction.operands.push(this.typedValue());
+        this.expect(',');
+        const whenTrue = this.labelOperand();
+        this.expect(',');
+        instruction.targets = [whenTrue, this.labelOperand()];
+      }
+    } else if (opcode === 'switch') {
+      instruction.operands.push(this.typedValue());
+      this.expect(',');
+      instruction.defaultTarget = this.labelOperand();
+      instruction.cases = [];
+      this.expect('[');
+      while (!this.accept(']')) {
+        const value = this.typedValue();
+        this.expect(',');
+        instruction.cases.push({ value, target: this.labelOperand() });
+      }
+      instruction.targets = [instruction.defaultTarget, ...instruction.cases.map(entry => entry.target)];
+    } else if (opcode === 'indirectbr') {
+      instruction.operands.push(this.typedValue());
+      this.expect(',');
+      this.expect('[');
+      instruction.targets = [];
+      while (!this.accept(']')) {
+        instruction.targets.push(this.labelOperand());
+        this.accept(',');
+      }
+    } else if (opcode === 'extractvalue' || opcode === 'insertvalue') {
+      instruction.operands.push(this.typedValue());
+      if (opcode === 'insertvalue') {
+        this.expect(',');
+        instruction.operands.push(this.typedValue());
+      }
+      instruction.indices = [];
+      while (this.at(',') && this.peek(1).type === 'integer') {
+        this.next();
+        instruction.indices.push(parseInt(this.next().text, 10));
+      }
+    } else if (opcode === 'landingpad') {
+      instruction.type = this.type();
+      this.genericOperands(instruction); // catch ptr @typeinfo, filter ...
+    } else if (opcode !== 'unreachable') {
+      this.genericOperands(instruction);
+    }
+
+    this.attachments(instruction);
+    return instruction;
+  }
+
+  /**
+   * [cc] [ret attrs] <type> <callee>(<args>) [fn attrs] [bundles] [to label %n unwind label %u]
+   */
+  call(instruction) {
+    // The callee is the first value after a type that is followed by an argument list
+    let callee = null;
+    while (!callee) {
+      if (!this.peek()) throw new Error('Call without a callee');
+      callee = this.attempt(() => {
+        const type = this.type();
+        const candidate = this.value(type);
+        return this.at('(') ? { type, candidate } : null;
+      });
+      if (!callee) this.next();
+    }
+
+    instruction.type = callee.type.kind === 'function' ? callee.type.returns : callee.type;
+    instruction.callee = callee.candidate;
+    instruction.args = [];
+
+    this.expect('(');
+    while (!this.accept(')')) {
+      instruction.args.push(this.typedValue());
+      if (!this.at(')')) this.expect(',');
+    }
+    instruction.operands = instruction.args;
+
+    if (instruction.opcode === 'invoke') {
+      while (!this.at('to')) this.next(); // Function attributes, operand bundles
+      this.expect('to');
+      instruction.normal = this.labelOperand();
+      this.expect('unwind');
+      instruction.unwind = this.labelOperand();
+      instruction.targets = [instruction.normal, instruction.unwind];
+    }
+  }
+
+  /**
+   * Operands of the rarer instructions: every value found before the attachments
+   */
+  genericOperands(instruction) {
+    while (this.peek() && !(this.at(',') && this.peek(1) && this.peek(1).type === 'metadata')) {
+      const operand = this.attempt(() => this.typedValue());
+      if (operand) {
+        instruction.operands.push(operand);
+        if (!instruction.type) instruction.type = operand.type;
+      } else {
+        this.next();
+      }
+    }
+  }
+
+  /**
+   * Trailing `, align 4`, `, !dbg !12` and function attributes (#0)
+   */
+  attachments(instruction) {
+    instruction.metadata = {};
+    while (this.peek()) {
+      const token = this.next();
+      if (token.text === 'align' && this.peek() && this.peek().type === 'integer') {
+        instruction.align = parseInt(this.next().text, 10);
+      } else if (token.type === 'metadata' && this.peek() && (this.peek().type === 'metadata' || this.at('!'))) {
+        instruction.metadata[token.text.slice(1)] = this.next().text;
+      }
+    }
+  }
+}
+
+/**
+ * Print a parsed type the way LLVM IR writes it
+ */
+function formatType(type) {
+  if (!type) return '?';
+  switch (type.kind) {
+    case 'int': return `i${type.bits}`;
+    case 'float': return type.name;
+    case 'ptr': return type.pointee ? `${formatType(type.pointee)}*` : 'ptr';
+    case 'named': return type.name;
+    case 'array': return `[${type.size} x ${formatType(type.element)}]`;
+    case 'vector': return `<${type.size} x ${formatType(type.element)}>`;
+    case 'struct': {
+      const body = `{ ${type.fields.map(formatType).join(', ')} }`;
+      return type.packed ? `<${body}>` : body;
+    }
+    case 'function': {
+      const params = type.params.map(formatType).concat(type.varargs ? ['...'] : []);
+      return `${formatType(type.returns)} (${params.join(', ')})`;
+    }
+    default: return type.kind;
+  }
+}
+
+module.exports = { LLVMIRParser, formatType };
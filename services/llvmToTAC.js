@@ -1,14 +1,100 @@
+const { Demangler } = require('./demangler');
+const { LLVMIRParser, formatType } = require('./llvmIRParser');
+const { TACInstructions, BINARY_OPERATORS: OPERATION_NAMES } = require('./tacInstructions');
+const { TACSimilarity, SIMILARITY_METRICS, similarityLevel } = require('./tacSimilarity');
+const { TACCanonicalizer } = require('./tacCanonicalizer');
+
 /**
  * DUMB LLVM IR to TAC Converter
  * NO OPTIMIZATION. NO CLEVERNESS.
- * RENAMES ALL SSA VARIABLES TO t1, t2, t3...
+ * The IR is parsed (llvmIRParser.js) and every instruction gets a TAC form:
+ *
+ *   add/fadd/sub/.../xor    t3 = t1 + t2        (+ and * operands in structural order)
+ *   icmp/fcmp               t3 = t1 < t2
+ *   select, phi             t4 = t1 ? t2 : t3,  t4 = phi [t1, L1], [t2, L2]
+ *   casts                   t2 = sext t1 to i64
+ *   getelementptr           t3 = &t1[0][t2],    t3 = &t1[0].1 (struct field)
+ *   br, switch              goto L2,  if t3 goto L2 else L3,  switch t1 [1: L2] default L3
+ *
+ * RENAMES ALL SSA VARIABLES TO t1, t2, t3... (locals per function, so %1 of two
+ * functions are two temps). Blocks that are jumped to get labels: L1, L2...
+ * Called functions keep their (demangled) names: t3 = call std::sort
+ *
+ * convert() runs the stages read() → lower() → rename() → orderOperands(); tacPipeline.js
+ * runs them one at a time to show what each of them did. Await prepare() on the IR first
+ * so C++ names are demangled (demangler.js runs c++filt once per module).
+ *
+ * Instructions are built as { op, dst, args, type, sourceLine, sourceColumn } objects (tacInstructions.js)
+ * and rendered to the strings above: convert() returns the strings, this.instructions the objects.
  */
 
+// One demangler (and cache) for all converters
+const demangler = new Demangler();
+
+const parser = new LLVMIRParser();
+
+const tacInstructions = new TACInstructions();
+
+const tacSimilarity = new TACSimilarity();
+
+const canonicalizer = new TACCanonicalizer();
+
+const BINARY_OPERATORS = {
+  add: '+', fadd: '+', sub: '-', fsub: '-', mul: '*', fmul: '*',
+  udiv: '/', sdiv: '/', fdiv: '/', urem: '%', srem: '%', frem: '%',
+  shl: '<<', lshr: '>>>', ashr: '>>', and: '&', or: '|', xor: '^'
+};
+
+// icmp and fcmp predicates; signedness and (un)orderedness are not kept
+const COMPARISON_OPERATORS = {
+  eq: '==', ne: '!=', ugt: '>', uge: '>=', ult: '<', ule: '<=', sgt: '>', sge: '>=', slt: '<', sle: '<=',
+  oeq: '==', ogt: '>', oge: '>=', olt: '<', ole: '<=', one: '!=', ueq: '==', une: '!='
+};
+
+// SSA names (%5, @g, %"a b") in TAC text; string constants are matched whole so they are left alone
+const SSA_NAME = /"[^"]*"|[%@](?:"[^"]*"|[-\w$.]+)/g;
+
+const DEBUG_INTRINSIC = /^@llvm\.dbg\./;
+
+// Operations compare() counts by name; the others count as unknown
+const COUNTED_OPERATIONS = ['add', 'sub', 'mul', 'div', 'call', 'return'];
+
+const CAST_OPCODES = [
+  'trunc', 'zext', 'sext', 'fptrunc', 'fpext', 'fptoui', 'fptosi', 'uitofp', 'sitofp',
+  'ptrtoint', 'inttoptr', 'bitcast', 'addrspacecast'
+];
+
+/**
+ * Arguments that are block labels: label/goto L, if c goto L else L, switch v default L [val, L],
+ * phi [v, L]
+ */
+function isLabelArgument(op, position) {
+  switch (op) {
+    case 'label':
+    case 'goto':
+      return position === 0;
+    case 'branch':
+      return position > 0;
+    case 'switch':
+    case 'phi':
+      return position % 2 === 1;
+    default:
+      return false;
+  }
+}
+
 class LLVMToTACConverter {
   constructor() {
     this.tacOutput = [];
-    this.varMap = new Map(); // Maps %1, %add, etc. to t1, t2, t3...
+    this.instructions = []; // The same TAC as instruction objects
+    this.varMap = new Map(); // Maps @globals to t1, t2, t3...
+    this.localMap = new Map(); // Maps %1, %add, etc. of the current function
+    this.labelMap = new Map(); // Maps block labels of the current function to L1, L2...
     this.tempCounter = 0;
+    this.labelCounter = 0;
+    this.types = new Map(); // Named struct types of the module
+    this.functions = []; // The same TAC grouped by function, filled by convert()
+    this.referenced = []; // SSA names read by the instruction being lowered
   }
   
   /**
@@ -19,275 +105,397 @@ class LLVMToTACConverter {
     if (!varName.startsWith('%') && !varName.startsWith('@')) {
       return varName;
     }
+
+    const map = varName.startsWith('%') ? this.localMap : this.varMap;
     
     // If we've seen this variable before, return existing mapping
-    if (this.varMap.has(varName)) {
-      return this.varMap.get(varName);
+    if (map.has(varName)) {
+      return map.get(varName);
     }
     
     // New variable: assign next t number
     this.tempCounter++;
     const newName = `t${this.tempCounter}`;
-    this.varMap.set(varName, newName);
+    map.set(varName, newName);
     return newName;
   }
 
   /**
-   * Convert LLVM IR to TAC
+   * Rename a block label to L1, L2, L3...
+   */
+  renameLabel(label) {
+    if (!this.labelMap.has(label)) {
+      this.labelCounter++;
+      this.labelMap.set(label, `L${this.labelCounter}`);
+    }
+    return this.labelMap.get(label);
+  }
+
+  /**
+   * Convert LLVM IR to TAC: read → lower → rename → order operands (the stages tacPipeline.js runs one by one)
    * @param {string} llvmIR - LLVM IR code
    * @returns {Array} Array of TAC strings
    */
   convert(llvmIR) {
-    const lines = llvmIR.split('\n');
-    this.tacOutput = [];
-    this.varMap = new Map(); // Reset for each conversion
-    this.tempCounter = 0;
+    this.collect(this.orderOperands(this.rename(this.lower(this.read(llvmIR)))));
+    return this.tacOutput;
+  }
 
-    for (const line of lines) {
-      const trimmed = line.trim();
-      
-      // Ignore empty lines
-      if (!trimmed) continue;
-      
-      // Ignore comments
-      if (trimmed.startsWith(';')) continue;
-      
-      // Ignore define
-      if (trimmed.startsWith('define ')) continue;
-      
-      // Ignore declare
-      if (trimmed.startsWith('declare ')) continue;
-      
-      // Ignore attributes
-      if (trimmed.startsWith('attributes ')) continue;
-      
-      // Ignore metadata lines (but not instructions with metadata)
-      if (trimmed.startsWith('!')) continue;
-      
-      // Ignore braces
-      if (trimmed === '{' || trimmed === '}') continue;
-      
-      // Convert instruction to TAC
-      const tac = this.convertInstruction(trimmed);
-      if (tac) {
-        this.tacOutput.push(tac);
-      }
-    }
+  /**
+   * Demangle every C++ name of the IR in one go, before convert() or read() shows them
+   * @param {string} llvmIR - LLVM IR code
+   */
+  async prepare(llvmIR) {
+    await demangler.prepare(llvmIR);
+  }
 
-    return this.tacOutput;
+  /**
+   * Parse the IR (llvmIRParser.js)
+   */
+  read(llvmIR) {
+    return parser.parse(llvmIR);
   }
 
   /**
-   * Filter TAC to keep only countable instructions
-   * @param {Array} tac - Array of TAC strings
-   * @returns {Array} Filtered TAC strings
+   * Lower every function to TAC instruction objects that still use the SSA names of the IR
+   * (%5, @g, block labels):
+   *   [{ name, returnType, params, varargs, instructions, references }]
+   * references[i] lists the SSA names instruction i reads, in operand order
    */
-  filter(tac) {
-    const filtered = [];
-    
-    for (const line of tac) {
-      // KEEP: add, sub, mul, div
-      if (line.includes(' + ') || line.includes(' - ') || 
-          line.includes(' * ') || line.includes(' / ')) {
-        filtered.push(line);
-        continue;
-      }
-      
-      // KEEP: call
-      if (line.includes('call ')) {
-        filtered.push(line);
-        continue;
-      }
-      
-      // KEEP: return
-      if (line.startsWith('return')) {
-        filtered.push(line);
-        continue;
+  lower(module) {
+    this.types = module.types;
+    return module.functions.map(func => this.lowerFunction(func));
+  }
+
+  /**
+   * Lower the blocks of one function; blocks that are jumped to get a label instruction
+   */
+  lowerFunction(func) {
+    const instructions = [];
+    const references = [];
+    const add = (instruction, names = []) => {
+      instructions.push(instruction);
+      references.push(names);
+    };
+
+    const targets = new Set();
+    for (const block of func.blocks) {
+      for (const instruction of block.instructions) {
+        (instruction.targets || []).forEach(target => targets.add(target));
+        (instruction.incoming || []).forEach(entry => targets.add(entry.block));
       }
-      
-      // REMOVE: alloca, store, load
-      if (line.includes('alloca') || line.includes('store ') || line.includes('load ')) {
-        continue;
+    }
+
+    // An unnamed entry block is numbered after the parameters: %0 without parameters
+    const blockLabels = func.blocks.map((block, index) => block.label || (index === 0 ? `%${func.params.length}` : null));
+
+    func.blocks.forEach((block, index) => {
+      if (targets.has(blockLabels[index])) {
+        add(tacInstructions.create('label', null, [blockLabels[index]]));
       }
-      
-      // If it's an assignment that's not alloca/store/load, keep it
-      if (line.includes(' = ') && !line.includes('alloca') && 
-          !line.includes('load') && !line.includes('store')) {
-        filtered.push(line);
+      for (const instruction of block.instructions) {
+        this.referenced = [];
+        const tac = this.convertInstruction(instruction);
+        if (tac) {
+          add(tac, this.referenced);
+        }
+        // invoke continues at its normal label (the unwind edge is not kept)
+        if (instruction.opcode === 'invoke') {
+          add(tacInstructions.create('goto', null, [instruction.normal]));
+        }
       }
+    });
+
+    return { name: func.name, returnType: func.returnType, params: func.params, varargs: func.varargs, instructions, references };
+  }
+
+  /**
+   * Rename SSA names to t1, t2, t3... and block labels to L1, L2... (locals and labels
+   * per function, so %1 of two functions are two temps). Returns new units; params get their temp.
+   */
+  rename(units) {
+    this.varMap = new Map(); // Reset for each conversion
+    this.tempCounter = 0;
+    this.labelCounter = 0;
+
+    return units.map(unit => {
+      this.localMap = new Map();
+      this.labelMap = new Map();
+
+      // Parameters are numbered first, so the signature names the temps the body uses
+      const params = unit.params.map(param => ({ ...param, temp: param.name ? this.renameVar(param.name) : null }));
+
+      // Labels follow the block order
+      unit.instructions.filter(instruction => instruction.op === 'label').forEach(instruction => this.renameLabel(instruction.args[0]));
+
+      const instructions = unit.instructions.map((instruction, index) => {
+        // The result first, then the operands in the order the IR reads them
+        const dst = instruction.dst ? this.renameVar(instruction.dst) : null;
+        const names = new Set(unit.references[index]);
+        names.forEach(name => this.renameVar(name));
+
+        const args = instruction.args.map((arg, position) => isLabelArgument(instruction.op, position)
+          ? this.renameLabel(arg)
+          : arg.replace(SSA_NAME, name => names.has(name) ? this.renameVar(name) : name));
+        return { ...instruction, dst, args };
+      });
+
+      return { ...unit, params, instructions };
+    });
+  }
+
+  /**
+   * Order the operands of commutative add and mul by structure (tacCanonicalizer.js), so a + b
+   * and b + a, or the same sum with other temp numbers, render alike
+   */
+  orderOperands(units) {
+    return units.map(unit => ({
+      ...unit,
+      instructions: canonicalizer.orderOperands(unit.instructions)
+    }));
+  }
+
+  /**
+   * Fill this.tacOutput, this.instructions and this.functions from the units.
+   * Defined functions are added to this.functions:
+   *   { name: 'add', signature: 'i32 add(i32 t1, i32 t2)', arity: 2, params: [{ name: null, temp: 't1' }, ...],
+   *     tac: [...], instructions: [...] }
+   */
+  collect(units) {
+    this.tacOutput = [];
+    this.instructions = [];
+    this.functions = [];
+
+    for (const unit of units) {
+      const start = this.tacOutput.length;
+      unit.instructions.forEach(instruction => this.emit(instruction));
+
+      // Instructions outside a define (IR snippets) belong to no function
+      if (unit.name === null) continue;
+
+      // Units that were not renamed keep their SSA names
+      const temps = unit.params.map(param => ('temp' in param ? param.temp : param.name) || null);
+      const name = this.readableName(unit.name);
+      const params = unit.params.map((param, index) => `${formatType(param.type)} ${temps[index] || '_'}`);
+      this.functions.push({
+        name: name,
+        signature: `${formatType(unit.returnType)} ${name}(${params.concat(unit.varargs ? ['...'] : []).join(', ')})`,
+        arity: unit.params.length,
+        // clang numbers unnamed parameters (%0, %1); those have no source name
+        params: unit.params.map((param, index) => ({
+          name: param.name && !/^%\d+$/.test(param.name) ? param.name.slice(1) : null,
+          temp: temps[index]
+        })),
+        tac: this.tacOutput.slice(start),
+        instructions: this.instructions.slice(start)
+      });
     }
-    
-    return filtered;
   }
 
   /**
-   * Count instructions in TAC
-   * @param {Array} tac - Array of TAC strings
-   * @returns {number} Number of instructions
+   * (Demangled) name of a unit's function; null for IR snippets outside a define
    */
-  count(tac) {
-    return tac.length;
+  readableName(name) {
+    return name === null ? null : demangler.readableName(name);
   }
 
   /**
-   * Convert single LLVM instruction to TAC
+   * Add one instruction object and its string form
    */
-  convertInstruction(line) {
-    // Remove metadata
-    let clean = line.split('!')[0].trim();
-    
-    // Remove LLVM flags (nsw, nuw, exact, etc.)
-    clean = clean.replace(/\b(nsw|nuw|exact|inbounds)\b/g, '').trim();
-    
-    // add: %x = add i32 %a, %b  →  t = x + y
-    if (clean.includes(' add ')) {
-      const match = clean.match(/(%\S+)\s*=\s*add\s+\S+\s+(%?\S+),\s*(%?\S+)/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        let arg1 = this.renameVar(match[2]);
-        let arg2 = this.renameVar(match[3]);
-        // Sort operands alphabetically for commutative add
-        if (arg1 > arg2) {
-          [arg1, arg2] = [arg2, arg1];
+  emit(instruction) {
+    this.instructions.push(instruction);
+    this.tacOutput.push(tacInstructions.render(instruction));
+  }
+
+  /**
+   * Lower one parsed instruction to a TAC instruction object
+   */
+  convertInstruction(instruction) {
+    const { opcode } = instruction;
+    // llvm.dbg.declare / llvm.dbg.value (-g) describe variables, they compute nothing
+    if (instruction.callee && DEBUG_INTRINSIC.test(instruction.callee.text)) {
+      return null;
+    }
+    const dst = instruction.result || null;
+    // Call arguments are not part of the TAC form, so they do not get temps
+    const operands = instruction.callee ? [] : instruction.operands.map(operand => this.operand(operand));
+    const type = instruction.type && instruction.type.kind !== 'void' ? formatType(instruction.type) : null;
+    // Source position from the !dbg attachment (IR compiled with -g)
+    const { line = null, column = null } = instruction.location || {};
+    const create = (op, args, resultType = type) => tacInstructions.create(op, dst, args, resultType, line, column);
+    const statement = (op, args) => tacInstructions.create(op, null, args, null, line, column);
+
+    if (BINARY_OPERATORS[opcode]) {
+      return create(OPERATION_NAMES[BINARY_OPERATORS[opcode]], [operands[0], operands[1]]);
+    }
+
+    if (CAST_OPCODES.includes(opcode)) {
+      return create(opcode, [operands[0]], formatType(instruction.type));
+    }
+
+    switch (opcode) {
+      case 'fneg':
+        return create('sub', ['0', operands[0]]);
+
+      case 'icmp':
+      case 'fcmp': {
+        const predicate = instruction.predicate;
+        if (COMPARISON_OPERATORS[predicate]) {
+          return create(OPERATION_NAMES[COMPARISON_OPERATORS[predicate]], [operands[0], operands[1]]);
+        }
+        if (predicate === 'true' || predicate === 'false') {
+          return create('copy', [predicate]);
         }
-        return `${dst} = ${arg1} + ${arg2}`;
+        return create(predicate, operands); // ord, uno
       }
-    }
-    
-    // sub: %x = sub i32 %a, %b  →  t = x - y
-    if (clean.includes(' sub ')) {
-      const match = clean.match(/(%\S+)\s*=\s*sub\s+\S+\s+(%?\S+),\s*(%?\S+)/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        const arg1 = this.renameVar(match[2]);
-        const arg2 = this.renameVar(match[3]);
-        return `${dst} = ${arg1} - ${arg2}`;
+
+      case 'select':
+        return create('select', operands.slice(0, 3));
+
+      case 'phi':
+        return create('phi', instruction.incoming.flatMap((entry, index) => [operands[index], entry.block]));
+
+      case 'alloca':
+        return create('alloca', []);
+
+      case 'load':
+        return create('load', [operands[0]]);
+
+      case 'store':
+        return statement('store', [operands[0], operands[1]]);
+
+      case 'getelementptr':
+        return create('address', [this.address(operands, instruction.operands.slice(1), instruction.sourceType).slice(1)]);
+
+      // invoke (C++ calls that may throw) is a call too; C++ names are demangled
+      case 'call':
+      case 'invoke':
+      case 'callbr':
+        return create('call', [this.calleeName(instruction.callee)]);
+
+      case 'ret':
+        return tacInstructions.create('return', null, operands.slice(0, 1), type, line, column);
+
+      case 'br':
+        if (instruction.targets.length === 1) {
+          return statement('goto', [instruction.targets[0]]);
+        }
+        return statement('branch', [operands[0], instruction.targets[0], instruction.targets[1]]);
+
+      case 'switch': {
+        const cases = instruction.cases.flatMap(entry => [this.operand(entry.value), entry.target]);
+        return statement('switch', [operands[0], instruction.defaultTarget, ...cases]);
       }
+
+      case 'indirectbr':
+        return statement('indirect_goto', [operands[0]]);
+
+      case 'unreachable':
+        return statement('unreachable', []);
+
+      case 'landingpad':
+        return create('landingpad', []);
+
+      default:
+        // extractvalue, shufflevector, atomicrmw, ...: t = opcode operands
+        return create(opcode, operands.concat((instruction.indices || []).map(String)));
     }
-    
-    // mul: %x = mul i32 %a, %b  →  t = x * y
-    if (clean.includes(' mul ')) {
-      const match = clean.match(/(%\S+)\s*=\s*mul\s+\S+\s+(%?\S+),\s*(%?\S+)/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        let arg1 = this.renameVar(match[2]);
-        let arg2 = this.renameVar(match[3]);
-        // Sort operands alphabetically for commutative mul
-        if (arg1 > arg2) {
-          [arg1, arg2] = [arg2, arg1];
+  }
+
+  /**
+   * TAC text of an operand: SSA names (renamed by rename()), constants as written
+   */
+  operand(operand) {
+    switch (operand.kind) {
+      case 'local':
+      case 'global':
+        this.referenced.push(operand.text);
+        return operand.text;
+      case 'constant':
+        // Doubles are printed as hex when the decimal form is inexact: 0x400921FB54442D18 is 3.141592653589793
+        if (operand.type && operand.type.kind === 'float' && /^0x[0-9A-Fa-f]{16}$/.test(operand.text)) {
+          return String(Buffer.from(operand.text.slice(2), 'hex').readDoubleBE(0));
         }
-        return `${dst} = ${arg1} * ${arg2}`;
+        return operand.text;
+      case 'expr':
+        return this.constantExpression(operand);
+      case 'aggregate': {
+        const [open, close] = { array: '[]', struct: '{}', vector: '<>' }[operand.text];
+        return `${open}${operand.elements.map(element => this.operand(element)).join(', ')}${close}`;
       }
+      default:
+        return operand.text;
     }
-    
-    // sdiv: %x = sdiv i32 %a, %b  →  t = x / y
-    if (clean.includes('div')) {
-      const match = clean.match(/(%\S+)\s*=\s*\w*div\s+\S+\s+(%?\S+),\s*(%?\S+)/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        const arg1 = this.renameVar(match[2]);
-        const arg2 = this.renameVar(match[3]);
-        return `${dst} = ${arg1} / ${arg2}`;
-      }
+  }
+
+  /**
+   * Constant expressions: getelementptr (...) is an address, casts keep their opcode
+   */
+  constantExpression(expr) {
+    if (expr.opcode === 'getelementptr') {
+      const operands = expr.operands.map(operand => this.operand(operand));
+      return this.address(operands, expr.operands.slice(1), expr.sourceType);
     }
-    
-    // call: %x = call i32 @func(...)  →  t = call func
-    if (clean.includes('call')) {
-      const match = clean.match(/(%\S+)?\s*=?\s*call\s+\S+\s+(@?\w+)/);
-      if (match && match[1]) {
-        const dst = this.renameVar(match[1]);
-        const func = this.renameVar(match[2]);
-        return `${dst} = call ${func}`;
-      }
-      if (match && match[2]) {
-        const func = this.renameVar(match[2]);
-        return `call ${func}`;
-      }
+    if (CAST_OPCODES.includes(expr.opcode)) {
+      return `(${expr.opcode} ${this.operand(expr.operands[0])} to ${formatType(expr.type)})`;
     }
-    
-    // ret: ret i32 %x  →  return t
-    if (clean.includes('ret')) {
-      const match = clean.match(/ret\s+\S+\s+(%?\S+)/);
-      if (match) {
-        const val = this.renameVar(match[1]);
-        return `return ${val}`;
-      }
-      if (clean.match(/ret\s+void/)) {
-        return 'return';
-      }
+    if (expr.operands.length === 0) {
+      return expr.text;
     }
-    
-    // alloca, store, load - pass through with renaming
-    if (clean.includes('alloca')) {
-      const match = clean.match(/(%\S+)\s*=\s*alloca/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        return `${dst} = alloca`;
-      }
+    return `${expr.opcode}(${expr.operands.map(operand => this.operand(operand)).join(', ')})`;
+  }
+
+  /**
+   * getelementptr as an address: &t1[0][t2] for arrays, &t1[0].1 for struct fields
+   */
+  address(operands, indices, sourceType) {
+    const [base, first, ...rest] = operands;
+    if (first === undefined) {
+      return `&${base}`;
     }
-    
-    if (clean.includes('store')) {
-      const match = clean.match(/store\s+\S+\s+(%?\S+),\s+\S*\s*(%\S+)/);
-      if (match) {
-        const val = this.renameVar(match[1]);
-        const addr = this.renameVar(match[2]);
-        return `store ${val} -> ${addr}`;
+
+    let text = `&${base}[${first}]`;
+    let type = sourceType;
+    rest.forEach((index, position) => {
+      if (type && type.kind === 'named') {
+        type = this.types.get(type.name);
       }
-    }
-    
-    if (clean.includes('load')) {
-      const match = clean.match(/(%\S+)\s*=\s*load\s+\S+,\s+\S*\s*(%\S+)/);
-      if (match) {
-        const dst = this.renameVar(match[1]);
-        const addr = this.renameVar(match[2]);
-        return `${dst} = load ${addr}`;
+      if (type && type.kind === 'struct') {
+        text += `.${index}`;
+        type = type.fields[parseInt(indices[position + 1].text, 10)];
+      } else {
+        text += `[${index}]`;
+        type = type ? type.element : null;
       }
+    });
+    return text;
+  }
+
+  /**
+   * Name of a called function: @_Z3addii → add, %5 → %5 (t5 once renamed), bitcast (ptr @f to ptr) → f
+   */
+  calleeName(callee) {
+    if (callee.kind === 'global') {
+      return demangler.readableName(callee.text.slice(1).replace(/^"(.*)"$/, '$1'));
     }
-    
-    return null;
+    if (callee.kind === 'expr') {
+      const target = callee.operands.find(operand => operand.kind === 'global' || operand.kind === 'expr');
+      if (target) return this.calleeName(target);
+    }
+    if (callee.kind === 'asm') {
+      return 'asm';
+    }
+    return this.operand(callee);
   }
 
   /**
-   * Filter TAC to keep only countable instructions
-   * @param {Array} tac - Array of TAC strings
-   * @returns {Array} Filtered TAC strings
+   * Filter TAC to keep only countable instructions: computations, calls and returns
+   * (alloca, load, store, labels and jumps are dropped)
+   * @param {Array} tac - Array of TAC strings (or instruction objects)
+   * @returns {Array} Filtered TAC, in the form it was given
    */
   filter(tac) {
-    const filtered = [];
-    
-    for (const line of tac) {
-      // KEEP: add, sub, mul, div
-      if (line.includes(' + ') || line.includes(' - ') || 
-          line.includes(' * ') || line.includes(' / ')) {
-        filtered.push(line);
-        continue;
-      }
-      
-      // KEEP: call
-      if (line.includes('call ')) {
-        filtered.push(line);
-        continue;
-      }
-      
-      // KEEP: return
-      if (line.startsWith('return')) {
-        filtered.push(line);
-        continue;
-      }
-      
-      // REMOVE: alloca, store, load
-      if (line.includes('alloca') || line.includes('store ') || line.includes('load ')) {
-        continue;
-      }
-      
-      // If it's an assignment that's not alloca/store/load, keep it
-      if (line.includes(' = ') && !line.includes('alloca') && 
-          !line.includes('load') && !line.includes('store')) {
-        filtered.push(line);
-      }
-    }
-    
-    return filtered;
+    return tac.filter(line => tacInstructions.isCountable(line));
   }
 
   /**
@@ -303,9 +511,16 @@ class LLVMToTACConverter {
    * Compare two TAC programs for similarity
    * @param {Array} tacA - TAC instructions for program A
    * @param {Array} tacB - TAC instructions for program B
+   * @param {Object} options - { metric: 'operations' (counts per operation, default), 'alignment'
+   *   (edit distance of the instruction sequences) or 'ddg' (data-dependence graphs), see tacSimilarity.js }
    * @returns {Object} Comparison result with similarity analysis
    */
-  compare(tacA, tacB) {
+  compare(tacA, tacB, options = {}) {
+    const metric = options.metric || 'operations';
+    if (!SIMILARITY_METRICS.includes(metric)) {
+      throw new Error(`Unknown similarity metric: ${metric} (${SIMILARITY_METRICS.join(', ')})`);
+    }
+
     const countA = tacA.length;
     const countB = tacB.length;
     
@@ -321,8 +536,8 @@ class LLVMToTACConverter {
     
     // Calculate similarity score
     const similarity = this.calculateSimilarity(tacA, tacB);
-    
-    return {
+    const result = {
+      metric: 'operations',
       better: better,
       instruction_difference: difference,
       similarity_percentage: similarity.percentage,
@@ -331,6 +546,36 @@ class LLVMToTACConverter {
       total_operations: similarity.total,
       details: similarity.details
     };
+
+    if (metric === 'alignment') {
+      const alignment = tacSimilarity.align(tacA, tacB);
+      if (!alignment) {
+        result.note = 'Programs too large to align; compared by operation counts';
+        return result;
+      }
+      const { percentage, matching, total, ...report } = alignment;
+      return { ...result, ...this.score('alignment', percentage, matching, total), alignment: report };
+    }
+
+    if (metric === 'ddg') {
+      const { percentage, matching, total, ...report } = tacSimilarity.compareDDG(tacA, tacB);
+      return { ...result, ...this.score('ddg', percentage, matching, total), ddg: report };
+    }
+
+    return result;
+  }
+
+  /**
+   * Similarity fields of compare() for a metric other than operation counts
+   */
+  score(metric, percentage, matching, total) {
+    return {
+      metric: metric,
+      similarity_percentage: percentage,
+      similarity_level: similarityLevel(percentage),
+      matching_operations: matching,
+      total_operations: total
+    };
   }
 
   /**
@@ -373,17 +618,9 @@ class LLVMToTACConverter {
     // Calculate percentage
     const percentage = total > 0 ? Math.round((matching / total) * 100) : 0;
     
-    // Determine similarity level
-    let level = 'VERY_DIFFERENT';
-    if (percentage >= 90) level = 'IDENTICAL';
-    else if (percentage >= 70) level = 'VERY_SIMILAR';
-    else if (percentage >= 50) level = 'SIMILAR';
-    else if (percentage >= 30) level = 'SOMEWHAT_SIMILAR';
-    else if (percentage >= 10) level = 'DIFFERENT';
-    
     return {
       percentage: percentage,
-      level: level,
+      level: similarityLevel(percentage),
       matching: matching,
       total: total,
       details: {
@@ -404,16 +641,9 @@ class LLVMToTACConverter {
     const operations = {};
     
     for (const line of tac) {
-      let op = 'unknown';
-      
-      if (line.includes(' + ')) op = 'add';
-      else if (line.includes(' - ')) op = 'sub';
-      else if (line.includes(' * ')) op = 'mul';
-      else if (line.includes(' / ')) op = 'div';
-      else if (line.includes('call ')) op = 'call';
-      else if (line.startsWith('return')) op = 'return';
-      
-      operations[op] = (operations[op] || 0) + 1;
+      const { op } = tacInstructions.parse(line);
+      const name = COUNTED_OPERATIONS.includes(op) ? op : 'unknown';
+      operations[name] = (operations[name] || 0) + 1;
     }
     
     return operations;
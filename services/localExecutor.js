@@ -1,18 +1,53 @@
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const crypto = require('crypto');
 const { LLVMToTACConverter } = require('./llvmToTAC');
+const { Sandbox } = require('./sandbox');
+const { CompilerDiagnostics } = require('./compilerDiagnostics');
+const { CompilerOptions } = require('./compilerOptions');
+const { SOURCE_EXTENSIONS } = require('./projectFiles');
+
+const C_EXTENSIONS = SOURCE_EXTENSIONS.c;
+const CPP_EXTENSIONS = SOURCE_EXTENSIONS.cpp;
+
+// `python -m dis <file>`, preceded by the parameter names of every code object in declaration
+// order, which dis does not show (co_varnames has *args after the keyword-only parameters)
+const PYTHON_DIS_SCRIPT = `
+import dis, sys, types
+
+def parameters(code):
+    for const in code.co_consts:
+        if isinstance(const, types.CodeType):
+            names = list(const.co_varnames)
+            count = const.co_argcount + const.co_kwonlyargcount
+            if const.co_flags & 0x04:
+                names.insert(const.co_argcount, names.pop(count))
+                count += 1
+            if const.co_flags & 0x08:
+                count += 1
+            print('# Parameters of %r: %s' % (const, ', '.join(names[:count])))
+            parameters(const)
+
+with open(sys.argv[1], 'rb') as source:
+    code = compile(source.read(), sys.argv[1], 'exec')
+parameters(code)
+dis.dis(code)
+`;
 
 /**
  * Local code execution service
  * Executes code using local compilers/interpreters with fallback to Piston API
  */
 class LocalExecutor {
-  constructor() {
-    this.tempDir = path.join(os.tmpdir(), 'code-executor');
-    this.timeout = 10000; // 10 seconds
+  /**
+   * @param {Object} options - { tempDir } (defaults to <os tmpdir>/code-executor)
+   */
+  constructor(options = {}) {
+    this.tempDir = options.tempDir || path.join(os.tmpdir(), 'code-executor');
+    this.sandbox = new Sandbox();
+    this.diagnostics = new CompilerDiagnostics();
+    this.compilerOptions = new CompilerOptions();
     this.initialized = false;
   }
 
@@ -33,37 +68,46 @@ class LocalExecutor {
    */
   async checkAvailability(language) {
     const commands = {
-      c: 'gcc --version',
-      cpp: 'g++ --version',
-      'c++': 'g++ --version',
-      python: 'python --version',
-      javascript: 'node --version',
-      js: 'node --version',
-      node: 'node --version',
-      java: 'javac -version'
+      c: ['gcc', '--version'],
+      cpp: ['g++', '--version'],
+      'c++': ['g++', '--version'],
+      python: ['python', '--version'],
+      javascript: ['node', '--version'],
+      js: ['node', '--version'],
+      node: ['node', '--version'],
+      java: ['javac', '-version']
     };
 
     const command = commands[language.toLowerCase()];
     if (!command) return false;
 
     return new Promise((resolve) => {
-      exec(command, (error) => {
-        resolve(!error);
-      });
+      const child = spawn(command[0], command.slice(1), { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('close', (code) => resolve(code === 0));
     });
   }
 
   /**
    * Execute code locally
+   * Returns separate `compile` (null for interpreted languages) and `run`
+   * (null when compilation failed) sections; the top-level stdout/stderr/exit_code
+   * mirror the run phase, or the compile phase when it failed.
+   *
+   * @param {string} language - Programming language
+   * @param {string} code - Source code (ignored when options.project is given)
+   * @param {string} stdin - Standard input
+   * @param {Object} options - { compilerOptions, project, args } (validated by CompilerOptions / ProjectFiles)
+   *   args: command-line arguments, passed to the program as argv (same as Piston's `args`)
    */
-  async execute(language, code, stdin = '') {
+  async execute(language, code, stdin = '', options = {}) {
     await this.initialize();
 
     const startTime = Date.now();
-    
+
     try {
       const lang = language.toLowerCase();
-      
+
       // Check if local execution is available
       const available = await this.checkAvailability(lang);
       if (!available) {
@@ -74,18 +118,30 @@ class LocalExecutor {
         };
       }
 
+      // Fail closed: without a read-only sandbox (or SANDBOX_ALLOW_WEAK=true) the code runs on Piston
+      const refusal = await this.sandboxRefusal();
+      if (refusal) {
+        return {
+          success: false,
+          error: refusal,
+          fallback_needed: true
+        };
+      }
+
+      const project = options.project || this.createSingleFileProject(lang, code);
+      const args = options.args || [];
       let result;
-      
+
       if (lang === 'c') {
-        result = await this.executeC(code, stdin);
+        result = await this.executeC(project, stdin, options.compilerOptions, args);
       } else if (lang === 'cpp' || lang === 'c++') {
-        result = await this.executeCpp(code, stdin);
+        result = await this.executeCpp(project, stdin, options.compilerOptions, args);
       } else if (lang === 'python') {
-        result = await this.executePython(code, stdin);
+        result = await this.executePython(project, stdin, args);
       } else if (lang === 'javascript' || lang === 'js' || lang === 'node') {
-        result = await this.executeJavaScript(code, stdin);
+        result = await this.executeJavaScript(project, stdin, args);
       } else if (lang === 'java') {
-        result = await this.executeJava(code, stdin);
+        result = await this.executeJava(project, stdin, options.compilerOptions, args);
       } else {
         return {
           success: false,
@@ -101,13 +157,15 @@ class LocalExecutor {
       let tac = null;
       let tac_raw = null;
       let instruction_count = null;
-      
+
       if (lang === 'c' || lang === 'cpp' || lang === 'c++') {
         try {
-          const llvmIR = await this.generateLLVMIR(code, lang);
-          if (llvmIR) {
+          const units = (await this.generateProjectLLVMIR(project, lang, options.compilerOptions)).filter(unit => unit.ir);
+          if (units.length > 0) {
             const converter = new LLVMToTACConverter();
-            tac_raw = converter.convert(llvmIR);
+            const ir = units.map(unit => unit.ir).join('\n');
+            await converter.prepare(ir);
+            tac_raw = converter.convert(ir);
             tac = converter.filter(tac_raw);
             instruction_count = converter.count(tac);
           }
@@ -117,11 +175,22 @@ class LocalExecutor {
         }
       }
 
+      const compile = result.compile ? this.formatCompilePhase(lang, result.compile) : null;
+      const run = result.run ? this.formatRunPhase(result.run) : null;
+      const final = run || compile;
+
       return {
         success: true,
-        stdout: result.stdout,
-        stderr: result.stderr,
-        exit_code: result.exitCode,
+        stdout: run ? run.stdout : '',
+        stderr: final.stderr,
+        exit_code: final.exit_code,
+        signal: final.signal,
+        status: run ? run.status : 'CE',
+        compile: compile,
+        run: run,
+        limits: result.run ? result.run.limits : null,
+        sandbox: result.run ? result.run.sandbox : null,
+        isolation: result.run ? result.run.isolation : null,
         execution_time: parseFloat(executionTime.toFixed(2)),
         source: 'local',
         tac: tac,
@@ -138,233 +207,519 @@ class LocalExecutor {
     }
   }
 
+  /**
+   * Why user sources may not be compiled or run on this host's sandbox backend, or null
+   */
+  async sandboxRefusal() {
+    const backend = await this.sandbox.detectBackend();
+    return this.sandbox.isAllowed(backend) ? null : this.sandbox.refusal(backend);
+  }
+
+  /**
+   * Wrap a single `code` string as a one-file project
+   * Java sources are named after their public class so javac accepts them.
+   */
+  createSingleFileProject(language, code) {
+    const fileNames = {
+      c: 'main.c',
+      cpp: 'main.cpp',
+      'c++': 'main.cpp',
+      python: 'main.py',
+      javascript: 'main.js',
+      js: 'main.js',
+      node: 'main.js'
+    };
+    const name = language === 'java' ? this.detectJavaMainClass(code).fileName : fileNames[language];
+
+    return {
+      files: [{ name: name, content: code }],
+      entryPoint: name,
+      multiFile: false
+    };
+  }
+
+  /**
+   * Write every project file (including subdirectories) into a run directory
+   * Names are validated by ProjectFiles; the containment check is a second line of defense.
+   */
+  async writeProjectFiles(workDir, project) {
+    for (const file of project.files) {
+      const target = path.resolve(workDir, file.name);
+      if (!target.startsWith(workDir + path.sep)) {
+        throw new Error(`Invalid file name: ${file.name}`);
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.content, 'utf8');
+    }
+  }
+
+  /**
+   * Relative paths of the project's translation units for a set of extensions
+   */
+  getUnitNames(project, extensions) {
+    return project.files
+      .map(file => file.name)
+      .filter(name => extensions.includes(path.extname(name)));
+  }
+
   /**
    * Generate LLVM IR for C/C++ code using clang
+   * Only the standard and defines are honored; TAC analysis always uses -O0.
    */
-  async generateLLVMIR(code, language) {
-    const sessionId = crypto.randomUUID();
-    const ext = language === 'c' ? 'c' : 'cpp';
-    const sourceFile = path.join(this.tempDir, `${sessionId}.${ext}`);
-    const llFile = path.join(this.tempDir, `${sessionId}.ll`);
+  async generateLLVMIR(code, language, compilerOptions = null) {
+    const units = await this.generateProjectLLVMIR(this.createSingleFileProject(language, code), language, compilerOptions);
+    return units.length > 0 ? units[0].ir : null;
+  }
+
+  /**
+   * Generate LLVM IR for every C/C++ translation unit of a project
+   * All files are written first so units can include the project's headers.
+   *
+   * @returns {Array} [{ file, ir, error }] for every unit (ir is null and error holds
+   *   clang's stderr when a unit failed to compile); empty when clang could not run
+   *   (or the sandbox refuses to run it)
+   */
+  async generateProjectLLVMIR(project, language, compilerOptions = null) {
+    const extensions = language === 'c' ? C_EXTENSIONS : CPP_EXTENSIONS;
+    const units = [];
+    let workDir = null;
+
+    if (await this.sandboxRefusal()) {
+      return units;
+    }
 
     try {
-      await fs.writeFile(sourceFile, code, 'utf8');
-      
+      workDir = await this.sandbox.createWorkDir(this.tempDir);
+      await this.writeProjectFiles(workDir, project);
+
       // Compile to LLVM IR using clang
-      const command = `clang -S -emit-llvm -O0 "${sourceFile}" -o "${llFile}"`;
-      const result = await this.runCommand(command, '');
-      
-      if (result.exitCode === 0) {
-        const llvmIR = await fs.readFile(llFile, 'utf8');
-        await this.cleanup([sourceFile, llFile]);
-        return llvmIR;
-      } else {
-        await this.cleanup([sourceFile, llFile]);
-        return null;
+      const irFlags = this.compilerOptions.buildIRFlags(compilerOptions);
+
+      for (const unit of this.getUnitNames(project, extensions)) {
+        const llFile = `${unit}.ll`;
+        const result = await this.runCommand('clang', ['-S', '-emit-llvm', ...irFlags, '-O0', '-g', unit, '-o', llFile], {
+          cwd: workDir,
+          language: language
+        });
+
+        if (result.exitCode === 0) {
+          units.push({ file: unit, ir: await fs.readFile(path.join(workDir, llFile), 'utf8'), error: null });
+        } else {
+          units.push({ file: unit, ir: null, error: result.stderr.trim() });
+        }
       }
     } catch (error) {
-      await this.cleanup([sourceFile, llFile]);
       console.error('LLVM IR generation failed:', error.message);
-      return null;
+    } finally {
+      if (workDir) {
+        await this.sandbox.removeWorkDir(workDir);
+      }
+    }
+
+    return units;
+  }
+
+  /**
+   * Compile a Java project with javac and disassemble every class with `javap -c -p`
+   * (private methods and nested classes included)
+   *
+   * @returns {Object} { success, classes: [{ file, disassembly }], error, compile }
+   *   success is false with `compile` set when javac rejected the sources
+   */
+  async generateJavaBytecode(project, compilerOptions = null) {
+    const refusal = await this.sandboxRefusal();
+    if (refusal) {
+      return { success: false, error: refusal };
+    }
+
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const classesDir = path.join(workDir, 'classes');
+
+    try {
+      await fs.mkdir(classesDir);
+      await this.writeProjectFiles(workDir, project);
+
+      const javacFlags = this.compilerOptions.buildJavacFlags(compilerOptions);
+      const units = this.getUnitNames(project, ['.java']);
+      const compileResult = await this.runCommand('javac', [this.javaToolHeap(), ...javacFlags, '-d', 'classes', ...units], {
+        cwd: workDir,
+        language: 'java'
+      });
+      if (compileResult.exitCode !== 0) {
+        return { success: false, error: 'Java compilation failed', compile: this.formatCompilePhase('java', compileResult) };
+      }
+
+      const classFiles = (await fs.readdir(classesDir, { recursive: true }))
+        .filter(name => name.endsWith('.class'))
+        .sort();
+
+      const classes = [];
+      for (const file of classFiles) {
+        const result = await this.runCommand('javap', [this.javaToolHeap(), '-c', '-p', path.join('classes', file)], {
+          cwd: workDir,
+          language: 'java'
+        });
+        if (result.exitCode !== 0) {
+          return { success: false, error: `javap failed for ${file}: ${result.stderr.trim()}` };
+        }
+        classes.push({ file: file.split(path.sep).join('/'), disassembly: result.stdout });
+      }
+
+      return { success: true, classes: classes };
+    } finally {
+      await this.sandbox.removeWorkDir(workDir);
+    }
+  }
+
+  /**
+   * Disassemble every module of a Python project with `python -m dis`, plus the parameters
+   * (PYTHON_DIS_SCRIPT). dis only compiles the sources; -I keeps the project directory off sys.path,
+   * so a submitted dis.py (or any module dis imports) is never run.
+   *
+   * @returns {Object} { success, version, modules: [{ file, disassembly }], error, compile }
+   *   success is false with `compile` set when a module has a syntax error
+   */
+  async generatePythonBytecode(project) {
+    const refusal = await this.sandboxRefusal();
+    if (refusal) {
+      return { success: false, version: null, error: refusal };
+    }
+
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+
+    try {
+      await this.writeProjectFiles(workDir, project);
+
+      // Bytecode differs between Python versions, so report the one used
+      const versionResult = await this.runCommand('python', ['-I', '-c', 'import platform; print(platform.python_version())'], {
+        cwd: workDir,
+        language: 'python'
+      });
+      const version = versionResult.exitCode === 0 ? versionResult.stdout.trim() : null;
+
+      const modules = [];
+      for (const unit of this.getUnitNames(project, ['.py'])) {
+        const result = await this.runCommand('python', ['-I', '-c', PYTHON_DIS_SCRIPT, unit], { cwd: workDir, language: 'python' });
+        if (result.exitCode !== 0) {
+          return { success: false, version: version, error: 'Python compilation failed', compile: this.formatCompilePhase('python', result) };
+        }
+        modules.push({ file: unit, disassembly: result.stdout });
+      }
+
+      return { success: true, version: version, modules: modules };
+    } finally {
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
    * Execute C code
+   * Every .c file of the project is compiled and linked together.
    */
-  async executeC(code, stdin) {
-    const sessionId = crypto.randomUUID();
-    const sourceFile = path.join(this.tempDir, `${sessionId}.c`);
-    const execFile = path.join(this.tempDir, `${sessionId}.exe`);
+  async executeC(project, stdin, compilerOptions = null, args = []) {
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const execFile = path.join(workDir, 'main.exe');
 
     try {
-      // Write source file
-      await fs.writeFile(sourceFile, code, 'utf8');
+      // Write source files
+      await this.writeProjectFiles(workDir, project);
 
       // Compile
-      const compileResult = await this.runCommand(`gcc "${sourceFile}" -o "${execFile}"`, '');
+      // Relative paths keep the per-run directory out of compiler diagnostics
+      const { compileFlags, linkFlags } = this.compilerOptions.buildGccFlags(compilerOptions);
+      const units = this.getUnitNames(project, C_EXTENSIONS);
+      const compileResult = await this.runCommand('gcc', [...compileFlags, ...units, '-o', 'main.exe', ...linkFlags], {
+        cwd: workDir,
+        language: 'c'
+      });
       if (compileResult.exitCode !== 0) {
-        return {
-          stdout: '',
-          stderr: compileResult.stderr || compileResult.stdout,
-          exitCode: compileResult.exitCode
-        };
+        return { compile: compileResult, run: null };
       }
 
-      // Execute
-      const execResult = await this.runCommand(`"${execFile}"`, stdin);
-      return execResult;
+      // Execute inside the sandbox
+      const runResult = await this.sandbox.run([execFile, ...args], {
+        workDir: workDir,
+        stdin: stdin,
+        limits: this.sandbox.getLimits('c')
+      });
+      return { compile: compileResult, run: runResult };
 
     } finally {
       // Cleanup
-      await this.cleanup([sourceFile, execFile]);
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
    * Execute C++ code
+   * Every .cpp/.cc/.cxx file of the project is compiled and linked together.
    */
-  async executeCpp(code, stdin) {
-    const sessionId = crypto.randomUUID();
-    const sourceFile = path.join(this.tempDir, `${sessionId}.cpp`);
-    const execFile = path.join(this.tempDir, `${sessionId}.exe`);
+  async executeCpp(project, stdin, compilerOptions = null, args = []) {
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const execFile = path.join(workDir, 'main.exe');
 
     try {
-      // Write source file
-      await fs.writeFile(sourceFile, code, 'utf8');
+      // Write source files
+      await this.writeProjectFiles(workDir, project);
 
       // Compile
-      const compileResult = await this.runCommand(`g++ "${sourceFile}" -o "${execFile}"`, '');
+      // Relative paths keep the per-run directory out of compiler diagnostics
+      const { compileFlags, linkFlags } = this.compilerOptions.buildGccFlags(compilerOptions);
+      const units = this.getUnitNames(project, CPP_EXTENSIONS);
+      const compileResult = await this.runCommand('g++', [...compileFlags, ...units, '-o', 'main.exe', ...linkFlags], {
+        cwd: workDir,
+        language: 'cpp'
+      });
       if (compileResult.exitCode !== 0) {
-        return {
-          stdout: '',
-          stderr: compileResult.stderr || compileResult.stdout,
-          exitCode: compileResult.exitCode
-        };
+        return { compile: compileResult, run: null };
       }
 
-      // Execute
-      const execResult = await this.runCommand(`"${execFile}"`, stdin);
-      return execResult;
+      // Execute inside the sandbox
+      const runResult = await this.sandbox.run([execFile, ...args], {
+        workDir: workDir,
+        stdin: stdin,
+        limits: this.sandbox.getLimits('cpp')
+      });
+      return { compile: compileResult, run: runResult };
 
     } finally {
       // Cleanup
-      await this.cleanup([sourceFile, execFile]);
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
    * Execute Python code
+   * The entry point runs from the project root, so sibling modules import normally.
    */
-  async executePython(code, stdin) {
-    const sessionId = crypto.randomUUID();
-    const sourceFile = path.join(this.tempDir, `${sessionId}.py`);
+  async executePython(project, stdin, args = []) {
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const sourceFile = path.join(workDir, project.entryPoint);
 
     try {
-      // Write source file
-      await fs.writeFile(sourceFile, code, 'utf8');
-
-      // Execute
-      const execResult = await this.runCommand(`python "${sourceFile}"`, stdin);
-      return execResult;
+      // Write source files
+      await this.writeProjectFiles(workDir, project);
+
+      // Execute inside the sandbox
+      const runResult = await this.sandbox.run(['python', sourceFile, ...args], {
+        workDir: workDir,
+        stdin: stdin,
+        limits: this.sandbox.getLimits('python')
+      });
+      return { compile: null, run: runResult };
 
     } finally {
       // Cleanup
-      await this.cleanup([sourceFile]);
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
    * Execute JavaScript code
    */
-  async executeJavaScript(code, stdin) {
-    const sessionId = crypto.randomUUID();
-    const sourceFile = path.join(this.tempDir, `${sessionId}.js`);
+  async executeJavaScript(project, stdin, args = []) {
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const sourceFile = path.join(workDir, project.entryPoint);
+    const limits = this.sandbox.getLimits('javascript');
 
     try {
-      // Write source file
-      await fs.writeFile(sourceFile, code, 'utf8');
-
-      // Execute
-      const execResult = await this.runCommand(`node "${sourceFile}"`, stdin);
-      return execResult;
+      // Write source files
+      await this.writeProjectFiles(workDir, project);
+
+      // Execute inside the sandbox (V8 heap flag instead of an address space rlimit)
+      const runResult = await this.sandbox.run(['node', `--max-old-space-size=${limits.memoryMb}`, sourceFile, ...args], {
+        workDir: workDir,
+        stdin: stdin,
+        limits: limits
+      });
+      return { compile: null, run: runResult };
 
     } finally {
       // Cleanup
-      await this.cleanup([sourceFile]);
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
    * Execute Java code
+   * Each run gets its own UUID directory, so concurrent submissions of
+   * `public class Main` never share source or .class files.
+   * All .java files are compiled together; the main class comes from the entry point.
    */
-  async executeJava(code, stdin) {
-    const sessionId = crypto.randomUUID();
-    
-    // Extract class name from code
-    const classNameMatch = code.match(/public\s+class\s+(\w+)/);
-    const className = classNameMatch ? classNameMatch[1] : 'Main';
-    
-    const sourceFile = path.join(this.tempDir, `${className}.java`);
-    const classFile = path.join(this.tempDir, `${className}.class`);
+  async executeJava(project, stdin, compilerOptions = null, args = []) {
+    const entryFile = project.files.find(file => file.name === project.entryPoint);
+    const mainClass = this.detectJavaMainClass(entryFile.content);
+    const workDir = await this.sandbox.createWorkDir(this.tempDir);
+    const classesDir = path.join(workDir, 'classes');
+    const limits = this.sandbox.getLimits('java');
 
     try {
-      // Write source file
-      await fs.writeFile(sourceFile, code, 'utf8');
-
-      // Compile
-      const compileResult = await this.runCommand(`javac "${sourceFile}"`, '');
+      // Write source files
+      await fs.mkdir(classesDir);
+      await this.writeProjectFiles(workDir, project);
+
+      // Compile (packages become subdirectories of classesDir)
+      const javacFlags = this.compilerOptions.buildJavacFlags(compilerOptions);
+      const units = this.getUnitNames(project, ['.java']);
+      const compileResult = await this.runCommand('javac', [this.javaToolHeap(), ...javacFlags, '-d', 'classes', ...units], {
+        cwd: workDir,
+        language: 'java'
+      });
       if (compileResult.exitCode !== 0) {
-        return {
-          stdout: '',
-          stderr: compileResult.stderr || compileResult.stdout,
-          exitCode: compileResult.exitCode
-        };
+        return { compile: compileResult, run: null };
       }
 
-      // Execute (run from temp directory to find .class file)
-      const execResult = await this.runCommand(`cd "${this.tempDir}" && java ${className}`, stdin);
-      return execResult;
+      // Execute inside the sandbox (JVM heap flag instead of an address space rlimit)
+      const runResult = await this.sandbox.run(['java', `-Xmx${limits.memoryMb}m`, '-cp', classesDir, mainClass.qualifiedName, ...args], {
+        workDir: workDir,
+        stdin: stdin,
+        limits: limits
+      });
+      return { compile: compileResult, run: runResult };
 
     } finally {
-      // Cleanup
-      await this.cleanup([sourceFile, classFile]);
+      // Cleanup (removes nested and helper classes such as Main$Inner.class too)
+      await this.sandbox.removeWorkDir(workDir);
     }
   }
 
   /**
-   * Run a command with timeout and stdin
+   * Find the class to launch in a Java source file
+   *
+   * Handles `package` declarations, non-public classes with `main`,
+   * several top-level classes and nested classes. Only plain identifiers
+   * are ever returned, so the names are safe to use as file names.
+   *
+   * @param {string} code - Java source
+   * @returns {Object} { packageName, className, qualifiedName, fileName }
    */
-  runCommand(command, stdin) {
-    return new Promise((resolve, reject) => {
-      const child = exec(command, {
-        timeout: this.timeout,
-        maxBuffer: 10 * 1024 * 1024, // 10MB
-        windowsHide: true
-      });
-
-      let stdout = '';
-      let stderr = '';
-      let timedOut = false;
-
-      // Set timeout
-      const timer = setTimeout(() => {
-        timedOut = true;
-        child.kill();
-        reject(new Error('Execution timeout'));
-      }, this.timeout);
+  detectJavaMainClass(code) {
+    // Blank out comments, strings and char literals so they can't fake declarations
+    const stripped = code
+      .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+      .replace(/\/\/[^\n]*/g, '')
+      .replace(/"(?:\\.|[^"\\\n])*"/g, '""')
+      .replace(/'(?:\\.|[^'\\\n])*'/g, "''");
+
+    const packageMatch = stripped.match(/^\s*package\s+([A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*)\s*;/m);
+    const packageName = packageMatch ? packageMatch[1].replace(/\s+/g, '') : null;
+
+    const tokenPattern = /((?:\b(?:public|protected|private|abstract|final|static|strictfp|sealed)\s+)*)\b(class|interface|enum|record)\s+([A-Za-z_$][\w$]*)|\bvoid\s+main\s*\(|[{}]/g;
+    const classes = [];
+    const stack = [];
+    let pending = null;
+    let depth = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(stripped)) !== null) {
+      const token = match[0];
+
+      if (token === '{') {
+        depth++;
+        if (pending) {
+          pending.bodyDepth = depth;
+          stack.push(pending);
+          pending = null;
+        }
+      } else if (token === '}') {
+        if (stack.length > 0 && stack[stack.length - 1].bodyDepth === depth) {
+          stack.pop();
+        }
+        depth--;
+      } else if (match[3]) {
+        const outer = stack[stack.length - 1];
+        pending = {
+          name: match[3],
+          binaryName: outer ? `${outer.binaryName}$${match[3]}` : match[3],
+          isPublic: /\bpublic\b/.test(match[1] || ''),
+          topLevel: !outer,
+          topLevelName: outer ? outer.topLevelName : match[3],
+          hasMain: false
+        };
+        classes.push(pending);
+      } else if (stack.length > 0 && stack[stack.length - 1].bodyDepth === depth) {
+        // `void main(` directly inside a class body is a main method
+        stack[stack.length - 1].hasMain = true;
+      }
+    }
 
-      // Collect output
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+    const topLevel = classes.filter(c => c.topLevel);
+    const publicClass = topLevel.find(c => c.isPublic);
+    const withMain = classes.filter(c => c.hasMain);
+    const mainClass = withMain.find(c => c.topLevel && c.isPublic) ||
+      withMain.find(c => c.topLevel) ||
+      withMain[0] ||
+      publicClass ||
+      topLevel[0] ||
+      null;
+
+    const className = mainClass ? mainClass.binaryName : 'Main';
+    // javac requires a public top-level class to live in <Name>.java
+    const fileBase = publicClass ? publicClass.name : (mainClass ? mainClass.topLevelName : 'Main');
+
+    return {
+      packageName: packageName,
+      className: className,
+      qualifiedName: packageName ? `${packageName}.${className}` : className,
+      fileName: `${fileBase}.java`
+    };
+  }
 
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+  /**
+   * Format a compile step, with gcc/clang/javac diagnostics parsed for inline display
+   */
+  formatCompilePhase(language, compileResult) {
+    const diagnostics = this.diagnostics.parse(language, `${compileResult.stderr}\n${compileResult.stdout}`);
+
+    return {
+      stdout: compileResult.stdout,
+      stderr: compileResult.stderr,
+      exit_code: compileResult.exitCode,
+      signal: compileResult.signal || null,
+      duration: parseFloat((compileResult.duration / 1000).toFixed(3)),
+      success: compileResult.exitCode === 0,
+      diagnostics: diagnostics,
+      diagnostic_counts: this.diagnostics.summarize(diagnostics)
+    };
+  }
 
-      // Send stdin if provided
-      if (stdin) {
-        child.stdin.write(stdin);
-        child.stdin.end();
-      }
+  /**
+   * Format a sandboxed run step
+   */
+  formatRunPhase(runResult) {
+    return {
+      stdout: runResult.stdout,
+      stderr: runResult.stderr,
+      exit_code: runResult.exitCode,
+      signal: runResult.signal || null,
+      duration: parseFloat((runResult.duration / 1000).toFixed(3)),
+      status: runResult.status
+    };
+  }
 
-      // Handle completion
-      child.on('close', (code) => {
-        clearTimeout(timer);
-        if (!timedOut) {
-          resolve({
-            stdout: stdout,
-            stderr: stderr,
-            exitCode: code || 0
-          });
-        }
-      });
+  /**
+   * Heap flag for javac and javap: the JVM gets no address space rlimit (memoryMode 'heap')
+   */
+  javaToolHeap() {
+    return `-J-Xmx${this.sandbox.getCompileLimits('java').memoryMb}m`;
+  }
 
-      child.on('error', (error) => {
-        clearTimeout(timer);
-        reject(error);
-      });
+  /**
+   * Run a build step (compiler, disassembler) on user sources inside the sandbox, with the
+   * language's compile limits and the sandbox's minimal environment
+   * Arguments are passed as argv, never through a shell, so user-derived
+   * file or class names cannot be interpreted as shell syntax.
+   *
+   * @param {string} command - Executable name or path
+   * @param {Array} args - Argument vector
+   * @param {Object} options - { cwd, language, stdin } (cwd is the run's working directory)
+   * @returns {Object} The sandbox result: { stdout, stderr, exitCode, signal, status, duration, ... }
+   */
+  runCommand(command, args, options = {}) {
+    return this.sandbox.run([command, ...args], {
+      workDir: options.cwd || this.tempDir,
+      stdin: options.stdin || '',
+      limits: this.sandbox.getCompileLimits(options.language || 'c')
     });
   }
 
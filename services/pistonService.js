@@ -1,7 +1,14 @@
 const axios = require('axios');
 const { LLVMToTACConverter } = require('./llvmToTAC');
-const { SimpleIRExtractor } = require('./simpleIRExtractor');
+const { JVMBytecodeToTACConverter } = require('./jvmBytecodeToTAC');
+const { PythonBytecodeToTACConverter } = require('./pythonBytecodeToTAC');
+const { JavaScriptASTToTACConverter } = require('./javascriptASTToTAC');
+const { ASTParser, isAvailable: astAvailable } = require('./astParser');
 const { LocalExecutor } = require('./localExecutor');
+const { IRProvider } = require('./irProvider');
+const { CompilerDiagnostics } = require('./compilerDiagnostics');
+const { CompilerOptions } = require('./compilerOptions');
+const { ProjectFiles } = require('./projectFiles');
 
 const PISTON_API_URL = process.env.PISTON_API_URL || 'https://emkc.org/api/v2/piston';
 const USE_LOCAL_EXECUTION = process.env.USE_LOCAL_EXECUTION !== 'false'; // Default to true
@@ -9,6 +16,13 @@ const USE_LOCAL_EXECUTION = process.env.USE_LOCAL_EXECUTION !== 'false'; // Defa
 // Initialize local executor
 const localExecutor = new LocalExecutor();
 
+// LLVM IR for TAC: local clang, self-hosted Compiler Explorer, godbolt.org (IR_PROVIDERS)
+const irProvider = new IRProvider({ localExecutor });
+
+// Whether javac/javap and python are installed (checked on first Java / Python TAC extraction)
+let javacAvailable = null;
+let pythonAvailable = null;
+
 // Language version mappings
 const LANGUAGE_CONFIG = {
   python: { language: 'python', version: '3.10.0' },
@@ -47,20 +61,30 @@ async function getRuntimes() {
 }
 
 /**
- * Extract TAC from code using Compiler Explorer API (SEPARATE FROM EXECUTION)
+ * Extract TAC from code (SEPARATE FROM EXECUTION)
+ * C/C++: the LLVM IR comes from the first available IR provider (see IRProvider);
+ * `provider` in the result names the one used.
+ * Java: compiled with the local javac, JVM bytecode (javap -c) converted to TAC.
+ * Python: CPython bytecode from the local `python -m dis` converted to TAC.
+ * JavaScript: the tree-sitter AST lowered to TAC (nothing is run).
+ * Multi-file projects are extracted per translation unit; headers and the
+ * other files are available so #include "..." resolves.
+ *
  * @param {string} language - Programming language
- * @param {string} code - Source code
- * @returns {Object} TAC extraction result
+ * @param {string} code - Source code (ignored when options.files is given)
+ * @param {Object} options - { compilerOptions, files, entryPoint } (optional); C and C++ IR is
+ *   built with the standard and defines of compilerOptions
+ * @returns {Object} TAC extraction result, with `units` for each translation unit
  */
-async function extractTAC(language, code) {
+async function extractTAC(language, code, options = {}) {
   try {
     const langConfig = LANGUAGE_CONFIG[language.toLowerCase()];
     if (!langConfig) {
       return { success: false, error: `Unsupported language: ${language}` };
     }
 
-    // Only extract TAC for C/C++
-    if (!['c', 'c++'].includes(langConfig.language)) {
+    // Only extract TAC for C/C++, Java, Python and JavaScript
+    if (!['c', 'c++', 'java', 'python', 'javascript'].includes(langConfig.language)) {
       return {
         success: true,
         tac: [],
@@ -68,46 +92,97 @@ async function extractTAC(language, code) {
         instruction_count: 0,
         ir: null,
         ir_type: 'not_applicable',
-        note: `TAC extraction only supported for C/C++`
+        units: [],
+        note: `TAC extraction only supported for C/C++, Java, Python and JavaScript`
       };
     }
 
-    console.log(`[TAC Extraction] Using Compiler Explorer API for ${language}...`);
+    // A single Java file is named after its public class, as LocalExecutor does, or javac rejects it
+    const projectFiles = new ProjectFiles();
+    const projectValidation = projectFiles.normalize(language, {
+      code: code,
+      files: options.files,
+      entryPoint: options.entryPoint,
+      defaultFileName: langConfig.language === 'java' && typeof code === 'string'
+        ? localExecutor.detectJavaMainClass(code).fileName
+        : getFileName(language)
+    });
+    if (!projectValidation.valid) {
+      return { success: false, error: projectValidation.error, tac: [], instruction_count: 0 };
+    }
+    const project = projectValidation.project;
+
+    if (langConfig.language === 'java') {
+      return await extractJavaTAC(project);
+    }
+    if (langConfig.language === 'python') {
+      return await extractPythonTAC(project);
+    }
+    if (langConfig.language === 'javascript') {
+      return extractJavaScriptTAC(project, projectFiles.getTranslationUnits(language, project));
+    }
+
+    console.log(`[TAC Extraction] Extracting LLVM IR for ${language} (providers: ${irProvider.providers.join(', ')})...`);
     const startTime = Date.now();
 
-    // Extract LLVM IR from Compiler Explorer
-    const irExtractor = new SimpleIRExtractor();
-    const ir = await irExtractor.extract(langConfig.language, code);
+    const optionsValidation = new CompilerOptions().validate(language, options.compilerOptions);
+    if (!optionsValidation.valid) {
+      return { success: false, error: `Invalid compilerOptions: ${optionsValidation.error}`, tac: [], instruction_count: 0 };
+    }
 
-    // Check if IR extraction succeeded
-    if (!ir || ir.includes('; Error:') || ir.includes('; Compilation failed')) {
+    const extraction = await irProvider.extract(
+      langConfig.language, project, projectFiles.getTranslationUnits(language, project), optionsValidation.options
+    );
+    if (!extraction.success) {
       return {
         success: false,
-        error: 'LLVM IR extraction failed',
-        ir: ir,
+        error: extraction.error,
+        file: extraction.file,
+        ir: extraction.ir,
+        provider: extraction.provider,
+        provider_attempts: extraction.attempts,
         tac: [],
         instruction_count: 0
       };
     }
 
-    // Convert IR to TAC
+    // The C++ names of all units are demangled in one c++filt run
+    const ir = extraction.units.map(unit => project.multiFile ? `; File: ${unit.file}\n${unit.ir}` : unit.ir).join('\n');
     const converter = new LLVMToTACConverter();
+    await converter.prepare(ir);
+
+    const units = extraction.units.map(unit => {
+      const unitTAC = converter.filter(converter.convert(unit.ir));
+      return {
+        file: unit.file,
+        ir: unit.ir,
+        tac: unitTAC,
+        instruction_count: converter.count(unitTAC)
+      };
+    });
+
+    // Convert IR to TAC (all units together, so temporaries are numbered once)
     const tacRaw = converter.convert(ir);
     const tacFiltered = converter.filter(tacRaw);
     const instructionCount = converter.count(tacFiltered);
 
     const extractionTime = ((Date.now() - startTime) / 1000).toFixed(3);
-    console.log(`✓ TAC extracted in ${extractionTime}s (${instructionCount} instructions)`);
+    console.log(`✓ TAC extracted in ${extractionTime}s via ${extraction.provider} (${instructionCount} instructions, ${units.length} unit(s))`);
 
     return {
       success: true,
       tac: tacFiltered,
       tac_raw: tacRaw,
+      tac_instructions: converter.instructions,
       instruction_count: instructionCount,
       ir: ir,
       ir_type: 'llvm_ir',
+      units: units.map(unit => ({ file: unit.file, tac: unit.tac, instruction_count: unit.instruction_count })),
+      functions: functionTAC(converter.functions, converter),
       extraction_time: parseFloat(extractionTime),
-      source: 'compiler_explorer'
+      provider: extraction.provider,
+      provider_attempts: extraction.attempts,
+      source: extraction.provider
     };
   } catch (error) {
     return {
@@ -119,6 +194,204 @@ async function extractTAC(language, code) {
   }
 }
 
+/**
+ * Java TAC: javac + javap -c on this host, bytecode converted to TAC
+ * (same TAC format as C/C++, so TACLogicChecker works unchanged)
+ */
+async function extractJavaTAC(project) {
+  console.log('[TAC Extraction] Compiling Java and disassembling bytecode (javac + javap)...');
+  const startTime = Date.now();
+
+  if (javacAvailable === null) {
+    javacAvailable = await localExecutor.checkAvailability('java');
+  }
+  if (!javacAvailable) {
+    return {
+      success: false,
+      error: 'Java TAC extraction requires javac and javap on the server',
+      provider: null,
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const bytecode = await localExecutor.generateJavaBytecode(project);
+  if (!bytecode.success) {
+    return {
+      success: false,
+      error: bytecode.error,
+      compile: bytecode.compile || null,
+      provider: 'local',
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const result = bytecodeTAC(new JVMBytecodeToTACConverter(), bytecode.classes, 'jvm_bytecode', startTime);
+  console.log(`✓ Java TAC extracted in ${result.extraction_time}s (${result.instruction_count} instructions, ${result.units.length} class(es))`);
+  return result;
+}
+
+/**
+ * Python TAC: `python -m dis` on this host, CPython bytecode converted to TAC
+ * The bytecode depends on the Python version, reported as `python_version`.
+ */
+async function extractPythonTAC(project) {
+  console.log('[TAC Extraction] Disassembling Python bytecode (python -m dis)...');
+  const startTime = Date.now();
+
+  if (pythonAvailable === null) {
+    pythonAvailable = await localExecutor.checkAvailability('python');
+  }
+  if (!pythonAvailable) {
+    return {
+      success: false,
+      error: 'Python TAC extraction requires python on the server',
+      provider: null,
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const bytecode = await localExecutor.generatePythonBytecode(project);
+  if (!bytecode.success) {
+    return {
+      success: false,
+      error: bytecode.error,
+      compile: bytecode.compile || null,
+      python_version: bytecode.version,
+      provider: 'local',
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const modules = bytecode.modules.map(unit => ({
+    file: unit.file,
+    disassembly: project.multiFile ? `# File: ${unit.file}\n${unit.disassembly}` : unit.disassembly
+  }));
+  const result = bytecodeTAC(new PythonBytecodeToTACConverter(), modules, 'python_bytecode', startTime);
+  result.python_version = bytecode.version;
+  console.log(`✓ Python ${bytecode.version} TAC extracted in ${result.extraction_time}s (${result.instruction_count} instructions, ${result.units.length} module(s))`);
+  return result;
+}
+
+/**
+ * JavaScript TAC: every module parsed with tree-sitter and its AST lowered to TAC
+ * A module that does not parse fails the extraction, like a compile error.
+ */
+function extractJavaScriptTAC(project, modules) {
+  console.log('[TAC Extraction] Lowering JavaScript AST (tree-sitter)...');
+  const startTime = Date.now();
+
+  if (!astAvailable) {
+    return {
+      success: false,
+      error: 'JavaScript TAC extraction requires the tree-sitter bindings on the server',
+      provider: null,
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const parser = new ASTParser();
+  const converter = new JavaScriptASTToTACConverter();
+  const trees = modules.map(file => ({ file: file.name, root: parser.parse('javascript', file.content).rootNode }));
+
+  const diagnostics = trees.flatMap(tree => converter.syntaxErrors(tree.root, tree.file));
+  if (diagnostics.length > 0) {
+    const first = diagnostics[0];
+    return {
+      success: false,
+      error: `JavaScript syntax error at ${first.file}:${first.line}:${first.column}`,
+      diagnostics: diagnostics,
+      provider: 'local',
+      tac: [],
+      instruction_count: 0
+    };
+  }
+
+  const counter = new LLVMToTACConverter(); // filter() and count() work on any TAC
+  const units = trees.map(tree => {
+    const unitTAC = counter.filter(converter.convert(tree.root));
+    return { file: tree.file, tac: unitTAC, instruction_count: counter.count(unitTAC) };
+  });
+
+  // Convert all modules together, so temporaries are numbered once
+  const tacRaw = converter.convert(trees.map(tree => tree.root));
+  const tacFiltered = counter.filter(tacRaw);
+  const instructionCount = counter.count(tacFiltered);
+  const ir = trees.map(tree => project.multiFile ? `; File: ${tree.file}\n${tree.root.toString()}` : tree.root.toString()).join('\n');
+
+  const extractionTime = ((Date.now() - startTime) / 1000).toFixed(3);
+  console.log(`✓ JavaScript TAC extracted in ${extractionTime}s (${instructionCount} instructions, ${units.length} module(s))`);
+
+  return {
+    success: true,
+    tac: tacFiltered,
+    tac_raw: tacRaw,
+    instruction_count: instructionCount,
+    ir: ir,
+    ir_type: 'javascript_ast',
+    units: units,
+    functions: functionTAC(converter.functions, counter),
+    extraction_time: parseFloat(extractionTime),
+    provider: 'local',
+    provider_attempts: [{ provider: 'local', status: 'ok', error: null }],
+    source: 'local'
+  };
+}
+
+/**
+ * Per-function TAC records from a converter's last convert() call, filtered like the
+ * whole-program TAC (the unfiltered lines are kept as tac_raw)
+ */
+function functionTAC(functions, counter) {
+  return functions.map(func => {
+    const tac = counter.filter(func.tac);
+    return {
+      name: func.name,
+      signature: func.signature,
+      arity: func.arity,
+      params: func.params || null,
+      tac: tac,
+      tac_raw: func.tac,
+      instruction_count: counter.count(tac)
+    };
+  });
+}
+
+/**
+ * TAC result for locally disassembled bytecode (javap / dis), per unit and for all units
+ * together, so temporaries are numbered once
+ */
+function bytecodeTAC(converter, units, irType, startTime) {
+  const counter = new LLVMToTACConverter(); // filter() and count() work on any TAC
+  const unitResults = units.map(unit => {
+    const unitTAC = counter.filter(converter.convert(unit.disassembly));
+    return { file: unit.file, tac: unitTAC, instruction_count: counter.count(unitTAC) };
+  });
+
+  const ir = units.map(unit => unit.disassembly).join('\n');
+  const tacRaw = converter.convert(ir);
+  const tacFiltered = counter.filter(tacRaw);
+
+  return {
+    success: true,
+    tac: tacFiltered,
+    tac_raw: tacRaw,
+    instruction_count: counter.count(tacFiltered),
+    ir: ir,
+    ir_type: irType,
+    units: unitResults,
+    functions: functionTAC(converter.functions, counter),
+    extraction_time: parseFloat(((Date.now() - startTime) / 1000).toFixed(3)),
+    provider: 'local',
+    provider_attempts: [{ provider: 'local', status: 'ok', error: null }],
+    source: 'local'
+  };
+}
+
 /**
  * Execute code using local executor (primary) with Piston API fallback
  * NOW SIMPLIFIED - ONLY EXECUTES, DOESN'T GENERATE TAC
@@ -126,8 +399,9 @@ async function extractTAC(language, code) {
  * @param {string} code - Source code to execute
  * @param {string} stdin - Standard input (optional)
  * @param {array} args - Command line arguments (optional)
+ * @param {Object} options - { compilerOptions, files, entryPoint } (optional)
  */
-async function executeCode(language, code, stdin = '', args = []) {
+async function executeCode(language, code, stdin = '', args = [], options = {}) {
   try {
     // Get language configuration
     const langConfig = LANGUAGE_CONFIG[language.toLowerCase()];
@@ -139,12 +413,48 @@ async function executeCode(language, code, stdin = '', args = []) {
       };
     }
 
+    // Validate compiler options once, then apply them to whichever backend runs the code
+    const compilerOptionsService = new CompilerOptions();
+    const optionsValidation = compilerOptionsService.validate(language, options.compilerOptions);
+    if (!optionsValidation.valid) {
+      return {
+        success: false,
+        error: `Invalid compilerOptions: ${optionsValidation.error}`
+      };
+    }
+    const compilerOptions = optionsValidation.options;
+
+    // A lone `code` string becomes a one-file project
+    const projectFiles = new ProjectFiles();
+    const projectValidation = projectFiles.normalize(language, {
+      code: code,
+      files: options.files,
+      entryPoint: options.entryPoint
+    });
+    if (!projectValidation.valid) {
+      return {
+        success: false,
+        error: options.files ? `Invalid files: ${projectValidation.error}` : projectValidation.error
+      };
+    }
+    const project = options.files ? projectValidation.project : null;
+
+    // Command-line arguments reach the program as argv on both backends
+    const argsValidation = validateArgs(args);
+    if (!argsValidation.valid) {
+      return {
+        success: false,
+        error: argsValidation.error
+      };
+    }
+    const programArgs = argsValidation.args;
+
     let executionResult = null;
     let executionSource = 'piston'; // Default to Piston API
 
     // TRY LOCAL EXECUTION FIRST
     if (USE_LOCAL_EXECUTION) {
-      const localResult = await localExecutor.execute(language, code, stdin);
+      const localResult = await localExecutor.execute(language, code, stdin, { compilerOptions, project, args: programArgs });
       
       if (localResult.success) {
         // Local execution succeeded
@@ -152,7 +462,14 @@ async function executeCode(language, code, stdin = '', args = []) {
           stdout: localResult.stdout,
           stderr: localResult.stderr,
           code: localResult.exit_code,
-          execution_time: localResult.execution_time
+          signal: localResult.signal,
+          status: localResult.status,
+          limits: localResult.limits,
+          sandbox: localResult.sandbox,
+          isolation: localResult.isolation,
+          execution_time: localResult.execution_time,
+          compile: localResult.compile,
+          run: localResult.run
         };
         executionSource = 'local';
         console.log(`✓ Local execution successful (${language}): ${localResult.execution_time}s`);
@@ -165,18 +482,25 @@ async function executeCode(language, code, stdin = '', args = []) {
     // FALLBACK TO PISTON API if local execution didn't succeed
     if (!executionResult) {
       const pistonLang = PISTON_LANGUAGE_MAP[langConfig.language] || langConfig.language;
+      const pistonFiles = project ? projectFiles.orderForPiston(project) : [{ name: getFileName(language), content: code }];
+      const translationUnits = project ? projectFiles.getTranslationUnits(language, project) : pistonFiles;
+      let pistonSource = null;
+
+      // Piston treats the first file as the main file; options go into every translation unit
+      const files = pistonFiles.map(file => {
+        if (!translationUnits.includes(file)) {
+          return { name: file.name, content: file.content };
+        }
+        pistonSource = compilerOptionsService.applyToSource(language, file.content, compilerOptions, file.name);
+        return { name: file.name, content: pistonSource.code };
+      });
       
       const payload = {
         language: pistonLang,
         version: langConfig.version,
-        files: [
-          {
-            name: getFileName(language),
-            content: code
-          }
-        ],
+        files: files,
         stdin: stdin,
-        args: args,
+        args: programArgs,
         compile_timeout: 10000,
         run_timeout: 3000,
         compile_memory_limit: -1,
@@ -198,13 +522,23 @@ async function executeCode(language, code, stdin = '', args = []) {
         stdout: response.data.run?.stdout || '',
         stderr: response.data.run?.stderr || '',
         code: response.data.run?.code || 0,
+        signal: response.data.run?.signal || null,
+        status: getPistonStatus(response.data),
         execution_time: parseFloat(totalTimeSec),
-        compile: response.data.compile ? {
-          stdout: response.data.compile.stdout || '',
-          stderr: response.data.compile.stderr || '',
-          code: response.data.compile.code || 0
+        compile: response.data.compile ? formatPistonCompile(language, response.data.compile) : null,
+        run: response.data.run ? {
+          stdout: response.data.run.stdout || '',
+          stderr: response.data.run.stderr || '',
+          exit_code: response.data.run.code || 0,
+          signal: response.data.run.signal || null,
+          duration: null, // Piston only reports the total round trip
+          status: getPistonStatus({ run: response.data.run })
         } : null
       };
+      executionResult.compiler_options_note = compilerOptions ? {
+        applied: pistonSource.applied,
+        not_applied: pistonSource.unsupported
+      } : null;
       executionSource = 'piston';
       console.log(`✓ Piston API execution successful (${language}): ${totalTimeSec}s`);
     }
@@ -217,9 +551,17 @@ async function executeCode(language, code, stdin = '', args = []) {
       output: {
         stdout: executionResult.stdout,
         stderr: executionResult.stderr,
-        code: executionResult.code
+        code: executionResult.code,
+        signal: executionResult.signal || null,
+        status: executionResult.status // OK, CE, TLE, MLE, OLE or RE
       },
-      compile: executionResult.compile || null,
+      compile: executionResult.compile || null, // { stdout, stderr, exit_code, signal, duration, diagnostics }
+      run: executionResult.run || null, // { stdout, stderr, exit_code, signal, duration, status }
+      compiler_options: compilerOptions,
+      compiler_options_note: executionResult.compiler_options_note || null, // Piston only
+      limits: executionResult.limits || null,
+      sandbox: executionResult.sandbox || null,
+      isolation: executionResult.isolation || null, // what the local sandbox did not isolate (warnings)
       // Execution timing (in seconds with 2 decimal accuracy)
       execution_time: executionResult.execution_time
     };
@@ -233,6 +575,79 @@ async function executeCode(language, code, stdin = '', args = []) {
   }
 }
 
+/**
+ * Validate command-line arguments: an array of strings (numbers are converted)
+ * @returns {Object} { valid, error, args }
+ */
+function validateArgs(args) {
+  if (args === undefined || args === null) {
+    return { valid: true, args: [] };
+  }
+
+  if (!Array.isArray(args)) {
+    return { valid: false, error: 'args must be an array of strings' };
+  }
+
+  if (args.length > 64) {
+    return { valid: false, error: 'At most 64 args are allowed' };
+  }
+
+  for (const arg of args) {
+    if ((typeof arg !== 'string' && typeof arg !== 'number') || String(arg).includes('\0')) {
+      return { valid: false, error: 'args must be an array of strings' };
+    }
+  }
+
+  return { valid: true, args: args.map(String) };
+}
+
+/**
+ * Shape Piston's compile block like LocalExecutor's compile phase
+ */
+function formatPistonCompile(language, compile) {
+  const diagnosticsParser = new CompilerDiagnostics();
+  const stdout = compile.stdout || '';
+  const stderr = compile.stderr || '';
+  const diagnostics = diagnosticsParser.parse(language, `${stderr}\n${stdout}`);
+
+  return {
+    stdout: stdout,
+    stderr: stderr,
+    exit_code: compile.code || 0,
+    signal: compile.signal || null,
+    duration: null,
+    success: !compile.code,
+    diagnostics: diagnostics,
+    diagnostic_counts: diagnosticsParser.summarize(diagnostics)
+  };
+}
+
+/**
+ * Map a Piston response onto the sandbox status codes (OK, CE, TLE, MLE, OLE, RE)
+ */
+function getPistonStatus(data) {
+  if (data.compile && data.compile.code) {
+    return 'CE';
+  }
+
+  const run = data.run || {};
+  const statusMap = {
+    TO: 'TLE',
+    OL: 'OLE',
+    EL: 'OLE',
+    RE: 'RE',
+    SG: 'RE'
+  };
+
+  if (run.status && statusMap[run.status]) {
+    return statusMap[run.status];
+  }
+  if (run.signal === 'SIGXCPU') return 'TLE';
+  if (run.signal === 'SIGXFSZ') return 'OLE';
+  if (run.signal || run.code) return 'RE';
+  return 'OK';
+}
+
 /**
  * Generate LLVM IR for C/C++ code
  * @param {string} language - 'c' or 'c++'
@@ -256,7 +671,7 @@ with open('main.${fileExt}', 'w') as f:
 # Compile to LLVM IR using clang
 try:
     result = subprocess.run(
-        ['clang', '-${clangLang}', '-S', '-emit-llvm', '-O0', 'main.${fileExt}', '-o', 'output.ll'],
+        ['clang', '-${clangLang}', '-S', '-emit-llvm', '-O0', '-g', 'main.${fileExt}', '-o', 'output.ll'],
         capture_output=True,
         text=True,
         timeout=5
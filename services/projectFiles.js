@@ -0,0 +1,193 @@
+const path = require('path');
+
+/**
+ * Project Files - Multi-file submissions
+ *
+ * Requests may send either a single `code` string or a project:
+ *   {
+ *     "files": [
+ *       { "name": "main.c", "content": "..." },
+ *       { "name": "util.c", "content": "..." },
+ *       { "name": "util.h", "content": "..." }
+ *     ],
+ *     "entryPoint": "main.c"
+ *   }
+ *
+ * A single `code` string is treated as a one-file project, so every consumer
+ * (LocalExecutor, Piston payload, TAC and AST analysis) handles both the same way.
+ */
+
+const SOURCE_EXTENSIONS = {
+  c: ['.c'],
+  cpp: ['.cpp', '.cc', '.cxx'],
+  java: ['.java'],
+  python: ['.py'],
+  javascript: ['.js', '.mjs', '.cjs']
+};
+
+const HEADER_EXTENSIONS = ['.h', '.hpp', '.hh', '.hxx'];
+
+const LANGUAGE_KEYS = {
+  c: 'c',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  java: 'java',
+  python: 'python',
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript'
+};
+
+const DEFAULT_FILE_NAMES = {
+  c: 'main.c',
+  cpp: 'main.cpp',
+  java: 'Main.java',
+  python: 'main.py',
+  javascript: 'main.js'
+};
+
+// Relative path made of plain segments: no absolute paths, no "..", no shell or glob characters
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_$-][A-Za-z0-9_.$-]*(\/[A-Za-z0-9_$-][A-Za-z0-9_.$-]*)*$/;
+
+const MAX_FILES = 50;
+const MAX_TOTAL_SIZE = 1024 * 1024; // 1MB of source
+
+class ProjectFiles {
+  getLanguageKey(language) {
+    return LANGUAGE_KEYS[(language || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Validate a request's code/files and return a normalized project
+   *
+   * @param {string} language - Programming language
+   * @param {Object} input - { code, files, entryPoint, defaultFileName }
+   * @returns {Object} { valid, error, project: { files, entryPoint, multiFile } }
+   */
+  normalize(language, input) {
+    const { code, files, entryPoint, defaultFileName } = input;
+    const key = this.getLanguageKey(language);
+
+    if (files === undefined || files === null) {
+      if (typeof code !== 'string' || !code) {
+        return { valid: false, error: 'Code is required' };
+      }
+      const name = defaultFileName || DEFAULT_FILE_NAMES[key] || 'main.txt';
+      return {
+        valid: true,
+        project: {
+          files: [{ name: name, content: code }],
+          entryPoint: name,
+          multiFile: false
+        }
+      };
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return { valid: false, error: 'files must be a non-empty array of { name, content }' };
+    }
+
+    if (files.length > MAX_FILES) {
+      return { valid: false, error: `At most ${MAX_FILES} files are allowed` };
+    }
+
+    const seen = new Set();
+    let totalSize = 0;
+    const normalized = [];
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+
+      if (!file || typeof file.name !== 'string' || typeof file.content !== 'string') {
+        return { valid: false, error: `files[${i}] requires a string name and content` };
+      }
+
+      if (!FILE_NAME_PATTERN.test(file.name) || file.name.split('/').some(segment => segment === '.' || segment === '..')) {
+        return { valid: false, error: `Invalid file name "${file.name}"` };
+      }
+
+      if (seen.has(file.name)) {
+        return { valid: false, error: `Duplicate file name "${file.name}"` };
+      }
+      seen.add(file.name);
+
+      totalSize += Buffer.byteLength(file.content, 'utf8');
+      normalized.push({ name: file.name, content: file.content });
+    }
+
+    if (totalSize > MAX_TOTAL_SIZE) {
+      return { valid: false, error: 'Project sources exceed the 1MB limit' };
+    }
+
+    const entry = entryPoint || normalized[0].name;
+    if (!seen.has(entry)) {
+      return { valid: false, error: `entryPoint "${entry}" is not one of the submitted files` };
+    }
+
+    if (key && SOURCE_EXTENSIONS[key] && !SOURCE_EXTENSIONS[key].includes(path.extname(entry))) {
+      return { valid: false, error: `entryPoint "${entry}" is not a ${language} source file` };
+    }
+
+    return {
+      valid: true,
+      project: {
+        files: normalized,
+        entryPoint: entry,
+        multiFile: normalized.length > 1
+      }
+    };
+  }
+
+  /**
+   * Source files that are compiled (or parsed) on their own - headers excluded
+   */
+  getTranslationUnits(language, project) {
+    const extensions = SOURCE_EXTENSIONS[this.getLanguageKey(language)] || [];
+    return project.files.filter(file => extensions.includes(path.extname(file.name)));
+  }
+
+  /**
+   * Headers and other files that units may include
+   */
+  getHeaders(project) {
+    return project.files.filter(file => HEADER_EXTENSIONS.includes(path.extname(file.name)));
+  }
+
+  /**
+   * Files worth analyzing (AST): translation units, plus headers for C/C++
+   */
+  getSourceFiles(language, project) {
+    const key = this.getLanguageKey(language);
+    const headers = key === 'c' || key === 'cpp' ? this.getHeaders(project) : [];
+    return project.files.filter(file => headers.includes(file) || this.getTranslationUnits(language, project).includes(file));
+  }
+
+  getEntryFile(project) {
+    return project.files.find(file => file.name === project.entryPoint);
+  }
+
+  /**
+   * Files with the entry point first (Piston treats the first file as the main file)
+   */
+  orderForPiston(project) {
+    const entry = this.getEntryFile(project);
+    return [entry, ...project.files.filter(file => file !== entry)];
+  }
+
+  /**
+   * All sources in one string, for consumers that take a single code blob
+   * (AI verification, vulnerability heuristics, response echo)
+   */
+  combineSources(language, project) {
+    if (!project.multiFile) {
+      return project.files[0].content;
+    }
+
+    const comment = this.getLanguageKey(language) === 'python' ? '#' : '//';
+    return project.files
+      .map(file => `${comment} ===== ${file.name} =====\n${file.content}`)
+      .join('\n\n');
+  }
+}
+
+module.exports = { ProjectFiles, SOURCE_EXTENSIONS, HEADER_EXTENSIONS };
@@ -0,0 +1,669 @@
+/**
+ * Python Bytecode to TAC Converter
+ * Turns `python -m dis` output into the same TAC strings LLVMToTACConverter produces,
+ * so TACLogicChecker (and LLVMToTACConverter.filter/count) work for Python unchanged:
+ *
+ *   LOAD_FAST a, LOAD_FAST b, BINARY_OP (+), RETURN_VALUE  →  t2 = load t1; t4 = load t3; t5 = t2 + t4; return t5
+ *
+ * Like the JVM converter, the value stack is simulated symbolically. One pass covers
+ * the bytecode of CPython 3.10 to 3.13:
+ *   3.10   BINARY_ADD / INPLACE_ADD, CALL_FUNCTION, LOAD_METHOD + CALL_METHOD
+ *   3.11   BINARY_OP, PUSH_NULL + PRECALL + CALL, LOAD_GLOBAL (NULL + f)
+ *   3.12   LOAD_ATTR (NULL|self + m) for methods, RETURN_CONST, END_FOR, inlined comprehensions
+ *   3.13   LOAD_FAST_LOAD_FAST, CALL_KW, LOAD_GLOBAL (f + NULL)
+ * The <listcomp> functions of 3.10 and 3.11 are converted where they are called, like 3.12.
+ *
+ * Jumps keep their LLVM TAC form, on labels for the jump targets (offsets before 3.13,
+ * dis labels since): POP_JUMP_IF_FALSE (to 82)  →  if t5 goto L2 else L1
+ *
+ * dis does not show parameters; LocalExecutor.generatePythonBytecode prints them above it:
+ *   # Parameters of <code object add at 0x7f3a1c2b1d20, file "main.py", line 1>: a, b
+ */
+
+const { TACConverter } = require('./tacConverter');
+
+// BINARY_OP argrepr (3.11+) and the 3.10 opcode names → TAC operator
+const BINARY_OPERATORS = {
+  '+': '+', '-': '-', '*': '*', '/': '/', '//': '/', '%': '%', '**': '**', '@': '@',
+  '<<': '<<', '>>': '>>', '&': '&', '|': '|', '^': '^'
+};
+
+const LEGACY_BINARY_OPCODES = {
+  ADD: '+',
+  SUBTRACT: '-',
+  MULTIPLY: '*',
+  TRUE_DIVIDE: '/',
+  FLOOR_DIVIDE: '//',
+  MODULO: '%',
+  POWER: '**',
+  MATRIX_MULTIPLY: '@',
+  LSHIFT: '<<',
+  RSHIFT: '>>',
+  AND: '&',
+  OR: '|',
+  XOR: '^'
+};
+
+// The NULL that 3.11+ pushes below a plain function for CALL
+const NULL = '<null>';
+
+// The comprehensions 3.12 inlines (PEP 709); 3.10 and 3.11 call a function for them
+const COMPREHENSIONS = /^<(listcomp|setcomp|dictcomp)>$/;
+
+// BUILD_* → the call that builds the same value
+const BUILDERS = { LIST: 'list', TUPLE: 'tuple', SET: 'set', MAP: 'dict', CONST_KEY_MAP: 'dict', STRING: 'str', SLICE: 'slice' };
+
+// Jumps by kind: goto, pop a condition, keep it on the jump (JUMP_IF_*_OR_POP), loop
+const JUMPS = [
+  [/^(JUMP|JUMP_FORWARD|JUMP_BACKWARD|JUMP_BACKWARD_NO_INTERRUPT|JUMP_ABSOLUTE|JUMP_NO_INTERRUPT)$/, 'goto'],
+  [/^POP_JUMP_(?:FORWARD_|BACKWARD_)?IF_(TRUE|FALSE|NONE|NOT_NONE)$/, 'pop'],
+  [/^JUMP_IF_(TRUE|FALSE)_OR_POP$/, 'or_pop'],
+  [/^FOR_ITER$/, 'loop']
+];
+
+const TERMINATORS = /^(RETURN_VALUE|RETURN_CONST|RAISE_VARARGS|RERAISE)$/;
+
+class PythonBytecodeToTACConverter extends TACConverter {
+  constructor() {
+    super(); // Locals, globals and attributes are renamed to temps, code objects are the functions
+    this.names = new Map(); // Temp → the name it was loaded from (callee names)
+    this.code = 0;
+    this.labels = new Map(); // Jump targets of the current code object (instruction index) → L1, L2...
+    this.labelled = false; // 3.13 dis output (labels, no offsets)
+    this.savedStacks = new Map(); // Label → the stack at the jump to it
+    this.containers = new Set(); // Temps of the lists, sets and dicts comprehensions store into
+    this.codeObjects = new Map(); // Temp of a LOAD_CONST <code object> → its repr
+    this.sections = []; // The code objects of the dis output, filled by convert()
+    this.inlined = new Set(); // Comprehension code objects converted where they are called
+    this.inlining = false;
+    this.result = null; // What the inlined code object returns
+  }
+
+  /**
+   * Drop values nobody reads
+   */
+  discard(count = 1) {
+    this.stack.splice(Math.max(0, this.stack.length - count));
+  }
+
+  emit(line) {
+    if (!this.current) {
+      this.startCode('<module>'); // Module-level code comes before the other code objects
+    }
+    super.emit(line);
+  }
+
+  /**
+   * Start the TAC of a code object; without its parameter names the signature is name(...)
+   * @param {string} name - e.g. add, <listcomp>
+   * @param {Array|null} names - Parameter names in order, null if unknown
+   */
+  startCode(name, names = null) {
+    this.current = {
+      name: name,
+      signature: `${name}(${names ? names.join(', ') : '...'})`,
+      arity: names ? names.length : null,
+      params: names ? names.map(param => ({ name: param, temp: this.variable('LOAD_FAST', param) })) : null,
+      tac: []
+    };
+    this.functions.push(this.current);
+  }
+
+  /**
+   * Convert `python -m dis` output to TAC
+   * @param {string} disassembly - dis output (one or more modules)
+   * @returns {Array} Array of TAC strings
+   */
+  convert(disassembly) {
+    this.reset();
+    this.names = new Map();
+    this.code = 0;
+    this.containers = new Set();
+    this.codeObjects = new Map();
+    this.sections = this.parseSections(disassembly);
+    this.inlined = new Set();
+    this.inlining = false;
+
+    // Every function, class body and module has its own code object (and stack)
+    for (const section of this.sections) {
+      if (this.inlined.has(section)) continue;
+      this.code = section.id;
+      this.stack = [];
+      if (section.name) {
+        this.startCode(section.name, section.params);
+      } else {
+        this.current = null; // A new module
+      }
+      this.convertCode(section.instructions);
+    }
+    this.orderOperands();
+
+    return this.tacOutput;
+  }
+
+  /**
+   * Split dis output into its code objects
+   * @returns {Array} [{ id, repr, name, params, instructions }], name null for a module
+   */
+  parseSections(disassembly) {
+    const parameters = new Map(); // Code object repr → its parameter names
+    const sections = [];
+    let section = null;
+    const start = (repr = null, name = null) => {
+      section = { id: sections.length, repr: repr, name: name, params: parameters.get(repr) || null, instructions: [] };
+      sections.push(section);
+    };
+
+    start();
+    for (const line of disassembly.split('\n')) {
+      const names = line.match(/^# Parameters of (<code object .*>): (.*)$/);
+      if (names) {
+        parameters.set(names[1], names[2] ? names[2].split(', ') : []);
+        continue;
+      }
+
+      if (line.startsWith('Disassembly of ') || line.startsWith('# File: ')) {
+        const code = line.match(/^Disassembly of (<code object (\S+) at .*>):$/);
+        if (code) {
+          start(code[1], code[2]);
+        } else {
+          start();
+        }
+        continue;
+      }
+
+      // Instructions, after the optional line number, jump marker and offset:
+      //   "  7          44 BINARY_OP               13 (+=)"   "  >>   36 FOR_ITER   10 (to 58)"
+      //   3.13 has no offsets but labels: "  6   L1:     FOR_ITER   10 (to L2)"
+      const match = line.match(/^((?:\s|\d|--?>?|>>|L\d+:)*)([A-Z][A-Z0-9_]{2,})(?:\s+(\d+))?(?:\s+\((.*)\))?\s*$/);
+      if (match) {
+        // Jumps name their target by offset ("to 82"), or by label since 3.13 ("to L2")
+        const label = match[1].match(/L\d+(?=:)/);
+        const numbers = match[1].match(/\d+/g);
+        section.instructions.push({
+          key: label ? label[0] : numbers ? numbers[numbers.length - 1] : null,
+          opname: match[2],
+          arg: match[3] !== undefined ? parseInt(match[3], 10) : null,
+          argrepr: match[4] || ''
+        });
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Convert a 3.10 / 3.11 comprehension function where it is called, as 3.12 inlines it: the
+   * iterator is stored into its parameter .0, and what it returns is the result of the call
+   * @returns {string} The temp of the result
+   */
+  inline(section, args) {
+    const saved = {
+      stack: this.stack, code: this.code, labels: this.labels, savedStacks: this.savedStacks,
+      labelled: this.labelled, inlining: this.inlining
+    };
+    this.inlined.add(section);
+    this.code = section.id;
+    this.stack = [];
+    this.inlining = true;
+    this.result = null;
+
+    (section.params || ['.0']).forEach((name, index) => {
+      if (args[index] !== undefined) this.emit(`store ${args[index]} -> ${this.variable('STORE_FAST', name)}`);
+    });
+    this.convertCode(section.instructions);
+    const result = this.result || this.newTemp();
+
+    Object.assign(this, saved);
+    return result;
+  }
+
+
+  /**
+   * Convert the instructions of one code object, with a label on every jump target and on
+   * the instruction after a conditional jump (its "else" side)
+   */
+  convertCode(instructions) {
+    const indexes = new Map(instructions.map((instruction, index) => [instruction.key, index]));
+    const targets = new Set();
+
+    instructions.forEach((instruction, index) => {
+      const jump = JUMPS.find(([pattern]) => pattern.test(instruction.opname));
+      const target = instruction.argrepr.match(/^to (L?\d+)$/);
+      if (!jump || !target || !indexes.has(target[1])) return;
+
+      instruction.kind = jump[1];
+      instruction.target = indexes.get(target[1]);
+      instruction.endFor = instructions[instruction.target].opname === 'END_FOR';
+      targets.add(instruction.target);
+      if (instruction.kind !== 'goto' && index + 1 < instructions.length) {
+        instruction.next = index + 1;
+        targets.add(index + 1);
+      }
+    });
+
+    // 3.13 dis has labels instead of offsets, and its END_FOR leaves the iterator to a POP_TOP
+    this.labelled = instructions.some(instruction => /^L\d+$/.test(instruction.key));
+
+    // Labels follow the instruction order, as LLVM labels follow the block order
+    this.labels = new Map();
+    this.savedStacks = new Map();
+    for (const index of Array.from(targets).sort((a, b) => a - b)) {
+      this.labelCounter++;
+      this.labels.set(index, `L${this.labelCounter}`);
+    }
+
+    instructions.forEach((instruction, index) => {
+      const label = this.labels.get(index);
+      if (label) {
+        const previous = instructions[index - 1];
+        if (previous && !previous.kind && !TERMINATORS.test(previous.opname)) {
+          this.emit(`goto ${label}`); // Falling into a label is an explicit goto, as in LLVM IR
+        } else if (this.savedStacks.has(label)) {
+          this.stack = this.savedStacks.get(label).slice(); // Only reached by jumps
+        }
+        this.emit(`${label}:`);
+      }
+
+      if (instruction.kind) {
+        this.convertJump(instruction);
+      } else {
+        this.convertInstruction(instruction.opname, instruction.arg, instruction.argrepr);
+      }
+    });
+  }
+
+  /**
+   * goto L2 / if t goto L2 else L3; the stack at a jump is what its target starts with
+   *   POP_JUMP_IF_FALSE   if t goto <next> else <target>   (and IF_TRUE the other way round)
+   *   POP_JUMP_IF_NONE    t2 = t1 == None; if t2 goto <target> else <next>
+   *   FOR_ITER            t2 = call __next__; t3 = load t1; if t2 goto <next> else <target>
+   */
+  convertJump(instruction) {
+    const jumpTo = (index, stack = this.stack) => {
+      const label = this.labels.get(index);
+      if (!this.savedStacks.has(label)) this.savedStacks.set(label, stack.slice());
+      return label;
+    };
+    const branch = (condition, whenTrue, whenFalse) => this.emit(`if ${condition} goto ${whenTrue} else ${whenFalse}`);
+    const condition = instruction.opname.match(/IF_(TRUE|FALSE|NONE|NOT_NONE)/);
+
+    switch (instruction.kind) {
+      case 'goto':
+        return this.emit(`goto ${jumpTo(instruction.target)}`);
+
+      case 'pop': {
+        let value = this.pop();
+        if (condition[1] === 'NONE' || condition[1] === 'NOT_NONE') {
+          value = this.binary(condition[1] === 'NONE' ? '==' : '!=', value, 'None');
+        }
+        const target = jumpTo(instruction.target);
+        const next = jumpTo(instruction.next);
+        return condition[1] === 'FALSE' ? branch(value, next, target) : branch(value, target, next);
+      }
+
+      // The value stays on the stack when jumping, and is popped otherwise
+      case 'or_pop': {
+        const target = jumpTo(instruction.target);
+        const value = this.pop();
+        const next = jumpTo(instruction.next);
+        return condition[1] === 'FALSE' ? branch(value, next, target) : branch(value, target, next);
+      }
+
+      // The item is an element of the iterable, as items[i] is (t = load items). The body gets it
+      // above the iterator; the target has neither, or both for END_FOR (3.12+) to pop
+      case 'loop': {
+        const iterator = this.pop();
+        const more = this.newTemp();
+        this.emit(`${more} = call __next__`);
+        const item = this.load(iterator);
+        const target = jumpTo(instruction.target, instruction.endFor ? this.stack.concat(iterator, item) : this.stack);
+        this.push(iterator);
+        this.push(item);
+        return branch(more, jumpTo(instruction.next), target);
+      }
+    }
+  }
+
+  /**
+   * Convert a single instruction
+   * @param {string} opname - e.g. BINARY_OP, LOAD_FAST, CALL
+   * @param {number|null} arg - numeric argument
+   * @param {string} argrepr - dis's readable argument, e.g. "+", "a", "NULL + print"
+   */
+  convertInstruction(opname, arg, argrepr) {
+    let match;
+
+    // Constants
+    if (opname === 'LOAD_CONST' || opname === 'LOAD_SMALL_INT') {
+      return this.push(this.parseConstant(argrepr));
+    }
+    if (opname === 'RETURN_CONST') {
+      return this.emit(`return ${this.parseConstant(argrepr)}`);
+    }
+
+    // Variables: LOAD_FAST a  →  t = load a
+    if (/^LOAD_(FAST|FAST_CHECK|FAST_AND_CLEAR|DEREF|CLOSURE|NAME|GLOBAL|FROM_DICT_OR_GLOBALS|FROM_DICT_OR_DEREF)$/.test(opname)) {
+      return this.loadVariable(opname, argrepr);
+    }
+    if (opname === 'LOAD_FAST_LOAD_FAST') {
+      for (const name of argrepr.split(',')) this.loadVariable('LOAD_FAST', name.trim());
+      return;
+    }
+    if (/^STORE_(FAST|FAST_MAYBE_NULL|DEREF|NAME|GLOBAL)$/.test(opname)) {
+      return this.emit(`store ${this.pop()} -> ${this.variable(opname, argrepr)}`);
+    }
+    if (opname === 'STORE_FAST_STORE_FAST') {
+      for (const name of argrepr.split(',')) this.emit(`store ${this.pop()} -> ${this.variable('STORE_FAST', name.trim())}`);
+      return;
+    }
+    if (opname === 'STORE_FAST_LOAD_FAST') {
+      const [stored, loaded] = argrepr.split(',').map(name => name.trim());
+      this.emit(`store ${this.pop()} -> ${this.variable('STORE_FAST', stored)}`);
+      return this.loadVariable('LOAD_FAST', loaded);
+    }
+
+    // Arithmetic: BINARY_OP (+), BINARY_OP (+=), BINARY_ADD, INPLACE_MULTIPLY
+    if (opname === 'BINARY_OP') {
+      const operator = BINARY_OPERATORS[argrepr.replace(/=$/, '')];
+      const right = this.pop();
+      const left = this.pop();
+      return this.push(operator ? this.binary(operator, left, right) : this.newTemp());
+    }
+    if ((match = opname.match(/^(?:BINARY|INPLACE)_(\w+)$/)) && LEGACY_BINARY_OPCODES[match[1]]) {
+      const right = this.pop();
+      const left = this.pop();
+      return this.push(this.binary(BINARY_OPERATORS[LEGACY_BINARY_OPCODES[match[1]]], left, right));
+    }
+    if (opname === 'UNARY_NEGATIVE') {
+      return this.push(this.binary('-', '0', this.pop()));
+    }
+
+    // Calls
+    if (/^(CALL|CALL_KW|CALL_FUNCTION|CALL_FUNCTION_KW|CALL_METHOD|CALL_FUNCTION_EX)$/.test(opname)) {
+      return this.convertCall(opname, arg || 0);
+    }
+    if (opname === 'LOAD_METHOD') {
+      return this.loadMethod(this.pop(), argrepr);
+    }
+
+    // Returns; an inlined comprehension gives its result to the call instead
+    if (opname === 'RETURN_VALUE') {
+      if (this.inlining) {
+        this.result = this.pop();
+        return;
+      }
+      return this.emit(`return ${this.pop()}`);
+    }
+    if (opname === 'RAISE_VARARGS' || opname === 'RERAISE') {
+      this.discard(opname === 'RAISE_VARARGS' ? arg || 0 : 1);
+      return this.emit('unreachable');
+    }
+
+    // Attributes: obj.v  →  t = load v;  3.12 methods: LOAD_ATTR (NULL|self + append)
+    if (opname === 'LOAD_ATTR') {
+      if (argrepr.includes('NULL|self')) {
+        return this.loadMethod(this.pop(), argrepr.replace(/NULL\|self \+ |\s*\+ NULL\|self/g, ''));
+      }
+      this.pop(); // object
+      return this.push(this.load(this.renameVar(`attr:${argrepr}`), argrepr));
+    }
+    if (opname === 'LOAD_SUPER_ATTR') {
+      this.discard(3); // super, class, self
+      return argrepr.includes('NULL|self') ? this.loadMethod(NULL, argrepr.replace(/NULL\|self \+ |\s*\+ NULL\|self/g, ''))
+        : this.push(this.load(this.renameVar(`attr:${argrepr}`), argrepr));
+    }
+    if (opname === 'STORE_ATTR') {
+      this.pop(); // object
+      return this.emit(`store ${this.pop()} -> ${this.renameVar(`attr:${argrepr}`)}`);
+    }
+
+    // Subscripts: items[i]  →  t = load items
+    if (opname === 'BINARY_SUBSCR') {
+      this.pop(); // index
+      return this.push(this.load(this.pop()));
+    }
+    if (opname === 'BINARY_SLICE') {
+      this.discard(2); // start, stop
+      return this.push(this.load(this.pop()));
+    }
+    if (opname === 'STORE_SUBSCR') {
+      this.pop(); // index
+      const container = this.pop();
+      return this.emit(`store ${this.pop()} -> ${container}`);
+    }
+
+    // Functions and classes: keep the name so the call reads "call add"
+    if (opname === 'MAKE_FUNCTION') {
+      if (/^"/.test(this.stack[this.stack.length - 1])) {
+        this.pop(); // 3.10 pushes the qualified name above the code object
+      }
+      const code = this.pop();
+      this.discard([1, 2, 4, 8].filter(flag => (arg || 0) & flag).length);
+      return this.push(code);
+    }
+    if (opname === 'LOAD_BUILD_CLASS') {
+      return this.push(this.named('__build_class__'));
+    }
+    if (opname === 'IMPORT_NAME') {
+      this.discard(2); // level, fromlist
+      return this.push(this.named(argrepr));
+    }
+    if (opname === 'IMPORT_FROM') {
+      return this.push(this.named(argrepr));
+    }
+
+    // Containers and strings: BUILD_LIST 2  →  t = call list (the elements are its arguments)
+    if ((match = opname.match(/^BUILD_(LIST|TUPLE|SET|STRING|SLICE|MAP|CONST_KEY_MAP)$/))) {
+      const count = match[1] === 'MAP' ? 2 * (arg || 0) : match[1] === 'CONST_KEY_MAP' ? (arg || 0) + 1 : (arg || 0);
+      this.discard(count);
+      const dst = this.newTemp();
+      this.emit(`${dst} = call ${BUILDERS[match[1]]}`);
+      return this.push(dst);
+    }
+    // Unpacked values are elements, as subscripts are: a, b = pair  →  t2 = load t1; t3 = load t1
+    if (opname === 'UNPACK_SEQUENCE' || opname === 'UNPACK_EX') {
+      const sequence = this.pop();
+      const count = opname === 'UNPACK_EX' ? ((arg || 0) & 0xff) + ((arg || 0) >> 8) + 1 : (arg || 0);
+      for (let i = 0; i < count; i++) this.push(this.load(sequence));
+      return;
+    }
+    if (opname === 'FORMAT_VALUE') {
+      if ((arg || 0) & 0x04) this.pop(); // format spec
+      this.pop();
+      return this.push(this.newTemp());
+    }
+    if (opname === 'FORMAT_WITH_SPEC') {
+      this.discard(2);
+      return this.push(this.newTemp());
+    }
+    if (/^(FORMAT_SIMPLE|CONVERT_VALUE|UNARY_NOT|UNARY_INVERT|GET_LEN|YIELD_VALUE|GET_AWAITABLE)$/.test(opname)) {
+      this.pop();
+      return this.push(this.newTemp());
+    }
+    // Comprehensions: LIST_APPEND 2 stores the item into the container 2 deep (store t17 -> t10),
+    // MAP_ADD the value of a key and value
+    if (/^(LIST_APPEND|SET_ADD|MAP_ADD|LIST_EXTEND|SET_UPDATE|DICT_UPDATE|DICT_MERGE)$/.test(opname)) {
+      const value = this.pop();
+      if (opname === 'MAP_ADD') this.pop(); // key
+      const container = this.stack[this.stack.length - (arg || 1)] || this.newTemp();
+      this.containers.add(container);
+      return this.emit(`store ${value} -> ${container}`);
+    }
+
+    // Comparisons, like LLVM icmp: COMPARE_OP (<), 3.13 COMPARE_OP (bool(<)), IS_OP 1 (is not)
+    if (opname === 'COMPARE_OP' || opname === 'IS_OP') {
+      const operator = opname === 'IS_OP' ? (arg ? '!=' : '==') : (argrepr.match(/<=|>=|==|!=|<|>/) || [null])[0];
+      const right = this.pop();
+      const left = this.pop();
+      return this.push(operator ? this.binary(operator, left, right) : this.newTemp());
+    }
+    if (opname === 'CONTAINS_OP') {
+      this.discard(2);
+      return this.push(this.newTemp());
+    }
+    if (opname === 'POP_TOP' || opname === 'DELETE_ATTR' || opname === 'IMPORT_STAR') {
+      return this.discard(1);
+    }
+    if (opname === 'DELETE_SUBSCR' || opname === 'END_SEND') {
+      return this.discard(2);
+    }
+    if (opname === 'END_FOR') {
+      return this.discard(this.labelled ? 1 : 2); // The item, and the iterator before 3.13
+    }
+
+    // Stack shuffling: 3.10 DUP_TOP / ROT_*, 3.11+ COPY n / SWAP n
+    if (opname === 'DUP_TOP' || (opname === 'COPY' && arg === 1)) {
+      const top = this.pop();
+      this.push(top);
+      return this.push(top);
+    }
+    if (opname === 'COPY' && arg > 1) {
+      return this.push(this.stack.length >= arg ? this.stack[this.stack.length - arg] : this.newTemp());
+    }
+    if (opname === 'DUP_TOP_TWO') {
+      const top = this.pop();
+      const below = this.pop();
+      this.push(below);
+      this.push(top);
+      this.push(below);
+      return this.push(top);
+    }
+    if ((match = opname.match(/^ROT_(TWO|THREE|FOUR)$/))) {
+      return this.rotate({ TWO: 2, THREE: 3, FOUR: 4 }[match[1]]);
+    }
+    if (opname === 'SWAP') {
+      const depth = arg || 2;
+      if (this.stack.length >= depth) {
+        const top = this.stack.length - 1;
+        [this.stack[top], this.stack[top - depth + 1]] = [this.stack[top - depth + 1], this.stack[top]];
+      }
+      return;
+    }
+    if (opname === 'PUSH_NULL') {
+      return this.push(NULL);
+    }
+
+    // RESUME, NOP, PRECALL, KW_NAMES, GET_ITER, TO_BOOL, UNARY_POSITIVE: the stack is unchanged
+  }
+
+  /**
+   * Temp for a variable: locals belong to their code object, globals and cells are shared
+   */
+  variable(opname, name) {
+    if (/FAST/.test(opname)) {
+      return this.renameVar(`local:${this.code}:${name}`);
+    }
+    return this.renameVar(/DEREF|CLOSURE/.test(opname) ? `cell:${name}` : `global:${name}`);
+  }
+
+  /**
+   * LOAD_FAST / LOAD_NAME / LOAD_GLOBAL, including the NULL 3.11+ adds for calls
+   */
+  loadVariable(opname, argrepr) {
+    const name = argrepr.replace(/^NULL \+ |\s*\+ NULL$/g, '');
+    if (argrepr.startsWith('NULL + ')) this.push(NULL);
+    this.push(this.load(this.variable(opname, name), name));
+    if (argrepr.endsWith(' + NULL')) this.push(NULL);
+  }
+
+  /**
+   * t = load variable, remembering the name for calls through t
+   */
+  load(variable, name = null) {
+    const dst = this.newTemp();
+    this.emit(`${dst} = load ${variable}`);
+    if (name) this.names.set(dst, name);
+    return dst;
+  }
+
+  /**
+   * A value that only stands for a name (functions, classes, modules)
+   */
+  named(name) {
+    const temp = this.newTemp();
+    this.names.set(temp, name);
+    return temp;
+  }
+
+  /**
+   * Bound method: the method sits below its object, as CPython lays it out for CALL
+   */
+  loadMethod(object, name) {
+    this.push(this.named(name));
+    this.push(object);
+  }
+
+  /**
+   * Calls pop their arguments, then the callable (and its NULL or self slot)
+   *   3.10  CALL_FUNCTION n: [f, args]    CALL_METHOD n: [method, self, args] or [NULL, f, args]
+   *         CALL_FUNCTION_KW n: [f, args, names]
+   *   3.11+ CALL n:          [NULL, f, args] or [method, self, args]  (3.13: [f, NULL, args])
+   */
+  convertCall(opname, count) {
+    let callable;
+    let args = [];
+
+    if (opname === 'CALL_FUNCTION_EX') {
+      if (count & 0x01) this.pop(); // **kwargs
+      this.pop(); // *args
+      callable = this.pop();
+      if (this.stack[this.stack.length - 1] === NULL) this.pop();
+    } else {
+      if (opname === 'CALL_FUNCTION_KW' || opname === 'CALL_KW') this.pop(); // keyword names
+      args = this.stack.splice(Math.max(0, this.stack.length - count));
+
+      if (opname === 'CALL_FUNCTION' || opname === 'CALL_FUNCTION_KW') {
+        callable = this.pop();
+      } else {
+        const top = this.pop();
+        const below = this.pop();
+        callable = top === NULL ? below : below === NULL ? top : below;
+        if (top !== NULL && below !== NULL) args.unshift(top); // self
+      }
+    }
+
+    const code = this.codeObjects.get(callable);
+    const comprehension = COMPREHENSIONS.test(this.names.get(callable)) &&
+      this.sections.find(section => section.repr === code && !this.inlined.has(section));
+    if (comprehension) {
+      return this.push(this.inline(comprehension, args));
+    }
+
+    // A filled container is passed as its contents: t = load t10
+    for (const argument of args) {
+      if (this.containers.has(argument)) this.load(argument);
+    }
+
+    const dst = this.newTemp();
+    this.emit(`${dst} = call ${this.names.get(callable) || callable}`);
+    this.push(dst);
+  }
+
+  /**
+   * ROT_n: the top value moves down n - 1 places
+   */
+  rotate(depth) {
+    if (this.stack.length < depth) return;
+    this.stack.splice(this.stack.length - depth, 0, this.stack.pop());
+  }
+
+  /**
+   * LOAD_CONST argrepr: "8", "2.5", "'hello'", "None", "<code object add at 0x…>"
+   */
+  parseConstant(argrepr) {
+    const code = argrepr.match(/^<code object (\S+) at /);
+    if (code) {
+      const temp = this.named(code[1]);
+      this.codeObjects.set(temp, argrepr);
+      return temp;
+    }
+    const string = argrepr.match(/^'(.*)'$/) || argrepr.match(/^"(.*)"$/);
+    if (string) {
+      return JSON.stringify(string[1]);
+    }
+    return argrepr || this.newTemp();
+  }
+}
+
+module.exports = { PythonBytecodeToTACConverter };
@@ -0,0 +1,591 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Process sandbox for user programs
+ *
+ * Every run gets:
+ * - A fresh per-run working directory (removed afterwards)
+ * - rlimits via prlimit: address space, CPU seconds, file size
+ * - No network (bwrap --unshare-net or unshare --net)
+ * - A read-only view of the system paths the runtimes need, and nothing else of the host:
+ *   the server's source, .env and JOBS_DIR stay out of it (bwrap only)
+ * - A process limit from the pids cgroup, when SANDBOX_CGROUP names one. RLIMIT_NPROC is not
+ *   used: it counts every process of the user, so concurrent runs and the server would share it.
+ *
+ * Backends, strongest first: bwrap → unshare → prlimit → none.
+ * SANDBOX_BACKEND selects one explicitly, otherwise the first available is used.
+ * Only bwrap isolates the host filesystem: the weaker backends refuse to run user code
+ * unless SANDBOX_ALLOW_WEAK=true, and every result reports its `isolation`.
+ *
+ * Result status:
+ *   OK  - exited with code 0
+ *   TLE - wall clock or CPU limit exceeded
+ *   MLE - memory limit exceeded (allocation failures, or an OOM kill in the run's cgroup)
+ *   OLE - output or file size limit exceeded
+ *   RE  - non-zero exit code or killed by another signal
+ */
+
+const BACKENDS = ['bwrap', 'unshare', 'prlimit', 'none'];
+
+// Read-only in the bwrap view; missing ones are skipped (--ro-bind-try)
+const SYSTEM_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32',
+  '/etc/alternatives', '/etc/ld.so.cache', '/etc/ld.so.conf', '/etc/ld.so.conf.d', '/etc/localtime'
+];
+
+// Runtimes outside /usr (a JDK, pyenv or nvm) are bound by their install prefix
+const RUNTIME_COMMANDS = ['gcc', 'g++', 'clang', 'python', 'python3', 'java', 'javac', 'javap', 'node'];
+
+// Never visible to user code, even inside a bound path
+const SERVER_ROOT = path.resolve(__dirname, '..');
+
+// What each backend isolates
+const ISOLATION = {
+  bwrap: { readOnlyFilesystem: true, network: true, rlimits: true },
+  unshare: { readOnlyFilesystem: false, network: true, rlimits: true },
+  prlimit: { readOnlyFilesystem: false, network: false, rlimits: true },
+  none: { readOnlyFilesystem: false, network: false, rlimits: false }
+};
+
+// memoryMode 'rlimit' caps the address space; 'heap' leaves it to the runtime's own
+// heap flag (JVM and V8 reserve far more virtual memory than they ever use)
+const DEFAULT_LIMITS = {
+  c: { memoryMb: 256, memoryMode: 'rlimit', cpuSeconds: 2, wallTimeMs: 5000, fileSizeKb: 1024, processes: 16, outputKb: 1024 },
+  cpp: { memoryMb: 256, memoryMode: 'rlimit', cpuSeconds: 2, wallTimeMs: 5000, fileSizeKb: 1024, processes: 16, outputKb: 1024 },
+  python: { memoryMb: 512, memoryMode: 'rlimit', cpuSeconds: 5, wallTimeMs: 10000, fileSizeKb: 1024, processes: 16, outputKb: 1024 },
+  javascript: { memoryMb: 256, memoryMode: 'heap', cpuSeconds: 5, wallTimeMs: 10000, fileSizeKb: 1024, processes: 64, outputKb: 1024 },
+  java: { memoryMb: 256, memoryMode: 'heap', cpuSeconds: 5, wallTimeMs: 10000, fileSizeKb: 1024, processes: 256, outputKb: 1024 }
+};
+
+// Compilers and disassemblers run under the language's limits, with more time and room for
+// what they write (an executable, LLVM IR with debug info, javap listings)
+const COMPILE_LIMITS = { cpuSeconds: 10, wallTimeMs: 10000, fileSizeKb: 65536, outputKb: 4096 };
+
+const LANGUAGE_ALIASES = {
+  'c++': 'cpp',
+  js: 'javascript',
+  node: 'javascript'
+};
+
+const MEMORY_ERROR_PATTERNS = [
+  /std::bad_alloc/,
+  /MemoryError/,
+  /java\.lang\.OutOfMemoryError/,
+  /JavaScript heap out of memory/,
+  /Cannot allocate memory/,
+  /out of memory/i
+];
+
+/**
+ * Whether a path is a directory or inside it
+ */
+function isInside(dir, parent) {
+  return dir === parent || dir.startsWith(parent + path.sep);
+}
+
+class Sandbox {
+  /**
+   * @param {Object} options - { backend, limits, allowWeak, cgroup } (limits keyed by language)
+   */
+  constructor(options = {}) {
+    this.requestedBackend = options.backend || process.env.SANDBOX_BACKEND || 'auto';
+    this.allowWeak = options.allowWeak !== undefined ? options.allowWeak : process.env.SANDBOX_ALLOW_WEAK === 'true';
+    this.cgroup = options.cgroup !== undefined ? options.cgroup : process.env.SANDBOX_CGROUP || null;
+    this.limits = this.mergeLimits(DEFAULT_LIMITS, this.parseEnvLimits());
+    if (options.limits) {
+      this.limits = this.mergeLimits(this.limits, options.limits);
+    }
+    this.hidden = options.hidden || [SERVER_ROOT, process.env.JOBS_DIR].filter(Boolean).map(dir => path.resolve(dir));
+    this.backend = null;
+    this.mounts = null;
+  }
+
+  /**
+   * Read per-language overrides from SANDBOX_LIMITS (JSON)
+   * e.g. SANDBOX_LIMITS='{"python":{"memoryMb":1024,"cpuSeconds":10}}'
+   */
+  parseEnvLimits() {
+    if (!process.env.SANDBOX_LIMITS) return {};
+
+    try {
+      return JSON.parse(process.env.SANDBOX_LIMITS);
+    } catch (error) {
+      console.error('✗ Invalid SANDBOX_LIMITS JSON, using defaults:', error.message);
+      return {};
+    }
+  }
+
+  mergeLimits(base, overrides) {
+    const merged = {};
+    for (const [language, limits] of Object.entries(base)) {
+      const key = LANGUAGE_ALIASES[language] || language;
+      merged[key] = { ...limits, ...(overrides[language] || {}), ...(overrides[key] || {}) };
+    }
+    return merged;
+  }
+
+  /**
+   * Get effective limits for a language
+   */
+  getLimits(language) {
+    const key = LANGUAGE_ALIASES[language.toLowerCase()] || language.toLowerCase();
+    return { ...(this.limits[key] || this.limits.c) };
+  }
+
+  /**
+   * Limits for the build steps of a language (compile, disassemble)
+   */
+  getCompileLimits(language) {
+    return { ...this.getLimits(language), ...COMPILE_LIMITS };
+  }
+
+  /**
+   * Pick the strongest backend available on this host (cached)
+   */
+  async detectBackend() {
+    if (this.backend) return this.backend;
+
+    if (this.requestedBackend !== 'auto') {
+      if (!BACKENDS.includes(this.requestedBackend)) {
+        console.error(`✗ Unknown SANDBOX_BACKEND "${this.requestedBackend}", falling back to auto-detection`);
+      } else {
+        this.backend = this.requestedBackend;
+        return this.backend;
+      }
+    }
+
+    if (await this.probe('bwrap', [...this.bwrapMounts(await this.resolveMounts()), '--unshare-net', 'true'])) {
+      this.backend = 'bwrap';
+    } else if (await this.probe('unshare', ['--net', '--map-root-user', 'true'])) {
+      this.backend = 'unshare';
+    } else if (await this.probe('prlimit', ['--version'])) {
+      this.backend = 'prlimit';
+    } else {
+      this.backend = 'none';
+    }
+
+    if (!this.isAllowed(this.backend)) {
+      console.log(`⚠ ${this.refusal(this.backend)}`);
+    } else if (this.backend === 'none') {
+      console.log('⚠ No sandbox backend available - user code runs without isolation (SANDBOX_ALLOW_WEAK=true)');
+    } else {
+      console.log(`✓ Sandbox backend: ${this.backend}`);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Whether user code may run on a backend: fail closed unless the filesystem is read-only
+   */
+  isAllowed(backend) {
+    return backend === 'bwrap' || this.allowWeak;
+  }
+
+  /**
+   * Why a backend is refused
+   */
+  refusal(backend) {
+    return `Sandbox backend "${backend}" leaves the host filesystem writable, user code is not run locally ` +
+      '(install bubblewrap, or set SANDBOX_ALLOW_WEAK=true to accept the weaker isolation)';
+  }
+
+  /**
+   * What a run was isolated from, with a warning for everything it was not
+   *
+   * @param {string} backend - Sandbox backend
+   * @param {string} processLimit - 'cgroup' or 'none'
+   * @returns {Object} { backend, level, read_only_filesystem, network_isolated, process_limit, warnings }
+   */
+  describeIsolation(backend, processLimit) {
+    const isolation = ISOLATION[backend];
+    const warnings = [];
+
+    if (!isolation.readOnlyFilesystem) {
+      warnings.push('The host filesystem is writable by the program');
+    }
+    if (!isolation.network) {
+      warnings.push('The program has network access');
+    }
+    if (!isolation.rlimits) {
+      warnings.push('No memory, CPU time or file size limits');
+    }
+    if (processLimit !== 'cgroup') {
+      warnings.push('No process limit (set SANDBOX_CGROUP to a pids cgroup)');
+    }
+
+    return {
+      backend: backend,
+      level: warnings.length === 0 ? 'full' : 'reduced',
+      read_only_filesystem: isolation.readOnlyFilesystem,
+      network_isolated: isolation.network,
+      process_limit: processLimit,
+      warnings: warnings
+    };
+  }
+
+  /**
+   * Check that a tool runs successfully
+   */
+  probe(command, args) {
+    return new Promise((resolve) => {
+      const child = spawn(command, args, { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('close', (code) => resolve(code === 0));
+    });
+  }
+
+  /**
+   * The paths bound read-only into the bwrap view (cached): SYSTEM_PATHS, the JDK's /etc/java-*
+   * configuration and the install prefix of every runtime found on PATH
+   */
+  async resolveMounts() {
+    if (this.mounts) return this.mounts;
+
+    const mounts = [...SYSTEM_PATHS];
+    try {
+      const etc = await fs.readdir('/etc');
+      mounts.push(...etc.filter(name => name.startsWith('java')).map(name => path.join('/etc', name)));
+    } catch (error) {
+      // No /etc to read
+    }
+    if (process.env.JAVA_HOME) {
+      mounts.push(path.resolve(process.env.JAVA_HOME));
+    }
+
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(dir => path.isAbsolute(dir));
+    for (const command of RUNTIME_COMMANDS) {
+      for (const dir of dirs) {
+        try {
+          // <prefix>/bin/<command>, after following symlinks such as /usr/bin/java → /usr/lib/jvm/...
+          const executable = await fs.realpath(path.join(dir, command));
+          mounts.push(path.dirname(path.dirname(executable)));
+          break;
+        } catch (error) {
+          // Not in this directory
+        }
+      }
+    }
+
+    // A path inside another one is already bound; the root would bind everything, and nothing
+    // from inside the server's directory is bound (a runtime under node_modules, say)
+    const unique = [...new Set(mounts)].filter(mount => mount !== '/' && !this.hidden.some(hidden => isInside(mount, hidden)));
+    this.mounts = unique.filter(mount => !unique.some(other => other !== mount && isInside(mount, other)));
+    return this.mounts;
+  }
+
+  /**
+   * bwrap arguments for the read-only view: the mounts, with a tmpfs over every hidden
+   * path (the server's directory, JOBS_DIR) that one of them contains
+   */
+  bwrapMounts(mounts) {
+    const args = mounts.flatMap(mount => ['--ro-bind-try', mount, mount]);
+    for (const hidden of this.hidden) {
+      if (mounts.some(mount => isInside(hidden, mount))) {
+        args.push('--tmpfs', hidden);
+      }
+    }
+    return args;
+  }
+
+  /**
+   * Create a fresh working directory for one run, named by a random UUID
+   * (mkdir without `recursive` fails instead of reusing an existing directory)
+   */
+  async createWorkDir(parentDir) {
+    await fs.mkdir(parentDir, { recursive: true });
+    const workDir = path.join(parentDir, crypto.randomUUID());
+    await fs.mkdir(workDir);
+    return workDir;
+  }
+
+  /**
+   * Remove a run's working directory and everything in it
+   */
+  async removeWorkDir(workDir) {
+    try {
+      await fs.rm(workDir, { recursive: true, force: true });
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+
+  /**
+   * Create a child of the SANDBOX_CGROUP pids cgroup for one run, capped at limits.processes
+   * (cgroup v1 and v2 both have pids.max and cgroup.procs)
+   *
+   * @returns {string|null} The run's cgroup directory, or null without a usable cgroup
+   */
+  async createProcessGroup(limits) {
+    if (!this.cgroup || !limits.processes) return null;
+
+    const dir = path.join(this.cgroup, `run-${crypto.randomUUID()}`);
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'pids.max'), String(limits.processes));
+      return dir;
+    } catch (error) {
+      console.error(`✗ Cannot use SANDBOX_CGROUP ${this.cgroup}: ${error.message}`);
+      await this.removeProcessGroup(dir);
+      return null;
+    }
+  }
+
+  /**
+   * Kill whatever is left in a run's cgroup, then remove it
+   */
+  async removeProcessGroup(dir) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      try {
+        await fs.rmdir(dir);
+        return;
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+      }
+
+      try {
+        const pids = (await fs.readFile(path.join(dir, 'cgroup.procs'), 'utf8')).split('\n').filter(Boolean);
+        for (const pid of pids) {
+          try {
+            process.kill(Number(pid), 'SIGKILL');
+          } catch (error) {
+            // Already gone
+          }
+        }
+      } catch (error) {
+        // Not a cgroup (or already removed)
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    console.error(`✗ Could not remove sandbox cgroup ${dir}`);
+  }
+
+  /**
+   * Whether the OOM killer killed a process of a run's cgroup (oom_kill in memory.events,
+   * cgroup v2 with the memory controller enabled; false without it)
+   */
+  async oomKilled(dir) {
+    try {
+      const events = await fs.readFile(path.join(dir, 'memory.events'), 'utf8');
+      const match = events.match(/^oom_kill (\d+)$/m);
+      return match !== null && Number(match[1]) > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the prlimit argv prefix for the given limits
+   */
+  buildRlimitArgs(limits) {
+    const args = [];
+
+    if (limits.memoryMode === 'rlimit' && limits.memoryMb) {
+      args.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+    }
+    if (limits.cpuSeconds) {
+      // Soft limit sends SIGXCPU, hard limit one second later sends SIGKILL
+      args.push(`--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + 1}`);
+    }
+    if (limits.fileSizeKb) {
+      args.push(`--fsize=${limits.fileSizeKb * 1024}`);
+    }
+
+    return args.length > 0 ? ['prlimit', ...args, '--'] : [];
+  }
+
+  /**
+   * Wrap an argv in the isolation layer for the selected backend
+   * With a cgroup, a shell joins it first and execs the rest, so no process starts outside it.
+   * @returns {Object} { command, args }
+   */
+  wrap(backend, argv, workDir, limits, cgroupDir = null) {
+    const rlimit = this.buildRlimitArgs(limits);
+    let full;
+
+    if (backend === 'bwrap') {
+      full = [
+        'bwrap',
+        ...this.bwrapMounts(this.mounts || SYSTEM_PATHS),
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp',
+        '--bind', workDir, workDir,
+        '--chdir', workDir,
+        '--unshare-net',
+        '--unshare-pid',
+        '--die-with-parent',
+        '--new-session',
+        '--',
+        ...rlimit,
+        ...argv
+      ];
+    } else if (backend === 'unshare') {
+      full = ['unshare', '--net', '--map-root-user', '--', ...rlimit, ...argv];
+    } else if (backend === 'prlimit') {
+      full = [...rlimit, ...argv];
+    } else {
+      full = argv;
+    }
+
+    if (cgroupDir) {
+      full = ['sh', '-c', 'echo $$ > "$0" && exec "$@"', path.join(cgroupDir, 'cgroup.procs'), ...full];
+    }
+
+    return { command: full[0], args: full.slice(1) };
+  }
+
+  /**
+   * Run a program inside the sandbox
+   *
+   * @param {Array} argv - Program and arguments (never passed through a shell)
+   * @param {Object} options - { workDir, stdin, limits }
+   * @returns {Object} { stdout, stderr, exitCode, signal, status, duration, limits, sandbox, isolation }
+   */
+  async run(argv, options) {
+    const backend = await this.detectBackend();
+    if (!this.isAllowed(backend)) {
+      throw new Error(this.refusal(backend));
+    }
+
+    if (backend === 'bwrap') {
+      await this.resolveMounts();
+    }
+
+    const limits = options.limits;
+    const cgroupDir = await this.createProcessGroup(limits);
+    const processLimit = cgroupDir ? 'cgroup' : 'none';
+    const { command, args } = this.wrap(backend, argv, options.workDir, limits, cgroupDir);
+
+    try {
+      const result = await this.spawnRun(command, args, options);
+      result.oomKilled = cgroupDir ? await this.oomKilled(cgroupDir) : false;
+      result.status = this.classify(result, limits);
+      result.limits = limits;
+      result.sandbox = backend;
+      result.isolation = this.describeIsolation(backend, processLimit);
+      return result;
+    } finally {
+      if (cgroupDir) {
+        await this.removeProcessGroup(cgroupDir);
+      }
+    }
+  }
+
+  /**
+   * Spawn the wrapped program and enforce the wall clock and output limits
+   * Output is collected as Buffers and decoded once, so no UTF-8 character is split between chunks.
+   */
+  spawnRun(command, args, options) {
+    const limits = options.limits;
+    const outputLimit = limits.outputKb * 1024;
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const child = spawn(command, args, {
+        cwd: options.workDir,
+        env: this.buildEnv(options.workDir),
+        windowsHide: true
+      });
+
+      const stdout = [];
+      const stderr = [];
+      let outputSize = 0;
+      let timedOut = false;
+      let outputExceeded = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, limits.wallTimeMs);
+
+      const collect = (stream) => (data) => {
+        outputSize += data.length;
+        if (outputSize > outputLimit) {
+          if (!outputExceeded) {
+            outputExceeded = true;
+            child.kill('SIGKILL');
+          }
+          return;
+        }
+        (stream === 'stdout' ? stdout : stderr).push(data);
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      // Programs that exit without reading stdin close the pipe early
+      child.stdin.on('error', () => {});
+      if (options.stdin) {
+        child.stdin.write(options.stdin);
+      }
+      child.stdin.end();
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        const duration = Date.now() - startTime;
+        resolve({
+          stdout: Buffer.concat(stdout).toString('utf8'),
+          stderr: Buffer.concat(stderr).toString('utf8'),
+          exitCode: code === null ? null : code,
+          signal: signal || null,
+          duration: duration,
+          timedOut: timedOut,
+          outputExceeded: outputExceeded
+        });
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Minimal environment for user programs: none of the server's variables. With bwrap the
+   * files holding its secrets (.env, JOBS_DIR) are out of view as well.
+   */
+  buildEnv(workDir) {
+    return {
+      PATH: process.env.PATH,
+      HOME: workDir,
+      TMPDIR: workDir,
+      LANG: process.env.LANG || 'C.UTF-8'
+    };
+  }
+
+  /**
+   * Decide which limit (if any) ended the program
+   */
+  classify(result, limits) {
+    if (result.timedOut || result.signal === 'SIGXCPU') {
+      return 'TLE';
+    }
+
+    if (result.outputExceeded || result.signal === 'SIGXFSZ') {
+      return 'OLE';
+    }
+
+    // SIGKILL is the OOM killer when the cgroup counted an OOM kill, else the hard CPU limit
+    // (a program that survived SIGXCPU), which cannot come before that much time has passed
+    if (result.signal === 'SIGKILL') {
+      if (result.oomKilled) return 'MLE';
+      return result.duration >= limits.cpuSeconds * 1000 ? 'TLE' : 'RE';
+    }
+
+    if (result.exitCode !== 0 && MEMORY_ERROR_PATTERNS.some(pattern => pattern.test(result.stderr))) {
+      return 'MLE';
+    }
+
+    if (result.signal || result.exitCode !== 0) {
+      return 'RE';
+    }
+
+    return 'OK';
+  }
+}
+
+module.exports = { Sandbox, DEFAULT_LIMITS, COMPILE_LIMITS, ISOLATION, SYSTEM_PATHS };
@@ -1,23 +1,47 @@
 const axios = require('axios');
 
+// Compiler Explorer compiler ids and flags per language (godbolt.org ids: clang 16).
+// On godbolt `clang1600` is the C++ compiler and `cclang1600` the C one; `-x`
+// makes the language explicit whatever the source file is named.
+const DEFAULT_COMPILERS = {
+  c: { id: 'cclang1600', flags: '-x c -std=gnu11' },
+  cpp: { id: 'clang1600', flags: '-x c++ -std=gnu++17' }
+};
+
 /**
- * IR Extractor using ONLY Compiler Explorer (Godbolt) API
+ * IR Extractor using ONLY the Compiler Explorer API (godbolt.org or a self-hosted instance)
  * NO PISTON. NO EXECUTION. ONLY COMPILATION.
  */
 class SimpleIRExtractor {
-  
+  /**
+   * @param {Object} options - { baseUrl, compilers } (default: https://godbolt.org)
+   *   compilers: { c: { id, flags }, cpp: { id, flags } } - overrides for self-hosted instances
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://godbolt.org').replace(/\/+$/, '');
+    const overrides = options.compilers || {};
+    this.compilers = {
+      c: { ...DEFAULT_COMPILERS.c, ...(overrides.c || {}) },
+      cpp: { ...DEFAULT_COMPILERS.cpp, ...(overrides.cpp || {}) }
+    };
+  }
+
   /**
    * Extract LLVM IR from C/C++ code using Compiler Explorer
+   * @param {boolean} isCpp - Compile as C++ (C++ compiler id and flags)
+   * @param {Array} files - Extra project files ({ name, content }) the source may #include
+   * @param {Array} flags - Extra clang flags (CompilerOptions.buildIRFlags), after the defaults
    */
-  async extractC(code, isCpp = false) {
-    const compilerId = 'clang1600'; // clang 16.0.0
-    const url = `https://godbolt.org/api/compiler/${compilerId}/compile`;
+  async extractC(code, isCpp = false, files = [], flags = []) {
+    const compiler = isCpp ? this.compilers.cpp : this.compilers.c;
+    const url = `${this.baseUrl}/api/compiler/${compiler.id}/compile`;
     
     try {
       const response = await axios.post(url, {
         source: code,
+        files: files.map(file => ({ filename: file.name, contents: file.content })),
         options: {
-          userArguments: '-S -emit-llvm -O0',
+          userArguments: [compiler.flags, ...flags, '-S -emit-llvm -O0 -g'].join(' '),
           filters: {
             binary: false,
             execute: false
@@ -30,15 +54,8 @@ class SimpleIRExtractor {
         timeout: 15000
       });
 
-      // Extract LLVM IR from asm field
-      if (response.data && response.data.asm && Array.isArray(response.data.asm)) {
-        const llvmIR = response.data.asm
-          .map(line => line.text || '')
-          .join('\n');
-        return llvmIR;
-      }
-      
-      // Check for compilation errors
+      // Check for compilation errors first: a failed build still has an asm field,
+      // [{ text: '<Compilation failed>' }]
       if (response.data && response.data.code !== 0) {
         const stderr = response.data.stderr || [];
         const errorMsg = Array.isArray(stderr) 
@@ -46,6 +63,14 @@ class SimpleIRExtractor {
           : stderr;
         return `; Compilation failed\n; ${errorMsg || 'Unknown error'}`;
       }
+
+      // Extract LLVM IR from asm field
+      if (response.data && response.data.asm && Array.isArray(response.data.asm)) {
+        const llvmIR = response.data.asm
+          .map(line => line.text || '')
+          .join('\n');
+        return llvmIR;
+      }
       
       return '; LLVM IR not generated';
     } catch (error) {
@@ -56,19 +81,19 @@ class SimpleIRExtractor {
   /**
    * Main extraction router
    */
-  async extract(language, code) {
+  async extract(language, code, files = [], flags = []) {
     const lang = language.toLowerCase();
     
     switch (lang) {
       case 'c':
-        return await this.extractC(code, false);
+        return await this.extractC(code, false, files, flags);
       case 'cpp':
       case 'c++':
-        return await this.extractC(code, true);
+        return await this.extractC(code, true, files, flags);
       default:
         return `; IR extraction only supported for C/C++. Use Compiler Explorer.`;
     }
   }
 }
 
-module.exports = { SimpleIRExtractor };
+module.exports = { SimpleIRExtractor, DEFAULT_COMPILERS };
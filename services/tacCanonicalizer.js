@@ -0,0 +1,403 @@
+/**
+ * TAC Canonicalizer - Algebraic canonical form of TAC before the logic check
+ *
+ * The converters put the operands of add and mul in structural order (orderOperands()), but
+ * the same computation written another way still counts as different operations:
+ *
+ *   return x * 2;   return x + x;   return x << 1;     a mul, an add, a shl
+ *   return a - -b;  return a + b;                      two subs, an add
+ *
+ * canonicalize() rewrites the unfiltered TAC of one function with these rules:
+ *
+ *   negation_folding     a - (0 - b) → a + b    a + (0 - b) → a - b    0 - (0 - x) → x    x * -1 → 0 - x
+ *   strength_reduction   x << k → x * 2^k       x + x → x * 2
+ *   reassociation        add (or mul) chains within a block are rebuilt left to right, their
+ *                        operands in structural order: (c + a) + b and a + (b + c) alike
+ *
+ * The structural hash of a value says how it is computed, not which temps hold it: constants
+ * by value, temps the function never assigns (parameters, slots) by number, loads by location
+ * and the stores, calls and labels before them, add and mul by the multiset of their flattened
+ * operands. Temps that only a rewritten instruction used (the 0 - b, the second load of x) are
+ * removed with it.
+ */
+
+const { TACInstructions } = require('./tacInstructions');
+const { TACSimilarity } = require('./tacSimilarity');
+
+const tacInstructions = new TACInstructions();
+
+const tacSimilarity = new TACSimilarity();
+
+// In the order they are applied to each instruction
+const RULES = ['negation_folding', 'strength_reduction', 'reassociation'];
+
+const ASSOCIATIVE_OPERATIONS = ['add', 'mul'];
+
+// Instructions after which a new basic block starts
+const BLOCK_ENDS = ['goto', 'indirect_goto', 'branch', 'switch', 'return', 'unreachable'];
+
+const TEMP = /^t\d+$/;
+const TEMPS = /\bt\d+\b/g;
+const LITERAL = /^-?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+// x << k is only rewritten while 2^k is an exact integer
+const MAX_SHIFT = 52;
+
+/**
+ * FNV-1a hash of a string, as 8 hex digits
+ */
+function fnv(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+class TACCanonicalizer {
+  /**
+   * @param {Object} options - { rules: names from RULES (default all) }
+   */
+  constructor(options = {}) {
+    this.rules = RULES.filter(rule => !options.rules || options.rules.includes(rule));
+  }
+
+  /**
+   * Canonicalize the TAC of one function
+   * @param {Array} tac - TAC strings or instruction objects (returned in the same form)
+   * @returns {Object} { tac, rewrites: [{ rule, from, to }] } from and to are TAC lines
+   */
+  canonicalize(tac) {
+    const objects = (tac || []).some(entry => typeof entry !== 'string');
+    const original = tacInstructions.parseAll(tac || []);
+    const state = {
+      definitions: this.countTemps(original, instruction => instruction.dst ? [instruction.dst] : []),
+      inputs: tacSimilarity.inputs(original),
+      rewrites: []
+    };
+
+    const rewritten = this.rewrite(original, state);
+    const live = this.removeUnused(rewritten, this.countTemps(original, this.usedTemps), state);
+    const result = this.rules.includes('reassociation') ? this.reassociate(live, state) : live;
+
+    if (state.rewrites.length === 0 && tacInstructions.renderAll(result).join('\n') === tacInstructions.renderAll(original).join('\n')) {
+      return { tac: tac || [], rewrites: [] };
+    }
+    return { tac: objects ? result : tacInstructions.renderAll(result), rewrites: state.rewrites };
+  }
+
+  /**
+   * Sort the operands of every add and mul of one function by structural hash, so their order
+   * depends on how the operands are computed, not on the temp numbering (t10 < t2 by name).
+   * The converters run this on each function; nothing else is rewritten.
+   * @param {Array} tac - TAC strings or instruction objects (returned in the same form)
+   * @returns {Array} The TAC with ordered operands
+   */
+  orderOperands(tac) {
+    const objects = (tac || []).some(entry => typeof entry !== 'string');
+    const instructions = tacInstructions.parseAll(tac || []);
+    const state = { inputs: tacSimilarity.inputs(instructions) };
+    const values = new Map();
+    const memory = this.memory();
+    const hash = arg => this.operandHash(arg, values, state);
+
+    const ordered = instructions.map(instruction => {
+      const [a, b] = instruction.args;
+      const swap = ASSOCIATIVE_OPERATIONS.includes(instruction.op) && instruction.args.length === 2 &&
+        this.compareOperands(b, a, values, state) < 0;
+      const current = swap ? { ...instruction, args: [b, a] } : instruction;
+      const value = this.valueHash(current, values, memory, state);
+      if (current.dst) values.set(current.dst, { hash: value, instruction: current });
+      return current;
+    });
+    return objects ? ordered : tacInstructions.renderAll(ordered);
+  }
+
+  /**
+   * Canonicalize an extraction (pistonService.extractTAC, or a program of verifyLogic)
+   * @param {Object} extraction - { tac, tac_raw, functions: [{ name, tac, tac_raw, ... }] }
+   * @returns {Object} { tac, tac_raw, functions, rewrites } the filtered TAC is the canonical
+   *   unfiltered TAC filtered again; without unfiltered TAC the filtered TAC is canonicalized
+   */
+  canonicalizeProgram(extraction) {
+    const unit = (raw, tac) => {
+      if (Array.isArray(raw)) {
+        const result = this.canonicalize(raw);
+        return { tac: result.tac === raw ? tac : result.tac.filter(line => tacInstructions.isCountable(line)),
+          tac_raw: result.tac, rewrites: result.rewrites };
+      }
+      const result = this.canonicalize(tac || []);
+      return { tac: result.tac, tac_raw: raw, rewrites: result.rewrites };
+    };
+
+    const program = unit(extraction.tac_raw, extraction.tac);
+    return {
+      tac: program.tac,
+      tac_raw: program.tac_raw,
+      functions: extraction.functions ? extraction.functions.map(func => {
+        const { tac, tac_raw } = unit(func.tac_raw, func.tac);
+        return { ...func, tac, tac_raw };
+      }) : extraction.functions,
+      rewrites: program.rewrites
+    };
+  }
+
+  /**
+   * Apply negation folding and strength reduction, computing structural hashes on the way
+   */
+  rewrite(instructions, state) {
+    const values = new Map(); // temp → { hash, instruction } of its last assignment
+    const memory = this.memory();
+    const hash = arg => this.operandHash(arg, values, state);
+
+    // b when temp holds 0 - b, and both are assigned once (so still hold those values here)
+    const negated = temp => {
+      const value = TEMP.test(temp) && this.assignedOnce(temp, state) && values.get(temp);
+      const definition = value && value.instruction;
+      return definition && definition.op === 'sub' && this.isZero(definition.args[0]) &&
+        this.assignedOnce(definition.args[1], state) ? definition.args[1] : null;
+    };
+
+    return instructions.map(instruction => {
+      let current = instruction;
+      const apply = (rule, op, args) => {
+        const next = { ...current, op, args };
+        state.rewrites.push({ rule, from: tacInstructions.render(current), to: tacInstructions.render(next) });
+        current = next;
+      };
+
+      if (this.rules.includes('negation_folding') && current.args.length === 2) {
+        const [a, b] = current.args;
+        if (current.op === 'sub' && negated(b) && this.isZero(a)) {
+          apply('negation_folding', 'copy', [negated(b)]);
+        } else if (current.op === 'sub' && negated(b)) {
+          apply('negation_folding', 'add', [a, negated(b)]);
+        } else if (current.op === 'add' && negated(b)) {
+          apply('negation_folding', 'sub', [a, negated(b)]);
+        } else if (current.op === 'add' && negated(a)) {
+          apply('negation_folding', 'sub', [b, negated(a)]);
+        } else if (current.op === 'mul' && [a, b].some(arg => this.isMinusOne(arg))) {
+          apply('negation_folding', 'sub', ['0', this.isMinusOne(a) ? b : a]);
+        }
+      }
+
+      if (this.rules.includes('strength_reduction') && current.args.length === 2) {
+        const [a, b] = current.args;
+        const shift = Number(b);
+        if (current.op === 'shl' && LITERAL.test(b) && Number.isInteger(shift) && shift >= 0 && shift <= MAX_SHIFT) {
+          apply('strength_reduction', 'mul', [a, String(2 ** shift)]);
+        } else if (current.op === 'add' && (a === b || (this.assignedOnce(a, state) && this.assignedOnce(b, state) &&
+          hash(a) === hash(b)))) {
+          apply('strength_reduction', 'mul', [a, '2']);
+        }
+      }
+
+      const value = this.valueHash(current, values, memory, state);
+      if (current.dst) {
+        values.set(current.dst, { hash: value, instruction: current });
+      }
+      return current;
+    });
+  }
+
+  /**
+   * Structural hash of what an instruction computes (null when it assigns nothing).
+   * memory: versions per location, bumped by stores; the epoch is bumped by calls, stores
+   * through computed addresses and labels (where values from other paths meet)
+   */
+  valueHash(instruction, values, memory, state) {
+    const { op, args } = instruction;
+    const hash = arg => this.operandHash(arg, values, state);
+    const computed = temp => !TEMP.test(temp) || (values.has(temp) && values.get(temp).instruction.op !== 'alloca');
+    if (op === 'label' || op === 'call' || (op === 'store' && computed(args[1]))) {
+      memory.epoch++;
+    }
+    if (op === 'store') {
+      const location = hash(args[1]);
+      memory.versions.set(location, (memory.versions.get(location) || 0) + 1);
+    }
+    if (!instruction.dst) return null;
+
+    if (op === 'copy') return hash(args[0]);
+    if (op === 'alloca') return fnv(`alloca:${memory.allocas++}`);
+    if (op === 'call') return fnv(`call:${args[0]}:${memory.calls++}`);
+    if (op === 'phi' || op === 'select') return fnv(`${op}:${memory.epoch}:${args.map(hash).join(',')}`);
+    if (op === 'load') {
+      const location = hash(args[0]);
+      return fnv(`load(${location}@${memory.versions.get(location) || 0}.${memory.epoch})`);
+    }
+    if (ASSOCIATIVE_OPERATIONS.includes(op)) {
+      // An operand that is itself the same operation contributes its operands, so the hash
+      // does not depend on how the chain is grouped
+      const leaves = args.flatMap(arg => {
+        const nested = memory.chains.get(hash(arg));
+        return nested && nested.op === op ? nested.leaves : [hash(arg)];
+      });
+      const value = fnv(`${op}(${[...leaves].sort().join(',')})`);
+      memory.chains.set(value, { op, leaves });
+      return value;
+    }
+    return fnv(`${op}(${args.map(hash).join(',')})`);
+  }
+
+  /**
+   * State of valueHash() at the start of a function
+   */
+  memory() {
+    return { versions: new Map(), chains: new Map(), epoch: 0, allocas: 0, calls: 0 };
+  }
+
+  /**
+   * Hash of an operand: the value a temp holds, a constant by value, other names as written
+   */
+  operandHash(arg, values, state) {
+    if (TEMP.test(arg)) {
+      return values.has(arg) ? values.get(arg).hash : fnv(`input:${state.inputs.get(arg) || arg}`);
+    }
+    if (LITERAL.test(arg)) {
+      return fnv(`#${Number(arg)}`);
+    }
+    return fnv(`#${arg.replace(TEMPS, temp => this.operandHash(temp, values, state))}`);
+  }
+
+  /**
+   * Structural order of two operands: constants by value, then temps that hold no computed
+   * value (parameters) by position, then everything else by structural hash
+   */
+  compareOperands(a, b, values, state) {
+    const hash = arg => this.operandHash(arg, values, state);
+    const kind = arg => LITERAL.test(arg) ? 0 : state.inputs.has(arg) && !values.has(arg) ? 1 : 2;
+    const position = arg => Number(state.inputs.get(arg).slice(1));
+    if (kind(a) !== kind(b)) return kind(a) - kind(b);
+    if (kind(a) === 0) return Number(a) - Number(b);
+    if (kind(a) === 1) return position(a) - position(b);
+    return hash(a) < hash(b) ? -1 : hash(a) > hash(b) ? 1 : 0;
+  }
+
+  /**
+   * Rebuild every add (or mul) chain of the same type within a block, whose inner results are
+   * used once, from its operands in structural order (compareOperands()); the chain keeps its temps
+   */
+  reassociate(instructions, state) {
+    const values = new Map();
+    const memory = this.memory();
+    const hash = arg => this.operandHash(arg, values, state);
+    instructions.forEach(instruction => {
+      const value = this.valueHash(instruction, values, memory, state);
+      if (instruction.dst) values.set(instruction.dst, { hash: value, instruction });
+    });
+
+    const uses = this.countTemps(instructions, this.usedTemps);
+    const definedAt = new Map();
+    const blocks = [];
+    let block = 0;
+    instructions.forEach((instruction, index) => {
+      if (instruction.op === 'label') block++;
+      blocks.push(block);
+      if (BLOCK_ENDS.includes(instruction.op)) block++;
+      if (instruction.dst) definedAt.set(instruction.dst, index);
+    });
+
+    // An inner link: assigned once, used once, by the same operation in the same block
+    const users = new Map();
+    instructions.forEach((instruction, index) => instruction.args.forEach(arg => users.set(arg, index)));
+    const isLink = index => {
+      const instruction = instructions[index];
+      const user = instructions[users.get(instruction.dst)];
+      return ASSOCIATIVE_OPERATIONS.includes(instruction.op) && this.assignedOnce(instruction.dst, state) &&
+        uses.get(instruction.dst) === 1 && user && user.op === instruction.op && user.type === instruction.type &&
+        blocks[users.get(instruction.dst)] === blocks[index];
+    };
+
+    const replaced = new Map(); // index → instructions to emit there (none for inner links)
+    instructions.forEach((root, index) => {
+      if (!ASSOCIATIVE_OPERATIONS.includes(root.op) || root.args.length !== 2 || isLink(index)) return;
+
+      const links = [];
+      const leaves = [];
+      const collect = arg => {
+        const at = definedAt.get(arg);
+        if (at !== undefined && at < index && instructions[at].op === root.op && instructions[at].args.length === 2 && isLink(at)) {
+          links.push(at);
+          instructions[at].args.forEach(collect);
+        } else {
+          leaves.push(arg);
+        }
+      };
+      root.args.forEach(collect);
+      // Operands are read at the root now, so they must not be reassigned in between
+      if (links.length > 0 && !leaves.every(leaf => !TEMP.test(leaf) || this.assignedOnce(leaf, state))) return;
+
+      const sorted = [...leaves].sort((a, b) => this.compareOperands(a, b, values, state));
+      const positions = [...links].sort((a, b) => a - b).concat(index);
+      let left = sorted[0];
+      const chain = positions.map((position, step) => {
+        const instruction = { ...instructions[position], op: root.op, args: [left, sorted[step + 1]], type: root.type };
+        left = instruction.dst;
+        return instruction;
+      });
+
+      const before = positions.map(position => tacInstructions.render(instructions[position]));
+      const after = chain.map(instruction => tacInstructions.render(instruction));
+      if (before.join('\n') === after.join('\n')) return;
+      if (links.length > 0) {
+        state.rewrites.push({ rule: 'reassociation', from: before.join('; '), to: after.join('; ') });
+      }
+      links.forEach(position => replaced.set(position, []));
+      replaced.set(index, chain);
+    });
+
+    return instructions.flatMap((instruction, index) => replaced.has(index) ? replaced.get(index) : [instruction]);
+  }
+
+  /**
+   * Remove instructions whose results were used before the rewrites and no longer are
+   * (calls stay, for what else they do)
+   */
+  removeUnused(instructions, usedBefore, state) {
+    let current = instructions;
+    for (;;) {
+      const uses = this.countTemps(current, this.usedTemps);
+      const unused = current.filter(instruction => instruction.dst && instruction.op !== 'call' &&
+        usedBefore.get(instruction.dst) && !uses.get(instruction.dst) && this.assignedOnce(instruction.dst, state));
+      if (unused.length === 0) return current;
+      current = current.filter(instruction => !unused.includes(instruction));
+    }
+  }
+
+  /**
+   * Temps read by an instruction, including those inside operands such as t1[t2]
+   */
+  usedTemps(instruction) {
+    return instruction.args.flatMap(arg => arg.match(TEMPS) || []);
+  }
+
+  /**
+   * How often each temp occurs, by what temps() returns for each instruction
+   */
+  countTemps(instructions, temps) {
+    const counts = new Map();
+    instructions.forEach(instruction => temps(instruction).forEach(temp => counts.set(temp, (counts.get(temp) || 0) + 1)));
+    return counts;
+  }
+
+  /**
+   * A temp that holds one value: never assigned (parameters, slots), or assigned once before
+   * it is read
+   */
+  assignedOnce(temp, state) {
+    const definitions = state.definitions.get(temp) || 0;
+    return TEMP.test(temp) && (definitions === 0 || (definitions === 1 && !state.inputs.has(temp)));
+  }
+
+  isZero(arg) {
+    return LITERAL.test(arg) && Number(arg) === 0;
+  }
+
+  isMinusOne(arg) {
+    return LITERAL.test(arg) && Number(arg) === -1;
+  }
+}
+
+module.exports = { TACCanonicalizer, RULES };
@@ -0,0 +1,107 @@
+/**
+ * TAC Converter - What the bytecode and AST converters share
+ *
+ * JVMBytecodeToTACConverter, PythonBytecodeToTACConverter and JavaScriptASTToTACConverter
+ * extend this class. It numbers temps, renames variables to temps, keeps the value stack of
+ * the bytecode converters and writes every TAC line twice: into the whole TAC and into the
+ * function it belongs to (this.current), so orderOperands() can reorder each function and
+ * write the result back:
+ *
+ *   binary('+', 't4', 't2')  →  t5 = t4 + t2  →  orderOperands()  →  t5 = t2 + t4
+ */
+
+const { TACCanonicalizer } = require('./tacCanonicalizer');
+
+const canonicalizer = new TACCanonicalizer();
+
+class TACConverter {
+  constructor() {
+    this.tacOutput = [];
+    this.owners = []; // [function, index in its TAC] of every line, for orderOperands()
+    this.varMap = new Map(); // Maps variables, slots and fields to t1, t2, t3...
+    this.tempCounter = 0;
+    this.stack = [];
+    this.labelCounter = 0;
+    this.functions = []; // The same TAC grouped by function, filled by convert()
+    this.current = null;
+  }
+
+  /**
+   * Start a new conversion: no TAC, temps and labels numbered from 1
+   */
+  reset() {
+    this.tacOutput = [];
+    this.owners = [];
+    this.varMap = new Map();
+    this.tempCounter = 0;
+    this.stack = [];
+    this.labelCounter = 0;
+    this.functions = [];
+    this.current = null;
+  }
+
+  /**
+   * New temp for a computed value
+   */
+  newTemp() {
+    this.tempCounter++;
+    return `t${this.tempCounter}`;
+  }
+
+  /**
+   * Temp for a variable, slot or field: the same key always gives the same temp
+   */
+  renameVar(key) {
+    if (!this.varMap.has(key)) {
+      this.varMap.set(key, this.newTemp());
+    }
+    return this.varMap.get(key);
+  }
+
+  push(value) {
+    this.stack.push(value);
+  }
+
+  /**
+   * Pop a value; an empty stack (e.g. after a branch merge) yields an unknown temp
+   */
+  pop() {
+    return this.stack.length > 0 ? this.stack.pop() : this.newTemp();
+  }
+
+  /**
+   * Add a line to the TAC, and to the current function's TAC if there is one
+   */
+  emit(line) {
+    this.tacOutput.push(line);
+    if (this.current) {
+      this.current.tac.push(line);
+    }
+    this.owners.push(this.current ? [this.current, this.current.tac.length - 1] : null);
+  }
+
+  /**
+   * t = a op b (orderOperands() puts commutative operands in order once the function is done)
+   */
+  binary(operator, left, right) {
+    const dst = this.newTemp();
+    this.emit(`${dst} = ${left} ${operator} ${right}`);
+    return dst;
+  }
+
+  /**
+   * Put the operands of + and * in structural order within each function (tacCanonicalizer.js),
+   * as LLVMToTACConverter does, and write the reordered lines back into the whole TAC
+   */
+  orderOperands() {
+    for (const func of this.functions) {
+      func.tac = canonicalizer.orderOperands(func.tac);
+    }
+    this.tacOutput = this.tacOutput.map((line, index) => {
+      const owner = this.owners[index];
+      return owner ? owner[0].tac[owner[1]] : line;
+    });
+  }
+}
+
+module.exports = { TACConverter };
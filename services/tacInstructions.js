@@ -0,0 +1,242 @@
+/**
+ * TAC Instructions - One instruction model for every converter and checker
+ *
+ * Each TAC line is an instruction object:
+ *
+ *   { op: 'add', dst: 't3', args: ['t1', 't2'], type: 'i32', sourceLine: 4, sourceColumn: 12 }   t3 = t1 + t2
+ *   { op: 'store', dst: null, args: ['"a - b"', 't5'], type: null, sourceLine: null, sourceColumn: null }   store "a - b" -> t5
+ *
+ * op names the operation (add, sub, mul, div, lt, load, store, call, branch ...), dst is the
+ * temp it assigns, args are its operands in order (temps, literals as written, labels, the
+ * callee of a call), type is the result type when the IR has one and sourceLine / sourceColumn
+ * the position in the source code it comes from, when known (LLVM IR compiled with -g).
+ * render() gives the string form the converters print and parse() reads it back; operands
+ * are split outside string literals, so the operators inside "a - b" are not operations.
+ *
+ * TAC_INSTRUCTION_SCHEMA is the JSON schema of an instruction for API consumers.
+ */
+
+// Infix operators; the converters put the operands of commutative + and * in structural order
+const BINARY_OPERATORS = {
+  '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'rem', '**': 'pow', '@': 'matmul',
+  '<<': 'shl', '>>': 'shr', '>>>': 'ushr', '&': 'and', '|': 'or', '^': 'xor',
+  '==': 'eq', '!=': 'ne', '===': 'strict_eq', '!==': 'strict_ne', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge',
+  instanceof: 'instanceof', in: 'in'
+};
+
+const SYMBOLS = Object.fromEntries(Object.entries(BINARY_OPERATORS).map(([symbol, op]) => [op, symbol]));
+
+// Prefix operators written without a space: !t3, ~t3
+const UNARY_OPERATORS = { '!': 'not', '~': 'bitnot' };
+
+const CAST_OPCODES = [
+  'trunc', 'zext', 'sext', 'fptrunc', 'fpext', 'fptoui', 'fptosi', 'uitofp', 'sitofp',
+  'ptrtoint', 'inttoptr', 'bitcast', 'addrspacecast'
+];
+
+// Operands: string literals (which may hold spaces) or runs of non-space characters
+const OPERAND = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`|\S+/g;
+
+const TAC_INSTRUCTION_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'TAC instruction',
+  description: 'One three-address code instruction; render() gives its string form (t3 = t1 + t2)',
+  type: 'object',
+  required: ['op', 'dst', 'args', 'type', 'sourceLine', 'sourceColumn'],
+  additionalProperties: false,
+  properties: {
+    op: {
+      type: 'string',
+      description: 'Operation: ' + [
+        ...Object.values(BINARY_OPERATORS), ...Object.values(UNARY_OPERATORS), ...CAST_OPCODES,
+        'copy', 'select', 'phi', 'address', 'load', 'store', 'alloca', 'call', 'return',
+        'label', 'goto', 'indirect_goto', 'branch', 'switch', 'unreachable', 'expr'
+      ].join(', ') + ', or an IR opcode kept as is (extractvalue, typeof ...)'
+    },
+    dst: {
+      type: ['string', 'null'],
+      pattern: '^t\\d+$',
+      description: 'Temp the instruction assigns, null when it assigns none'
+    },
+    args: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Operands in order: temps (t1), literals as written (5, "text"), labels (L2), the callee of a call. ' +
+        'branch: [condition, true label, false label]; switch: [value, default label, case value, case label, ...]; ' +
+        'phi: [value, label, ...]; store: [value, location]'
+    },
+    type: {
+      type: ['string', 'null'],
+      description: 'Result type from the IR (i32, double, ptr), the target type of a cast; null when unknown'
+    },
+    sourceLine: {
+      type: ['integer', 'null'],
+      minimum: 1,
+      description: 'Line of the source code the instruction comes from, null when unknown'
+    },
+    sourceColumn: {
+      type: ['integer', 'null'],
+      minimum: 1,
+      description: 'Column of that line, null when unknown'
+    }
+  }
+};
+
+class TACInstructions {
+  /**
+   * A new instruction object
+   */
+  create(op, dst = null, args = [], type = null, sourceLine = null, sourceColumn = null) {
+    return { op, dst, args, type, sourceLine, sourceColumn };
+  }
+
+  /**
+   * Instruction object of a TAC string; objects are returned as they are.
+   * Lines that are not one of the known forms are kept whole as { op: 'expr' }.
+   */
+  parse(line, sourceLine = null, sourceColumn = null) {
+    if (typeof line !== 'string') {
+      return line;
+    }
+
+    const instruction = this.read(line, sourceLine, sourceColumn);
+    if (instruction && this.render(instruction) === line) {
+      return instruction;
+    }
+
+    const assignment = line.match(/^(t\d+) = (.+)$/);
+    return assignment
+      ? this.create('expr', assignment[1], [assignment[2]], null, sourceLine, sourceColumn)
+      : this.create('expr', null, [line], null, sourceLine, sourceColumn);
+  }
+
+  /**
+   * Instruction objects of a TAC array (strings or objects)
+   */
+  parseAll(tac) {
+    return (tac || []).map(line => this.parse(line));
+  }
+
+  read(line, sourceLine, sourceColumn) {
+    const create = (op, dst, args, type = null) => this.create(op, dst, args, type, sourceLine, sourceColumn);
+    let match;
+
+    if ((match = line.match(/^(L\d+):$/))) return create('label', null, [match[1]]);
+    if ((match = line.match(/^goto \*(.+)$/))) return create('indirect_goto', null, [match[1]]);
+    if ((match = line.match(/^goto (\S+)$/))) return create('goto', null, [match[1]]);
+    if ((match = line.match(/^if (.+) goto (L\d+) else (L\d+)$/))) return create('branch', null, [match[1], match[2], match[3]]);
+    if ((match = line.match(/^switch (.+) \[(.*)\] default (L\d+)$/))) {
+      const cases = match[2] ? match[2].split(', ').flatMap(entry => entry.split(': ')) : [];
+      return create('switch', null, [match[1], match[3], ...cases]);
+    }
+    if (line === 'return') return create('return', null, []);
+    if ((match = line.match(/^return (.+)$/))) return create('return', null, [match[1]]);
+    if (line === 'unreachable') return create('unreachable', null, []);
+    if ((match = line.match(/^store (.+) -> (\S+)$/))) return create('store', null, [match[1], match[2]]);
+    if ((match = line.match(/^(?:(t\d+) = )?call (.+)$/))) return create('call', match[1] || null, [match[2]]);
+
+    const assignment = line.match(/^(t\d+) = (.+)$/);
+    if (!assignment) {
+      // IR instructions without a result: fence, ...
+      return (match = line.match(/^([A-Za-z_]\w*)(?: (.+))?$/)) ? create(match[1], null, match[2] ? match[2].split(', ') : []) : null;
+    }
+
+    const [, dst, value] = assignment;
+    const operands = value.match(OPERAND) || [];
+
+    if (value === 'alloca') return create('alloca', dst, []);
+    if ((match = value.match(/^load (\S+)$/))) return create('load', dst, [match[1]]);
+    if (value.startsWith('&')) return create('address', dst, [value.slice(1)]);
+    if ((match = value.match(new RegExp(`^(${CAST_OPCODES.join('|')}) (\\S+) to (.+)$`)))) {
+      return create(match[1], dst, [match[2]], match[3]);
+    }
+    if ((match = value.match(/^phi (.+)$/))) {
+      const incoming = [...match[1].matchAll(/\[(.+?), (L\d+)\]/g)].flatMap(entry => [entry[1], entry[2]]);
+      return create('phi', dst, incoming);
+    }
+    if (operands.length === 3 && BINARY_OPERATORS[operands[1]]) {
+      return create(BINARY_OPERATORS[operands[1]], dst, [operands[0], operands[2]]);
+    }
+    if (operands.length === 5 && operands[1] === '?' && operands[3] === ':') {
+      return create('select', dst, [operands[0], operands[2], operands[4]]);
+    }
+    if (operands.length === 1) {
+      const unary = UNARY_OPERATORS[value[0]];
+      return unary && value.length > 1 ? create(unary, dst, [value.slice(1)]) : create('copy', dst, [value]);
+    }
+
+    // Chains of operators are not one instruction: t3 = t1 + t2 + t4
+    if (operands.length > 1 && (BINARY_OPERATORS[operands[1]] || operands[1] === '?')) return null;
+
+    // IR opcodes and word operators keep their name: t5 = extractvalue t4, 0; t3 = typeof t2
+    match = value.match(/^([A-Za-z_]\w*) (.+)$/);
+    return match ? create(match[1], dst, match[2].split(', ')) : null;
+  }
+
+  /**
+   * String form of an instruction (what the converters print)
+   */
+  render(instruction) {
+    if (typeof instruction === 'string') {
+      return instruction;
+    }
+
+    const { op, dst, args } = instruction;
+    const assign = text => dst ? `${dst} = ${text}` : text;
+
+    if (SYMBOLS[op]) return assign(`${args[0]} ${SYMBOLS[op]} ${args[1]}`);
+    if (CAST_OPCODES.includes(op)) return assign(`${op} ${args[0]} to ${instruction.type}`);
+
+    switch (op) {
+      case 'not': return assign(`!${args[0]}`);
+      case 'bitnot': return assign(`~${args[0]}`);
+      case 'copy': return assign(args[0]);
+      case 'select': return assign(`${args[0]} ? ${args[1]} : ${args[2]}`);
+      case 'phi': return assign(`phi ${this.pairs(args).map(([value, label]) => `[${value}, ${label}]`).join(', ')}`);
+      case 'address': return assign(`&${args[0]}`);
+      case 'load': return assign(`load ${args[0]}`);
+      case 'alloca': return assign('alloca');
+      case 'call': return assign(`call ${args[0]}`);
+      case 'store': return `store ${args[0]} -> ${args[1]}`;
+      case 'return': return args.length > 0 ? `return ${args[0]}` : 'return';
+      case 'label': return `${args[0]}:`;
+      case 'goto': return `goto ${args[0]}`;
+      case 'indirect_goto': return `goto *${args[0]}`;
+      case 'branch': return `if ${args[0]} goto ${args[1]} else ${args[2]}`;
+      case 'switch': {
+        const cases = this.pairs(args.slice(2)).map(([value, label]) => `${value}: ${label}`);
+        return `switch ${args[0]} [${cases.join(', ')}] default ${args[1]}`;
+      }
+      case 'unreachable': return 'unreachable';
+      case 'expr': return assign(args[0]);
+      default: return assign(`${op}${args.length > 0 ? ` ${args.join(', ')}` : ''}`);
+    }
+  }
+
+  /**
+   * String forms of a TAC array
+   */
+  renderAll(tac) {
+    return (tac || []).map(instruction => this.render(instruction));
+  }
+
+  pairs(args) {
+    const pairs = [];
+    for (let index = 0; index + 1 < args.length; index += 2) {
+      pairs.push([args[index], args[index + 1]]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Whether filter() keeps an instruction: computations, calls and returns, not memory
+   * accesses or control flow
+   */
+  isCountable(instruction) {
+    const { op, dst } = this.parse(instruction);
+    if (op === 'call' || op === 'return') return true;
+    return Boolean(dst) && op !== 'alloca' && op !== 'load';
+  }
+}
+
+module.exports = { TACInstructions, TAC_INSTRUCTION_SCHEMA, BINARY_OPERATORS };
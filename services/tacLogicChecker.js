@@ -11,14 +11,32 @@
  * 
  *   Output check: 8 == 8 ✓ (FALSE POSITIVE!)
  *   TAC check:    Reference has ADD operation, User has none ✗ (CORRECT DETECTION!)
+ *
+ * Both programs are put in algebraic canonical form first (tacCanonicalizer.js), so x + x,
+ * x << 1 and x * 2 are the same operation, and so are a - (-b) and a + b.
  */
 
+const { CFGBuilder } = require('./cfgBuilder');
+const { DataFlowAnalyzer } = require('./dataFlowAnalyzer');
+const { TACInstructions } = require('./tacInstructions');
+const { TACCanonicalizer } = require('./tacCanonicalizer');
+
+// Operations counted by extractOperations()
+const COUNTED_OPERATIONS = ['add', 'sub', 'mul', 'div', 'call', 'return', 'load', 'store', 'alloca'];
+
 class TACLogicChecker {
-  constructor() {
+  /**
+   * @param {Object} options - { canonicalize: false to compare the TAC as extracted }
+   */
+  constructor(options = {}) {
     // Cache for reference code TAC to avoid re-extraction
     // Key: hash of (code + language), Value: { tac, operations, timestamp }
     this.referenceCache = new Map();
     this.CACHE_TTL = 3600000; // 1 hour in milliseconds
+    this.cfgBuilder = new CFGBuilder();
+    this.dataFlowAnalyzer = new DataFlowAnalyzer();
+    this.tacInstructions = new TACInstructions();
+    this.canonicalizer = options.canonicalize === false ? null : new TACCanonicalizer();
   }
 
   /**
@@ -48,36 +66,129 @@ class TACLogicChecker {
   }
 
   /**
-   * Extract TAC operations from filtered TAC array
+   * Extract TAC operations from filtered TAC array (strings or instruction objects)
    */
   extractOperations(tac) {
-    const operations = {
-      add: 0,
-      sub: 0,
-      mul: 0,
-      div: 0,
-      call: 0,
-      return: 0,
-      load: 0,
-      store: 0,
-      alloca: 0
-    };
+    const operations = Object.fromEntries(COUNTED_OPERATIONS.map(op => [op, 0]));
 
-    for (const line of tac) {
-      if (line.includes(' + ')) operations.add++;
-      else if (line.includes(' - ')) operations.sub++;
-      else if (line.includes(' * ')) operations.mul++;
-      else if (line.includes(' / ')) operations.div++;
-      else if (line.includes('call ')) operations.call++;
-      else if (line.startsWith('return')) operations.return++;
-      else if (line.includes('load ')) operations.load++;
-      else if (line.includes('store ')) operations.store++;
-      else if (line.includes('alloca')) operations.alloca++;
+    for (const instruction of this.tacInstructions.parseAll(tac)) {
+      if (COUNTED_OPERATIONS.includes(instruction.op)) {
+        operations[instruction.op]++;
+      }
     }
 
     return operations;
   }
 
+  /**
+   * Count calls per function name (C++ names are demangled by the TAC converter)
+   * e.g. { 'std::sort': 1, printf: 2 }
+   */
+  extractCalls(tac) {
+    const calls = {};
+
+    for (const instruction of this.tacInstructions.parseAll(tac)) {
+      if (instruction.op === 'call') {
+        const [name] = instruction.args;
+        calls[name] = (calls[name] || 0) + 1;
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * Functions called by only one side (informational, does not affect the verdict)
+   */
+  compareCalls(referenceCalls, userCalls) {
+    return {
+      reference_calls: referenceCalls,
+      user_calls: userCalls,
+      missing_calls: Object.keys(referenceCalls).filter(name => !userCalls[name]),
+      extra_calls: Object.keys(userCalls).filter(name => !referenceCalls[name])
+    };
+  }
+
+  /**
+   * Where an operation occurs in the source code, one range per source line:
+   *   [{ start: { line: 4, column: 10 }, end: { line: 4, column: 14 } }]   w * h
+   * Positions come from the instruction objects of the extraction (LLVM IR compiled with -g).
+   * A range spans the operation and the operands computed on the same line, from the
+   * column where the first one starts to the column where the last one starts.
+   * TAC instructions are looked up by the temp they assign, since the TAC may have been
+   * normalized since, and by their text otherwise.
+   *
+   * @param {Array} tac - TAC (strings or instruction objects) to search
+   * @param {Array} instructions - Instruction objects with sourceLine / sourceColumn
+   */
+  sourceRanges(tac, instructions, op) {
+    const byTemp = new Map();
+    const byText = new Map();
+    for (const instruction of instructions || []) {
+      if (instruction.sourceLine === null) continue;
+      if (instruction.dst) {
+        byTemp.set(instruction.dst, instruction);
+      } else {
+        const text = this.tacInstructions.render(instruction);
+        byText.set(text, [...(byText.get(text) || []), instruction]);
+      }
+    }
+
+    const lines = new Map();
+    for (const instruction of this.tacInstructions.parseAll(tac)) {
+      if (instruction.op !== op) continue;
+      const located = instruction.sourceLine !== null ? instruction
+        : instruction.dst ? byTemp.get(instruction.dst)
+          : (byText.get(this.tacInstructions.render(instruction)) || []).shift();
+      if (!located) continue;
+
+      const range = lines.get(located.sourceLine) || { start: null, end: null };
+      for (const column of this.operandColumns(located, byTemp, new Set())) {
+        range.start = range.start === null || column < range.start ? column : range.start;
+        range.end = range.end === null || column > range.end ? column : range.end;
+      }
+      lines.set(located.sourceLine, range);
+    }
+
+    return [...lines.entries()].sort(([a], [b]) => a - b).map(([line, range]) => ({
+      start: { line, column: range.start },
+      end: { line, column: range.end }
+    }));
+  }
+
+  /**
+   * Columns of an instruction and of the instructions defining its operands on the same line
+   */
+  operandColumns(instruction, byTemp, seen) {
+    seen.add(instruction);
+    const columns = instruction.sourceColumn !== null ? [instruction.sourceColumn] : [];
+    for (const arg of instruction.args) {
+      const definition = byTemp.get(arg);
+      if (definition && !seen.has(definition) && definition.sourceLine === instruction.sourceLine) {
+        columns.push(...this.operandColumns(definition, byTemp, seen));
+      }
+    }
+    return columns;
+  }
+
+  /**
+   * Source ranges of the missing, extra and mismatched operations in both programs:
+   *   { mul: { reference: [...], user: [...] } }
+   * null when neither side has source positions
+   */
+  operationSourceRanges(reference, user, comparison) {
+    if (![reference, user].some(program => (program.instructions || []).some(entry => entry.sourceLine !== null))) {
+      return null;
+    }
+
+    const ops = [...comparison.missing_operations, ...comparison.extra_operations,
+      ...comparison.mismatched_counts.map(entry => entry.op)];
+    return Object.fromEntries(ops.map(op => [op, {
+      reference: this.sourceRanges(reference.tac, reference.instructions, op),
+      user: this.sourceRanges(user.tac, user.instructions, op)
+    }]));
+  }
+
   /**
    * Compare operations between reference and user code
    * Returns true if operations match algorithmically
@@ -127,10 +238,10 @@ class TACLogicChecker {
     
     if (hasReturn && !hasComputation) {
       // Check if return statement has a constant
-      for (const line of tac) {
-        if (line.startsWith('return')) {
+      for (const instruction of this.tacInstructions.parseAll(tac)) {
+        if (instruction.op === 'return' && instruction.args.length > 0) {
           // Check if it's returning a number (constant)
-          const match = line.match(/return\s+(-?\d+)/);
+          const match = instruction.args[0].match(/^(-?\d+)/);
           if (match) {
             return {
               detected: true,
@@ -145,14 +256,248 @@ class TACLogicChecker {
     return { detected: false };
   }
 
+  /**
+   * CFG shape of a program from its unfiltered TAC: per function when the functions are
+   * known, else the whole TAC as one function. null without unfiltered TAC.
+   */
+  controlFlowShape(program) {
+    if (program.functions && program.functions.length > 0 && program.functions.every(func => func.tac_raw)) {
+      return this.cfgBuilder.programShape(program.functions.map(func => ({ name: func.name, tac: func.tac_raw })));
+    }
+    if (program.tac_raw) {
+      return this.cfgBuilder.programShape([{ name: null, tac: program.tac_raw }]);
+    }
+    return null;
+  }
+
+  /**
+   * Def-use analysis of a program from its unfiltered TAC: per function when the functions are
+   * known, else the whole TAC as one function (name null). null without unfiltered TAC.
+   */
+  dataFlow(program) {
+    if (program.functions && program.functions.length > 0 && program.functions.every(func => func.tac_raw)) {
+      return this.dataFlowAnalyzer.analyzeProgram(program.functions.map(func => ({
+        name: func.name, tac: func.tac_raw, params: func.params || null
+      })));
+    }
+    if (program.tac_raw) {
+      return this.dataFlowAnalyzer.analyzeProgram([{ name: null, tac: program.tac_raw, params: null }]);
+    }
+    return null;
+  }
+
+  /**
+   * Data-flow findings of the user code that its reference counterpart does not share: a return
+   * value that is a compile-time constant, or a parameter that never reaches it, where the
+   * reference computes the result from its inputs (so main's `return 0` is fine)
+   * @param {Map} matches - reference function name -> { user } (see matchFunctions)
+   */
+  compareDataFlow(referenceFlow, userFlow, matches) {
+    const reference = new Map(referenceFlow.map(func => [func.name, func]));
+    const counterparts = new Map(Array.from(matches, ([name, match]) => [match.user, reference.get(name)]));
+
+    const findings = [];
+    for (const func of userFlow) {
+      const counterpart = counterparts.get(func.name);
+      if (!counterpart) continue;
+
+      for (const finding of func.findings) {
+        const parameter = counterpart.parameters && counterpart.parameters[finding.position - 1];
+        const shared = finding.type === 'constant_return'
+          ? counterpart.returns_constant || counterpart.returns.length === 0
+          : !parameter || !parameter.reaches_result;
+        if (!shared) {
+          findings.push({ function: func.name, ...finding });
+        }
+      }
+    }
+
+    return {
+      detected: findings.length > 0,
+      findings: findings,
+      functions: userFlow
+    };
+  }
+
+  /**
+   * Pair reference functions with user functions: by name first, then by call graph for
+   * renamed functions (mapped callers and callees, shared library calls, same arity)
+   * Returns Map of reference name -> { user, matched_by }
+   */
+  matchFunctions(referenceFunctions, userFunctions) {
+    const graph = functions => {
+      const names = new Set(functions.map(func => func.name));
+      const nodes = new Map();
+      for (const func of functions) {
+        const calls = Object.keys(this.extractCalls(func.tac || []));
+        nodes.set(func.name, {
+          arity: func.arity,
+          callees: new Set(calls.filter(name => names.has(name))),
+          external: new Set(calls.filter(name => !names.has(name))),
+          callers: new Set()
+        });
+      }
+      for (const [name, node] of nodes) {
+        node.callees.forEach(callee => nodes.get(callee).callers.add(name));
+      }
+      return nodes;
+    };
+
+    const reference = graph(referenceFunctions);
+    const user = graph(userFunctions);
+    const matches = new Map();
+    const matchedUser = new Set();
+
+    for (const name of reference.keys()) {
+      if (user.has(name)) {
+        matches.set(name, { user: name, matched_by: 'name' });
+        matchedUser.add(name);
+      }
+    }
+
+    const score = (refNode, userNode) => {
+      let total = 0;
+      for (const [edges, userEdges] of [[refNode.callers, userNode.callers], [refNode.callees, userNode.callees]]) {
+        for (const name of edges) {
+          const match = matches.get(name);
+          if (match && userEdges.has(match.user)) total += 2;
+        }
+      }
+      for (const name of refNode.external) {
+        if (userNode.external.has(name)) total += 1;
+      }
+      if (refNode.arity !== null && refNode.arity !== undefined && refNode.arity === userNode.arity) total += 1;
+      return total;
+    };
+
+    // Each match can anchor further ones, so repeat until nothing changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const [name, refNode] of reference) {
+        if (matches.has(name)) continue;
+
+        let best = null;
+        let bestScore = 0;
+        let tied = false;
+        for (const [userName, userNode] of user) {
+          if (matchedUser.has(userName)) continue;
+          const current = score(refNode, userNode);
+          if (current > bestScore) {
+            best = userName;
+            bestScore = current;
+            tied = false;
+          } else if (current === bestScore) {
+            tied = true;
+          }
+        }
+
+        if (best && !tied && bestScore >= 2) {
+          matches.set(name, { user: best, matched_by: 'call_graph' });
+          matchedUser.add(best);
+          changed = true;
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Compare the target functions against their reference counterparts
+   * A target the reference does not define is skipped (passed: null)
+   * @param {Object} instructions - { reference, user } instruction objects with source positions
+   */
+  compareFunctions(referenceFunctions, userFunctions, targetFunctions, instructions = {}) {
+    const matches = this.matchFunctions(referenceFunctions, userFunctions);
+    const byName = functions => new Map(functions.map(func => [func.name, func]));
+    const reference = byName(referenceFunctions);
+    const user = byName(userFunctions);
+
+    const results = targetFunctions.map(target => {
+      const referenceFunction = reference.get(target);
+      if (!referenceFunction) {
+        return { target, reference_function: null, user_function: null, matched_by: null, passed: null,
+          reason: 'Not defined in reference solution' };
+      }
+
+      const match = matches.get(target);
+      if (!match) {
+        return { target, reference_function: referenceFunction.signature, user_function: null, matched_by: null,
+          passed: false, reason: 'No matching function in user code' };
+      }
+
+      const userFunction = user.get(match.user);
+      const referenceOps = this.extractOperations(referenceFunction.tac || []);
+      const userOps = this.extractOperations(userFunction.tac || []);
+      const comparison = this.compareOperations(referenceOps, userOps);
+      // main() { ...; return 0; } is fine when the reference returns a constant too
+      const hardcoded = this.detectHardcodedReturn(referenceFunction.tac || [], referenceOps).detected
+        ? { detected: false }
+        : this.detectHardcodedReturn(userFunction.tac || [], userOps);
+
+      let reason = 'TAC operations match';
+      if (comparison.missing_operations.length > 0) {
+        reason = `Missing operations: ${comparison.missing_operations.join(', ')}`;
+      } else if (comparison.extra_operations.length > 0) {
+        reason = `Extra operations: ${comparison.extra_operations.join(', ')}`;
+      } else if (hardcoded.detected) {
+        reason = hardcoded.reason;
+      } else if (!comparison.exact_match) {
+        reason = 'Operation count mismatch';
+      }
+
+      const controlFlow = referenceFunction.tac_raw && userFunction.tac_raw
+        ? this.cfgBuilder.compare(this.cfgBuilder.shape(this.cfgBuilder.build(referenceFunction.tac_raw)),
+          this.cfgBuilder.shape(this.cfgBuilder.build(userFunction.tac_raw)))
+        : null;
+
+      return {
+        target,
+        reference_function: referenceFunction.signature,
+        user_function: userFunction.signature,
+        matched_by: match.matched_by,
+        passed: comparison.match && !hardcoded.detected,
+        reason: reason,
+        missing_operations: comparison.missing_operations,
+        extra_operations: comparison.extra_operations,
+        mismatched_counts: comparison.mismatched_counts,
+        source_ranges: this.operationSourceRanges(
+          { tac: referenceFunction.tac || [], instructions: instructions.reference },
+          { tac: userFunction.tac || [], instructions: instructions.user },
+          comparison
+        ),
+        hardcoded_detection: hardcoded,
+        control_flow: controlFlow
+      };
+    });
+
+    return {
+      targets: results,
+      matched_functions: Array.from(matches, ([name, match]) => ({ reference: name, user: match.user, matched_by: match.matched_by })),
+      unmatched_reference: referenceFunctions.map(func => func.name).filter(name => !matches.has(name)),
+      unmatched_user: userFunctions.map(func => func.name)
+        .filter(name => !Array.from(matches.values()).some(match => match.user === name))
+    };
+  }
+
   /**
    * Verify logic correctness using TAC comparison
    * 
-   * @param {Object} referenceCode - { code, language, tac }
-   * @param {Object} userCode - { code, language, tac }
+   * @param {Object} reference - { code, language, tac, tac_raw, functions, instructions }
+   * @param {Object} user - { code, language, tac, tac_raw, functions, instructions }
+   *   (instructions: the TAC instruction objects of the extraction, for source ranges)
+   * @param {Object} options - { targetFunctions } names of reference functions that must also
+   *   match individually (needs per-function TAC on both sides)
    * @returns {Object} Logic verification result
    */
-  verifyLogic(referenceCode, userCode) {
+  verifyLogic(reference, user, options = {}) {
+    // Algebraically equivalent computations become the same TAC (tacCanonicalizer.js)
+    const referenceCanonical = this.canonicalizer && this.canonicalizer.canonicalizeProgram(reference);
+    const userCanonical = this.canonicalizer && this.canonicalizer.canonicalizeProgram(user);
+    const referenceCode = referenceCanonical ? { ...reference, ...referenceCanonical } : reference;
+    const userCode = userCanonical ? { ...user, ...userCanonical } : user;
+
     // Clean old cache entries periodically
     if (this.referenceCache.size > 100) {
       this._cleanCache();
@@ -168,6 +513,7 @@ class TACLogicChecker {
       referenceData = {
         tac: referenceCode.tac || [],
         operations: referenceOps,
+        calls: this.extractCalls(referenceCode.tac || []),
         timestamp: Date.now()
       };
       this.referenceCache.set(cacheKey, referenceData);
@@ -176,17 +522,49 @@ class TACLogicChecker {
       console.log(`[TAC Logic] Cache hit - reusing reference TAC`);
     }
 
+    // Control-flow shape from the unfiltered TAC (labels and jumps), cached like the operations
+    if (referenceData.controlFlow === undefined) {
+      referenceData.controlFlow = this.controlFlowShape(referenceCode);
+    }
+    const userControlFlow = this.controlFlowShape(userCode);
+    const controlFlow = referenceData.controlFlow && userControlFlow
+      ? this.cfgBuilder.compare(referenceData.controlFlow, userControlFlow)
+      : null;
+
+    // Def-use chains: does each function's return value depend on its inputs?
+    if (referenceData.dataFlow === undefined) {
+      referenceData.dataFlow = this.dataFlow(referenceCode);
+    }
+    const userDataFlow = this.dataFlow(userCode);
+    let dataFlow = null;
+    if (referenceData.dataFlow && userDataFlow) {
+      const wholeProgram = [...referenceData.dataFlow, ...userDataFlow].some(func => func.name === null);
+      dataFlow = this.compareDataFlow(referenceData.dataFlow, userDataFlow, wholeProgram
+        ? new Map([[null, { user: null, matched_by: 'name' }]])
+        : this.matchFunctions(referenceCode.functions, userCode.functions));
+    }
+    const dataFlowFinding = dataFlow && dataFlow.findings[0];
+
     // Extract user operations (never cached - always fresh)
     const userOps = this.extractOperations(userCode.tac || []);
 
     // Compare operations
     const comparison = this.compareOperations(referenceData.operations, userOps);
+    const calls = this.compareCalls(referenceData.calls, this.extractCalls(userCode.tac || []));
 
     // Detect hardcoded returns
     const hardcoded = this.detectHardcodedReturn(userCode.tac || [], userOps);
 
+    // Per-function comparison for the requested targets
+    const targetFunctions = options.targetFunctions || [];
+    const functionComparison = targetFunctions.length > 0 && referenceCode.functions && userCode.functions
+      ? this.compareFunctions(referenceCode.functions, userCode.functions, targetFunctions,
+        { reference: referenceCode.instructions, user: userCode.instructions })
+      : null;
+    const failedTarget = functionComparison && functionComparison.targets.find(entry => entry.passed === false);
+
     // Determine if logic check passed
-    const logicPassed = comparison.match && !hardcoded.detected;
+    const logicPassed = comparison.match && !hardcoded.detected && !dataFlowFinding && !failedTarget;
 
     // Generate detailed message
     let message = '';
@@ -203,6 +581,13 @@ class TACLogicChecker {
     } else if (hardcoded.detected) {
       reason = hardcoded.reason;
       message = `User code appears to return a hardcoded constant (${hardcoded.constant}) without performing the required computation.`;
+    } else if (dataFlowFinding) {
+      const where = dataFlowFinding.function ? `Function ${dataFlowFinding.function}: ` : '';
+      reason = `${where}${dataFlowFinding.message}`;
+      message = `${where}${dataFlowFinding.message}, although the reference solution computes its result from its inputs (${dataFlowFinding.instructions.join('; ')}). This indicates a hardcoded result.`;
+    } else if (failedTarget) {
+      reason = `Function ${failedTarget.target}: ${failedTarget.reason}`;
+      message = `Function ${failedTarget.target} does not match the reference solution (${failedTarget.reason}), although the program as a whole does.`;
     } else if (!comparison.exact_match) {
       // Operations match but counts differ (allow this - different implementation)
       message = `Logic appears correct but operation counts differ. This may indicate a different but valid implementation approach.`;
@@ -223,9 +608,22 @@ class TACLogicChecker {
         user_operations: userOps,
         missing_operations: comparison.missing_operations,
         extra_operations: comparison.extra_operations,
-        mismatched_counts: comparison.mismatched_counts
+        mismatched_counts: comparison.mismatched_counts,
+        source_ranges: this.operationSourceRanges(
+          { tac: referenceCode.tac || [], instructions: referenceCode.instructions },
+          { tac: userCode.tac || [], instructions: userCode.instructions },
+          comparison
+        ),
+        calls: calls,
+        // Rewrites that put each program in canonical form: [{ rule, from, to }]
+        canonicalization: this.canonicalizer
+          ? { reference: referenceCanonical.rewrites, user: userCanonical.rewrites }
+          : null
       },
       hardcoded_detection: hardcoded,
+      control_flow: controlFlow,
+      data_flow: dataFlow,
+      function_comparison: functionComparison,
       cache_info: {
         reference_cached: referenceData !== null,
         cache_size: this.referenceCache.size
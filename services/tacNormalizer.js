@@ -0,0 +1,407 @@
+/**
+ * TAC Normalizer - Constant folding and dead-code elimination before comparison
+ *
+ * The TAC is what the compiler (or converter) emits without optimizing, so code that does
+ * nothing still counts toward logic and efficiency:
+ *
+ *   int unused = a * b;   →  t6 = t4 * t5; store t6 -> t7     a mul nobody reads
+ *   return 3 + 5;         →  t8 = 3 + 5; return t8            an add, but the result is 8
+ *
+ * normalize() rewrites the unfiltered TAC of one function with these passes, repeated until
+ * nothing changes:
+ *
+ *   constant_propagation    a temp (or a load) whose value is always a literal is replaced by it
+ *   constant_folding        literal arithmetic, comparisons, selects and branches are computed
+ *   copy_propagation        a copy (t5 = t3, or a load of a stored temp) is replaced by the original
+ *   dead_code_elimination   unreachable blocks, stores nothing loads, values nothing uses
+ *
+ * Memory is only followed through locations of the function itself (allocas and local slots
+ * that are not parameters, not used by another function and whose address is not taken): the
+ * reaching definitions (dataFlowAnalyzer.js) must all store the same value, and a call may
+ * write to any location. Fields are told apart by name only, as in the converters. Temps that
+ * were never used to begin with are call arguments (TAC does not list them), so they are kept.
+ */
+
+const { CFGBuilder } = require('./cfgBuilder');
+const { DataFlowAnalyzer } = require('./dataFlowAnalyzer');
+const { LLVMToTACConverter } = require('./llvmToTAC');
+
+// In the order they run in each round
+const PASSES = ['constant_propagation', 'copy_propagation', 'constant_folding', 'dead_code_elimination'];
+
+// Rounds of all passes before giving up on reaching a fixpoint
+const MAX_ROUNDS = 20;
+
+// Languages where / on integers does not truncate (true division), so only exact quotients fold
+const EXACT_DIVISION = ['python', 'py', 'javascript', 'js'];
+
+const NUMBER = '-?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE][-+]?\\d+)?';
+const LITERAL = new RegExp(`^${NUMBER}$`);
+const TEMP = /^t\d+$/;
+
+const BINARY = new RegExp(`^(t\\d+) = (${NUMBER}) (\\S+) (${NUMBER})$`);
+const SELECT = new RegExp(`^(t\\d+) = (${NUMBER}) \\? (\\S+) : (\\S+)$`);
+const EXTEND = new RegExp(`^(t\\d+) = (sext|zext) (${NUMBER}) to \\S+$`);
+const PHI = /^(t\d+) = phi (.+)$/;
+const BRANCH = new RegExp(`^if (${NUMBER}) goto (L\\d+) else (L\\d+)$`);
+const SWITCH = new RegExp(`^switch (${NUMBER}) \\[(.*)\\] default (L\\d+)$`);
+
+const COMPARISONS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+class TACNormalizer {
+  /**
+   * @param {Object} options - { passes: names from PASSES (default all), language }
+   */
+  constructor(options = {}) {
+    this.passes = PASSES.filter(pass => !options.passes || options.passes.includes(pass));
+    this.language = options.language || null;
+    this.cfgBuilder = new CFGBuilder();
+    this.dataFlowAnalyzer = new DataFlowAnalyzer();
+  }
+
+  /**
+   * Normalize the unfiltered TAC of one function
+   * @param {Array} tac - Unfiltered TAC (labels and jumps included)
+   * @param {Object} context - { params: [{ name, temp }], shared: Set of temps other functions use }
+   * @returns {Object} { tac, changes } changes: per pass, the instructions it rewrote or removed
+   */
+  normalize(tac, context = {}) {
+    const state = {
+      params: new Set((context.params || []).map(param => param.temp).filter(Boolean)),
+      shared: context.shared || new Set(),
+      used: this.usedTemps((tac || []).map(line => this.dataFlowAnalyzer.parse(line)))
+    };
+    const changes = Object.fromEntries(this.passes.map(pass => [pass, 0]));
+    const run = {
+      constant_propagation: lines => this.propagate(lines, state, true),
+      copy_propagation: lines => this.propagate(lines, state, false),
+      constant_folding: lines => this.fold(lines),
+      dead_code_elimination: lines => this.eliminateDeadCode(lines, state)
+    };
+
+    let current = tac || [];
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      const before = current.join('\n');
+      for (const pass of this.passes) {
+        const result = run[pass](current);
+        changes[pass] += result.changes;
+        current = result.tac;
+      }
+      if (current.join('\n') === before) break;
+    }
+
+    return { tac: current, changes };
+  }
+
+  /**
+   * Normalize every function of an extraction (pistonService.extractTAC)
+   * @param {Object} extraction - { tac_raw, functions: [{ name, params, tac_raw, ... }] }
+   * @returns {Object} { tac, tac_raw, instruction_count, functions, changes }
+   *   Without per-function TAC the whole program is normalized as one function
+   */
+  normalizeProgram(extraction) {
+    const counter = new LLVMToTACConverter(); // filter() and count() work on any TAC
+    const functions = (extraction.functions || []).filter(func => Array.isArray(func.tac_raw));
+    const units = functions.length > 0
+      ? functions
+      : [{ name: null, params: null, tac_raw: extraction.tac_raw || extraction.tac || [] }];
+
+    // Temps each function mentions: globals and fields are shared with the other functions
+    const mentioned = units.map(unit => new Set(unit.tac_raw.join('\n').match(/\bt\d+\b/g) || []));
+    const changes = Object.fromEntries(this.passes.map(pass => [pass, 0]));
+
+    const normalized = units.map((unit, index) => {
+      const shared = new Set(mentioned.filter((_, other) => other !== index).flatMap(temps => [...temps]));
+      const result = this.normalize(unit.tac_raw, { params: unit.params, shared });
+      this.passes.forEach(pass => { changes[pass] += result.changes[pass]; });
+
+      const tac = counter.filter(result.tac);
+      return { ...unit, tac: tac, tac_raw: result.tac, instruction_count: counter.count(tac) };
+    });
+
+    const tacRaw = normalized.flatMap(unit => unit.tac_raw);
+    const tac = counter.filter(tacRaw);
+    return {
+      tac: tac,
+      tac_raw: tacRaw,
+      instruction_count: counter.count(tac),
+      functions: functions.length > 0 ? normalized : [],
+      changes: changes
+    };
+  }
+
+  /**
+   * Temps read anywhere (operands, and the locations of loads and stores)
+   */
+  usedTemps(instructions) {
+    return new Set(instructions.flatMap(instruction => instruction.uses.concat(instruction.loads || [], instruction.stores || [])));
+  }
+
+  /**
+   * Locations nothing outside the function can see: allocas and unassigned temps that are
+   * only loaded and stored, are not parameters and are not used by another function
+   */
+  localLocations(instructions, state) {
+    const allocated = new Map();
+    const accessed = new Set();
+    const escaped = new Set();
+
+    for (const instruction of instructions) {
+      if (instruction.defines) {
+        allocated.set(instruction.defines, allocated.get(instruction.defines) !== false && instruction.alloca);
+      }
+      if (instruction.loads) accessed.add(instruction.loads);
+      if (instruction.stores) accessed.add(instruction.stores);
+      instruction.uses.forEach(temp => escaped.add(temp));
+    }
+
+    return new Set([...accessed].filter(temp => allocated.get(temp) !== false && !escaped.has(temp) &&
+      !state.params.has(temp) && !state.shared.has(temp)));
+  }
+
+  /**
+   * Constant propagation (literals) or copy propagation (temps): single-assignment temps and
+   * loads with a known value are replaced by that value wherever they are read
+   */
+  propagate(tac, state, constants) {
+    const accepts = value => constants ? LITERAL.test(value) : TEMP.test(value);
+    const cfg = this.cfgBuilder.build(tac);
+    const { instructions } = this.dataFlowAnalyzer.instructions(cfg);
+    const local = this.localLocations(instructions, state);
+    const definitions = this.dataFlowAnalyzer.reachingDefinitions(cfg, instructions);
+
+    const assignments = new Map();
+    const locations = new Set();
+    instructions.forEach(instruction => {
+      if (instruction.defines) assignments.set(instruction.defines, (assignments.get(instruction.defines) || 0) + 1);
+      if (instruction.loads) locations.add(instruction.loads);
+      if (instruction.stores) locations.add(instruction.stores);
+    });
+
+    /**
+     * The value every store reaching a load writes, if it is the same literal or temp
+     */
+    const storedValue = (index, instruction) => {
+      if (!local.has(instruction.loads)) return null;
+
+      const reaching = definitions.at(index, instruction.loads);
+      if (reaching.length === 0 || reaching.some(definition => definition.index === null || !instructions[definition.index].stores)) {
+        return null;
+      }
+
+      const stored = new Set(reaching.map(definition => instructions[definition.index].line.match(/^store (.+) -> /)[1]));
+      if (stored.size !== 1) return null;
+
+      const [value] = stored;
+      if (LITERAL.test(value)) return value;
+      if (!TEMP.test(value) || locations.has(value)) return null;
+
+      // Parameters never change; another temp may be assigned again around a loop, so only a
+      // store earlier in the same block is followed
+      if (!assignments.has(value)) return value;
+      return assignments.get(value) === 1 && reaching.every(definition => instructions[definition.index].block === instruction.block)
+        ? value
+        : null;
+    };
+
+    const values = new Map();
+    const rewritten = new Map();
+    instructions.forEach((instruction, index) => {
+      const temp = instruction.defines;
+      if (!temp || instruction.call || instruction.alloca || assignments.get(temp) !== 1) return;
+
+      if (instruction.loads) {
+        const value = storedValue(index, instruction);
+        if (value !== null && accepts(value)) {
+          rewritten.set(index, `${temp} = ${value}`);
+          values.set(temp, value);
+        }
+        return;
+      }
+
+      const expression = instruction.line.slice(`${temp} = `.length);
+      if (accepts(expression) && !locations.has(expression)) {
+        values.set(temp, expression);
+      }
+    });
+
+    const resolve = temp => {
+      const seen = new Set();
+      let value = temp;
+      while (values.has(value) && !seen.has(value)) {
+        seen.add(value);
+        value = values.get(value);
+      }
+      return value;
+    };
+
+    let changes = 0;
+    let index = 0;
+    const output = tac.map(line => {
+      if (/^L\d+:$/.test(line)) return line;
+
+      const current = index++;
+      const next = rewritten.get(current) || this.substitute(instructions[current], resolve);
+      if (next !== line) changes++;
+      return next;
+    });
+
+    return { tac: output, changes };
+  }
+
+  /**
+   * Replace the temps an instruction reads (never the locations of loads and stores)
+   */
+  substitute(instruction, resolve) {
+    const { line } = instruction;
+    const replace = text => text.replace(/\bt\d+\b/g, resolve);
+
+    if (instruction.call || instruction.loads || instruction.alloca) return line;
+    if (instruction.defines) return `${instruction.defines} = ${replace(line.slice(`${instruction.defines} = `.length))}`;
+    if (instruction.stores) return `store ${replace(line.match(/^store (.+) -> /)[1])} -> ${instruction.stores}`;
+    if (instruction.returns !== null) return `return ${replace(instruction.returns)}`;
+    return line.replace(/^(if|switch) (t\d+)/, (match, keyword, temp) => `${keyword} ${resolve(temp)}`);
+  }
+
+  /**
+   * Constant folding, one instruction at a time
+   */
+  fold(tac) {
+    let changes = 0;
+    const output = tac.map(line => {
+      const folded = this.foldLine(line);
+      if (folded !== line) changes++;
+      return folded;
+    });
+    return { tac: output, changes };
+  }
+
+  foldLine(line) {
+    let match;
+
+    if ((match = line.match(BINARY))) {
+      const value = this.evaluate(match[2], match[3], match[4]);
+      return value === null ? line : `${match[1]} = ${value}`;
+    }
+
+    // c ? a : b with a literal condition, sext/zext of a literal
+    if ((match = line.match(SELECT))) {
+      return `${match[1]} = ${Number(match[2]) !== 0 ? match[3] : match[4]}`;
+    }
+    if ((match = line.match(EXTEND)) && (match[2] === 'sext' || !match[3].startsWith('-'))) {
+      return `${match[1]} = ${match[3]}`;
+    }
+
+    // A phi whose incoming values are all the same is a copy
+    if ((match = line.match(PHI))) {
+      const incoming = new Set([...match[2].matchAll(/\[\s*([^,\]]+),\s*L\d+\s*\]/g)].map(entry => entry[1]));
+      return incoming.size === 1 ? `${match[1]} = ${[...incoming][0]}` : line;
+    }
+
+    // Branches on a literal always go the same way
+    if ((match = line.match(BRANCH))) {
+      return `goto ${Number(match[1]) !== 0 ? match[2] : match[3]}`;
+    }
+    if ((match = line.match(SWITCH))) {
+      const cases = [...match[2].matchAll(/(-?\d+): (L\d+)/g)];
+      const taken = cases.find(entry => Number(entry[1]) === Number(match[1]));
+      return `goto ${taken ? taken[2] : match[3]}`;
+    }
+
+    return line;
+  }
+
+  /**
+   * Value of `left operator right` on two literals, or null when it is not folded
+   * (division by zero, shifts out of range, operators without a fixed meaning across languages)
+   */
+  evaluate(left, operator, right) {
+    const integers = !/[.eE]/.test(left + right);
+    const a = integers ? BigInt(left) : Number(left);
+    const b = integers ? BigInt(right) : Number(right);
+
+    if (COMPARISONS[operator]) {
+      return COMPARISONS[operator](a, b) ? '1' : '0';
+    }
+
+    if (!integers) {
+      const result = { '+': a + b, '-': a - b, '*': a * b, '/': b !== 0 ? a / b : NaN }[operator];
+      return Number.isFinite(result) ? String(result) : null;
+    }
+
+    const exact = EXACT_DIVISION.includes(this.language);
+    switch (operator) {
+      case '+': return String(a + b);
+      case '-': return String(a - b);
+      case '*': return String(a * b);
+      case '&': return String(a & b);
+      case '|': return String(a | b);
+      case '^': return String(a ^ b);
+      case '<<': return b >= 0n && b < 64n ? String(a << b) : null;
+      case '>>': return b >= 0n && b < 64n ? String(a >> b) : null;
+      case '/':
+        if (b === 0n || (exact && a % b !== 0n)) return null;
+        return String(a / b);
+      case '%':
+        // Python takes the sign of the divisor, C, Java and JavaScript the sign of the dividend
+        if (b === 0n || (exact && a % b !== 0n && (a < 0n) !== (b < 0n))) return null;
+        return String(a % b);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Dead-code elimination: unreachable blocks, jumps to the next line and labels nothing jumps
+   * to, then stores to local locations nothing loads and values nothing uses any more
+   */
+  eliminateDeadCode(tac, state) {
+    let changes = 0;
+    const cfg = this.cfgBuilder.build(tac);
+
+    let lines = [];
+    for (const block of cfg.blocks) {
+      if (!block.reachable) {
+        changes += block.instructions.length;
+        continue;
+      }
+      if (block.label) lines.push(`${block.label}:`);
+      lines.push(...block.instructions);
+    }
+
+    const jumps = lines.length;
+    lines = lines.filter((line, index) => !(line.startsWith('goto L') && lines[index + 1] === `${line.slice('goto '.length)}:`));
+    changes += jumps - lines.length;
+
+    const referenced = new Set(lines.filter(line => !/^L\d+:$/.test(line)).flatMap(line => line.match(/\bL\d+\b/g) || []));
+    lines = lines.filter(line => !/^L\d+:$/.test(line) || referenced.has(line.slice(0, -1)));
+
+    for (;;) {
+      const instructions = lines.map(line => this.dataFlowAnalyzer.parse(line));
+      const local = this.localLocations(instructions, state);
+      const loaded = new Set(instructions.filter(instruction => instruction.loads).map(instruction => instruction.loads));
+      const used = this.usedTemps(instructions);
+
+      const dead = instruction =>
+        (instruction.stores && local.has(instruction.stores) && !loaded.has(instruction.stores)) ||
+        (instruction.defines && !instruction.call && !used.has(instruction.defines) &&
+          (instruction.alloca || state.used.has(instruction.defines)));
+
+      const next = lines.filter((line, index) => !dead(instructions[index]));
+      if (next.length === lines.length) break;
+      changes += lines.length - next.length;
+      lines = next;
+    }
+
+    return { tac: lines, changes };
+  }
+}
+
+module.exports = { TACNormalizer, PASSES };
@@ -0,0 +1,213 @@
+/**
+ * TAC Pipeline - LLVM IR to TAC as a list of passes
+ *
+ *   read        the IR is parsed (llvmIRParser.js)                          → module
+ *   lower       every instruction gets its TAC form, SSA names are kept    → units
+ *   rename      SSA names become t1, t2... and block labels L1, L2...
+ *   normalize   commutative operands in structural order; with normalizeTAC the TACNormalizer passes run too
+ *   filter      only computations, calls and returns are kept
+ *   count       instructions per function
+ *
+ * These are the stages of LLVMToTACConverter.convert(), run one at a time. Units are
+ * { name, returnType, params, varargs, instructions, references } per function, with TAC
+ * instruction objects (tacInstructions.js).
+ *
+ * A pass is { name, run(input, context), view(output, context) }: run() gets the output of the
+ * pass before it, view() turns its own output into JSON. Passes can be left out, reordered or
+ * replaced by custom ones; run() returns what every pass produced, for debugging.
+ */
+
+const { LLVMToTACConverter } = require('./llvmToTAC');
+const { TACInstructions } = require('./tacInstructions');
+const { TACNormalizer } = require('./tacNormalizer');
+
+const tacInstructions = new TACInstructions();
+
+// Built-in passes, in the order they run by default
+const PASSES = ['read', 'lower', 'rename', 'normalize', 'filter', 'count'];
+
+class TACPipeline {
+  /**
+   * @param {Object} options - { passes: names from PASSES or pass objects (default all),
+   *   normalizeTAC: true or TACNormalizer passes the normalize pass runs too, language }
+   */
+  constructor(options = {}) {
+    this.converter = new LLVMToTACConverter();
+    this.normalizeTAC = options.normalizeTAC || null;
+    this.language = options.language || null;
+    this.passes = (options.passes || PASSES).map(pass => typeof pass === 'string' ? this.builtIn(pass) : pass);
+  }
+
+  /**
+   * Pass object for a name from PASSES
+   */
+  builtIn(name) {
+    const converter = this.converter;
+    const units = { view: output => this.viewUnits(output) };
+    const passes = {
+      read: { run: ir => converter.read(ir), view: (module, context) => this.viewModule(module, context) },
+      lower: { run: module => converter.lower(module), ...units },
+      rename: { run: input => converter.rename(input), ...units },
+      normalize: { run: input => this.normalize(input), ...units },
+      filter: { run: input => input.map(unit => this.filterUnit(unit)), ...units },
+      count: {
+        run: input => input.map(unit => ({ ...unit, instruction_count: converter.count(unit.instructions) })),
+        view: output => this.viewCounts(output)
+      }
+    };
+
+    if (!passes[name]) {
+      throw new Error(`Unknown TAC pipeline pass: ${name} (${PASSES.join(', ')})`);
+    }
+    return { name, ...passes[name] };
+  }
+
+  /**
+   * Demangle the C++ names of the IR before run() (LLVMToTACConverter.prepare)
+   * @param {string} llvmIR - LLVM IR code
+   */
+  async prepare(llvmIR) {
+    await this.converter.prepare(llvmIR);
+  }
+
+  /**
+   * Run every pass on the IR
+   * @param {string} llvmIR - LLVM IR code
+   * @returns {Object} { success, passes: [{ pass, output, duration_ms }], tac, instructions, instruction_count }
+   *   tac and instructions are those of the last pass, instruction_count is null without a count pass
+   */
+  run(llvmIR) {
+    const context = { ir: llvmIR, lines: llvmIR.split('\n'), language: this.language };
+    const passes = [];
+    let value = llvmIR;
+
+    for (const pass of this.passes) {
+      const startTime = Date.now();
+      try {
+        value = pass.run(value, context);
+      } catch (error) {
+        return { success: false, error: `Pass ${pass.name} failed: ${error.message}`, passes: passes };
+      }
+      passes.push({
+        pass: pass.name,
+        output: pass.view ? pass.view(value, context) : value,
+        duration_ms: Date.now() - startTime
+      });
+    }
+
+    const units = Array.isArray(value) ? value : [];
+    const instructions = units.flatMap(unit => unit.instructions || []);
+    const counted = units.length > 0 && units.every(unit => Number.isInteger(unit.instruction_count));
+    return {
+      success: true,
+      passes: passes,
+      tac: tacInstructions.renderAll(instructions),
+      instructions: instructions,
+      instruction_count: counted ? units.reduce((sum, unit) => sum + unit.instruction_count, 0) : null
+    };
+  }
+
+  /**
+   * Instruction objects a unit pass produced, all functions together
+   * @param {Object} result - run() result
+   * @param {string} name - Pass name
+   */
+  instructionsAfter(result, name) {
+    const pass = result.passes.find(entry => entry.pass === name);
+    return pass && pass.output.functions ? pass.output.functions.flatMap(func => func.instructions || []) : [];
+  }
+
+  /**
+   * Sort commutative operands, then (normalizeTAC) fold constants and drop dead code
+   */
+  normalize(units) {
+    const ordered = this.converter.orderOperands(units);
+    if (!this.normalizeTAC) {
+      return ordered;
+    }
+
+    const normalizer = new TACNormalizer({
+      passes: this.normalizeTAC === true ? undefined : this.normalizeTAC,
+      language: this.language
+    });
+    // normalizeProgram() works on (and returns) strings
+    const result = normalizer.normalizeProgram({
+      functions: ordered.map(unit => ({ name: unit.name, params: unit.params, tac_raw: tacInstructions.renderAll(unit.instructions) }))
+    });
+
+    return ordered.map((unit, index) => {
+      const instructions = this.restore(tacInstructions.parseAll(result.functions[index].tac_raw), unit.instructions);
+      return { ...unit, instructions, references: instructions.map(() => []) };
+    });
+  }
+
+  /**
+   * Instructions the normalizer kept (or rewrote) get the type and source position of the original back
+   */
+  restore(normalized, original) {
+    const byText = new Map(original.map(instruction => [tacInstructions.render(instruction), instruction]));
+    const byDst = new Map(original.filter(instruction => instruction.dst).map(instruction => [instruction.dst, instruction]));
+
+    return normalized.map(instruction => {
+      const source = byText.get(tacInstructions.render(instruction)) || (instruction.dst && byDst.get(instruction.dst));
+      return source
+        ? { ...instruction, type: source.type, sourceLine: source.sourceLine, sourceColumn: source.sourceColumn }
+        : instruction;
+    });
+  }
+
+  /**
+   * Keep the countable instructions of a unit (and their references)
+   */
+  filterUnit(unit) {
+    const kept = unit.instructions.map(instruction => tacInstructions.isCountable(instruction));
+    return {
+      ...unit,
+      instructions: unit.instructions.filter((_, index) => kept[index]),
+      references: (unit.references || []).filter((_, index) => kept[index])
+    };
+  }
+
+  /**
+   * read: functions with their blocks and the IR line of every instruction
+   */
+  viewModule(module, context) {
+    return {
+      source_filename: module.sourceFilename,
+      globals: module.globals.map(global => global.name),
+      functions: module.functions.map(func => ({
+        name: this.converter.readableName(func.name),
+        blocks: func.blocks.map(block => ({
+          label: block.label,
+          instructions: block.instructions.map(instruction => (context.lines[instruction.line - 1] || '').trim())
+        }))
+      })),
+      errors: module.errors
+    };
+  }
+
+  /**
+   * lower, rename, normalize, filter: TAC and instruction objects per function
+   */
+  viewUnits(units) {
+    return {
+      functions: units.map(unit => ({
+        name: this.converter.readableName(unit.name),
+        tac: tacInstructions.renderAll(unit.instructions),
+        instructions: unit.instructions
+      }))
+    };
+  }
+
+  /**
+   * count: instructions per function and in total
+   */
+  viewCounts(units) {
+    return {
+      instruction_count: units.reduce((sum, unit) => sum + unit.instruction_count, 0),
+      functions: units.map(unit => ({ name: this.converter.readableName(unit.name), instruction_count: unit.instruction_count }))
+    };
+  }
+}
+
+module.exports = { TACPipeline, PASSES };
@@ -0,0 +1,242 @@
+/**
+ * TAC Similarity - Order- and dataflow-aware similarity of two TAC programs
+ *
+ * compare() in llvmToTAC.js counts operations per type ('operations'), so reversing every
+ * instruction or swapping the operands of a sub still scores 100%. Two stronger metrics:
+ *
+ *   alignment   edit distance between the canonicalized instruction sequences; the
+ *               alignment (match, substitute, only in A, only in B) is reported
+ *   ddg         data-dependence graphs (an edge from the instruction defining a temp to every
+ *               instruction using it, per operand position) compared by Weisfeiler-Lehman
+ *               refinement: equal colors mean the same computation over the same inputs
+ *
+ * Instructions are canonicalized without their temp names, which differ between programs:
+ *   t3 = t1 - t2   →   sub(a1, a2)    a1, a2: temps the program reads without defining them, by
+ *                                     number (the converters number parameters first, then loads)
+ *   t4 = t3 * 2    →   mul(2, v1)     v1: the value sub(a1, a2); both programs share the numbering,
+ *                                     so the same computation is the same value wherever it is
+ * Operands of add and mul are sorted, so the order the source used does not matter.
+ */
+
+const { TACInstructions } = require('./tacInstructions');
+
+const tacInstructions = new TACInstructions();
+
+const SIMILARITY_METRICS = ['operations', 'alignment', 'ddg'];
+
+const COMMUTATIVE_OPERATIONS = ['add', 'mul'];
+
+const TEMP = /\bt\d+\b/g;
+
+// Edit-distance matrix limit (rows × columns); larger programs are compared by operation counts
+const MAX_ALIGNMENT_CELLS = 4000000;
+
+/**
+ * Similarity level of a percentage (the thresholds compare() has always used)
+ */
+function similarityLevel(percentage) {
+  if (percentage >= 90) return 'IDENTICAL';
+  if (percentage >= 70) return 'VERY_SIMILAR';
+  if (percentage >= 50) return 'SIMILAR';
+  if (percentage >= 30) return 'SOMEWHAT_SIMILAR';
+  if (percentage >= 10) return 'DIFFERENT';
+  return 'VERY_DIFFERENT';
+}
+
+class TACSimilarity {
+  /**
+   * Temps read before any instruction assigns them, by number: t1 → a1, t4 → a2...
+   */
+  inputs(instructions) {
+    const defined = new Set();
+    const free = new Set();
+    for (const instruction of instructions) {
+      instruction.args.forEach(arg => (arg.match(TEMP) || []).filter(temp => !defined.has(temp)).forEach(temp => free.add(temp)));
+      if (instruction.dst) defined.add(instruction.dst);
+    }
+    const ranked = [...free].sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+    return new Map(ranked.map((temp, index) => [temp, `a${index + 1}`]));
+  }
+
+  /**
+   * Canonical form of every instruction: op and operands, temps by the value they hold
+   * @param {Array} tac - TAC strings or instruction objects
+   * @param {Map} values - Canonical form → value number; pass the same Map for both programs
+   * @returns {Array} Strings such as 'sub(a1, a2)', 'mul(2, v1)' and 'call(square)'
+   */
+  canonicalize(tac, values = new Map()) {
+    const instructions = tacInstructions.parseAll(tac);
+    const inputs = this.inputs(instructions);
+    const defined = new Map(); // temp → value it was last assigned
+
+    return instructions.map(instruction => {
+      const args = instruction.args.map(arg => arg.replace(TEMP, temp => defined.get(temp) || inputs.get(temp)));
+      if (COMMUTATIVE_OPERATIONS.includes(instruction.op)) {
+        args.sort();
+      }
+      const form = `${instruction.op}(${args.join(', ')})`;
+      if (instruction.dst) {
+        if (!values.has(form)) values.set(form, `v${values.size + 1}`);
+        defined.set(instruction.dst, values.get(form));
+      }
+      return form;
+    });
+  }
+
+  /**
+   * Align two TAC sequences with the fewest edits (Levenshtein over canonical instructions)
+   * @returns {Object|null} { percentage, matching, total, edit_distance, matched, substituted,
+   *   only_in_a, only_in_b, steps: [{ type, a, b }] }, null when the programs are too large
+   */
+  align(tacA, tacB) {
+    const values = new Map();
+    const a = this.canonicalize(tacA, values);
+    const b = this.canonicalize(tacB, values);
+    const columns = b.length + 1;
+    if ((a.length + 1) * columns > MAX_ALIGNMENT_CELLS) {
+      return null;
+    }
+
+    // distance[i * columns + j]: edits turning the first i instructions of A into the first j of B
+    const distance = new Uint32Array((a.length + 1) * columns);
+    for (let i = 0; i <= a.length; i++) distance[i * columns] = i;
+    for (let j = 0; j <= b.length; j++) distance[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = distance[(i - 1) * columns + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        distance[i * columns + j] = Math.min(substitution, distance[(i - 1) * columns + j] + 1, distance[i * columns + j - 1] + 1);
+      }
+    }
+
+    // Walk back from the end; a diagonal step is preferred, so equal instructions line up
+    const linesA = tacInstructions.renderAll(tacInstructions.parseAll(tacA));
+    const linesB = tacInstructions.renderAll(tacInstructions.parseAll(tacB));
+    const steps = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+      const here = distance[i * columns + j];
+      if (i > 0 && j > 0 && here === distance[(i - 1) * columns + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+        steps.push({ type: a[i - 1] === b[j - 1] ? 'match' : 'substitute', a: linesA[i - 1], b: linesB[j - 1] });
+        i--;
+        j--;
+      } else if (i > 0 && here === distance[(i - 1) * columns + j] + 1) {
+        steps.push({ type: 'only_in_a', a: linesA[i - 1], b: null });
+        i--;
+      } else {
+        steps.push({ type: 'only_in_b', a: null, b: linesB[j - 1] });
+        j--;
+      }
+    }
+    steps.reverse();
+
+    const count = type => steps.filter(step => step.type === type).length;
+    const total = Math.max(a.length, b.length);
+    const editDistance = distance[a.length * columns + b.length];
+    return {
+      percentage: total > 0 ? Math.round((1 - editDistance / total) * 100) : 0,
+      matching: count('match'),
+      total: total,
+      edit_distance: editDistance,
+      matched: count('match'),
+      substituted: count('substitute'),
+      only_in_a: count('only_in_a'),
+      only_in_b: count('only_in_b'),
+      steps: steps
+    };
+  }
+
+  /**
+   * Data-dependence graph: one node per instruction; inputs are [operand position, defining node]
+   * (position '*' for add and mul), users the reverse edges
+   */
+  buildDDG(tac) {
+    const defined = new Map();
+    const nodes = tacInstructions.parseAll(tac).map((instruction, index) => {
+      const commutative = COMMUTATIVE_OPERATIONS.includes(instruction.op);
+      const inputs = instruction.args.flatMap((arg, position) => (arg.match(TEMP) || [])
+        .filter(temp => defined.has(temp))
+        .map(temp => [commutative ? '*' : position, defined.get(temp)]));
+      if (instruction.dst) {
+        defined.set(instruction.dst, index);
+      }
+      return { inputs: inputs, users: [] };
+    });
+
+    nodes.forEach((node, index) => node.inputs.forEach(([position, input]) => nodes[input].users.push([position, index])));
+    return nodes;
+  }
+
+  /**
+   * Compare the data-dependence graphs of two TAC programs
+   * Nodes match when they compute the same value (canonical forms, so over the same inputs).
+   * For isomorphism the canonical forms are refined Weisfeiler-Lehman style with the colors of
+   * inputs and users until they stop changing: every node must also be used the same way.
+   * @returns {Object} { isomorphic, percentage, matching, total, nodes, edges, unmatched: { a, b } }
+   */
+  compareDDG(tacA, tacB) {
+    const values = new Map();
+    const forms = [this.canonicalize(tacA, values), this.canonicalize(tacB, values)];
+    const graphs = [this.buildDDG(tacA), this.buildDDG(tacB)];
+    const matching = this.commonCount(forms[0], forms[1]);
+    const total = Math.max(forms[0].length, forms[1].length);
+
+    // One color table for both graphs per round, so equal colors mean equal neighbourhoods
+    let colors = forms;
+    let classes = -1;
+    for (let round = 0; round <= total; round++) {
+      const table = new Map();
+      colors = graphs.map((nodes, graph) => nodes.map((node, index) => {
+        const neighbours = edges => edges.map(([position, other]) => `${position}:${colors[graph][other]}`).sort().join(',');
+        const signature = `${colors[graph][index]}|${neighbours(node.inputs)}|${neighbours(node.users)}`;
+        if (!table.has(signature)) table.set(signature, `c${table.size}`);
+        return table.get(signature);
+      }));
+      if (table.size === classes) break;
+      classes = table.size;
+    }
+
+    const edgeCount = nodes => nodes.reduce((sum, node) => sum + node.users.length, 0);
+    return {
+      isomorphic: forms[0].length === forms[1].length && this.commonCount(colors[0], colors[1]) === total,
+      percentage: total > 0 ? Math.round((matching / total) * 100) : 0,
+      matching: matching,
+      total: total,
+      nodes: { a: graphs[0].length, b: graphs[1].length },
+      edges: { a: edgeCount(graphs[0]), b: edgeCount(graphs[1]) },
+      // Instructions whose value the other program does not compute
+      unmatched: { a: this.unmatched(tacA, forms[0], forms[1]), b: this.unmatched(tacB, forms[1], forms[0]) }
+    };
+  }
+
+  /**
+   * Number of entries two lists have in common, counting repeats
+   */
+  commonCount(a, b) {
+    const left = this.counts(b);
+    return a.filter(entry => {
+      if (!left.get(entry)) return false;
+      left.set(entry, left.get(entry) - 1);
+      return true;
+    }).length;
+  }
+
+  /**
+   * Lines of a program whose canonical form is not matched by one of the other program
+   */
+  unmatched(tac, own, other) {
+    const left = this.counts(other);
+    const lines = tacInstructions.renderAll(tacInstructions.parseAll(tac));
+    return lines.filter((_, index) => {
+      if (!left.get(own[index])) return true;
+      left.set(own[index], left.get(own[index]) - 1);
+      return false;
+    });
+  }
+
+  counts(list) {
+    return list.reduce((map, entry) => map.set(entry, (map.get(entry) || 0) + 1), new Map());
+  }
+}
+
+module.exports = { TACSimilarity, SIMILARITY_METRICS, similarityLevel };
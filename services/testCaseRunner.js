@@ -0,0 +1,209 @@
+/**
+ * Test Case Runner - Runs reference and user programs against every test case
+ *
+ * A single stdin run can be passed by conditional hardcoding:
+ *   if (a == 5 && b == 3) return 8;
+ * Running the same submission against several inputs catches it.
+ *
+ * Each test case: { stdin, args?, expected_output?, name? }
+ * - With expected_output: user output must equal it (reference is still run for comparison)
+ * - Without expected_output: user output must equal the reference output
+ */
+
+class TestCaseRunner {
+  /**
+   * @param {Function} executor - executeCode(language, code, stdin, args, options)
+   *   options.priority is 'reference' or 'user' (used by the execution queue)
+   */
+  constructor(executor) {
+    this.executor = executor;
+  }
+
+  /**
+   * Validate and normalize the testCases array from the request body
+   * Accepts the documented aliases `input` and `expected` as well
+   * @returns {Object} { valid, error, testCases }
+   */
+  normalize(testCases) {
+    if (testCases === undefined || testCases === null) {
+      return { valid: true, testCases: [] };
+    }
+
+    if (!Array.isArray(testCases)) {
+      return { valid: false, error: 'testCases must be an array' };
+    }
+
+    const normalized = [];
+
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+
+      if (!testCase || typeof testCase !== 'object') {
+        return { valid: false, error: `testCases[${i}] must be an object` };
+      }
+
+      const stdin = testCase.stdin !== undefined ? testCase.stdin : testCase.input;
+      const expected = testCase.expected_output !== undefined ? testCase.expected_output : testCase.expected;
+
+      if (stdin !== undefined && typeof stdin !== 'string') {
+        return { valid: false, error: `testCases[${i}].stdin must be a string` };
+      }
+
+      if (expected !== undefined && expected !== null && typeof expected !== 'string') {
+        return { valid: false, error: `testCases[${i}].expected_output must be a string` };
+      }
+
+      if (testCase.args !== undefined && (!Array.isArray(testCase.args) ||
+          testCase.args.some(arg => typeof arg !== 'string' && typeof arg !== 'number'))) {
+        return { valid: false, error: `testCases[${i}].args must be an array of strings` };
+      }
+
+      normalized.push({
+        name: testCase.name || `Test ${i + 1}`,
+        stdin: stdin || '',
+        args: (testCase.args || []).map(String),
+        expected_output: expected === undefined ? null : expected
+      });
+    }
+
+    return { valid: true, testCases: normalized };
+  }
+
+  /**
+   * Run every test case against both programs
+   *
+   * @param {Object} referenceCode - { language, code, compilerOptions?, files?, entryPoint? }
+   * @param {Object} userCode - { language, code, compilerOptions?, files?, entryPoint? }
+   * @param {Array} testCases - Normalized test cases
+   * @returns {Object} Per-case results and aggregate score
+   */
+  async run(referenceCode, userCode, testCases) {
+    const results = [];
+
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      console.log(`[Test Cases] Running ${testCase.name} (${i + 1}/${testCases.length})...`);
+
+      const referenceResult = await this.executor(referenceCode.language, referenceCode.code, testCase.stdin, testCase.args, {
+        priority: 'reference',
+        compilerOptions: referenceCode.compilerOptions,
+        files: referenceCode.files,
+        entryPoint: referenceCode.entryPoint
+      });
+      const userResult = await this.executor(userCode.language, userCode.code, testCase.stdin, testCase.args, {
+        priority: 'user',
+        compilerOptions: userCode.compilerOptions,
+        files: userCode.files,
+        entryPoint: userCode.entryPoint
+      });
+
+      results.push(this.evaluate(i, testCase, referenceResult, userResult));
+    }
+
+    const passedCount = results.filter(r => r.passed).length;
+    const total = results.length;
+
+    return {
+      total: total,
+      passed: passedCount,
+      failed: total - passedCount,
+      score: total > 0 ? Math.round((passedCount / total) * 100) : 0,
+      all_passed: total > 0 && passedCount === total,
+      results: results
+    };
+  }
+
+  /**
+   * Evaluate one test case from the two execution results
+   */
+  evaluate(index, testCase, referenceResult, userResult) {
+    const base = {
+      index: index,
+      name: testCase.name,
+      stdin: testCase.stdin,
+      args: testCase.args
+    };
+
+    if (!referenceResult.success) {
+      return {
+        ...base,
+        passed: false,
+        error: 'Failed to execute reference code',
+        reference_error: referenceResult.error
+      };
+    }
+
+    if (!userResult.success) {
+      return {
+        ...base,
+        passed: false,
+        error: 'Failed to execute user code',
+        user_error: userResult.error
+      };
+    }
+
+    const referenceOutput = referenceResult.output.stdout.trim();
+    const userOutput = userResult.output.stdout.trim();
+    const hasExpected = testCase.expected_output !== null;
+    const expectedOutput = hasExpected ? testCase.expected_output.trim() : referenceOutput;
+
+    const outputMatch = userOutput === expectedOutput;
+    // Exit codes are only compared against the reference when no explicit expectation is given
+    const exitCodeMatch = hasExpected
+      ? userResult.output.code === 0
+      : userResult.output.code === referenceResult.output.code;
+
+    return {
+      ...base,
+      passed: outputMatch && exitCodeMatch,
+      output_match: outputMatch,
+      exit_code_match: exitCodeMatch,
+      expected_source: hasExpected ? 'expected_output' : 'reference',
+      expected_output: expectedOutput,
+      reference_output: referenceOutput,
+      user_output: userOutput,
+      reference_exit_code: referenceResult.output.code,
+      user_exit_code: userResult.output.code,
+      diff: outputMatch ? null : this.diff(expectedOutput, userOutput),
+      timing: {
+        reference_time: referenceResult.execution_time,
+        user_time: userResult.execution_time
+      },
+      stderr: userResult.output.stderr || ''
+    };
+  }
+
+  /**
+   * Line-based diff between expected and actual output
+   * @returns {Object} First differing line and every mismatched line
+   */
+  diff(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    const maxLines = Math.max(expectedLines.length, actualLines.length);
+    const lines = [];
+
+    for (let i = 0; i < maxLines; i++) {
+      const exp = expectedLines[i];
+      const act = actualLines[i];
+
+      if (exp !== act) {
+        lines.push({
+          line: i + 1,
+          expected: exp === undefined ? null : exp,
+          actual: act === undefined ? null : act
+        });
+      }
+    }
+
+    return {
+      first_difference: lines.length > 0 ? lines[0].line : null,
+      expected_lines: expectedLines.length,
+      actual_lines: actualLines.length,
+      lines: lines.slice(0, 20),
+      truncated: lines.length > 20
+    };
+  }
+}
+
+module.exports = { TestCaseRunner };
@@ -0,0 +1,559 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+/**
+ * Verification Jobs - Asynchronous /api/verify with polling and webhook callbacks
+ *
+ * POST /api/jobs/verify returns a job id at once; the verification runs in the
+ * background and GET /api/jobs/:id reports its status, stage and result.
+ *
+ * - Every job is a JSON file in JOBS_DIR (readable by the server's user only, and outside
+ *   the sandbox's view), rewritten on each state change, so a restart re-queues jobs that were
+ *   queued or running and resumes callbacks that were not delivered yet
+ * - A job interrupted by JOB_MAX_RESTARTS restarts (default 3) is failed instead of re-queued,
+ *   so a job that crashes the process does not retry forever
+ * - Finished jobs are removed from memory and disk JOB_RETENTION_HOURS after they finished,
+ *   checked every JOB_PRUNE_INTERVAL_MS (default one hour)
+ * - With a `callbackUrl`, the finished job is POSTed there, signed with
+ *   HMAC-SHA256(JOB_CALLBACK_SECRET, `${timestamp}.${body}`):
+ *     X-Signature: sha256=<hex>
+ *     X-Signature-Timestamp: <unix seconds>
+ * - The callback host is resolved when the callback is delivered; every address it resolves to
+ *   must be public, and the request goes to the address that was checked (so a second DNS
+ *   answer cannot point it somewhere else)
+ */
+
+// Stages in the order the verification pipeline reports them
+const STAGES = [
+  'queued',
+  'executing',
+  'running_test_cases',
+  'extracting_tac',
+  'checking_logic',
+  'ai_verification',
+  'structural_analysis',
+  'completed'
+];
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Host names that always mean this machine, whatever DNS says
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /\.localhost$/i
+];
+
+// Addresses a callback must not reach: this host, private networks and everything that is not
+// routed on the internet (carrier-grade NAT, link-local, IPv4-mapped and NAT64 IPv6 ...)
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d); a BlockList matches IPv4 addresses against it too, so it
+// is only checked for IPv6 addresses
+const MAPPED_ADDRESSES = new net.BlockList();
+MAPPED_ADDRESSES.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 6 && MAPPED_ADDRESSES.check(address, 'ipv6')) return true;
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+class VerificationJobs {
+  /**
+   * @param {Object} options
+   *   runner: async (body, reportProgress) => { statusCode, body } (required)
+   *   storageDir, concurrency, callbackSecret, callbackRetryDelays, retentionHours, maxRestarts,
+   *   pruneIntervalMs, allowPrivateCallbacks
+   *   resolveHost: async hostname => [{ address, family }] (default dns.lookup with all: true)
+   */
+  constructor(options) {
+    this.runner = options.runner;
+    this.storageDir = options.storageDir || process.env.JOBS_DIR || path.join(__dirname, '..', 'data', 'jobs');
+    this.concurrency = options.concurrency || parseInt(process.env.JOBS_CONCURRENCY, 10) || 2;
+    this.callbackSecret = options.callbackSecret !== undefined ? options.callbackSecret : process.env.JOB_CALLBACK_SECRET;
+    this.callbackRetryDelays = options.callbackRetryDelays || [1000, 5000, 30000];
+    this.retentionHours = options.retentionHours || parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24;
+    this.maxRestarts = options.maxRestarts || parseInt(process.env.JOB_MAX_RESTARTS, 10) || 3;
+    this.pruneIntervalMs = options.pruneIntervalMs || parseInt(process.env.JOB_PRUNE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+    this.allowPrivateCallbacks = options.allowPrivateCallbacks !== undefined
+      ? options.allowPrivateCallbacks
+      : process.env.JOB_CALLBACK_ALLOW_PRIVATE === 'true';
+    this.resolveHost = options.resolveHost || (hostname => dns.promises.lookup(hostname, { all: true, verbatim: true }));
+
+    this.jobs = new Map();
+    this.saving = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.initializing = null;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Load persisted jobs once (concurrent callers share the same load)
+   */
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.load();
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Load persisted jobs, re-queue interrupted ones (or fail them after maxRestarts) and resume
+   * the callbacks of finished jobs that were not delivered yet
+   */
+  async load() {
+    await fs.mkdir(this.storageDir, { recursive: true });
+    await fs.chmod(this.storageDir, 0o700);
+
+    let resumed = 0;
+
+    for (const fileName of await fs.readdir(this.storageDir)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const filePath = path.join(this.storageDir, fileName);
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        console.error(`⚠ Skipping unreadable job file ${fileName}:`, error.message);
+        continue;
+      }
+
+      this.jobs.set(job.id, job);
+
+      if (!this.isFinished(job) && (job.restarts || 0) >= this.maxRestarts) {
+        // Interrupted maxRestarts times already: it may be what brings the process down
+        const now = new Date().toISOString();
+        Object.assign(job, {
+          status: 'failed',
+          error: `Interrupted by ${job.restarts} server restarts, not retried again`,
+          finished_at: now,
+          updated_at: now
+        });
+        if (job.callback) {
+          job.callback.status = 'pending';
+        }
+        await this.save(job);
+      } else if (!this.isFinished(job)) {
+        // Interrupted by a restart: run it again from the start
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.restarts = (job.restarts || 0) + 1;
+        await this.save(job);
+        this.pending.push(job.id);
+        resumed++;
+        continue;
+      } else if (job.callback && job.callback.status === 'waiting') {
+        // Finished, but the process stopped before the callback was marked pending
+        job.callback.status = 'pending';
+        await this.save(job);
+      }
+
+      if (job.callback && ['pending', 'retrying'].includes(job.callback.status)) {
+        this.startCallback(job);
+      }
+    }
+
+    await this.prune();
+    this.pruneTimer = setInterval(() => {
+      this.prune().catch(error => console.error('⚠ Failed to prune verification jobs:', error.message));
+    }, this.pruneIntervalMs);
+    this.pruneTimer.unref();
+
+    console.log(`✓ Verification jobs initialized: ${this.jobs.size} job(s), ${resumed} resumed`);
+    this.dispatch();
+  }
+
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Remove jobs that finished more than retentionHours ago, from memory and disk
+   * (not while their callback is still being delivered)
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retentionHours * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const job of [...this.jobs.values()]) {
+      const delivering = job.callback && ['waiting', 'pending', 'retrying'].includes(job.callback.status);
+      if (!this.isFinished(job) || delivering || new Date(job.finished_at || job.updated_at).getTime() >= cutoff) continue;
+
+      this.jobs.delete(job.id);
+      await Promise.resolve(this.saving.get(job.id)).catch(() => {});
+      this.saving.delete(job.id);
+      await fs.unlink(path.join(this.storageDir, `${job.id}.json`)).catch(() => {});
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`✓ Removed ${removed} verification job(s) older than ${this.retentionHours}h`);
+    }
+    return removed;
+  }
+
+  /**
+   * Stop the prune timer (for tests and shutdown)
+   */
+  stop() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Check a callbackUrl before accepting a job
+   * @returns {Object} { valid, error }
+   */
+  validateCallbackUrl(callbackUrl) {
+    if (callbackUrl === undefined || callbackUrl === null) {
+      return { valid: true };
+    }
+
+    if (!this.callbackSecret) {
+      return { valid: false, error: 'callbackUrl requires JOB_CALLBACK_SECRET to be configured on the server' };
+    }
+
+    let url;
+    try {
+      url = new URL(String(callbackUrl));
+    } catch (error) {
+      return { valid: false, error: 'callbackUrl must be a valid URL' };
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { valid: false, error: 'callbackUrl must use http or https' };
+    }
+
+    if (url.username || url.password) {
+      return { valid: false, error: 'callbackUrl must not contain credentials' };
+    }
+
+    // IP literals are checked now, host names again when the callback is delivered
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (!this.allowPrivateCallbacks && (PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname)) ||
+      (net.isIP(hostname) && isPrivateAddress(hostname)))) {
+      return { valid: false, error: 'callbackUrl must not point to a private or loopback address' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Create and queue a job
+   * @param {Object} body - /api/verify request body (already validated)
+   * @param {string} callbackUrl - Optional webhook (already validated)
+   * @returns {Object} Public job view
+   */
+  async create(body, callbackUrl = null) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      request: body,
+      result: null,
+      error: null,
+      restarts: 0,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null,
+      callback: callbackUrl ? {
+        url: callbackUrl,
+        status: 'waiting',
+        attempts: 0,
+        last_error: null,
+        delivered_at: null
+      } : null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+
+    // Snapshot before dispatch, which may start the job right away
+    const view = this.toView(job);
+    this.pending.push(job.id);
+    this.dispatch();
+
+    return view;
+  }
+
+  /**
+   * Public view of a job, or null when unknown
+   */
+  get(id) {
+    if (!JOB_ID_PATTERN.test(id || '')) return null;
+
+    const job = this.jobs.get(id);
+    return job ? this.toView(job) : null;
+  }
+
+  toView(job) {
+    return {
+      job_id: job.id,
+      status: job.status, // queued, running, completed or failed
+      stage: job.stage,
+      progress: {
+        step: STAGES.indexOf(job.stage) + 1,
+        total_steps: STAGES.length,
+        stages: STAGES
+      },
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      restarts: job.restarts,
+      result: job.result,
+      error: job.error,
+      callback: job.callback ? {
+        url: job.callback.url,
+        status: job.callback.status, // waiting, pending, retrying, delivered or failed
+        attempts: job.callback.attempts,
+        last_error: job.callback.last_error,
+        delivered_at: job.callback.delivered_at
+      } : null
+    };
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   */
+  dispatch() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.running++;
+        this.process(job)
+          .catch(error => this.abandon(job, error))
+          .finally(() => {
+            this.running--;
+            this.dispatch();
+          });
+      }
+    }
+  }
+
+  async process(job) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    await this.update(job, { stage: 'executing' });
+
+    try {
+      const outcome = await this.runner(job.request, stage => {
+        if (STAGES.includes(stage) && stage !== job.stage) {
+          this.update(job, { stage }).catch(error => console.error('⚠ Failed to persist job progress:', error.message));
+        }
+      });
+
+      const succeeded = outcome.statusCode < 400;
+      await this.update(job, {
+        status: succeeded ? 'completed' : 'failed',
+        stage: succeeded ? 'completed' : job.stage,
+        result: { status_code: outcome.statusCode, body: outcome.body },
+        error: succeeded ? null : (outcome.body && outcome.body.error) || 'Verification failed',
+        finished_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`✗ Verification job ${job.id} failed:`, error.message);
+      await this.update(job, {
+        status: 'failed',
+        error: 'Internal server error: ' + error.message,
+        finished_at: new Date().toISOString()
+      });
+    }
+
+    console.log(`✓ Verification job ${job.id} ${job.status}`);
+
+    if (job.callback) {
+      job.callback.status = 'pending';
+      await this.save(job);
+      this.startCallback(job);
+    }
+  }
+
+  /**
+   * A job whose state could not be saved (process() threw outside the runner): it is marked
+   * failed, and saving that is tried once more
+   */
+  abandon(job, error) {
+    console.error(`✗ Verification job ${job.id} failed:`, error.message);
+    const now = new Date().toISOString();
+    Object.assign(job, {
+      status: 'failed',
+      error: 'Internal server error: ' + error.message,
+      finished_at: job.finished_at || now,
+      updated_at: now
+    });
+    this.save(job).catch(saveError => console.error(`⚠ Failed to persist job ${job.id}:`, saveError.message));
+  }
+
+  /**
+   * Deliver a callback in the background; an error outside the delivery attempts (saving the
+   * job) marks the callback failed instead of going unhandled
+   */
+  startCallback(job) {
+    this.deliverCallback(job).catch(error => {
+      console.error(`✗ Callback for job ${job.id} failed:`, error.message);
+      if (job.callback.status !== 'delivered') {
+        job.callback.status = 'failed';
+        job.callback.last_error = error.message;
+      }
+      this.save(job).catch(saveError => console.error(`⚠ Failed to persist job ${job.id}:`, saveError.message));
+    });
+  }
+
+  async update(job, changes) {
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+    await this.save(job);
+  }
+
+  /**
+   * Persist a job; writes for the same job are serialized so a late
+   * progress update can never overwrite the final state
+   */
+  save(job) {
+    const previous = this.saving.get(job.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.write(job));
+    this.saving.set(job.id, next);
+    return next;
+  }
+
+  /**
+   * Write a job atomically (temp file, then rename)
+   */
+  async write(job) {
+    const filePath = path.join(this.storageDir, `${job.id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(job), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * HMAC-SHA256 signature headers for a callback body
+   */
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.callbackSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return {
+      'X-Signature': `sha256=${signature}`,
+      'X-Signature-Timestamp': String(timestamp)
+    };
+  }
+
+  /**
+   * Resolve the host of a callback URL to the one address the callback is sent to
+   * @returns {Object} { address, family }
+   * @throws {Error} code CALLBACK_ADDRESS_BLOCKED when the host resolves to a private address
+   */
+  async resolveCallbackAddress(url) {
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await this.resolveHost(hostname);
+
+    if (addresses.length === 0) {
+      throw new Error(`${hostname} did not resolve to an address`);
+    }
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (!this.allowPrivateCallbacks && blocked) {
+      const error = new Error(`callbackUrl resolves to a private or loopback address (${blocked.address})`);
+      error.code = 'CALLBACK_ADDRESS_BLOCKED';
+      throw error;
+    }
+    return addresses[0];
+  }
+
+  /**
+   * Agent that connects to the resolved address whatever host name the request names
+   * (the Host header and TLS server name stay those of the URL)
+   */
+  pinnedAgent(url, { address, family }) {
+    const lookup = (hostname, options, callback) => options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family);
+    return url.protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+  }
+
+  /**
+   * POST the finished job to its callbackUrl, retrying with backoff
+   * A host that resolves to a private address fails the callback without retries.
+   */
+  async deliverCallback(job) {
+    const payload = JSON.stringify({
+      job_id: job.id,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      finished_at: job.finished_at
+    });
+
+    while (job.callback.attempts <= this.callbackRetryDelays.length) {
+      job.callback.attempts++;
+
+      try {
+        const url = new URL(job.callback.url);
+        const agent = this.pinnedAgent(url, await this.resolveCallbackAddress(url));
+        await axios.post(job.callback.url, payload, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Job-Id': job.id,
+            ...this.sign(payload)
+          },
+          httpAgent: agent,
+          httpsAgent: agent,
+          proxy: false,
+          timeout: 10000,
+          maxRedirects: 0
+        });
+      } catch (error) {
+        job.callback.last_error = error.response ? `HTTP ${error.response.status}` : error.message;
+        const delay = this.callbackRetryDelays[job.callback.attempts - 1];
+
+        if (delay === undefined || error.code === 'CALLBACK_ADDRESS_BLOCKED') break;
+
+        job.callback.status = 'retrying';
+        await this.save(job);
+        console.log(`⚠ Callback for job ${job.id} failed (${job.callback.last_error}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // Saved outside the try, so a failing save does not send the callback again
+      job.callback.status = 'delivered';
+      job.callback.last_error = null;
+      job.callback.delivered_at = new Date().toISOString();
+      await this.save(job);
+      console.log(`✓ Callback delivered for job ${job.id}`);
+      return;
+    }
+
+    job.callback.status = 'failed';
+    await this.save(job);
+    console.error(`✗ Callback for job ${job.id} failed after ${job.callback.attempts} attempt(s)`);
+  }
+}
+
+module.exports = { VerificationJobs, STAGES };
@@ -0,0 +1,23 @@
+/**
+ * Checks shared by the test scripts: check() records and prints one check, summarize()
+ * prints the total and exits with 1 when a check failed (npm test runs the scripts one by one)
+ */
+
+const results = [];
+
+function check(name, passed, detail) {
+  results.push(passed);
+  console.log(`  ${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+}
+
+function summarize() {
+  const passed = results.filter(Boolean).length;
+  console.log(`\n${'─'.repeat(70)}`);
+  console.log(`Total: ${passed}/${results.length} checks passed`);
+
+  if (passed !== results.length) {
+    process.exit(1);
+  }
+}
+
+module.exports = { check, summarize };
@@ -0,0 +1,60 @@
+/**
+ * Test Runner - runs the test scripts one after another: npm test
+ *
+ * STANDALONE_TESTS need no API server; SERVER_TESTS call a running server at
+ * localhost:3000 (npm start, then npm run test:server). A script fails the run
+ * when it exits with a non-zero code.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const STANDALONE_TESTS = [
+  'test-args-parity.js',
+  'test-cfg.js',
+  'test-cpp-ir.js',
+  'test-data-flow.js',
+  'test-execution-queue.js',
+  'test-function-tac.js',
+  'test-ir-providers.js',
+  'test-java-isolation.js',
+  'test-java-tac.js',
+  'test-javascript-tac.js',
+  'test-llvm-ir-parser.js',
+  'test-local-executor-injection.js',
+  'test-multi-file-projects.js',
+  'test-python-tac.js',
+  'test-sandbox.js',
+  'test-source-locations.js',
+  'test-tac-canonicalizer.js',
+  'test-tac-instructions.js',
+  'test-tac-normalizer.js',
+  'test-tac-pipeline.js',
+  'test-tac-similarity.js',
+  'test-verification-jobs.js'
+];
+
+const SERVER_TESTS = [
+  'test-compare-endpoint.js'
+];
+
+function runAll(tests) {
+  const failed = [];
+
+  for (const test of tests) {
+    console.log(`\n▶ ${test}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, test)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+      failed.push(test);
+    }
+  }
+
+  console.log(`\n${'═'.repeat(70)}`);
+  console.log(`${tests.length - failed.length}/${tests.length} test scripts passed`);
+  if (failed.length > 0) {
+    console.log(`Failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+}
+
+runAll(process.argv.includes('--server') ? SERVER_TESTS : STANDALONE_TESTS);
@@ -0,0 +1,129 @@
+/**
+ * Command-line Args Parity Test
+ *
+ * The same program must see the same argv whether LocalExecutor or Piston runs it.
+ * 1. Every local runner (C, C++, Python, JavaScript, Java) receives `args` verbatim,
+ *    including spaces, quotes, shell metacharacters and leading dashes
+ * 2. The Piston payload carries exactly the same `args`
+ * 3. When Piston is reachable, local and Piston stdout are compared directly
+ *
+ * Runs without the API server: node tests/test-args-parity.js
+ */
+
+// Piston side: executeCode must skip the local executor
+process.env.USE_LOCAL_EXECUTION = 'false';
+// Local side: argv is under test, not the isolation, so a host without bwrap runs it too
+process.env.SANDBOX_ALLOW_WEAK = 'true';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { LocalExecutor } = require('../services/localExecutor');
+const { executeCode } = require('../services/pistonService');
+const { check, summarize } = require('./check');
+
+const ARGS = ['plain', 'two words', '"quoted"', '$(touch pwned)', ';ls', '--flag', ''];
+
+// Each program prints its arguments one per line as [arg]
+const programs = {
+  c: '#include <stdio.h>\nint main(int argc, char **argv) { for (int i = 1; i < argc; i++) printf("[%s]\\n", argv[i]); return 0; }',
+  cpp: '#include <iostream>\nint main(int argc, char **argv) { for (int i = 1; i < argc; i++) std::cout << "[" << argv[i] << "]" << std::endl; }',
+  python: 'import sys\nfor arg in sys.argv[1:]:\n    print(f"[{arg}]")',
+  javascript: 'for (const arg of process.argv.slice(2)) console.log(`[${arg}]`);',
+  java: 'public class Main { public static void main(String[] args) { for (String arg : args) System.out.println("[" + arg + "]"); } }'
+};
+
+const expectedOutput = ARGS.map(arg => `[${arg}]`).join('\n');
+
+async function testLocalRunners(executor, localOutputs) {
+  console.log('\n📋 Local runners receive args as argv');
+
+  for (const [language, code] of Object.entries(programs)) {
+    const result = await executor.execute(language, code, '', { args: ARGS });
+    if (result.fallback_needed && /not available/.test(result.error || '')) {
+      console.log(`  ⏭  ${language} skipped: ${result.error}`);
+      continue;
+    }
+
+    const stdout = (result.stdout || '').trim();
+    localOutputs[language] = stdout;
+    check(`${language} prints every argument verbatim`, stdout === expectedOutput, JSON.stringify(stdout || result.stderr));
+  }
+}
+
+/**
+ * Run executeCode against a stubbed Piston and return the request payload
+ */
+async function capturePistonPayload(args) {
+  const originalPost = axios.post;
+  let payload = null;
+
+  axios.post = async (url, body) => {
+    payload = body;
+    return { data: { run: { stdout: '', stderr: '', code: 0, signal: null } } };
+  };
+
+  try {
+    await executeCode('python', programs.python, '', args);
+  } finally {
+    axios.post = originalPost;
+  }
+
+  return payload;
+}
+
+async function testPistonPayload() {
+  console.log('\n📋 Piston payload carries the same args');
+
+  const payload = await capturePistonPayload(ARGS);
+  check('args are forwarded unchanged', payload && JSON.stringify(payload.args) === JSON.stringify(ARGS),
+    payload ? JSON.stringify(payload.args) : 'no request sent');
+
+  const numeric = await capturePistonPayload([1, 2.5]);
+  check('numeric args are sent as strings', numeric && JSON.stringify(numeric.args) === '["1","2.5"]',
+    numeric ? JSON.stringify(numeric.args) : 'no request sent');
+
+  const invalid = await executeCode('python', programs.python, '', 'not-an-array');
+  check('non-array args are rejected', !invalid.success && /args must be an array/.test(invalid.error), invalid.error);
+}
+
+async function testPistonParity(localOutputs) {
+  console.log('\n📋 Local and Piston results agree');
+
+  for (const [language, localOutput] of Object.entries(localOutputs)) {
+    const result = await executeCode(language, programs[language], '', ARGS);
+    if (!result.success) {
+      console.log(`  ⏭  Piston unreachable, parity for ${language} not checked: ${result.error}`);
+      continue;
+    }
+
+    const pistonOutput = result.output.stdout.trim();
+    check(`${language}: local and Piston stdout match`, pistonOutput === localOutput, JSON.stringify(pistonOutput));
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Command-line Args Parity Tests');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'args-parity-'));
+  const executor = new LocalExecutor({ tempDir });
+  const localOutputs = {};
+
+  try {
+    await testLocalRunners(executor, localOutputs);
+    await testPistonPayload();
+    await testPistonParity(localOutputs);
+
+    check('no shell ran ($(touch pwned) did not create a file)', !fs.existsSync(path.join(tempDir, 'pwned')) && !fs.existsSync('pwned'));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,266 @@
+/**
+ * Control-flow Graph Test
+ *
+ * 1. TAC splits into basic blocks at labels and jumps, with edges, dominators and natural loops
+ * 2. Every converter keeps its branches as labels and jumps (LLVM IR, javap, dis, JavaScript)
+ * 3. A loop and a closed form have the same operations but a different CFG shape
+ * 4. verifyLogic reports the CFG comparison next to the operation comparison
+ *
+ * Runs without the API server: node tests/test-cfg.js
+ */
+
+const { CFGBuilder } = require('../services/cfgBuilder');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { JVMBytecodeToTACConverter } = require('../services/jvmBytecodeToTAC');
+const { PythonBytecodeToTACConverter } = require('../services/pythonBytecodeToTAC');
+const { JavaScriptASTToTACConverter } = require('../services/javascriptASTToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { ASTParser, isAvailable } = require('../services/astParser');
+const { check, summarize } = require('./check');
+
+const builder = new CFGBuilder();
+
+function shapeOf(tac) {
+  return builder.shape(builder.build(tac));
+}
+
+function describe(shape) {
+  return `loops ${shape.loops}, depth ${shape.max_loop_depth}, branches ${shape.branches}, complexity ${shape.cyclomatic_complexity}`;
+}
+
+// clang -O0: int sum(int n) { int s = 0; for (int i = 1; i <= n; i++) s += i; return s; }
+const LOOP_IR = `
+define i32 @sum(i32 %0) {
+  %2 = alloca i32
+  %3 = alloca i32
+  store i32 0, ptr %2
+  store i32 1, ptr %3
+  br label %4
+
+4:
+  %5 = load i32, ptr %3
+  %6 = icmp sle i32 %5, %0
+  br i1 %6, label %7, label %12
+
+7:
+  %8 = load i32, ptr %2
+  %9 = add nsw i32 %8, %5
+  store i32 %9, ptr %2
+  %10 = add nsw i32 %5, 1
+  store i32 %10, ptr %3
+  br label %4
+
+12:
+  %13 = load i32, ptr %2
+  ret i32 %13
+}`;
+
+// javap -c: static int sum(int n) { int s = 0; for (int i = 1; i <= n; i++) s += i; return s; }
+const LOOP_JAVAP = `class Main {
+  static int sum(int);
+    Code:
+       0: iconst_0
+       1: istore_1
+       2: iconst_1
+       3: istore_2
+       4: iload_2
+       5: iload_0
+       6: if_icmpgt     19
+       9: iload_1
+      10: iload_2
+      11: iadd
+      12: istore_1
+      13: iinc          2, 1
+      16: goto          4
+      19: iload_1
+      20: ireturn
+}`;
+
+// Python 3.12 dis: def sum_to(n): s = 0 / for i in range(n): s += i / return s
+const LOOP_DIS_312 = `Disassembly of <code object sum_to at 0x7f, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_CONST               1 (0)
+              4 STORE_FAST               1 (s)
+
+  3           6 LOAD_GLOBAL              1 (NULL + range)
+             16 LOAD_FAST                0 (n)
+             18 CALL                     1
+             26 GET_ITER
+        >>   28 FOR_ITER                 7 (to 46)
+             32 STORE_FAST               2 (i)
+
+  4          34 LOAD_FAST_LOAD_FAST     18 (s, i)
+             36 BINARY_OP               13 (+=)
+             40 STORE_FAST               1 (s)
+             42 JUMP_BACKWARD            9 (to 28)
+
+  3     >>   46 END_FOR
+
+  5          48 LOAD_FAST                1 (s)
+             50 RETURN_VALUE`;
+
+// The same function in Python 3.13, which has labels instead of offsets
+const LOOP_DIS_313 = `Disassembly of <code object sum_to at 0x7f, file "main.py", line 1>:
+  1           RESUME                   0
+
+  2           LOAD_CONST               1 (0)
+              STORE_FAST               1 (s)
+
+  3           LOAD_GLOBAL              1 (range + NULL)
+              LOAD_FAST                0 (n)
+              CALL                     1
+              GET_ITER
+      L1:     FOR_ITER                 7 (to L2)
+              STORE_FAST               2 (i)
+
+  4           LOAD_FAST_LOAD_FAST     18 (s, i)
+              BINARY_OP               13 (+=)
+              STORE_FAST               1 (s)
+              JUMP_BACKWARD            9 (to L1)
+
+  3   L2:     END_FOR
+              POP_TOP
+
+  5           LOAD_FAST                1 (s)
+              RETURN_VALUE`;
+
+function javascript(code) {
+  return new JavaScriptASTToTACConverter().convert(new ASTParser().parse('javascript', code).rootNode);
+}
+
+function testBuilder() {
+  console.log('\n📋 Blocks, edges, dominators and loops');
+
+  const cfg = builder.build(new LLVMToTACConverter().convert(LOOP_IR));
+  check('blocks at labels and after jumps', cfg.blocks.map(block => block.label).join() === ',L1,L2,L3',
+    cfg.blocks.map(block => `${block.label}: ${block.instructions.join('; ')}`).join(' | '));
+  check('edges follow goto and if ... goto ... else', JSON.stringify(cfg.edges) === '[[0,1],[1,2],[1,3],[2,1]]',
+    JSON.stringify(cfg.edges));
+  check('the loop header dominates the body and the exit', cfg.dominators[2].join() === '0,1,2' &&
+    cfg.dominators[3].join() === '0,1,3', JSON.stringify(cfg.dominators));
+  check('the back edge forms a natural loop', cfg.loops.length === 1 && cfg.loops[0].header === 1 &&
+    cfg.loops[0].blocks.join() === '1,2' && cfg.loops[0].latches.join() === '2', JSON.stringify(cfg.loops));
+  check('shape: one loop, complexity 2', describe(shapeOf(new LLVMToTACConverter().convert(LOOP_IR))) ===
+    'loops 1, depth 1, branches 1, complexity 2');
+
+  const fallthrough = builder.build(['t1 = load t0', 'L1:', 't2 = t1 + 1', 'return t2', 't3 = t2 * 2', 'return t3']);
+  check('falling into a label is an edge, code after a return is unreachable', JSON.stringify(fallthrough.edges) === '[[0,1]]' &&
+    !fallthrough.blocks[2].reachable && fallthrough.dominators[2] === null, JSON.stringify(fallthrough.edges));
+
+  const switchShape = shapeOf(['switch t1 [1: L1, 2: L2] default L3', 'L1:', 'goto L3', 'L2:', 'goto L3', 'L3:', 'return']);
+  check('switch has one edge per target', switchShape.edges === 5 && switchShape.cyclomatic_complexity === 3,
+    describe(switchShape));
+
+  const straight = shapeOf(['t1 = 2 * t0', 'return t1']);
+  check('straight-line code has complexity 1', straight.blocks === 1 && straight.cyclomatic_complexity === 1 &&
+    straight.loops === 0);
+}
+
+function testConverters() {
+  console.log('\n📋 Branches in every converter');
+
+  const java = new JVMBytecodeToTACConverter().convert(LOOP_JAVAP);
+  check('javap: if_icmpgt becomes a comparison and a conditional jump', java.some(line => /^t\d+ = t\d+ > t\d+$/.test(line)) &&
+    java.includes('if t6 goto L3 else L2') && java.includes('goto L1'), java.join('; '));
+  check('javap: the for loop has the shape of the C loop', describe(shapeOf(java)) === 'loops 1, depth 1, branches 1, complexity 2',
+    describe(shapeOf(java)));
+
+  const python312 = new PythonBytecodeToTACConverter().convert(LOOP_DIS_312);
+  const python313 = new PythonBytecodeToTACConverter().convert(LOOP_DIS_313);
+  check('dis: FOR_ITER and JUMP_BACKWARD become a loop', describe(shapeOf(python312)) === 'loops 1, depth 1, branches 1, complexity 2',
+    python312.join('; '));
+  check('dis: offsets (3.12) and labels (3.13) give the same TAC', python312.join('; ') === python313.join('; '),
+    python313.join('; '));
+
+  const comparison = new PythonBytecodeToTACConverter().convert(`  1           0 LOAD_NAME                0 (x)
+              2 LOAD_CONST               0 (0)
+              4 COMPARE_OP               4 (>)
+              6 POP_JUMP_IF_FALSE        5 (to 18)
+              8 LOAD_CONST               1 (1)
+             10 RETURN_VALUE
+        >>   18 LOAD_NAME                0 (x)
+             20 POP_JUMP_IF_NOT_NONE     1 (to 26)
+             22 LOAD_CONST               2 (2)
+             24 RETURN_VALUE
+        >>   26 LOAD_CONST               3 (3)
+             28 RETURN_VALUE`);
+  check('dis: COMPARE_OP and POP_JUMP_IF_NOT_NONE', comparison.join('; ') === 't2 = load t1; t3 = t2 > 0; if t3 goto L1 else L2; ' +
+    'L1:; return 1; L2:; t4 = load t1; t5 = t4 != None; if t5 goto L4 else L3; L3:; return 2; L4:; return 3', comparison.join('; '));
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, JavaScript skipped');
+    return;
+  }
+
+  const nested = javascript('function f(n) {\n  let s = 0;\n  for (let i = 0; i < n; i++) {\n    let j = 0;\n' +
+    '    while (j < i) {\n      if (j % 2 === 0) { j++; continue; }\n      s += j;\n      j++;\n    }\n  }\n  return s;\n}');
+  const nestedShape = shapeOf(nested);
+  check('JavaScript: nested loops are depth 2', nestedShape.loops === 2 && nestedShape.max_loop_depth === 2, describe(nestedShape));
+
+  const labeled = javascript('outer: for (const a of xs) {\n  for (const b of ys) {\n    if (a === b) break outer;\n  }\n}');
+  const cfg = builder.build(labeled);
+  const breakBlock = cfg.blocks.find(block => block.instructions.some(line => line.startsWith('if ')) &&
+    block.instructions.some(line => / === /.test(line)));
+  const outerExit = cfg.blocks.find(block => block.label === 'L3');
+  check('JavaScript: break outer leaves both loops', breakBlock && cfg.blocks[breakBlock.successors[0]].successors.includes(outerExit.id),
+    labeled.join('; '));
+
+  const logical = javascript('const ok = a > 0 && b > 0;');
+  check('JavaScript: && branches like clang\'s land.rhs', shapeOf(logical).branches === 1 &&
+    logical.some(line => /^if t\d+ goto L1 else L2$/.test(line)), logical.join('; '));
+}
+
+function testLoopVsClosedForm() {
+  console.log('\n📋 Loop vs closed form');
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, skipped');
+    return;
+  }
+
+  const loopCode = 'function sum(n) {\n  let s = 0;\n  for (let i = 1; i <= n; i++) {\n    s += i;\n  }\n  return s;\n}';
+  const closedCode = 'function sum(n) {\n  const s = n + 1;\n  return n * s / 2;\n}';
+  const program = code => {
+    const converter = new JavaScriptASTToTACConverter();
+    const counter = new LLVMToTACConverter();
+    const tacRaw = converter.convert(new ASTParser().parse('javascript', code).rootNode);
+    return {
+      code, language: 'javascript', tac: counter.filter(tacRaw), tac_raw: tacRaw,
+      functions: converter.functions.map(func => ({ ...func, tac: counter.filter(func.tac), tac_raw: func.tac }))
+    };
+  };
+
+  const loop = program(loopCode);
+  const closed = program(closedCode);
+  const comparison = builder.compare(builder.programShape(loop.functions.map(func => ({ name: func.name, tac: func.tac_raw }))),
+    builder.programShape(closed.functions.map(func => ({ name: func.name, tac: func.tac_raw }))));
+  check('the loop has a loop, the closed form has none', !comparison.match && !comparison.loops_match &&
+    comparison.reason === 'Different loops: reference 1, user 0', comparison.reason);
+
+  const result = new TACLogicChecker().verifyLogic(loop, closed);
+  check('verifyLogic reports the control flow next to the operations', result.control_flow && !result.control_flow.match &&
+    result.control_flow.reference.functions[0].name === 'sum' && result.tac_comparison.missing_operations.length === 0,
+    result.control_flow && result.control_flow.reason);
+
+  const same = new TACLogicChecker().verifyLogic(loop, program(loopCode.replace(/s \+= i/, 's = s + i')));
+  check('the same loop written differently matches', same.control_flow.match, same.control_flow.reason);
+
+  const targeted = new TACLogicChecker().verifyLogic(loop, closed, { targetFunctions: ['sum'] });
+  check('target functions carry their own CFG comparison', targeted.function_comparison.targets[0].control_flow.loops_match === false);
+
+  const withoutRaw = new TACLogicChecker().verifyLogic({ code: 'a', language: 'c', tac: [] }, { code: 'b', language: 'c', tac: [] });
+  check('without unfiltered TAC there is no CFG comparison', withoutRaw.control_flow === null);
+}
+
+function runAllTests() {
+  console.log('🚀 Control-flow Graph Tests');
+
+  testBuilder();
+  testConverters();
+  testLoopVsClosedForm();
+
+  summarize();
+}
+
+runAllTests();
@@ -0,0 +1,102 @@
+/**
+ * /api/compare Test
+ * Execution does not produce TAC, the endpoint extracts it for both programs: two real
+ * programs must be compared on their instructions, not on two empty lists.
+ * 1. Every metric sees the instructions of both programs and scores them above zero
+ * 2. The TAC of each program is in the response
+ * 3. The same program scores 100%, a different one less
+ * 4. TAC extraction goes through the execution queue, in /api/compare and /api/tac/pipeline
+ *
+ * Needs the API server (npm start): npm run test:server
+ */
+
+const axios = require('axios');
+const { check, summarize } = require('./check');
+
+const API_URL = 'http://localhost:3000/api/compare';
+const METRICS_URL = 'http://localhost:3000/api/queue/metrics';
+const PIPELINE_URL = 'http://localhost:3000/api/tac/pipeline';
+
+const sum = {
+  language: 'python',
+  code: `def add(a, b):
+    return a + b
+
+print(add(5, 3))`
+};
+
+const product = {
+  language: 'python',
+  code: `def add(a, b):
+    total = a * b
+    return total - 7
+
+print(add(5, 3))`
+};
+
+async function compare(programA, programB, similarityMetric) {
+  const response = await axios.post(API_URL, { programA, programB, similarityMetric }, { timeout: 60000 });
+  return response.data;
+}
+
+async function testMetrics() {
+  console.log('\n📋 Every metric compares the extracted TAC');
+
+  for (const metric of ['operations', 'alignment', 'ddg']) {
+    const data = await compare(sum, product, metric);
+    const tac = data.comparison.tac_based;
+    check(`${metric}: both programs have instructions, the score is not zero`,
+      data.success && tac.total_operations > 0 && tac.similarity_percentage > 0,
+      `${tac.similarity_percentage}% of ${tac.total_operations}`);
+  }
+}
+
+async function testResponse() {
+  console.log('\n📋 Response');
+
+  const data = await compare(sum, product, 'alignment');
+  check('the TAC of each program is returned', data.programA.tac.length > 0 && data.programB.tac.length > 0 &&
+    data.programA.instruction_count > 0 && data.programB.instruction_count > 0,
+  `${data.programA.instruction_count} / ${data.programB.instruction_count}`);
+
+  const same = await compare(sum, sum, 'alignment');
+  const different = data.comparison.tac_based.similarity_percentage;
+  check('the same program scores 100%, a different one less',
+    same.comparison.tac_based.similarity_percentage === 100 && different < 100, `${different}%`);
+}
+
+async function completedPythonJobs() {
+  const response = await axios.get(METRICS_URL);
+  const python = response.data.metrics.languages.python;
+  return python ? python.completed + python.failed : 0;
+}
+
+async function testQueue() {
+  console.log('\n📋 Execution queue');
+
+  const before = await completedPythonJobs();
+  await compare(sum, product, 'operations');
+  const afterCompare = await completedPythonJobs();
+  check('both runs and both extractions are queued jobs', afterCompare - before === 4, `${afterCompare - before} jobs`);
+
+  // Python has no LLVM IR, the pipeline refuses it after the extraction
+  const pipeline = await axios.post(PIPELINE_URL, sum, { timeout: 60000, validateStatus: () => true });
+  const afterPipeline = await completedPythonJobs();
+  check('the pipeline\'s extraction is a queued job', pipeline.status === 400 && afterPipeline - afterCompare === 1,
+    `${afterPipeline - afterCompare} jobs, ${pipeline.data.error}`);
+}
+
+async function runAllTests() {
+  console.log('\n🚀 Starting /api/compare Test Suite');
+
+  await testMetrics();
+  await testResponse();
+  await testQueue();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.response ? JSON.stringify(error.response.data) : error.message);
+  process.exit(1);
+});
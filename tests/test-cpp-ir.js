@@ -0,0 +1,165 @@
+/**
+ * C++ IR Extraction Test
+ *
+ * 1. C and C++ go to different Compiler Explorer compilers with -x c / -x c++
+ * 2. Demangled signatures are reduced to qualified names (std::sort, std::vector::push_back)
+ * 3. TAC keeps demangled callee names for call and invoke once prepare() has run c++filt
+ * 4. TACLogicChecker reports the called functions of both sides
+ *
+ * Runs without the API server: node tests/test-cpp-ir.js
+ */
+
+const http = require('http');
+const { SimpleIRExtractor } = require('../services/simpleIRExtractor');
+const { IRProvider } = require('../services/irProvider');
+const { Demangler } = require('../services/demangler');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { check, summarize } = require('./check');
+
+// clang -O0 output for: std::vector<int> v; v.push_back(3); std::sort(v.begin(), v.end()); return add(1, 2);
+const CPP_IR = `
+define dso_local noundef i32 @main() #0 personality ptr @__gxx_personality_v0 {
+  %1 = alloca i32, align 4
+  %2 = alloca %"class.std::vector", align 8
+  call void @_ZNSt6vectorIiSaIiEEC2Ev(ptr noundef nonnull align 8 dereferenceable(24) %2) #3
+  invoke void @_ZNSt6vectorIiSaIiEE9push_backEOi(ptr noundef nonnull align 8 dereferenceable(24) %2, ptr noundef nonnull align 4 dereferenceable(4) %3)
+          to label %4 unwind label %8
+  %5 = call i64 @_ZNSt6vectorIiSaIiEE5beginEv(ptr noundef nonnull align 8 dereferenceable(24) %2) #3
+  %6 = call i64 @_ZNSt6vectorIiSaIiEE3endEv(ptr noundef nonnull align 8 dereferenceable(24) %2) #3
+  call void @_ZSt4sortIN9__gnu_cxx17__normal_iteratorIPiSt6vectorIiSaIiEEEEEvT_S7_(i64 %5, i64 %6)
+  %7 = call noundef i32 @_Z3addii(i32 noundef 1, i32 noundef 2)
+  ret i32 %7
+}
+`;
+
+function startCompilerExplorer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, payload: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: 0, asm: CPP_IR.split('\n').map(text => ({ text })) }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function testCompilerSelection(compilerExplorer) {
+  console.log('\n📋 Per-language compilers');
+
+  const extractor = new SimpleIRExtractor({ baseUrl: compilerExplorer.url });
+
+  compilerExplorer.requests.length = 0;
+  await extractor.extract('c', 'int main() { return 0; }');
+  await extractor.extract('cpp', '#include <vector>\nint main() { std::vector<int> v; return v.size(); }');
+  const [c, cpp] = compilerExplorer.requests;
+
+  check('C uses the C compiler with -x c', c.url === '/api/compiler/cclang1600/compile' &&
+    /^-x c /.test(c.payload.options.userArguments), `${c.url} ${c.payload.options.userArguments}`);
+  check('C++ uses the C++ compiler with -x c++', cpp.url === '/api/compiler/clang1600/compile' &&
+    /^-x c\+\+ /.test(cpp.payload.options.userArguments), `${cpp.url} ${cpp.payload.options.userArguments}`);
+  check('both still emit LLVM IR at -O0, with debug info', [c, cpp].every(request => /-S -emit-llvm -O0 -g$/.test(request.payload.options.userArguments)));
+
+  compilerExplorer.requests.length = 0;
+  const provider = new IRProvider({
+    providers: 'compiler_explorer',
+    compilerExplorerUrl: compilerExplorer.url,
+    compilerExplorerCompilers: { cpp: { id: 'clang-trunk' } },
+    localExecutor: { sandbox: { probe: async () => false } }
+  });
+  const file = { name: 'main.cpp', content: 'int main() {}' };
+  await provider.extract('c++', { files: [file], entryPoint: 'main.cpp', multiFile: false }, [file]);
+  check('self-hosted compiler ids can be overridden', compilerExplorer.requests[0].url === '/api/compiler/clang-trunk/compile' &&
+    /^-x c\+\+ /.test(compilerExplorer.requests[0].payload.options.userArguments), compilerExplorer.requests[0].url);
+}
+
+function testSimplify() {
+  console.log('\n📋 Demangled name simplification');
+
+  const demangler = new Demangler();
+  const cases = [
+    ['void std::sort<__gnu_cxx::__normal_iterator<int*, std::vector<int, std::allocator<int> > > >(__gnu_cxx::__normal_iterator<int*, std::vector<int, std::allocator<int> > >, __gnu_cxx::__normal_iterator<int*, std::vector<int, std::allocator<int> > >)', 'std::sort'],
+    ['std::vector<int, std::allocator<int> >::push_back(int const&)', 'std::vector::push_back'],
+    ['std::vector<int, std::allocator<int> >::size() const', 'std::vector::size'],
+    ['std::__cxx11::basic_string<char, std::char_traits<char>, std::allocator<char> >::basic_string(char const*, std::allocator<char> const&)', 'std::basic_string::basic_string'],
+    ['operator<<(std::basic_ostream<char, std::char_traits<char> >&, P const&)', 'operator<<'],
+    ['std::vector<int, std::allocator<int> >::operator[](unsigned long)', 'std::vector::operator[]'],
+    ['A::operator()(int)', 'A::operator()'],
+    ['(anonymous namespace)::helper(int)', '(anonymous namespace)::helper'],
+    ['add(int, int)', 'add']
+  ];
+
+  for (const [signature, expected] of cases) {
+    const simplified = demangler.simplify(signature);
+    check(`→ ${expected}`, simplified === expected, simplified);
+  }
+}
+
+async function testTAC() {
+  console.log('\n📋 TAC call names');
+
+  const demangler = new Demangler();
+  const converter = new LLVMToTACConverter();
+  const unprepared = converter.filter(converter.convert(CPP_IR));
+  check('names are not demangled before prepare()', unprepared.some(line => line.includes('call _ZSt4sort')), unprepared.join('; '));
+
+  await converter.prepare(CPP_IR);
+  const tac = converter.filter(converter.convert(CPP_IR));
+
+  if (!await demangler.detectTool()) {
+    console.log('  ⏭  c++filt not installed, demangling not checked');
+    check('calls keep their (mangled) callee names', tac.some(line => line.includes('call _ZSt4sort')), tac.join('; '));
+    return;
+  }
+
+  check('std::sort is demangled', tac.includes('call std::sort'), tac.join('; '));
+  check('invoke is treated as a call', tac.includes('call std::vector::push_back'));
+  check('calls with attributes keep the callee and the result', tac.some(line => /^t\d+ = call add$/.test(line)));
+  check('C names are unchanged', converter.convert('  %1 = call i32 (ptr, ...) @printf(ptr noundef @.str)').join() === 't1 = call printf');
+}
+
+function testLogicChecker() {
+  console.log('\n📋 TACLogicChecker compares called functions');
+
+  const checker = new TACLogicChecker();
+  const result = checker.verifyLogic(
+    { code: 'reference', language: 'cpp', tac: ['call std::sort', 't1 = call std::vector::size', 't2 = t1 + 1', 'return t2'] },
+    { code: 'user', language: 'cpp', tac: ['call bubble_sort', 't1 = call std::vector::size', 't2 = t1 + 1', 'return t2'] }
+  );
+  const calls = result.tac_comparison.calls;
+
+  check('called functions are counted by name', calls.reference_calls['std::sort'] === 1 && calls.user_calls['std::vector::size'] === 1,
+    JSON.stringify(calls.reference_calls));
+  check('missing and extra calls are reported', calls.missing_calls.join() === 'std::sort' && calls.extra_calls.join() === 'bubble_sort',
+    `missing ${calls.missing_calls}, extra ${calls.extra_calls}`);
+  check('call names do not change the operation verdict', result.passed && result.exact_match);
+}
+
+async function runAllTests() {
+  console.log('🚀 C++ IR Extraction Tests');
+
+  const compilerExplorer = await startCompilerExplorer();
+
+  try {
+    await testCompilerSelection(compilerExplorer);
+    testSimplify();
+    await testTAC();
+    testLogicChecker();
+  } finally {
+    compilerExplorer.server.close();
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,238 @@
+/**
+ * Data-flow Hardcoding Detection Test
+ *
+ * 1. Post-dominators and control dependences on the CFG
+ * 2. Def-use chains: a return value computed from literals only is a compile-time constant,
+ *    even with arithmetic (int x = 5; x = x + 3; return x;)
+ * 3. Loop bounds and base cases are inputs too (control dependences), scanf is an input
+ * 4. Parameters that never reach the return value, in every converter
+ * 5. verifyLogic fails on findings the reference does not share, with the offending instructions
+ *
+ * Runs without the API server: node tests/test-data-flow.js
+ */
+
+const { CFGBuilder } = require('../services/cfgBuilder');
+const { DataFlowAnalyzer } = require('../services/dataFlowAnalyzer');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { JVMBytecodeToTACConverter } = require('../services/jvmBytecodeToTAC');
+const { JavaScriptASTToTACConverter } = require('../services/javascriptASTToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { ASTParser, isAvailable } = require('../services/astParser');
+const { check, summarize } = require('./check');
+
+const analyzer = new DataFlowAnalyzer();
+
+/**
+ * clang -O0 style module: add(a, b) with the given body, called from main
+ */
+function module(addBody) {
+  return `
+define dso_local i32 @add(i32 noundef %0, i32 noundef %1) {
+  %3 = alloca i32, align 4
+  %4 = alloca i32, align 4
+  %5 = alloca i32, align 4
+  store i32 %0, ptr %3, align 4
+  store i32 %1, ptr %4, align 4
+${addBody}
+}
+
+define dso_local i32 @main() {
+  %1 = call i32 @add(i32 noundef 5, i32 noundef 3)
+  %2 = call i32 (ptr, ...) @printf(ptr noundef @.str, i32 noundef %1)
+  ret i32 0
+}
+
+declare i32 @printf(ptr noundef, ...)
+`;
+}
+
+const REFERENCE = module(`  %6 = load i32, ptr %3, align 4
+  %7 = load i32, ptr %4, align 4
+  %8 = add nsw i32 %6, %7
+  ret i32 %8`);
+
+// int x = 5; x = x + 3; return x;
+const CONSTANT = module(`  store i32 5, ptr %5, align 4
+  %6 = load i32, ptr %5, align 4
+  %7 = add nsw i32 %6, 3
+  store i32 %7, ptr %5, align 4
+  %8 = load i32, ptr %5, align 4
+  ret i32 %8`);
+
+// return a + a;
+const DROPS_B = module(`  %6 = load i32, ptr %3, align 4
+  %7 = load i32, ptr %3, align 4
+  %8 = add nsw i32 %6, %7
+  ret i32 %8`);
+
+// clang -O0: int sum(int n) { int s = 0; for (int i = 1; i <= n; i++) s += i; return s; }
+const LOOP_IR = `
+define i32 @sum(i32 %0) {
+  %2 = alloca i32
+  %3 = alloca i32
+  store i32 0, ptr %2
+  store i32 1, ptr %3
+  br label %4
+
+4:
+  %5 = load i32, ptr %3
+  %6 = icmp sle i32 %5, %0
+  br i1 %6, label %7, label %12
+
+7:
+  %8 = load i32, ptr %2
+  %9 = add nsw i32 %8, %5
+  store i32 %9, ptr %2
+  %10 = add nsw i32 %5, 1
+  store i32 %10, ptr %3
+  br label %4
+
+12:
+  %13 = load i32, ptr %2
+  ret i32 %13
+}`;
+
+function llvm(ir) {
+  const converter = new LLVMToTACConverter();
+  const tacRaw = converter.convert(ir);
+  const functions = converter.functions.map(func => ({ ...func, tac: converter.filter(func.tac), tac_raw: func.tac }));
+  return { code: ir, language: 'c', tac: converter.filter(tacRaw), tac_raw: tacRaw, functions };
+}
+
+function analyzeLLVM(ir) {
+  const converter = new LLVMToTACConverter();
+  converter.convert(ir);
+  return analyzer.analyzeProgram(converter.functions.map(func => ({ name: func.name, tac: func.tac, params: func.params })));
+}
+
+function testControlDependences() {
+  console.log('\n📋 Post-dominators and control dependences');
+
+  const builder = new CFGBuilder();
+  const cfg = builder.build(new LLVMToTACConverter().convert(LOOP_IR));
+  const postDominators = builder.postDominators(cfg);
+  check('the exit post-dominates every block', postDominators.every(set => set.includes(3)), JSON.stringify(postDominators));
+
+  const dependences = builder.controlDependences(cfg);
+  check('the loop body and header depend on the loop condition, the entry and exit do not',
+    JSON.stringify(dependences) === '[[],[1],[1],[]]', JSON.stringify(dependences));
+
+  const diamond = builder.controlDependences(builder.build(['if t1 goto L1 else L2', 'L1:', 'goto L3', 'L2:', 'goto L3', 'L3:', 'return']));
+  check('both sides of an if depend on it, the join does not', JSON.stringify(diamond) === '[[],[0],[0],[]]',
+    JSON.stringify(diamond));
+}
+
+function testDefUse() {
+  console.log('\n📋 Def-use chains');
+
+  const [add] = analyzeLLVM(CONSTANT);
+  const [finding] = add.findings;
+  check('arithmetic on literals only is a compile-time constant', add.returns_constant && finding.type === 'constant_return',
+    JSON.stringify(add.returns));
+  check('the finding lists the offending instructions', finding.instructions.join('; ') ===
+    'store 5 -> t5; t6 = load t5; t7 = 3 + t6; store t7 -> t5; t8 = load t5; return t8', finding.instructions.join('; '));
+
+  const [reference] = analyzeLLVM(REFERENCE);
+  check('a + b depends on both parameters', !reference.returns_constant && reference.findings.length === 0 &&
+    reference.parameters.every(param => param.reaches_result), JSON.stringify(reference.returns[0].sources));
+
+  const [sum] = analyzeLLVM(LOOP_IR);
+  check('a loop bound reaches the sum through the loop condition', sum.findings.length === 0 &&
+    sum.returns[0].sources.join() === 'parameter t1', JSON.stringify(sum.returns[0].sources));
+
+  const sign = analyzer.analyze(['t2 = load t1', 't3 = t2 > 0', 'if t3 goto L1 else L2', 'L1:', 'return 1', 'L2:', 'return 0'],
+    [{ name: 'x', temp: 't1' }]);
+  check('constant returns chosen by a parameter are not constant', !sign.returns_constant && sign.findings.length === 0,
+    JSON.stringify(sign.returns.map(entry => entry.sources)));
+
+  const scanf = analyzer.analyze(['t1 = alloca', 'store 0 -> t1', 't2 = call __isoc99_scanf', 't3 = load t1', 'return t3'], []);
+  check('scanf("%d", &x) may write x: the result is an input', !scanf.returns_constant &&
+    scanf.returns[0].sources.join() === 'input __isoc99_scanf', JSON.stringify(scanf.returns[0].sources));
+
+  const printed = analyzer.analyze(['t1 = alloca', 'store 8 -> t1', 't2 = call printf', 't3 = load t1', 'return t3'], []);
+  check('printf does not write the caller\'s variables', printed.returns_constant, JSON.stringify(printed.returns[0].sources));
+
+  const program = analyzer.analyzeProgram([
+    { name: 'twice', tac: ['t2 = load t1', 't3 = call eight', 'return t3'], params: [{ name: 'x', temp: 't1' }] },
+    { name: 'eight', tac: ['return 8'], params: [] }
+  ]);
+  check('calling a function that returns a constant is constant too', program[0].returns_constant &&
+    program[1].findings[0].message === 'Return value is a compile-time constant (8)', program[0].findings.map(entry => entry.message).join());
+}
+
+function testParameters() {
+  console.log('\n📋 Parameters');
+
+  const [add] = analyzeLLVM(DROPS_B);
+  check('LLVM IR: a parameter that only reaches its alloca is reported by position', add.findings.length === 1 &&
+    add.findings[0].message === 'Parameter 2 (t2) never reaches the return value', add.findings.map(entry => entry.message).join());
+
+  const java = new JVMBytecodeToTACConverter();
+  java.convert(`class Main {
+  int scale(int, long, int);
+    Code:
+       0: iload_1
+       1: iload         4
+       3: imul
+       4: ireturn
+}`);
+  const [scale] = java.functions;
+  check('javap: parameter slots start after this, long takes two', scale.params.map(param => param.temp).join() === 't1,,t3',
+    JSON.stringify(scale.params));
+  const [scaleFlow] = analyzer.analyzeProgram([{ name: scale.name, tac: scale.tac, params: scale.params }]);
+  check('javap: the long parameter is never used', scaleFlow.findings.map(entry => entry.message).join() === 'Parameter 2 is never used',
+    scaleFlow.findings.map(entry => entry.message).join());
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, JavaScript skipped');
+    return;
+  }
+
+  const javascript = new JavaScriptASTToTACConverter();
+  javascript.convert(new ASTParser().parse('javascript',
+    'function area(width, height) {\n  const unused = height * 2;\n  return width * width;\n}').rootNode);
+  const [area] = javascript.functions;
+  check('JavaScript: parameters keep their names', area.params.map(param => param.name).join() === 'width,height');
+  const [areaFlow] = analyzer.analyzeProgram([{ name: area.name, tac: area.tac, params: area.params }]);
+  check('JavaScript: a parameter that is read but never reaches the result', areaFlow.findings.length === 1 &&
+    areaFlow.findings[0].message === 'Parameter height never reaches the return value',
+    areaFlow.findings.map(entry => entry.message).join());
+}
+
+function testVerifyLogic() {
+  console.log('\n📋 verifyLogic');
+
+  const checker = new TACLogicChecker();
+  const same = checker.verifyLogic(llvm(REFERENCE), llvm(REFERENCE));
+  check('the reference against itself passes (main returns 0 on both sides)', same.passed && !same.data_flow.detected,
+    same.reason);
+
+  const constant = checker.verifyLogic(llvm(REFERENCE), llvm(CONSTANT));
+  check('the operations match, the constant return still fails', constant.tac_comparison.operations_match && !constant.passed &&
+    constant.reason === 'Function add: Return value is a compile-time constant', constant.reason);
+  check('the finding names the function and instructions', constant.data_flow.findings[0].function === 'add' &&
+    constant.data_flow.findings[0].instructions.includes('t7 = 3 + t6'), JSON.stringify(constant.data_flow.findings));
+
+  const dropped = checker.verifyLogic(llvm(REFERENCE), llvm(DROPS_B));
+  // a + a is a * 2 in canonical form, so the missing add is reported first
+  check('a parameter the reference uses and the user drops fails', !dropped.passed &&
+    dropped.reason === 'Missing operations: add' && dropped.data_flow.findings[0].function === 'add' &&
+    dropped.data_flow.findings[0].message === 'Parameter 2 (t2) never reaches the return value', dropped.reason);
+
+  const noRawTAC = checker.verifyLogic({ code: 'x', language: 'c', tac: ['t3 = t1 + t2', 'return t3'] },
+    { code: 'y', language: 'c', tac: ['t3 = t1 + t2', 'return t3'] });
+  check('without unfiltered TAC there is no data-flow check', noRawTAC.passed && noRawTAC.data_flow === null);
+}
+
+function runAllTests() {
+  console.log('🚀 Data-flow Hardcoding Detection Tests');
+
+  testControlDependences();
+  testDefUse();
+  testParameters();
+  testVerifyLogic();
+
+  summarize();
+}
+
+runAllTests();
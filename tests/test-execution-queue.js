@@ -0,0 +1,135 @@
+/**
+ * Execution Queue Test
+ *
+ * 1. No more than `workers` jobs of a language run at once; languages don't block each other
+ * 2. Queued reference jobs start before queued user jobs
+ * 3. Depth limit, Retry-After estimate and metrics
+ *
+ * Runs without the API server: node tests/test-execution-queue.js
+ */
+
+const { ExecutionQueue } = require('../services/executionQueue');
+const { check, summarize } = require('./check');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testWorkerLimits() {
+  console.log('\n📋 Worker limits per language');
+
+  const queue = new ExecutionQueue({ workers: { c: 2 }, defaultWorkers: 1, maxDepth: 100 });
+  let running = 0;
+  let peak = 0;
+
+  const job = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(30);
+    running--;
+    return 'done';
+  };
+
+  const outputs = await Promise.all(Array.from({ length: 6 }, () => queue.run('c', job)));
+  check('at most 2 C jobs ran at once', peak === 2, `peak ${peak}`);
+  check('every job resolved with its result', outputs.every(output => output === 'done'));
+
+  // One slow Python job must not hold up JavaScript
+  let javascriptFinishedFirst = false;
+  const slowPython = queue.run('python', async () => { await sleep(80); return javascriptFinishedFirst; });
+  await queue.run('js', async () => { javascriptFinishedFirst = true; });
+  check('languages have separate worker pools', await slowPython === true);
+
+  const failing = await queue.run('c', async () => { throw new Error('boom'); }).catch(error => error.message);
+  check('a failing job rejects and frees its worker', failing === 'boom' && queue.getMetrics().languages.c.active === 0);
+}
+
+async function testPriorityLanes() {
+  console.log('\n📋 Priority lanes');
+
+  const queue = new ExecutionQueue({ defaultWorkers: 1, maxDepth: 100 });
+  const order = [];
+  const job = label => async () => { order.push(label); await sleep(5); };
+
+  // The first job takes the only worker; everything else waits
+  const jobs = [
+    queue.run('c', job('user-1'), 'user'),
+    queue.run('c', job('user-2'), 'user'),
+    queue.run('c', job('user-3'), 'user'),
+    queue.run('c', job('reference-1'), 'reference'),
+    queue.run('c', job('reference-2'), 'reference')
+  ];
+  await Promise.all(jobs);
+
+  check('queued reference jobs run before queued user jobs',
+    order.join(',') === 'user-1,reference-1,reference-2,user-2,user-3', order.join(','));
+
+  const wrappedOrder = [];
+  const executor = async (language, code) => { wrappedOrder.push(code); await sleep(5); return { success: true, code }; };
+  const queuedExecutor = queue.wrap(executor);
+  const wrapped = await Promise.all([
+    queuedExecutor('c', 'first', '', [], {}),
+    queuedExecutor('c', 'user', '', [], { priority: 'user' }),
+    queuedExecutor('c', 'reference', '', [], { priority: 'reference' })
+  ]);
+  check('wrap() keeps the executeCode signature and reads options.priority',
+    wrapped[2].code === 'reference' && wrappedOrder.join(',') === 'first,reference,user', wrappedOrder.join(','));
+}
+
+async function testDepthLimit() {
+  console.log('\n📋 Depth limit and metrics');
+
+  const queue = new ExecutionQueue({ defaultWorkers: 1, maxDepth: 3 });
+  let release;
+  const blocker = new Promise(resolve => { release = resolve; });
+
+  const pending = [queue.run('java', () => blocker)];
+  check('empty queue accepts requests', !queue.isFull());
+
+  for (let i = 0; i < 3; i++) {
+    pending.push(queue.run('java', async () => 'queued'));
+  }
+
+  const metrics = queue.getMetrics();
+  check('queue reports full at max depth', queue.isFull() && metrics.full, `depth ${metrics.depth}/${metrics.max_depth}`);
+  check('Retry-After is at least one second', queue.getRetryAfter() >= 1, `${queue.getRetryAfter()}s`);
+  check('metrics count active and queued jobs per language',
+    metrics.languages.java.active === 1 && metrics.languages.java.queued === 3 && metrics.lanes.user === 3,
+    JSON.stringify(metrics.languages.java));
+
+  queue.reject();
+  check('refused requests are counted', queue.getMetrics().rejected_requests === 1);
+
+  release('blocker');
+  await Promise.all(pending);
+
+  const drained = queue.getMetrics();
+  check('queue drains once workers free up', !queue.isFull() && drained.depth === 0 && drained.languages.java.completed === 4,
+    JSON.stringify(drained.languages.java));
+}
+
+function testConfiguration() {
+  console.log('\n📋 Configuration');
+
+  process.env.QUEUE_WORKERS = '{"c++": 3, "python": 0, "java": "x"}';
+  const queue = new ExecutionQueue({ defaultWorkers: 2 });
+  delete process.env.QUEUE_WORKERS;
+
+  check('QUEUE_WORKERS aliases map to language keys', queue.getLanguageState('cpp').workers === 3);
+  check('invalid worker counts fall back to the default',
+    queue.getLanguageState('python').workers === 2 && queue.getLanguageState('java').workers === 2);
+}
+
+async function runAllTests() {
+  console.log('🚀 Execution Queue Tests');
+
+  await testWorkerLimits();
+  await testPriorityLanes();
+  await testDepthLimit();
+  testConfiguration();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
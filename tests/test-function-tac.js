@@ -0,0 +1,229 @@
+/**
+ * Per-function TAC Test
+ *
+ * 1. Every converter groups its TAC by function, with a signature and arity
+ * 2. targetFunctions compares one function against its reference counterpart
+ *    (a hardcoded helper fails even when main does the arithmetic)
+ * 3. Renamed functions are matched through the call graph
+ * 4. extractTAC reports the per-function TAC
+ *
+ * Runs without the API server: node tests/test-function-tac.js
+ */
+
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { JVMBytecodeToTACConverter } = require('../services/jvmBytecodeToTAC');
+const { PythonBytecodeToTACConverter } = require('../services/pythonBytecodeToTAC');
+const { JavaScriptASTToTACConverter } = require('../services/javascriptASTToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { ASTParser, isAvailable } = require('../services/astParser');
+const { check, summarize } = require('./check');
+
+/**
+ * clang -O0 style module: a helper called from main, whose result is printed
+ */
+function module(helper, helperBody, mainBody = '') {
+  return `
+@.str = private unnamed_addr constant [4 x i8] c"%d\\0A\\00", align 1
+
+define dso_local i32 @${helper}(i32 noundef %0, i32 noundef %1) {
+${helperBody}
+}
+
+define dso_local i32 @main() {
+${mainBody}
+  %1 = call i32 @${helper}(i32 noundef 2, i32 noundef 3)
+  %2 = call i32 (ptr, ...) @printf(ptr noundef @.str, i32 noundef %1)
+  ret i32 0
+}
+
+declare i32 @printf(ptr noundef, ...)
+`;
+}
+
+const REFERENCE = module('add', `  %3 = add nsw i32 %0, %1
+  ret i32 %3`);
+
+// main still adds (so the whole program has an add), but add itself returns a constant
+const HARDCODED = module('add', '  ret i32 5', `  %x = add nsw i32 2, 3
+  %y = call i32 (ptr, ...) @printf(ptr noundef @.str, i32 noundef %x)`);
+
+const RENAMED = module('sum', `  %3 = add nsw i32 %1, %0
+  ret i32 %3`);
+
+function llvm(ir) {
+  const converter = new LLVMToTACConverter();
+  const tac = converter.filter(converter.convert(ir));
+  const functions = converter.functions.map(func => ({ ...func, tac: converter.filter(func.tac) }));
+  return { code: ir, language: 'c', tac, functions };
+}
+
+function testConverters() {
+  console.log('\n📋 TAC grouped by function');
+
+  const converter = new LLVMToTACConverter();
+  const tac = converter.convert(REFERENCE);
+  const [add, main] = converter.functions;
+  check('LLVM IR: one record per define, declarations excluded', converter.functions.length === 2 &&
+    add.name === 'add' && main.name === 'main', converter.functions.map(func => func.name).join());
+  check('LLVM IR: signature (naming the parameter temps) and arity', add.signature === 'i32 add(i32 t1, i32 t2)' &&
+    add.arity === 2 && main.arity === 0, add.signature);
+  check('LLVM IR: function TAC partitions the whole TAC', add.tac.join('; ') === 't3 = t1 + t2; return t3' &&
+    [...add.tac, ...main.tac].join('; ') === tac.join('; '), add.tac.join('; '));
+
+  const java = new JVMBytecodeToTACConverter();
+  java.convert(`Compiled from "Main.java"
+public class Main {
+  static int add(int, int);
+    Code:
+       0: iload_0
+       1: iload_1
+       2: iadd
+       3: ireturn
+
+  public static void main(java.lang.String[]) throws java.io.IOException;
+    Code:
+       0: iconst_2
+       1: iconst_3
+       2: invokestatic  #7                  // Method add:(II)I
+       5: pop
+       6: return
+}`);
+  check('Java: one record per method, modifiers stripped', java.functions.map(func => `${func.signature}/${func.arity}`).join() ===
+    'int add(int, int)/2,void main(java.lang.String[])/1', java.functions.map(func => func.signature).join());
+  check('Java: method TAC', java.functions[0].tac.some(line => / \+ /.test(line)) &&
+    java.functions[1].tac.some(line => /call add$/.test(line)), java.functions.map(func => func.tac.join('; ')).join(' | '));
+
+  const python = new PythonBytecodeToTACConverter();
+  python.convert(`  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object add at 0x7fbbbdf8d960, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (add)
+
+  4           8 PUSH_NULL
+             10 LOAD_NAME                1 (print)
+             12 PUSH_NULL
+             14 LOAD_NAME                0 (add)
+             16 LOAD_CONST               1 (2)
+             18 LOAD_CONST               2 (3)
+             20 PRECALL                  2
+             24 CALL                     2
+             34 PRECALL                  1
+             38 CALL                     1
+             48 POP_TOP
+             50 LOAD_CONST               3 (None)
+             52 RETURN_VALUE
+
+Disassembly of <code object add at 0x7fbbbdf8d960, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_FAST                0 (a)
+              4 LOAD_FAST                1 (b)
+              6 BINARY_OP                0 (+)
+             10 RETURN_VALUE`);
+  check('Python: module code and one record per code object', python.functions.map(func => func.name).join() === '<module>,add',
+    python.functions.map(func => func.name).join());
+  check('Python: function TAC', python.functions[1].tac.some(line => / \+ /.test(line)) &&
+    python.functions[0].tac.some(line => /call add$/.test(line)), python.functions.map(func => func.tac.join('; ')).join(' | '));
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, JavaScript skipped');
+    return;
+  }
+
+  const javascript = new JavaScriptASTToTACConverter();
+  javascript.convert(new ASTParser().parse('javascript',
+    'function add(a, b) {\n  return a + b;\n}\nconst twice = x => add(x, x);\nconsole.log(twice(2));').rootNode);
+  const byName = name => javascript.functions.find(func => func.name === name);
+  check('JavaScript: declarations, arrow functions and module code', ['add(a, b)', 'twice(x)', '<module>'].every(signature =>
+    javascript.functions.some(func => func.signature === signature)), javascript.functions.map(func => func.signature).join());
+  check('JavaScript: nested functions do not leak into the enclosing TAC', byName('<module>').tac.every(line => !/call add$/.test(line)) &&
+    byName('twice').tac.some(line => /call add$/.test(line)), javascript.functions.map(func => func.tac.join('; ')).join(' | '));
+}
+
+function testTargetFunctions() {
+  console.log('\n📋 targetFunctions');
+
+  const checker = new TACLogicChecker();
+  const reference = llvm(REFERENCE);
+  const hardcoded = llvm(HARDCODED);
+
+  const whole = checker.verifyLogic(reference, hardcoded);
+  check('whole-program comparison misses the hardcoded helper', whole.passed && whole.function_comparison === null, whole.reason);
+
+  const targeted = checker.verifyLogic(reference, hardcoded, { targetFunctions: ['add'] });
+  const [entry] = targeted.function_comparison.targets;
+  check('target add fails on its own', !targeted.passed && entry.passed === false && entry.matched_by === 'name' &&
+    entry.missing_operations.includes('add'), targeted.reason);
+  check('the reason names the function', targeted.reason.startsWith('Function add: '), targeted.reason);
+
+  const same = checker.verifyLogic(reference, llvm(REFERENCE), { targetFunctions: ['add', 'main'] });
+  check('matching targets pass', same.passed && same.function_comparison.targets.every(target => target.passed),
+    same.reason);
+
+  const unknown = checker.verifyLogic(reference, llvm(REFERENCE), { targetFunctions: ['mul'] });
+  check('a target the reference does not define is skipped', unknown.passed &&
+    unknown.function_comparison.targets[0].passed === null, unknown.function_comparison.targets[0].reason);
+}
+
+function testCallGraphMatching() {
+  console.log('\n📋 Call graph matching');
+
+  const checker = new TACLogicChecker();
+  const renamed = checker.verifyLogic(llvm(REFERENCE), llvm(RENAMED), { targetFunctions: ['add'] });
+  const [entry] = renamed.function_comparison.targets;
+  check('add is matched to sum through main', renamed.passed && entry.matched_by === 'call_graph' &&
+    entry.user_function === 'i32 sum(i32 t1, i32 t2)', JSON.stringify(renamed.function_comparison.matched_functions));
+
+  const matches = checker.matchFunctions(
+    [{ name: 'main', arity: 0, tac: ['t1 = call solve', 'call printf'] }, { name: 'solve', arity: 1, tac: ['t1 = call helper'] },
+      { name: 'helper', arity: 1, tac: ['return 1'] }],
+    [{ name: 'main', arity: 0, tac: ['t1 = call go', 'call printf'] }, { name: 'go', arity: 1, tac: ['t1 = call util'] },
+      { name: 'util', arity: 1, tac: ['return 1'] }]
+  );
+  check('matches propagate down the call graph', matches.get('solve').user === 'go' && matches.get('helper').user === 'util',
+    JSON.stringify(Array.from(matches)));
+
+  const unrelated = checker.matchFunctions(
+    [{ name: 'main', arity: 0, tac: [] }, { name: 'add', arity: 2, tac: [] }],
+    [{ name: 'main', arity: 0, tac: [] }, { name: 'mul', arity: 3, tac: [] }]
+  );
+  check('functions with no call graph evidence stay unmatched', !unrelated.has('add'));
+
+  const missing = checker.verifyLogic(llvm(REFERENCE), {
+    code: 'x', language: 'c', tac: ['return 0'], functions: [{ name: 'main', signature: 'i32 main()', arity: 0, tac: ['return 0'] }]
+  }, { targetFunctions: ['add'] });
+  check('a target without a user counterpart fails', !missing.passed &&
+    missing.function_comparison.targets[0].reason === 'No matching function in user code', missing.reason);
+}
+
+async function testExtractTAC() {
+  console.log('\n📋 extractTAC');
+
+  const { extractTAC } = require('../services/pistonService');
+  const result = await extractTAC('python', 'def add(a, b):\n    return a + b\n\n\nprint(add(2, 3))\n');
+  if (!result.success) {
+    console.log(`  ⏭  python not available (${result.error}), skipped`);
+    return;
+  }
+
+  const add = result.functions.find(func => func.name === 'add');
+  check('functions are reported with filtered and raw TAC', Boolean(add) && add.tac.some(line => / \+ /.test(line)) &&
+    Array.isArray(add.tac_raw) && add.instruction_count === add.tac.length, JSON.stringify(result.functions));
+}
+
+async function runAllTests() {
+  console.log('🚀 Per-function TAC Tests');
+
+  testConverters();
+  testTargetFunctions();
+  testCallGraphMatching();
+  await testExtractTAC();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
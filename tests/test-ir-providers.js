@@ -0,0 +1,242 @@
+/**
+ * IR Provider Test
+ *
+ * 1. IR_PROVIDERS parsing (order, unknown names, defaults)
+ * 2. Unavailable providers hand over to the next one; compile errors are final, also when
+ *    Compiler Explorer sends an asm field with them
+ * 3. A self-hosted Compiler Explorer (stubbed locally) receives the project files
+ * 4. extractTAC reports which provider produced the IR
+ * 5. The request's compilerOptions (standard, defines) reach every provider
+ * 6. Local clang end to end (skipped when clang is not installed)
+ *
+ * Runs without the API server: node tests/test-ir-providers.js
+ */
+
+const http = require('http');
+const { IRProvider, PROVIDERS } = require('../services/irProvider');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+const SAMPLE_IR = [
+  'define dso_local i32 @main() #0 {',
+  '  %1 = alloca i32, align 4',
+  '  %2 = alloca i32, align 4',
+  '  store i32 0, ptr %1, align 4',
+  '  store i32 42, ptr %2, align 4',
+  '  %3 = load i32, ptr %2, align 4',
+  '  ret i32 %3',
+  '}'
+];
+
+/**
+ * Minimal Compiler Explorer: sources containing "syntax error" fail to compile, answered like
+ * Compiler Explorer does (code 1, and an asm field that only says the compilation failed)
+ */
+function startCompilerExplorer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ url: req.url, payload });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (payload.source.includes('syntax error')) {
+        return res.end(JSON.stringify({ code: 1, asm: [{ text: '<Compilation failed>' }], stderr: [{ text: "main.c:1:1: error: unknown type name 'syntax'" }] }));
+      }
+      res.end(JSON.stringify({ code: 0, asm: SAMPLE_IR.map(text => ({ text })) }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+/**
+ * LocalExecutor stand-in: clang present or not, every unit compiling or not
+ */
+function fakeLocalExecutor(clangInstalled, compileError = null) {
+  return {
+    sandbox: { probe: async () => clangInstalled },
+    generateProjectLLVMIR: async project => project.files.map(file => compileError
+      ? { file: file.name, ir: null, error: compileError }
+      : { file: file.name, ir: SAMPLE_IR.join('\n'), error: null })
+  };
+}
+
+function singleFile(code) {
+  const file = { name: 'main.c', content: code };
+  return { project: { files: [file], entryPoint: 'main.c', multiFile: false }, units: [file] };
+}
+
+function testConfiguration() {
+  console.log('\n📋 IR_PROVIDERS configuration');
+
+  const provider = new IRProvider({ localExecutor: fakeLocalExecutor(false) });
+  check('default order is local, compiler_explorer, godbolt', provider.providers.join(',') === PROVIDERS.join(','));
+  check('order is taken from the list', provider.parseProviders('godbolt, LOCAL').join(',') === 'godbolt,local');
+  check('unknown and duplicate names are dropped', provider.parseProviders('local,piston,local').join(',') === 'local');
+  check('a list with no valid names falls back to the defaults', provider.parseProviders('piston').join(',') === PROVIDERS.join(','));
+}
+
+async function testFallback(compilerExplorer) {
+  console.log('\n📋 Provider fallback');
+
+  const { project, units } = singleFile('int main() { return 42; }');
+
+  const noClang = new IRProvider({
+    providers: 'local,compiler_explorer,godbolt',
+    compilerExplorerUrl: compilerExplorer.url,
+    localExecutor: fakeLocalExecutor(false)
+  });
+  const fallback = await noClang.extract('c', project, units);
+  check('without clang the self-hosted Compiler Explorer is used', fallback.success && fallback.provider === 'compiler_explorer',
+    fallback.provider);
+  check('attempts record why local was skipped',
+    fallback.attempts.length === 2 && fallback.attempts[0].status === 'unavailable' && /clang/.test(fallback.attempts[0].error),
+    JSON.stringify(fallback.attempts));
+
+  const notConfigured = new IRProvider({ providers: 'compiler_explorer', compilerExplorerUrl: null, localExecutor: fakeLocalExecutor(false) });
+  const none = await notConfigured.extract('c', project, units);
+  check('compiler_explorer without COMPILER_EXPLORER_URL is unavailable', !none.success && none.provider === null &&
+    /No IR provider available/.test(none.error), none.error);
+
+  const unreachable = new IRProvider({ providers: 'compiler_explorer,local', compilerExplorerUrl: 'http://127.0.0.1:1', localExecutor: fakeLocalExecutor(true) });
+  const local = await unreachable.extract('c', project, units);
+  check('an unreachable Compiler Explorer hands over to the next provider', local.success && local.provider === 'local', local.provider);
+
+  const broken = singleFile('syntax error');
+  const compileError = await noClang.extract('c', broken.project, broken.units);
+  check('a compile error is final (godbolt is not tried)', !compileError.success && compileError.provider === 'compiler_explorer' &&
+    compileError.attempts.length === 2 && compileError.file === 'main.c', compileError.error);
+  check('a failed build is not read as IR, the compiler\'s message is kept', !compileError.success && !compileError.ir.includes('<Compilation failed>') &&
+    compileError.ir.includes("unknown type name 'syntax'"), compileError.ir);
+
+  const localError = await new IRProvider({ providers: 'local,godbolt', localExecutor: fakeLocalExecutor(true, "main.c:1:1: error: expected ';'") })
+    .extract('c', project, units);
+  check('local compile errors carry clang\'s message', !localError.success && localError.provider === 'local' &&
+    localError.ir.includes("expected ';'"), localError.error);
+}
+
+async function testCompilerExplorerRequest(compilerExplorer) {
+  console.log('\n📋 Compiler Explorer request');
+
+  compilerExplorer.requests.length = 0;
+  const files = [
+    { name: 'main.c', content: '#include "util.h"\nint main() { return twice(21); }' },
+    { name: 'util.c', content: '#include "util.h"\nint twice(int x) { return 2 * x; }' },
+    { name: 'util.h', content: 'int twice(int x);' }
+  ];
+  const project = { files, entryPoint: 'main.c', multiFile: true };
+
+  const provider = new IRProvider({ providers: 'compiler_explorer', compilerExplorerUrl: `${compilerExplorer.url}/`, localExecutor: fakeLocalExecutor(false) });
+  const result = await provider.extract('c', project, files.slice(0, 2));
+
+  check('one compile request per translation unit', result.success && compilerExplorer.requests.length === 2 && result.units.length === 2);
+  check('requests go to the configured instance',
+    compilerExplorer.requests.every(request => request.url === '/api/compiler/cclang1600/compile'), compilerExplorer.requests[0].url);
+  check('the other project files are sent along',
+    compilerExplorer.requests[0].payload.files.map(file => file.filename).join(',') === 'util.c,util.h');
+}
+
+async function testExtractTAC(compilerExplorer) {
+  console.log('\n📋 extractTAC reports the provider');
+
+  // pistonService builds its provider from the environment when first required
+  process.env.IR_PROVIDERS = 'compiler_explorer';
+  process.env.COMPILER_EXPLORER_URL = compilerExplorer.url;
+  const { extractTAC } = require('../services/pistonService');
+
+  const result = await extractTAC('c', 'int main() { int x = 42; return x; }');
+  check('TAC is extracted through the configured provider', result.success && result.provider === 'compiler_explorer' &&
+    result.instruction_count > 0, `${result.provider}, ${result.instruction_count} instruction(s)`);
+  check('provider attempts are included', Array.isArray(result.provider_attempts) && result.provider_attempts[0].status === 'ok');
+
+  const failed = await extractTAC('c', 'syntax error');
+  check('failures name the provider and file', !failed.success && failed.provider === 'compiler_explorer' && failed.file === 'main.c',
+    failed.error);
+}
+
+async function testCompilerOptions(compilerExplorer) {
+  console.log('\n📋 Compiler options');
+
+  const { CompilerOptions } = require('../services/compilerOptions');
+  const options = new CompilerOptions().validate('c', { standard: 'c99', optimization: 'O2', defines: { N: '3' } }).options;
+  const { project, units } = singleFile('int main() { return N; }');
+
+  const received = [];
+  const executor = fakeLocalExecutor(true);
+  const generate = executor.generateProjectLLVMIR;
+  executor.generateProjectLLVMIR = async (project, language, compilerOptions) => {
+    received.push(compilerOptions);
+    return generate(project, language, compilerOptions);
+  };
+  await new IRProvider({ providers: 'local', localExecutor: executor }).extract('c', project, units, options);
+  check('local clang gets the compiler options', received[0] === options);
+
+  compilerExplorer.requests.length = 0;
+  const provider = new IRProvider({ providers: 'compiler_explorer', compilerExplorerUrl: compilerExplorer.url, localExecutor: fakeLocalExecutor(false) });
+  await provider.extract('c', project, units, options);
+  const userArguments = compilerExplorer.requests[0].payload.options.userArguments;
+  check('Compiler Explorer gets the standard and defines, IR stays at -O0',
+    userArguments === '-x c -std=gnu11 -std=c99 -DN=3 -S -emit-llvm -O0 -g', userArguments);
+
+  const { extractTAC } = require('../services/pistonService');
+  compilerExplorer.requests.length = 0;
+  const result = await extractTAC('c', 'int main() { return N; }', { compilerOptions: { defines: { N: '3' } } });
+  check('extractTAC passes compilerOptions to the provider', result.success &&
+    compilerExplorer.requests[0].payload.options.userArguments.includes('-DN=3'));
+
+  const invalid = await extractTAC('c', 'int main() { return 0; }', { compilerOptions: { standard: 'c42' } });
+  check('invalid compilerOptions are rejected', !invalid.success && /^Invalid compilerOptions/.test(invalid.error), invalid.error);
+}
+
+async function testLocalClang() {
+  console.log('\n📋 Local clang');
+
+  const executor = new LocalExecutor();
+  if (!(await executor.sandbox.probe('clang', ['--version']))) {
+    console.log('  ⏭  clang not installed, skipped');
+    return;
+  }
+
+  const { project, units } = singleFile('int main() { int x = 42; return x; }');
+  const result = await new IRProvider({ providers: 'local', localExecutor: executor }).extract('c', project, units);
+  check('local clang produces LLVM IR', result.success && result.provider === 'local' && result.units[0].ir.includes('define'));
+
+  const broken = singleFile('int main() { return 0 }');
+  const error = await new IRProvider({ providers: 'local', localExecutor: executor }).extract('c', broken.project, broken.units);
+  check('local clang reports compile errors', !error.success && error.provider === 'local', error.error);
+
+  const options = { standard: 'c11', optimization: 'O0', warningsAsErrors: false, defines: { N: '42' }, libraries: [] };
+  const defined = singleFile('int main() { return N; }');
+  const withDefines = await new IRProvider({ providers: 'local', localExecutor: executor }).extract('c', defined.project, defined.units, options);
+  check('local clang compiles with the defines', withDefines.success && withDefines.units[0].ir.includes('ret i32 42'), withDefines.error);
+}
+
+async function runAllTests() {
+  console.log('🚀 IR Provider Tests');
+
+  const compilerExplorer = await startCompilerExplorer();
+
+  try {
+    testConfiguration();
+    await testFallback(compilerExplorer);
+    await testCompilerExplorerRequest(compilerExplorer);
+    await testExtractTAC(compilerExplorer);
+    await testCompilerOptions(compilerExplorer);
+    await testLocalClang();
+  } finally {
+    compilerExplorer.server.close();
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
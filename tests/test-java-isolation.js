@@ -0,0 +1,119 @@
+/**
+ * Java Run Isolation Test
+ *
+ * 1. Main class detection: packages, non-public classes, several top-level classes
+ * 2. Concurrent `public class Main` submissions must not overwrite each other
+ * 3. No source or .class files (including Main$Inner.class) are left behind
+ *
+ * Runs without the API server: node tests/test-java-isolation.js
+ */
+
+// Runs on hosts without bwrap as well (the class isolation is under test, not the sandbox)
+process.env.SANDBOX_ALLOW_WEAK = 'true';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+const detectionCases = [
+  {
+    name: 'public class',
+    code: 'public class Main { public static void main(String[] args) {} }',
+    expected: { qualifiedName: 'Main', fileName: 'Main.java' }
+  },
+  {
+    name: 'package declaration',
+    code: 'package edu.course.hw1;\npublic class Solution { public static void main(String[] args) {} }',
+    expected: { qualifiedName: 'edu.course.hw1.Solution', fileName: 'Solution.java' }
+  },
+  {
+    name: 'non-public class with main',
+    code: 'class Program { public static void main(String[] args) {} }',
+    expected: { qualifiedName: 'Program', fileName: 'Program.java' }
+  },
+  {
+    name: 'main in second top-level class',
+    code: 'class Helper { static int twice(int x) { return 2 * x; } }\nclass Runner { public static void main(String[] args) {} }',
+    expected: { qualifiedName: 'Runner', fileName: 'Runner.java' }
+  },
+  {
+    name: 'public helper, main elsewhere',
+    code: 'public class Api { }\nclass Launcher { public static void main(String[] args) {} }',
+    expected: { qualifiedName: 'Launcher', fileName: 'Api.java' }
+  },
+  {
+    name: 'declarations in comments and strings are ignored',
+    code: '// public class Fake { public static void main(String[] a) {} }\npublic class Real {\n  public static void main(String[] args) { System.out.println("class Other { void main() {} }"); }\n}',
+    expected: { qualifiedName: 'Real', fileName: 'Real.java' }
+  }
+];
+
+function testDetection(executor) {
+  console.log('\n📋 Main class detection');
+
+  for (const testCase of detectionCases) {
+    const detected = executor.detectJavaMainClass(testCase.code);
+    const passed = detected.qualifiedName === testCase.expected.qualifiedName &&
+      detected.fileName === testCase.expected.fileName;
+    check(testCase.name, passed, `${detected.qualifiedName} in ${detected.fileName}`);
+  }
+}
+
+function mainProgram(label) {
+  return `public class Main {
+    static class Inner {
+        String label() { return "${label}"; }
+    }
+
+    public static void main(String[] args) throws Exception {
+        Thread.sleep(300);
+        System.out.println(new Inner().label());
+    }
+}`;
+}
+
+async function testConcurrentRuns(executor, tempDir) {
+  console.log('\n📋 Concurrent `public class Main` submissions');
+
+  const available = await executor.checkAvailability('java');
+  if (!available) {
+    console.log('  ⏭  Skipped: javac not available');
+    return;
+  }
+
+  const labels = ['alpha', 'beta', 'gamma', 'delta'];
+  const runs = await Promise.all(labels.map(label => executor.execute('java', mainProgram(label), '')));
+
+  runs.forEach((run, index) => {
+    check(`run "${labels[index]}" printed its own output`, run.stdout.trim() === labels[index], JSON.stringify(run.stdout));
+  });
+
+  const packaged = await executor.execute('java', 'package a.b;\nclass App { public static void main(String[] args) { System.out.println("pkg"); } }', '');
+  check('packaged non-public class runs', packaged.stdout.trim() === 'pkg', JSON.stringify(packaged.stdout || packaged.stderr));
+
+  const leftovers = fs.readdirSync(tempDir);
+  check('no files left in the temp directory', leftovers.length === 0, leftovers.join(', '));
+}
+
+async function runAllTests() {
+  console.log('🚀 Java Run Isolation Tests');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'java-isolation-'));
+  const executor = new LocalExecutor({ tempDir });
+
+  try {
+    testDetection(executor);
+    await testConcurrentRuns(executor, tempDir);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,208 @@
+/**
+ * Java TAC Test
+ *
+ * 1. javap -c output converts to the same TAC format as LLVM IR
+ * 2. TACLogicChecker works on Java TAC unchanged (hardcoded return, missing operations)
+ * 3. extractTAC names a single source file after its public class (javac stubbed)
+ * 4. extractTAC compiles with javac and reports jvm_bytecode (skipped without a JDK)
+ *
+ * Runs without the API server: node tests/test-java-tac.js
+ */
+
+const { JVMBytecodeToTACConverter } = require('../services/jvmBytecodeToTAC');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+/**
+ * javap -c -p output of a class with a static helper and a main method
+ */
+function javapClass(helperBody, helperSignature = 'static int add(int, int);') {
+  return `Compiled from "Main.java"
+public class Main {
+  public Main();
+    Code:
+       0: aload_0
+       1: invokespecial #1                  // Method java/lang/Object."<init>":()V
+       4: return
+
+  ${helperSignature}
+    Code:
+${helperBody}
+
+  public static void main(java.lang.String[]);
+    Code:
+       0: new           #7                  // class java/util/Scanner
+       3: dup
+       4: getstatic     #9                  // Field java/lang/System.in:Ljava/io/InputStream;
+       7: invokespecial #15                 // Method java/util/Scanner."<init>":(Ljava/io/InputStream;)V
+      10: astore_1
+      11: getstatic     #22                 // Field java/lang/System.out:Ljava/io/PrintStream;
+      14: aload_1
+      15: invokevirtual #18                 // Method java/util/Scanner.nextInt:()I
+      18: aload_1
+      19: invokevirtual #18                 // Method java/util/Scanner.nextInt:()I
+      22: invokestatic  #26                 // Method add:(II)I
+      25: invokevirtual #30                 // Method java/io/PrintStream.println:(I)V
+      28: return
+}
+`;
+}
+
+const ADD = javapClass(`       0: iload_0
+       1: iload_1
+       2: iadd
+       3: ireturn`);
+
+const HARDCODED = javapClass(`       0: bipush        8
+       2: ireturn`);
+
+// for (int i = 0; i < n; i++) total += i * i; return total % 7;
+const LOOP = javapClass(`       0: iconst_0
+       1: istore_1
+       2: iconst_0
+       3: istore_2
+       4: iload_2
+       5: iload_0
+       6: if_icmpge     21
+       9: iload_1
+      10: iload_2
+      11: iload_2
+      12: imul
+      13: iadd
+      14: istore_1
+      15: iinc          2, 1
+      18: goto          4
+      21: iload_1
+      22: bipush        7
+      24: irem
+      25: ireturn`, 'static int sumSquares(int);');
+
+// String.valueOf(-x) + "!" through invokedynamic, Arrays.sort on an int[]
+const MISC = javapClass(`       0: iconst_3
+       1: newarray       int
+       3: astore_1
+       4: aload_1
+       5: invokestatic  #40                 // Method java/util/Arrays.sort:([I)V
+       8: iload_0
+       9: ineg
+      10: invokedynamic #46,  0             // InvokeDynamic #0:makeConcatWithConstants:(I)Ljava/lang/String;
+      15: areturn`, 'static java.lang.String misc(int);');
+
+function convert(disassembly) {
+  const converter = new JVMBytecodeToTACConverter();
+  return new LLVMToTACConverter().filter(converter.convert(disassembly));
+}
+
+function testConversion() {
+  console.log('\n📋 Bytecode to TAC');
+
+  const raw = new JVMBytecodeToTACConverter().convert(ADD);
+  const loads = raw.filter(line => line.includes(' = load ')).slice(0, 2);
+  check('locals become loads of renamed temps', loads.every(line => /^t\d+ = load t\d+$/.test(line)) && loads[0] !== loads[1],
+    loads.join('; '));
+
+  const tac = convert(ADD);
+  const sum = tac.find(line => / \+ /.test(line)) || '';
+  const [, dst, left, right] = sum.match(/^(t\d+) = (t\d+) \+ (t\d+)$/) || [];
+  const loaded = temp => raw.some(line => line.startsWith(`${temp} = load `));
+  check('iadd becomes t = a + b on the loaded values', Boolean(dst) && loaded(left) && loaded(right), tac.join('; '));
+  check('ireturn becomes return t', tac.includes(`return ${dst}`));
+  check('calls keep qualified method names',
+    tac.some(line => /^t\d+ = call java\.util\.Scanner\.nextInt$/.test(line)) && tac.some(line => /^t\d+ = call add$/.test(line)) &&
+    tac.includes('call java.io.PrintStream.println'), tac.filter(line => line.includes('call')).join('; '));
+
+  const loop = convert(LOOP);
+  check('imul, iadd and irem in a loop', loop.some(line => / \* /.test(line)) && loop.some(line => / \+ /.test(line)) &&
+    loop.some(line => / % /.test(line)), loop.join('; '));
+  check('iinc is an increment (like i++ in LLVM IR)', loop.some(line => /^t\d+ = 1 \+ t\d+$/.test(line)));
+  check('bipush constants are kept', loop.some(line => / % 7$/.test(line)));
+
+  const misc = convert(MISC);
+  check('ineg becomes 0 - x', misc.some(line => /^t\d+ = 0 - t\d+$/.test(line)), misc.join('; '));
+  check('invokestatic void and invokedynamic calls', misc.includes('call java.util.Arrays.sort') &&
+    misc.some(line => /= call makeConcatWithConstants$/.test(line)));
+}
+
+function testLogicChecker() {
+  console.log('\n📋 TACLogicChecker on Java');
+
+  const checker = new TACLogicChecker();
+  const reference = { code: 'add', language: 'java', tac: convert(ADD) };
+
+  const same = checker.verifyLogic(reference, { code: 'add-copy', language: 'java', tac: convert(ADD) });
+  check('identical logic passes', same.passed && same.exact_match, same.reason);
+
+  const hardcoded = checker.verifyLogic(reference, { code: 'hardcoded', language: 'java', tac: convert(HARDCODED) });
+  check('hardcoded return is detected', !hardcoded.passed && hardcoded.tac_comparison.missing_operations.includes('add'),
+    hardcoded.reason);
+  check('reference operations are no longer empty', hardcoded.tac_comparison.reference_operations.add === 1 &&
+    hardcoded.tac_comparison.reference_operations.call > 0, JSON.stringify(hardcoded.tac_comparison.reference_operations));
+}
+
+async function testFileName() {
+  console.log('\n📋 extractTAC file name');
+
+  const { extractTAC } = require('../services/pistonService');
+  const { checkAvailability, runCommand } = LocalExecutor.prototype;
+  const commands = [];
+  LocalExecutor.prototype.checkAvailability = async () => true;
+  LocalExecutor.prototype.runCommand = async (command, args) => {
+    commands.push([command, ...args].join(' '));
+    return { exitCode: 1, stdout: '', stderr: '' };
+  };
+
+  try {
+    await extractTAC('java', 'public class Solution {\n  public static void main(String[] args) { System.out.println(1); }\n}');
+  } finally {
+    LocalExecutor.prototype.checkAvailability = checkAvailability;
+    LocalExecutor.prototype.runCommand = runCommand;
+  }
+
+  check('public class Solution is compiled from Solution.java', commands.includes('javac -J-Xmx256m -d classes Solution.java'),
+    JSON.stringify(commands));
+}
+
+async function testExtractTAC() {
+  console.log('\n📋 extractTAC for Java');
+
+  const executor = new LocalExecutor();
+  if (!(await executor.checkAvailability('java'))) {
+    console.log('  ⏭  javac not installed, skipped');
+    return;
+  }
+
+  const { extractTAC } = require('../services/pistonService');
+  const code = 'public class Main {\n  static int add(int a, int b) { return a + b; }\n  public static void main(String[] args) {\n    System.out.println(add(2, 3));\n  }\n}';
+
+  const result = await extractTAC('java', code);
+  check('Java TAC comes from javac bytecode', result.success && result.ir_type === 'jvm_bytecode' && result.provider === 'local',
+    result.error || result.ir_type);
+  check('the add operation is found', result.tac.some(line => / \+ /.test(line)), (result.tac || []).join('; '));
+  check('one unit per class file', result.units.length === 1 && result.units[0].file === 'Main.class',
+    JSON.stringify((result.units || []).map(unit => unit.file)));
+
+  const nested = await extractTAC('java', 'public class Main {\n  static class Helper { int twice(int x) { return x * 2; } }\n  public static void main(String[] args) { System.out.println(new Helper().twice(4)); }\n}');
+  check('nested classes are disassembled too', nested.success && nested.units.some(unit => unit.file === 'Main$Helper.class') &&
+    nested.tac.some(line => / \* /.test(line)), JSON.stringify((nested.units || []).map(unit => unit.file)));
+
+  const broken = await extractTAC('java', 'public class Main { public static void main(String[] args) { int x = ; } }');
+  check('compile errors are reported', !broken.success && broken.compile && broken.compile.diagnostics.length > 0, broken.error);
+}
+
+async function runAllTests() {
+  console.log('🚀 Java TAC Tests');
+
+  testConversion();
+  testLogicChecker();
+  await testFileName();
+  await testExtractTAC();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
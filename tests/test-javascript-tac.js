@@ -0,0 +1,143 @@
+/**
+ * JavaScript TAC Test
+ *
+ * 1. The tree-sitter AST lowers to the same TAC format as LLVM IR
+ * 2. Call names: global chains (console.log), methods (push) and constructors (new Box)
+ * 3. TACLogicChecker works on JavaScript TAC unchanged (hardcoded return)
+ * 4. extractTAC reports javascript_ast TAC and syntax errors (skipped without tree-sitter)
+ *
+ * Runs without the API server: node tests/test-javascript-tac.js
+ */
+
+const { JavaScriptASTToTACConverter } = require('../services/javascriptASTToTAC');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { ASTParser, isAvailable } = require('../services/astParser');
+const { check, summarize } = require('./check');
+
+const ADD = 'function add(a, b) {\n  return a + b;\n}\nconsole.log(add(2, 3));';
+
+const HARDCODED = 'function add(a, b) {\n  return 8;\n}\nconsole.log(add(2, 3));';
+
+const LOOP = `function sumSquares(n) {
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    total += i * i;
+  }
+  return total % 7;
+}`;
+
+const MISC = `class Box {
+  constructor(v) { this.v = v; }
+}
+const items = [];
+items.push(Math.max(1, -2));
+const { a, b } = new Box(3);
+console.log(a, b);`;
+
+function parse(code) {
+  return new ASTParser().parse('javascript', code).rootNode;
+}
+
+function convert(code) {
+  return new LLVMToTACConverter().filter(new JavaScriptASTToTACConverter().convert(parse(code)));
+}
+
+function testConversion() {
+  console.log('\n📋 AST to TAC');
+
+  const raw = new JavaScriptASTToTACConverter().convert(parse(ADD));
+  const tac = new LLVMToTACConverter().filter(raw);
+  const sum = tac.find(line => / \+ /.test(line)) || '';
+  const [, dst, left, right] = sum.match(/^(t\d+) = (t\d+) \+ (t\d+)$/) || [];
+  const loaded = temp => raw.some(line => line.startsWith(`${temp} = load `));
+  check('a + b becomes t = a + b on the loaded parameters', Boolean(dst) && loaded(left) && loaded(right), tac.join('; '));
+  check('return a + b becomes return t', tac.includes(`return ${dst}`));
+
+  const loop = convert(LOOP);
+  check('*, += and % in a loop', loop.some(line => / \* /.test(line)) && loop.some(line => / \+ /.test(line)) &&
+    loop.some(line => / % 7$/.test(line)), loop.join('; '));
+  check('i++ is an increment (like i++ in LLVM IR)', loop.some(line => /^t\d+ = 1 \+ t\d+$/.test(line)));
+  check('comparisons are kept', loop.some(line => /^t\d+ = t\d+ < t\d+$/.test(line)));
+
+  const misc = convert(MISC);
+  check('unary minus becomes 0 - x', misc.some(line => /^t\d+ = 0 - 2$/.test(line)), misc.join('; '));
+  check('global chains keep their names', misc.some(line => /= call Math\.max$/.test(line)) &&
+    misc.some(line => /(^|= )call console\.log$/.test(line)));
+  check('methods on locals and constructors', misc.some(line => /call push$/.test(line)) &&
+    misc.some(line => /= call new Box$/.test(line)));
+
+  const destructured = new JavaScriptASTToTACConverter().convert(parse('const { a, b } = obj;\nconst [c] = list;'));
+  check('destructuring stores into each binding', destructured.filter(line => line.startsWith('store ')).length === 3,
+    destructured.join('; '));
+}
+
+function testLogicChecker() {
+  console.log('\n📋 TACLogicChecker on JavaScript');
+
+  const checker = new TACLogicChecker();
+  const reference = { code: ADD, language: 'javascript', tac: convert(ADD) };
+
+  const same = checker.verifyLogic(reference, { code: ADD, language: 'javascript', tac: convert(ADD) });
+  check('identical logic passes', same.passed && same.exact_match, same.reason);
+
+  const hardcoded = checker.verifyLogic(reference, { code: HARDCODED, language: 'javascript', tac: convert(HARDCODED) });
+  check('hardcoded return is detected', !hardcoded.passed && hardcoded.hardcoded_detection.detected &&
+    hardcoded.tac_comparison.missing_operations.includes('add'), hardcoded.reason);
+}
+
+function testSyntaxErrors() {
+  console.log('\n📋 Syntax errors');
+
+  const converter = new JavaScriptASTToTACConverter();
+  const diagnostics = converter.syntaxErrors(parse('const ok = 1;\nlet x = ;'), 'main.js');
+  check('syntax errors have file and line', diagnostics.length > 0 && diagnostics[0].file === 'main.js' &&
+    diagnostics[0].line === 2, JSON.stringify(diagnostics));
+  check('valid code has no syntax errors', converter.syntaxErrors(parse(LOOP), 'main.js').length === 0);
+}
+
+async function testExtractTAC() {
+  console.log('\n📋 extractTAC for JavaScript');
+
+  const { extractTAC } = require('../services/pistonService');
+
+  const result = await extractTAC('javascript', ADD);
+  check('JavaScript TAC comes from the AST', result.success && result.ir_type === 'javascript_ast' && result.provider === 'local',
+    result.error || result.ir_type);
+  check('the add operation is found', result.tac.some(line => / \+ /.test(line)), (result.tac || []).join('; '));
+
+  const project = await extractTAC('js', '', {
+    files: [
+      { name: 'main.js', content: 'const m = require("./math");\nconsole.log(m.square(3));' },
+      { name: 'math.js', content: 'exports.square = x => x * x;' }
+    ],
+    entryPoint: 'main.js'
+  });
+  check('one unit per module', project.success && project.units.length === 2 && project.tac.some(line => / \* /.test(line)),
+    JSON.stringify((project.units || []).map(unit => unit.file)));
+
+  const broken = await extractTAC('javascript', 'function f() {\n  let x = ;\n}');
+  check('syntax errors fail the extraction', !broken.success && broken.diagnostics.length > 0 && broken.diagnostics[0].line === 2,
+    broken.error);
+}
+
+async function runAllTests() {
+  console.log('🚀 JavaScript TAC Tests');
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, skipped');
+    return;
+  }
+
+  testConversion();
+  testLogicChecker();
+  testSyntaxErrors();
+  await testExtractTAC();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+/**
+ * LLVM IR Parser Test
+ *
+ * 1. Textual IR parses into functions, blocks and instructions with typed operands
+ * 2. Multi-line instructions (invoke ... to label, switch cases) and IR snippets without define
+ * 3. Every instruction class gets a TAC form (icmp, select, phi, casts, getelementptr, br, switch)
+ * 4. Names that contain opcodes (%div, %add.addr) are no longer misclassified
+ *
+ * Runs without the API server: node tests/test-llvm-ir-parser.js
+ */
+
+const { LLVMIRParser, formatType } = require('../services/llvmIRParser');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { check, summarize } = require('./check');
+
+// clang -O0 style: for (i = 0; i < n; i++) total += i * i; return total % 7;
+const LOOP_IR = `
+source_filename = "main.c"
+target triple = "x86_64-pc-linux-gnu"
+
+%struct.Point = type { i32, double }
+
+@.str = private unnamed_addr constant [4 x i8] c"%d\\0A\\00", align 1
+
+define dso_local i32 @sum_squares(i32 noundef %0) #0 {
+  %2 = alloca i32, align 4
+  %3 = alloca i32, align 4
+  %4 = alloca i32, align 4
+  store i32 %0, ptr %2, align 4
+  store i32 0, ptr %3, align 4
+  store i32 0, ptr %4, align 4
+  br label %5
+
+5:                                                ; preds = %9, %1
+  %6 = load i32, ptr %4, align 4
+  %7 = load i32, ptr %2, align 4
+  %8 = icmp slt i32 %6, %7
+  br i1 %8, label %9, label %15
+
+9:                                                ; preds = %5
+  %10 = load i32, ptr %4, align 4
+  %11 = mul nsw i32 %10, %10
+  %12 = load i32, ptr %3, align 4
+  %13 = add nsw i32 %12, %11
+  store i32 %13, ptr %3, align 4
+  %14 = add nsw i32 %10, 1
+  store i32 %14, ptr %4, align 4
+  br label %5, !llvm.loop !6
+
+15:                                               ; preds = %5
+  %16 = load i32, ptr %3, align 4
+  %17 = srem i32 %16, 7
+  ret i32 %17
+}
+
+declare i32 @printf(ptr noundef, ...) #1
+
+!6 = distinct !{!6, !7}
+!7 = !{!"llvm.loop.mustprogress"}
+`;
+
+const MISC_IR = `
+%struct.Point = type { i32, double }
+
+define dso_local double @misc(ptr noundef %p, ptr noundef %arr, i64 noundef %i, i32 noundef %k) {
+entry:
+  %y = getelementptr inbounds %struct.Point, ptr %p, i32 0, i32 1
+  %v = load double, ptr %y, align 8
+  %f = fadd double %v, 0x400921FB54442D18
+  %g = fneg double %f
+  %e = getelementptr inbounds [10 x i32], ptr %arr, i64 0, i64 %i
+  %x = load i32, ptr %e, align 4
+  %c = fcmp olt double %g, 1.000000e+00
+  %s = select i1 %c, i32 %x, i32 0
+  %z = sext i32 %s to i64
+  %sh = shl i32 %x, 2
+  %an = and i32 %sh, 255
+  %r = call i32 (ptr, ...) @printf(ptr noundef @.str, i32 noundef %an)
+  switch i32 %k, label %def [
+    i32 1, label %one
+    i32 2, label %two
+  ]
+
+one:
+  br label %def
+
+two:
+  br label %def
+
+def:
+  %ph = phi double [ %g, %entry ], [ 1.000000e+00, %one ], [ 2.000000e+00, %two ]
+  ret double %ph
+}
+`;
+
+function testParser() {
+  console.log('\n📋 Parsing');
+
+  const parser = new LLVMIRParser();
+  const module = parser.parse(LOOP_IR);
+  const [func] = module.functions;
+
+  check('module header, types, globals and declarations', module.sourceFilename === 'main.c' &&
+    module.targetTriple === 'x86_64-pc-linux-gnu' && module.types.has('%struct.Point') &&
+    module.globals[0].name === '@.str' && module.declarations[0].name === 'printf' && module.declarations[0].varargs,
+    JSON.stringify(module.errors));
+  check('function signature with typed parameters', func.name === 'sum_squares' && formatType(func.returnType) === 'i32' &&
+    func.params.length === 1 && func.params[0].name === '%0' && formatType(func.params[0].type) === 'i32');
+  check('basic blocks by label', func.blocks.map(block => block.label).join() === ',%5,%9,%15',
+    func.blocks.map(block => block.label).join());
+
+  const compare = func.blocks[1].instructions[2];
+  check('icmp keeps predicate and typed operands', compare.opcode === 'icmp' && compare.predicate === 'slt' &&
+    compare.operands.map(operand => `${formatType(operand.type)} ${operand.text}`).join() === 'i32 %6,i32 %7');
+
+  const branch = func.blocks[2].instructions[func.blocks[2].instructions.length - 1];
+  check('branch targets and metadata attachments', branch.targets.join() === '%5' && branch.metadata['llvm.loop'] === '!6');
+  check('metadata nodes', module.metadata.get('!6').distinct && module.metadata.get('!6').elements.join() === '!6,!7');
+
+  const misc = parser.parse(MISC_IR).functions[0];
+  const switchInstruction = misc.blocks[0].instructions.find(instruction => instruction.opcode === 'switch');
+  check('switch cases spread over several lines', switchInstruction.defaultTarget === '%def' &&
+    switchInstruction.cases.map(entry => `${entry.value.text}:${entry.target}`).join() === '1:%one,2:%two');
+  const phi = misc.blocks[3].instructions[0];
+  check('phi incoming values and blocks', phi.incoming.map(entry => entry.block).join() === '%entry,%one,%two');
+  const call = misc.blocks[0].instructions.find(instruction => instruction.opcode === 'call');
+  check('call callee, function type and attributed arguments', call.callee.text === '@printf' &&
+    formatType(call.type) === 'i32' && call.args.map(arg => arg.text).join() === '@.str,%an');
+
+  const snippet = parser.parse(`  invoke void @f(ptr noundef nonnull align 8 dereferenceable(24) %2)
+          to label %4 unwind label %8
+  %x = foo i32 1`);
+  const invoke = snippet.functions[0].blocks[0].instructions[0];
+  check('invoke over two lines, outside a define', invoke.normal === '%4' && invoke.unwind === '%8');
+  check('unknown instructions are reported, not fatal', snippet.errors.length === 1 && snippet.errors[0].line === 3,
+    JSON.stringify(snippet.errors));
+}
+
+function testTAC() {
+  console.log('\n📋 TAC forms');
+
+  const converter = new LLVMToTACConverter();
+  const loop = converter.convert(LOOP_IR);
+  check('blocks that are jumped to get labels', loop.filter(line => /^L\d+:$/.test(line)).length === 3, loop.join('; '));
+  check('br becomes goto / if ... goto ... else', loop.includes('goto L1') && loop.some(line => /^if t\d+ goto L2 else L3$/.test(line)));
+  check('icmp slt becomes <', loop.some(line => /^t\d+ = t\d+ < t\d+$/.test(line)));
+  check('srem becomes %', loop.some(line => /^t\d+ = t\d+ % 7$/.test(line)));
+
+  const filtered = converter.filter(loop);
+  check('filter drops branches and labels, keeps comparisons', filtered.every(line => !/goto|:$/.test(line)) &&
+    filtered.some(line => line.includes(' < ')), filtered.join('; '));
+
+  const misc = converter.convert(MISC_IR);
+  const has = pattern => misc.some(line => pattern.test(line));
+  check('struct field and array element addresses', has(/^t\d+ = &t\d+\[0\]\.1$/) && has(/^t\d+ = &t\d+\[0\]\[t\d+\]$/), misc.join('; '));
+  check('fadd with a hex double, fneg as 0 - x', has(/^t\d+ = 3\.141592653589793 \+ t\d+$/) && has(/^t\d+ = 0 - t\d+$/));
+  check('select, casts, shifts and bitwise ops', has(/^t\d+ = t\d+ \? t\d+ : 0$/) && has(/^t\d+ = sext t\d+ to i64$/) &&
+    has(/^t\d+ = t\d+ << 2$/) && has(/^t\d+ = t\d+ & 255$/));
+  check('switch and phi', has(/^switch t\d+ \[1: L\d+, 2: L\d+\] default L\d+$/) &&
+    has(/^t\d+ = phi \[t\d+, L\d+\], \[1\.000000e\+00, L\d+\], \[2\.000000e\+00, L\d+\]$/));
+
+  const named = converter.convert(`
+define i32 @f(i32 %a, i32 %b) {
+  %div = alloca i32, align 4
+  %add.addr = load i32, ptr %div, align 4
+  %retval = urem i32 %a, %b
+  ret i32 %retval
+}`);
+  check('names containing opcodes are not instructions', named.join('; ') === 't3 = alloca; t4 = load t3; t5 = t1 % t2; return t5',
+    named.join('; '));
+
+  const twoFunctions = converter.convert(`
+define i32 @one(i32 %0) {
+  ret i32 %0
+}
+define i32 @two(i32 %0) {
+  ret i32 %0
+}`);
+  check('locals are per function', twoFunctions.join('; ') === 'return t1; return t2', twoFunctions.join('; '));
+}
+
+function runAllTests() {
+  console.log('🚀 LLVM IR Parser Tests');
+
+  testParser();
+  testTAC();
+
+  summarize();
+}
+
+runAllTests();
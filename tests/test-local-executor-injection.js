@@ -0,0 +1,115 @@
+/**
+ * Shell Injection Regression Test for LocalExecutor
+ *
+ * LocalExecutor used to build shell strings like `cd "${this.tempDir}" && java ${className}`.
+ * Every compile and run step is now argv-based spawn, so hostile class names, file names
+ * and directory names must reach the program literally and never run as shell syntax.
+ *
+ * Runs without the API server: node tests/test-local-executor-injection.js
+ */
+
+// The injection checks need the programs to run, with or without bwrap
+process.env.SANDBOX_ALLOW_WEAK = 'true';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+const workRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'injection-test-'));
+const marker = path.join(workRoot, 'PWNED');
+const payload = `$(touch ${marker})`;
+
+// Directory name that breaks out of double quotes, single quotes and backticks
+const hostileTempDir = path.join(workRoot, `dir "${payload}" '; touch ${marker}; ' \`touch ${marker}\``);
+
+function markerCreated() {
+  return fs.existsSync(marker);
+}
+
+async function testRunCommandArgv(executor) {
+  console.log('\n📋 runCommand passes arguments literally');
+  const hostileArg = `${payload}; touch ${marker} | \`touch ${marker}\` && echo injected`;
+
+  const result = await executor.runCommand('node', ['-e', 'process.stdout.write(process.argv[1])', hostileArg], {
+    cwd: workRoot,
+    language: 'javascript'
+  });
+
+  check('argument reaches the program unchanged', result.stdout === hostileArg, JSON.stringify(result.stdout));
+  check('no shell command ran', !markerCreated());
+}
+
+async function testHostileTempDir(executor) {
+  console.log('\n📋 Hostile temp directory name');
+
+  const c = await executor.execute('c', '#include <stdio.h>\nint main() { int a, b; scanf("%d %d", &a, &b); printf("%d", a + b); return 0; }', '5 3');
+  if (c.fallback_needed) {
+    console.log(`  ⏭  C skipped: ${c.error}`);
+  } else {
+    check('C program compiles and runs', c.stdout === '8', JSON.stringify(c.stdout));
+  }
+
+  const py = await executor.execute('python', 'print(input()[::-1])', 'abc');
+  if (py.fallback_needed) {
+    console.log(`  ⏭  Python skipped: ${py.error}`);
+  } else {
+    check('Python program runs', py.stdout.trim() === 'cba', JSON.stringify(py.stdout));
+  }
+
+  const js = await executor.execute('javascript', 'console.log(2 * 21)', '');
+  if (js.fallback_needed) {
+    console.log(`  ⏭  JavaScript skipped: ${js.error}`);
+  } else {
+    check('JavaScript program runs', js.stdout.trim() === '42', JSON.stringify(js.stdout));
+  }
+
+  await executor.generateLLVMIR('int main() { return 0; }', 'c');
+  check('no shell command ran', !markerCreated());
+}
+
+async function testHostileJavaClassNames(executor) {
+  console.log('\n📋 Hostile Java class names');
+
+  const hostileSources = [
+    `public class Main$(touch ${marker}) { public static void main(String[] a) { System.out.println("x"); } }`,
+    `public class Main;touch ${marker}; { public static void main(String[] a) { System.out.println("x"); } }`,
+    `public class Main\`touch ${marker}\` { public static void main(String[] a) { System.out.println("x"); } }`,
+    `public class Main { public static void main(String[] a) { System.out.println("${payload}"); } }`
+  ];
+
+  for (const source of hostileSources) {
+    const result = await executor.execute('java', source, '');
+    if (result.fallback_needed && /not available/.test(result.error || '')) {
+      console.log(`  ⏭  Java skipped: ${result.error}`);
+      break;
+    }
+    check(`class declaration "${source.slice(0, 40)}..." did not run a shell`, !markerCreated());
+  }
+
+  check('no shell command ran', !markerCreated());
+}
+
+async function runAllTests() {
+  console.log('🚀 LocalExecutor Shell Injection Regression Tests');
+  console.log(`Temp dir: ${hostileTempDir}`);
+
+  fs.mkdirSync(hostileTempDir, { recursive: true });
+  const executor = new LocalExecutor({ tempDir: hostileTempDir });
+
+  try {
+    await testRunCommandArgv(executor);
+    await testHostileTempDir(executor);
+    await testHostileJavaClassNames(executor);
+  } finally {
+    fs.rmSync(workRoot, { recursive: true, force: true });
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * Multi-file Project Test
+ *
+ * 1. `files` validation: traversal, absolute paths, duplicates, unknown entry points
+ * 2. LocalExecutor compiles every translation unit together (C, C++) and runs
+ *    the entry point with its sibling modules (Python, JavaScript)
+ * 3. AST features are collected from every unit
+ *
+ * Runs without the API server: node tests/test-multi-file-projects.js
+ */
+
+// Projects are run locally even without bwrap (SANDBOX_ALLOW_WEAK)
+process.env.SANDBOX_ALLOW_WEAK = 'true';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalExecutor } = require('../services/localExecutor');
+const { ProjectFiles } = require('../services/projectFiles');
+const { check, summarize } = require('./check');
+
+const cProject = [
+  { name: 'main.c', content: '#include <stdio.h>\n#include "lib/math_utils.h"\nint main() { int a, b; scanf("%d %d", &a, &b); printf("%d\\n", add(a, b) * twice(b)); return 0; }' },
+  { name: 'lib/math_utils.h', content: 'int add(int a, int b);\nint twice(int x);\n' },
+  { name: 'lib/math_utils.c', content: '#include "math_utils.h"\nint add(int a, int b) { return a + b; }\nint twice(int x) { return 2 * x; }\n' }
+];
+
+function testValidation(projectFiles) {
+  console.log('\n📋 files validation');
+
+  const invalid = [
+    ['path traversal', [{ name: '../evil.c', content: '' }]],
+    ['nested traversal', [{ name: 'lib/../../evil.c', content: '' }]],
+    ['absolute path', [{ name: '/etc/passwd', content: '' }]],
+    ['shell characters', [{ name: 'main;rm -rf.c', content: '' }]],
+    ['duplicate names', [{ name: 'main.c', content: '' }, { name: 'main.c', content: '' }]],
+    ['missing content', [{ name: 'main.c' }]],
+    ['empty array', []]
+  ];
+
+  for (const [name, files] of invalid) {
+    const validation = projectFiles.normalize('c', { files });
+    check(`rejects ${name}`, !validation.valid, validation.error);
+  }
+
+  const unknownEntry = projectFiles.normalize('c', { files: cProject, entryPoint: 'missing.c' });
+  check('rejects an entry point that is not a submitted file', !unknownEntry.valid, unknownEntry.error);
+
+  const headerEntry = projectFiles.normalize('c', { files: cProject, entryPoint: 'lib/math_utils.h' });
+  check('rejects a header as entry point', !headerEntry.valid, headerEntry.error);
+
+  const valid = projectFiles.normalize('c', { files: cProject, entryPoint: 'main.c' });
+  const units = valid.valid ? projectFiles.getTranslationUnits('c', valid.project).map(f => f.name) : [];
+  check('accepts a project with a subdirectory', valid.valid && valid.project.multiFile, valid.error);
+  check('headers are not translation units', units.join(',') === 'main.c,lib/math_utils.c', units.join(','));
+
+  const single = projectFiles.normalize('python', { code: 'print(1)' });
+  check('a lone code string is a one-file project', single.valid && single.project.files[0].name === 'main.py' && !single.project.multiFile);
+}
+
+async function runProject(executor, language, project, stdin, expected, label) {
+  const result = await executor.execute(language, '', stdin, { project });
+  if (result.fallback_needed && /not available/.test(result.error || '')) {
+    console.log(`  ⏭  ${label} skipped: ${result.error}`);
+    return;
+  }
+  check(label, result.success && result.stdout.trim() === expected, JSON.stringify(result.stdout || result.stderr || result.error));
+}
+
+async function testExecution(executor, projectFiles) {
+  console.log('\n📋 Local execution of multi-file projects');
+
+  await runProject(executor, 'c', projectFiles.normalize('c', { files: cProject }).project, '3 4', '56',
+    'C units in several directories are linked together');
+
+  const cppFiles = [
+    { name: 'src/app.cpp', content: '#include <iostream>\n#include "shape.hpp"\nint main() { Square s(5); std::cout << s.area() << std::endl; }' },
+    { name: 'src/shape.hpp', content: 'struct Square { int side; explicit Square(int s); int area() const; };\n' },
+    { name: 'src/shape.cpp', content: '#include "shape.hpp"\nSquare::Square(int s) : side(s) {}\nint Square::area() const { return side * side; }\n' }
+  ];
+  await runProject(executor, 'cpp', projectFiles.normalize('cpp', { files: cppFiles, entryPoint: 'src/app.cpp' }).project, '', '25',
+    'C++ units are linked together');
+
+  const brokenFiles = [
+    { name: 'main.c', content: 'int helper(void);\nint main() { return helper(); }' },
+    { name: 'helper.c', content: 'int helper(void) { return missing_symbol; }' }
+  ];
+  const broken = await executor.execute('c', '', '', { project: projectFiles.normalize('c', { files: brokenFiles }).project });
+  if (!broken.fallback_needed) {
+    const diagnostic = broken.compile && broken.compile.diagnostics.find(d => d.severity === 'error');
+    check('compile errors point at the failing unit', broken.status === 'CE' && diagnostic && diagnostic.file === 'helper.c',
+      diagnostic ? `${diagnostic.file}:${diagnostic.line}` : broken.status);
+  }
+
+  const pythonFiles = [
+    { name: 'main.py', content: 'from helpers.text import shout\nprint(shout(input()))' },
+    { name: 'helpers/__init__.py', content: '' },
+    { name: 'helpers/text.py', content: 'def shout(s):\n    return s.upper() + "!"\n' }
+  ];
+  await runProject(executor, 'python', projectFiles.normalize('python', { files: pythonFiles }).project, 'hi', 'HI!',
+    'Python entry point imports sibling packages');
+
+  const jsFiles = [
+    { name: 'lib/sum.js', content: 'module.exports = (xs) => xs.reduce((a, b) => a + b, 0);' },
+    { name: 'index.js', content: 'const sum = require("./lib/sum");\nconsole.log(sum([1, 2, 3, 4]));' }
+  ];
+  await runProject(executor, 'javascript', projectFiles.normalize('javascript', { files: jsFiles, entryPoint: 'index.js' }).project, '', '10',
+    'JavaScript entry point requires other files');
+}
+
+function testAnalysis(projectFiles) {
+  console.log('\n📋 AST analysis per translation unit');
+
+  let ASTParser;
+  try {
+    ASTParser = require('../services/astParser').ASTParser;
+    new ASTParser();
+  } catch (error) {
+    console.log(`  ⏭  Skipped: ${error.message}`);
+    return;
+  }
+
+  const parser = new ASTParser();
+  const project = projectFiles.normalize('c', { files: cProject }).project;
+  const analysis = parser.extractProjectFeatures('c', projectFiles.getSourceFiles('c', project));
+  const functions = analysis.features.functions.slice().sort().join(',');
+
+  check('every file is parsed', analysis.units.length === 3, analysis.units.map(u => u.file).join(', '));
+  check('functions from all units are merged', functions === 'add,main,twice', functions);
+  check('node counts are summed', analysis.features.totalNodes === analysis.units.reduce((sum, u) => sum + u.totalNodes, 0));
+}
+
+async function runAllTests() {
+  console.log('🚀 Multi-file Project Tests');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-file-'));
+  const executor = new LocalExecutor({ tempDir });
+  const projectFiles = new ProjectFiles();
+
+  try {
+    testValidation(projectFiles);
+    await testExecution(executor, projectFiles);
+    testAnalysis(projectFiles);
+
+    const leftovers = fs.readdirSync(tempDir);
+    check('no files left in the temp directory', leftovers.length === 0, leftovers.join(', '));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,630 @@
+/**
+ * Python TAC Test
+ *
+ * 1. `python -m dis` output of 3.10, 3.11, 3.12 and 3.13 converts to the same TAC
+ *    (BINARY_ADD vs BINARY_OP, CALL_FUNCTION/CALL_METHOD vs CALL, CALL_FUNCTION_KW vs KW_NAMES,
+ *    RETURN_CONST, ...)
+ * 2. Comprehensions store their items into the container; the <listcomp> functions of 3.11
+ *    are inlined as 3.12 does, loops branch on a defined value, and functions carry their
+ *    parameters from the "# Parameters of" lines
+ * 3. TACLogicChecker works on Python TAC unchanged (hardcoded return, missing operations)
+ * 4. Python syntax errors become diagnostics
+ * 5. extractTAC disassembles with the local python, without running the code
+ *    (skipped when python is not installed)
+ *
+ * Runs without the API server: node tests/test-python-tac.js
+ */
+
+const { PythonBytecodeToTACConverter } = require('../services/pythonBytecodeToTAC');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { DataFlowAnalyzer } = require('../services/dataFlowAnalyzer');
+const { CompilerDiagnostics } = require('../services/compilerDiagnostics');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+// def add(a, b):
+//     return a + b
+//
+//
+// x, y = map(int, input().split())
+// print(add(x, y))
+const ADD_SOURCE = 'def add(a, b):\n    return a + b\n\n\nx, y = map(int, input().split())\nprint(add(x, y))\n';
+
+const ADD_310 = `# Parameters of <code object add at 0x7f3a1c2b1d20, file "main.py", line 1>: a, b
+  1           0 LOAD_CONST               0 (<code object add at 0x7f3a1c2b1d20, file "main.py", line 1>)
+              2 LOAD_CONST               1 ('add')
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (add)
+
+  5           8 LOAD_NAME                1 (map)
+             10 LOAD_NAME                2 (int)
+             12 LOAD_NAME                3 (input)
+             14 CALL_FUNCTION            0
+             16 LOAD_METHOD              4 (split)
+             18 CALL_METHOD              0
+             20 CALL_FUNCTION            2
+             22 UNPACK_SEQUENCE          2
+             24 STORE_NAME               5 (x)
+             26 STORE_NAME               6 (y)
+
+  6          28 LOAD_NAME                7 (print)
+             30 LOAD_NAME                0 (add)
+             32 LOAD_NAME                5 (x)
+             34 LOAD_NAME                6 (y)
+             36 CALL_FUNCTION            2
+             38 CALL_FUNCTION            1
+             40 POP_TOP
+             42 LOAD_CONST               2 (None)
+             44 RETURN_VALUE
+
+Disassembly of <code object add at 0x7f3a1c2b1d20, file "main.py", line 1>:
+  2           0 LOAD_FAST                0 (a)
+              2 LOAD_FAST                1 (b)
+              4 BINARY_ADD
+              6 RETURN_VALUE
+`;
+
+const ADD_312 = `# Parameters of <code object add at 0x7f0e4d6a1b30, file "main.py", line 1>: a, b
+  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object add at 0x7f0e4d6a1b30, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (add)
+
+  5           8 PUSH_NULL
+             10 LOAD_NAME                1 (map)
+             12 LOAD_NAME                2 (int)
+             14 PUSH_NULL
+             16 LOAD_NAME                3 (input)
+             18 CALL                     0
+             26 LOAD_ATTR                9 (NULL|self + split)
+             46 CALL                     0
+             54 CALL                     2
+             62 UNPACK_SEQUENCE          2
+             66 STORE_NAME               5 (x)
+             68 STORE_NAME               6 (y)
+
+  6          70 PUSH_NULL
+             72 LOAD_NAME                7 (print)
+             74 PUSH_NULL
+             76 LOAD_NAME                0 (add)
+             78 LOAD_NAME                5 (x)
+             80 LOAD_NAME                6 (y)
+             82 CALL                     2
+             90 CALL                     1
+             98 POP_TOP
+            100 RETURN_CONST             1 (None)
+
+Disassembly of <code object add at 0x7f0e4d6a1b30, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_FAST                0 (a)
+              4 LOAD_FAST                1 (b)
+              6 BINARY_OP                0 (+)
+             10 RETURN_VALUE
+`;
+
+// 3.13: no offsets, [callable, NULL] order, superinstructions
+const ADD_313 = `# Parameters of <code object add at 0x7f51c8a3e2f0, file "main.py", line 1>: a, b
+  0           RESUME                   0
+
+  1           LOAD_CONST               0 (<code object add at 0x7f51c8a3e2f0, file "main.py", line 1>)
+              MAKE_FUNCTION
+              STORE_NAME               0 (add)
+
+  5           LOAD_NAME                1 (map)
+              PUSH_NULL
+              LOAD_NAME                2 (int)
+              LOAD_NAME                3 (input)
+              PUSH_NULL
+              CALL                     0
+              LOAD_ATTR                9 (split + NULL|self)
+              CALL                     0
+              CALL                     2
+              UNPACK_SEQUENCE          2
+              STORE_NAME               5 (x)
+              STORE_NAME               6 (y)
+
+  6           LOAD_NAME                7 (print)
+              PUSH_NULL
+              LOAD_NAME                0 (add)
+              PUSH_NULL
+              LOAD_NAME                5 (x)
+              LOAD_NAME                6 (y)
+              CALL                     2
+              CALL                     1
+              POP_TOP
+              RETURN_CONST             1 (None)
+
+Disassembly of <code object add at 0x7f51c8a3e2f0, file "main.py", line 1>:
+  1           RESUME                   0
+
+  2           LOAD_FAST_LOAD_FAST      1 (a, b)
+              BINARY_OP                0 (+)
+              RETURN_VALUE
+`;
+
+// def add(a, b):
+//     return 8
+const HARDCODED_312 = ADD_312.replace(`  2           2 LOAD_FAST                0 (a)
+              4 LOAD_FAST                1 (b)
+              6 BINARY_OP                0 (+)
+             10 RETURN_VALUE`, '  2           2 RETURN_CONST             1 (8)');
+
+// def total(n):
+//     s = 0
+//     for i in range(n):
+//         s += i * i
+//     return s % 7
+//
+// items = []
+// items.append(-total(5))
+// print(items)
+const LOOP_310 = `# Parameters of <code object total at 0x7f3a1c2b1e00, file "main.py", line 1>: n
+  1           0 LOAD_CONST               0 (<code object total at 0x7f3a1c2b1e00, file "main.py", line 1>)
+              2 LOAD_CONST               1 ('total')
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (total)
+
+  7           8 BUILD_LIST               0
+             10 STORE_NAME               1 (items)
+
+  8          12 LOAD_NAME                1 (items)
+             14 LOAD_METHOD              2 (append)
+             16 LOAD_NAME                0 (total)
+             18 LOAD_CONST               2 (5)
+             20 CALL_FUNCTION            1
+             22 UNARY_NEGATIVE
+             24 CALL_METHOD              1
+             26 POP_TOP
+
+  9          28 LOAD_NAME                3 (print)
+             30 LOAD_NAME                1 (items)
+             32 CALL_FUNCTION            1
+             34 POP_TOP
+             36 LOAD_CONST               3 (None)
+             38 RETURN_VALUE
+
+Disassembly of <code object total at 0x7f3a1c2b1e00, file "main.py", line 1>:
+  2           0 LOAD_CONST               1 (0)
+              2 STORE_FAST               1 (s)
+
+  3           4 LOAD_GLOBAL              0 (range)
+              6 LOAD_FAST                0 (n)
+              8 CALL_FUNCTION            1
+             10 GET_ITER
+        >>   12 FOR_ITER                 8 (to 30)
+             14 STORE_FAST               2 (i)
+
+  4          16 LOAD_FAST                1 (s)
+             18 LOAD_FAST                2 (i)
+             20 LOAD_FAST                2 (i)
+             22 BINARY_MULTIPLY
+             24 INPLACE_ADD
+             26 STORE_FAST               1 (s)
+             28 JUMP_ABSOLUTE            6 (to 12)
+
+  5     >>   30 LOAD_FAST                1 (s)
+             32 LOAD_CONST               2 (7)
+             34 BINARY_MODULO
+             36 RETURN_VALUE
+`;
+
+const LOOP_312 = `# Parameters of <code object total at 0x7f0e4d6a1c10, file "main.py", line 1>: n
+  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object total at 0x7f0e4d6a1c10, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (total)
+
+  7           8 BUILD_LIST               0
+             10 STORE_NAME               1 (items)
+
+  8          12 LOAD_NAME                1 (items)
+             14 LOAD_ATTR                5 (NULL|self + append)
+             34 PUSH_NULL
+             36 LOAD_NAME                0 (total)
+             38 LOAD_CONST               1 (5)
+             40 CALL                     1
+             48 UNARY_NEGATIVE
+             50 CALL                     1
+             58 POP_TOP
+
+  9          60 PUSH_NULL
+             62 LOAD_NAME                3 (print)
+             64 LOAD_NAME                1 (items)
+             66 CALL                     1
+             74 POP_TOP
+             76 RETURN_CONST             2 (None)
+
+Disassembly of <code object total at 0x7f0e4d6a1c10, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_CONST               1 (0)
+              4 STORE_FAST               1 (s)
+
+  3           6 LOAD_GLOBAL              1 (NULL + range)
+             16 LOAD_FAST                0 (n)
+             18 CALL                     1
+             26 GET_ITER
+        >>   28 FOR_ITER                10 (to 52)
+             32 STORE_FAST               2 (i)
+
+  4          34 LOAD_FAST                1 (s)
+             36 LOAD_FAST                2 (i)
+             38 LOAD_FAST                2 (i)
+             40 BINARY_OP                5 (*)
+             44 BINARY_OP               13 (+=)
+             48 STORE_FAST               1 (s)
+             50 JUMP_BACKWARD           12 (to 28)
+
+  3     >>   52 END_FOR
+
+  5          54 LOAD_FAST                1 (s)
+             56 LOAD_CONST               2 (7)
+             58 BINARY_OP                6 (%)
+             62 RETURN_VALUE
+`;
+
+// def add(a, b):
+//     return a + b
+//
+//
+// print(add(a=5, b=3), end="")
+// 3.10 CALL_FUNCTION_KW: [f, args, names], no NULL slot
+const KEYWORDS_310 = `# Parameters of <code object add at 0x7f3a1c2b1f40, file "main.py", line 1>: a, b
+  1           0 LOAD_CONST               0 (<code object add at 0x7f3a1c2b1f40, file "main.py", line 1>)
+              2 LOAD_CONST               1 ('add')
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (add)
+
+  5           8 LOAD_NAME                1 (print)
+             10 LOAD_NAME                0 (add)
+             12 LOAD_CONST               2 (5)
+             14 LOAD_CONST               3 (3)
+             16 LOAD_CONST               4 (('a', 'b'))
+             18 CALL_FUNCTION_KW         2
+             20 LOAD_CONST               5 ('')
+             22 LOAD_CONST               6 (('end',))
+             24 CALL_FUNCTION_KW         2
+             26 POP_TOP
+             28 LOAD_CONST               7 (None)
+             30 RETURN_VALUE
+
+Disassembly of <code object add at 0x7f3a1c2b1f40, file "main.py", line 1>:
+  2           0 LOAD_FAST                0 (a)
+              2 LOAD_FAST                1 (b)
+              4 BINARY_ADD
+              6 RETURN_VALUE
+`;
+
+// 3.11: KW_NAMES + PRECALL + CALL, [NULL, f, args]
+const KEYWORDS_311 = `# Parameters of <code object add at 0x7f0f05871960, file "main.py", line 1>: a, b
+  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object add at 0x7f0f05871960, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (add)
+
+  5           8 PUSH_NULL
+             10 LOAD_NAME                1 (print)
+             12 PUSH_NULL
+             14 LOAD_NAME                0 (add)
+             16 LOAD_CONST               1 (5)
+             18 LOAD_CONST               2 (3)
+             20 KW_NAMES                 3
+             22 PRECALL                  2
+             26 CALL                     2
+             36 LOAD_CONST               4 ('')
+             38 KW_NAMES                 5
+             40 PRECALL                  2
+             44 CALL                     2
+             54 POP_TOP
+             56 LOAD_CONST               6 (None)
+             58 RETURN_VALUE
+
+Disassembly of <code object add at 0x7f0f05871960, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_FAST                0 (a)
+              4 LOAD_FAST                1 (b)
+              6 BINARY_OP                0 (+)
+             10 RETURN_VALUE
+`;
+
+// def total(xs):
+//     return sum([x * 2 for x in xs])
+// 3.11 calls a <listcomp> function, 3.12 inlines it (LOAD_FAST_AND_CLEAR, SWAP, END_FOR)
+const COMPREHENSION_311 = `# Parameters of <code object total at 0x7fb7dfda1c50, file "main.py", line 1>: xs
+# Parameters of <code object <listcomp> at 0x7fb7dfc20fa0, file "main.py", line 2>: .0
+  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object total at 0x7fb7dfda1c50, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (total)
+              8 LOAD_CONST               1 (None)
+             10 RETURN_VALUE
+
+Disassembly of <code object total at 0x7fb7dfda1c50, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_GLOBAL              1 (NULL + sum)
+             14 LOAD_CONST               1 (<code object <listcomp> at 0x7fb7dfc20fa0, file "main.py", line 2>)
+             16 MAKE_FUNCTION            0
+             18 LOAD_FAST                0 (xs)
+             20 GET_ITER
+             22 PRECALL                  0
+             26 CALL                     0
+             36 PRECALL                  1
+             40 CALL                     1
+             50 RETURN_VALUE
+
+Disassembly of <code object <listcomp> at 0x7fb7dfc20fa0, file "main.py", line 2>:
+  2           0 RESUME                   0
+              2 BUILD_LIST               0
+              4 LOAD_FAST                0 (.0)
+        >>    6 FOR_ITER                 7 (to 22)
+              8 STORE_FAST               1 (x)
+             10 LOAD_FAST                1 (x)
+             12 LOAD_CONST               0 (2)
+             14 BINARY_OP                5 (*)
+             18 LIST_APPEND              2
+             20 JUMP_BACKWARD            8 (to 6)
+        >>   22 RETURN_VALUE
+`;
+
+const COMPREHENSION_312 = `# Parameters of <code object total at 0x7f47d4591ce0, file "main.py", line 1>: xs
+  0           0 RESUME                   0
+
+  1           2 LOAD_CONST               0 (<code object total at 0x7f47d4591ce0, file "main.py", line 1>)
+              4 MAKE_FUNCTION            0
+              6 STORE_NAME               0 (total)
+              8 RETURN_CONST             1 (None)
+
+Disassembly of <code object total at 0x7f47d4591ce0, file "main.py", line 1>:
+  1           0 RESUME                   0
+
+  2           2 LOAD_GLOBAL              1 (NULL + sum)
+             12 LOAD_FAST                0 (xs)
+             14 GET_ITER
+             16 LOAD_FAST_AND_CLEAR      1 (x)
+             18 SWAP                     2
+             20 BUILD_LIST               0
+             22 SWAP                     2
+        >>   24 FOR_ITER                 7 (to 42)
+             28 STORE_FAST               1 (x)
+             30 LOAD_FAST                1 (x)
+             32 LOAD_CONST               1 (2)
+             34 BINARY_OP                5 (*)
+             38 LIST_APPEND              2
+             40 JUMP_BACKWARD            9 (to 24)
+        >>   42 END_FOR
+             44 SWAP                     2
+             46 STORE_FAST               1 (x)
+             48 CALL                     1
+             56 RETURN_VALUE
+        >>   58 SWAP                     2
+             60 POP_TOP
+             62 SWAP                     2
+             64 STORE_FAST               1 (x)
+             66 RERAISE                  0
+ExceptionTable:
+  20 to 42 -> 58 [4]
+`;
+
+// 3.13: END_FOR leaves the iterator to a POP_TOP
+const COMPREHENSION_313 = `# Parameters of <code object total at 0x7fbda4a869a0, file "main.py", line 1>: xs
+  0           RESUME                   0
+
+  1           LOAD_CONST               0 (<code object total at 0x7fbda4a869a0, file "main.py", line 1>)
+              MAKE_FUNCTION
+              STORE_NAME               0 (total)
+              RETURN_CONST             1 (None)
+
+Disassembly of <code object total at 0x7fbda4a869a0, file "main.py", line 1>:
+   1           RESUME                   0
+
+   2           LOAD_GLOBAL              1 (sum + NULL)
+               LOAD_FAST                0 (xs)
+               GET_ITER
+               LOAD_FAST_AND_CLEAR      1 (x)
+               SWAP                     2
+       L1:     BUILD_LIST               0
+               SWAP                     2
+       L2:     FOR_ITER                 7 (to L3)
+               STORE_FAST_LOAD_FAST    17 (x, x)
+               LOAD_CONST               1 (2)
+               BINARY_OP                5 (*)
+               LIST_APPEND              2
+               JUMP_BACKWARD            9 (to L2)
+       L3:     END_FOR
+               POP_TOP
+       L4:     SWAP                     2
+               STORE_FAST               1 (x)
+               CALL                     1
+               RETURN_VALUE
+
+  --   L5:     SWAP                     2
+               POP_TOP
+
+   2           SWAP                     2
+               STORE_FAST               1 (x)
+               RERAISE                  0
+ExceptionTable:
+  L1 to L4 -> L5 [4]
+`;
+
+function convert(disassembly) {
+  const converter = new PythonBytecodeToTACConverter();
+  return new LLVMToTACConverter().filter(converter.convert(disassembly));
+}
+
+function testConversion() {
+  console.log('\n📋 Bytecode to TAC');
+
+  const add310 = convert(ADD_310);
+  const add312 = convert(ADD_312);
+  const add313 = convert(ADD_313);
+
+  const sum = add312.find(line => / \+ /.test(line)) || '';
+  const [, dst] = sum.match(/^(t\d+) = t\d+ \+ t\d+$/) || [];
+  check('BINARY_OP (+) becomes t = a + b', Boolean(dst) && add312.includes(`return ${dst}`), add312.join('; '));
+  check('calls keep the function and method names',
+    ['input', 'split', 'map', 'add', 'print'].every(name => add312.some(line => line.endsWith(`= call ${name}`))));
+  check('3.10 (BINARY_ADD, CALL_FUNCTION, LOAD_METHOD) gives the same TAC as 3.12', add310.join('; ') === add312.join('; '),
+    add310.join('; '));
+  check('3.13 (LOAD_FAST_LOAD_FAST, callable before NULL) gives the same TAC as 3.12', add313.join('; ') === add312.join('; '),
+    add313.join('; '));
+
+  const loop310 = convert(LOOP_310);
+  const loop312 = convert(LOOP_312);
+  check('loop body: i * i, s += ..., s % 7', loop312.some(line => / \* /.test(line)) && loop312.some(line => / \+ /.test(line)) &&
+    loop312.some(line => / % 7$/.test(line)), loop312.join('; '));
+  check('method call through LOAD_ATTR (NULL|self + append) and unary minus',
+    loop312.some(line => /= 0 - t\d+$/.test(line)) && loop312.some(line => line.endsWith('= call append')) &&
+    loop312.some(line => line.endsWith('= call range')));
+  check('3.10 loops (FOR_ITER, INPLACE_ADD) match 3.12 (END_FOR, BINARY_OP (+=))', loop310.join('; ') === loop312.join('; '),
+    loop310.join('; '));
+
+  const keywords310 = convert(KEYWORDS_310);
+  const keywords311 = convert(KEYWORDS_311);
+  check('keyword calls: add, then print with its result', keywords311.filter(line => / = call /.test(line))
+    .map(line => line.split(' = call ')[1]).join() === 'add,print', keywords311.join('; '));
+  check('3.10 CALL_FUNCTION_KW (no NULL slot) matches 3.11 (KW_NAMES, CALL)', keywords310.join('; ') === keywords311.join('; '),
+    keywords310.join('; '));
+}
+
+function testComprehensions() {
+  console.log('\n📋 Comprehensions, loops and parameters');
+
+  const convertAll = disassembly => {
+    const converter = new PythonBytecodeToTACConverter();
+    const tac = converter.convert(disassembly);
+    const analyses = new DataFlowAnalyzer().analyzeProgram(converter.functions.map(func => ({
+      name: func.name, tac: func.tac, params: func.params
+    })));
+    return { tac, functions: converter.functions, total: analyses.find(analysis => analysis.name === 'total') };
+  };
+  const comprehension311 = convertAll(COMPREHENSION_311);
+  const comprehension312 = convertAll(COMPREHENSION_312);
+  const comprehension313 = convertAll(COMPREHENSION_313);
+
+  const raw = comprehension311.tac;
+  const list = (raw.find(line => / = call list$/.test(line)) || '').split(' = ')[0];
+  const item = (raw.find(line => / = 2 \* t\d+$/.test(line)) || '').split(' = ')[0];
+  const sum = raw.findIndex(line => / = call sum$/.test(line));
+  check('LIST_APPEND stores the item into the list, which sum is called with', Boolean(list) &&
+    raw.includes(`store ${item} -> ${list}`) && raw[sum - 1].endsWith(`= load ${list}`), raw.join('; '));
+
+  const shape = result => new LLVMToTACConverter().filter(result.tac).map(line => line.replace(/\bt\d+\b/g, 't')).join('; ');
+  check('the 3.11 <listcomp> is inlined: 3.11, 3.12 and 3.13 give the same operations',
+    shape(comprehension311) === shape(comprehension312) && shape(comprehension312) === shape(comprehension313) &&
+    comprehension311.functions.map(func => func.name).join() === '<module>,total', shape(comprehension311));
+
+  const defined = tac => tac.filter(line => /^if t\d+ goto/.test(line))
+    .every(line => tac.some(other => other.startsWith(`${line.split(' ')[1]} = `)));
+  check('FOR_ITER branches on t = call __next__', [comprehension311, comprehension312, comprehension313]
+    .every(result => result.tac.some(line => / = call __next__$/.test(line)) && defined(result.tac)), comprehension312.tac.join('; '));
+
+  check('the parameter reaches the comprehension result on 3.11, 3.12 and 3.13',
+    [comprehension311, comprehension312, comprehension313].every(result => result.total.findings.length === 0 &&
+      result.total.parameters.length === 1 && result.total.parameters[0].reaches_result),
+    JSON.stringify(comprehension313.total.findings));
+
+  const total = comprehension312.functions.find(func => func.name === 'total');
+  check('signature, arity and params come from the code object', total.signature === 'total(xs)' && total.arity === 1 &&
+    total.params[0].name === 'xs' && /^t\d+$/.test(total.params[0].temp), JSON.stringify(total));
+
+  const plain = convertAll(COMPREHENSION_312.replace(/^# Parameters of .*\n/gm, ''));
+  const unknown = plain.functions.find(func => func.name === 'total');
+  check('plain dis output keeps total(...) without parameters', unknown.signature === 'total(...)' &&
+    unknown.arity === null && unknown.params === null, unknown.signature);
+}
+
+function testLogicChecker() {
+  console.log('\n📋 TACLogicChecker on Python');
+
+  const checker = new TACLogicChecker();
+  const reference = { code: ADD_SOURCE, language: 'python', tac: convert(ADD_312) };
+
+  const otherVersion = checker.verifyLogic(reference, { code: 'add (3.10)', language: 'python', tac: convert(ADD_310) });
+  check('identical logic passes across Python versions', otherVersion.passed && otherVersion.exact_match, otherVersion.reason);
+
+  const hardcoded = checker.verifyLogic(reference, { code: 'hardcoded', language: 'python', tac: convert(HARDCODED_312) });
+  check('hardcoded return 8 (RETURN_CONST) is detected', !hardcoded.passed && hardcoded.hardcoded_detection.detected &&
+    hardcoded.tac_comparison.missing_operations.includes('add'), hardcoded.reason);
+}
+
+function testDiagnostics() {
+  console.log('\n📋 Python diagnostics');
+
+  const stderr = [
+    'Traceback (most recent call last):',
+    '  File "<frozen runpy>", line 198, in _run_module_as_main',
+    '  File "/usr/lib/python3.11/dis.py", line 770, in main',
+    '    code = compile(source, args.infile.name, "exec")',
+    '  File "util.py", line 3',
+    '    def twice(x:',
+    '               ^',
+    "SyntaxError: '(' was never closed"
+  ].join('\n');
+
+  const diagnostics = new CompilerDiagnostics().parse('python', stderr);
+  check('the syntax error points at the submitted file', diagnostics.length === 1 && diagnostics[0].file === 'util.py' &&
+    diagnostics[0].line === 3 && diagnostics[0].message === "SyntaxError: '(' was never closed", JSON.stringify(diagnostics));
+}
+
+async function testExtractTAC() {
+  console.log('\n📋 extractTAC for Python');
+
+  const executor = new LocalExecutor();
+  if (!(await executor.checkAvailability('python'))) {
+    console.log('  ⏭  python not installed, skipped');
+    return;
+  }
+
+  const { extractTAC } = require('../services/pistonService');
+
+  const result = await extractTAC('python', ADD_SOURCE);
+  check('Python TAC comes from the local dis', result.success && result.ir_type === 'python_bytecode' && result.provider === 'local' &&
+    /^3\.\d+/.test(result.python_version), result.error || `${result.ir_type}, Python ${result.python_version}`);
+  check(`the installed Python ${result.python_version} gives the same TAC as the fixtures`,
+    result.success && result.tac.join('; ') === convert(ADD_312).join('; '), (result.tac || []).join('; '));
+  const add = (result.functions || []).find(func => func.name === 'add');
+  check('the parameters are printed above the disassembly', Boolean(add) && add.signature === 'add(a, b)' && add.arity === 2,
+    add ? add.signature : 'no add function');
+
+  const project = await extractTAC('python', '', {
+    files: [
+      { name: 'main.py', content: 'from util import twice\nprint(twice(int(input())))\n' },
+      { name: 'util.py', content: 'def twice(x):\n    return x * 2\n' },
+      { name: 'dis.py', content: 'import sys\nsys.exit(3)\n' }
+    ],
+    entryPoint: 'main.py'
+  });
+  check('every module is disassembled, a submitted dis.py is not run', project.success && project.units.length === 3 &&
+    project.units.find(unit => unit.file === 'util.py').tac.some(line => / \* /.test(line)),
+    project.error || JSON.stringify((project.units || []).map(unit => unit.file)));
+
+  const broken = await extractTAC('python', 'def add(a, b)\n    return a + b\n');
+  check('syntax errors are reported with diagnostics', !broken.success && broken.compile &&
+    broken.compile.diagnostics.length === 1 && broken.compile.diagnostics[0].line === 1, broken.error);
+}
+
+async function runAllTests() {
+  console.log('🚀 Python TAC Tests');
+
+  testConversion();
+  testComprehensions();
+  testLogicChecker();
+  testDiagnostics();
+  await testExtractTAC();
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
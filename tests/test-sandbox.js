@@ -0,0 +1,236 @@
+/**
+ * Sandbox Test
+ *
+ * 1. Fail closed: only bwrap runs user code unless SANDBOX_ALLOW_WEAK=true, and LocalExecutor
+ *    leaves refused code to Piston
+ * 2. Every run reports its isolation, with a warning for what it does not isolate
+ * 3. Output is decoded whole; SIGKILL is MLE only when the cgroup's memory.events counts an OOM kill
+ * 4. Compilers and disassemblers run in the sandbox too: compile limits, minimal environment, fail closed
+ * 5. bwrap binds only the system paths and runtimes, never the server's directory or JOBS_DIR
+ * 6. The pids cgroup (SANDBOX_CGROUP) stops a fork bomb, even for root, and is removed afterwards
+ *    (skipped without a writable pids cgroup)
+ *
+ * Runs without the API server: node tests/test-sandbox.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sandbox } = require('../services/sandbox');
+const { LocalExecutor } = require('../services/localExecutor');
+const { check, summarize } = require('./check');
+
+/**
+ * A sandbox on a host where only the given tools work
+ */
+function sandboxWith(tools, options = {}) {
+  const sandbox = new Sandbox({ allowWeak: false, cgroup: null, ...options });
+  sandbox.probe = async command => tools.includes(command);
+  return sandbox;
+}
+
+async function testFailClosed(workDir) {
+  console.log('\n📋 Fail closed');
+
+  const limits = new Sandbox().getLimits('python');
+  const unshare = sandboxWith(['unshare', 'prlimit']);
+  const error = await unshare.run(['true'], { workDir, limits }).then(() => null, rejection => rejection);
+  check('without bwrap, user code is refused', await unshare.detectBackend() === 'unshare' && error !== null &&
+    /SANDBOX_ALLOW_WEAK=true/.test(error.message), error && error.message);
+
+  const none = sandboxWith([], { backend: 'none' });
+  check('an explicit SANDBOX_BACKEND=none is refused too', !none.isAllowed(await none.detectBackend()));
+  check('bwrap needs no opt-in', sandboxWith(['bwrap']).isAllowed(await sandboxWith(['bwrap']).detectBackend()));
+
+  const executor = new LocalExecutor({ tempDir: workDir });
+  executor.sandbox = sandboxWith(['prlimit']);
+  const commands = [];
+  executor.runCommand = async command => {
+    commands.push(command);
+    return { exitCode: 0, stdout: '', stderr: '' };
+  };
+  const result = await executor.execute('c', 'int main() { return 0; }');
+  check('LocalExecutor leaves refused code to Piston without compiling it', !result.success && result.fallback_needed &&
+    commands.length === 0, result.error);
+}
+
+async function testIsolationReport(workDir) {
+  console.log('\n📋 Isolation report');
+
+  const weak = sandboxWith(['prlimit'], { allowWeak: true });
+  const limits = weak.getLimits('python');
+  const result = await weak.run(['echo', 'ran'], { workDir, limits });
+  const { isolation } = result;
+  check('SANDBOX_ALLOW_WEAK=true runs on a weaker backend', result.status === 'OK' && result.stdout.trim() === 'ran' &&
+    result.sandbox === 'prlimit', result.stderr);
+  check('the reduced isolation is reported', isolation.level === 'reduced' && !isolation.read_only_filesystem &&
+    !isolation.network_isolated && isolation.warnings.includes('The host filesystem is writable by the program') &&
+    isolation.warnings.includes('The program has network access'), JSON.stringify(isolation));
+
+  check('without a pids cgroup there is no process limit, RLIMIT_NPROC is not used', isolation.process_limit === 'none' &&
+    isolation.warnings.includes('No process limit (set SANDBOX_CGROUP to a pids cgroup)') &&
+    !weak.buildRlimitArgs(limits).some(arg => arg.startsWith('--nproc')), isolation.process_limit);
+
+  const full = weak.describeIsolation('bwrap', 'cgroup');
+  check('bwrap with a pids cgroup is full isolation', full.level === 'full' && full.warnings.length === 0, JSON.stringify(full));
+  check('bwrap without one is not', weak.describeIsolation('bwrap', 'none').level === 'reduced');
+}
+
+async function testResults(workDir) {
+  console.log('\n📋 Results');
+
+  const sandbox = sandboxWith(['prlimit'], { allowWeak: true });
+  const limits = sandbox.getLimits('python');
+  const text = `a${'é'.repeat(100000)}`;
+  const utf8 = await sandbox.run(['python', '-c', `print("a" + "é" * 100000)`], { workDir, limits });
+  check('multi-byte characters across output chunks are decoded whole', utf8.stdout.trim() === text && !utf8.stdout.includes('\uFFFD'),
+    `${utf8.stdout.length} characters`);
+
+  const killed = { signal: 'SIGKILL', exitCode: null, duration: 100, stderr: '' };
+  check('SIGKILL with an OOM kill in the cgroup is MLE', sandbox.classify({ ...killed, oomKilled: true }, limits) === 'MLE');
+  check('SIGKILL without one, before the CPU limit could be reached, is RE',
+    sandbox.classify({ ...killed, oomKilled: false }, limits) === 'RE');
+  check('SIGKILL without one after the CPU limit is TLE',
+    sandbox.classify({ ...killed, oomKilled: false, duration: limits.cpuSeconds * 1000 + 500 }, limits) === 'TLE');
+
+  const events = path.join(workDir, 'cgroup');
+  fs.mkdirSync(events);
+  fs.writeFileSync(path.join(events, 'memory.events'), 'low 0\nhigh 0\nmax 3\noom 1\noom_kill 1\n');
+  const oom = await sandbox.oomKilled(events);
+  fs.writeFileSync(path.join(events, 'memory.events'), 'low 0\nhigh 0\nmax 0\noom 0\noom_kill 0\n');
+  check('OOM kills are read from memory.events', oom && !(await sandbox.oomKilled(events)) &&
+    !(await sandbox.oomKilled(path.join(workDir, 'missing'))));
+  fs.rmSync(events, { recursive: true });
+}
+
+async function testBuildSteps(workDir) {
+  console.log('\n📋 Build steps');
+
+  const executor = new LocalExecutor({ tempDir: workDir });
+  executor.sandbox = sandboxWith(['prlimit'], { allowWeak: true });
+  const runs = [];
+  const run = executor.sandbox.run.bind(executor.sandbox);
+  executor.sandbox.run = (argv, options) => {
+    runs.push({ argv, options });
+    return run(argv, options);
+  };
+
+  process.env.SANDBOX_TEST_SECRET = 'secret';
+  const env = await executor.runCommand('sh', ['-c', 'echo "[$SANDBOX_TEST_SECRET]"'], { cwd: workDir });
+  delete process.env.SANDBOX_TEST_SECRET;
+  check('a build step does not inherit the server\'s environment', env.stdout.trim() === '[]', env.stdout.trim());
+
+  const result = await executor.execute('c', '#include <stdio.h>\nint main() { printf("ok"); return 0; }');
+  const gcc = runs.find(entry => entry.argv[0] === 'gcc');
+  if (result.fallback_needed) {
+    console.log(`  ⏭  gcc not installed, compile step skipped: ${result.error}`);
+  } else {
+    check('gcc runs through the sandbox with the compile limits', result.stdout === 'ok' && gcc !== undefined &&
+      gcc.options.limits.cpuSeconds === 10 && gcc.options.limits.memoryMb === 256, gcc && JSON.stringify(gcc.options.limits));
+  }
+
+  const refused = new LocalExecutor({ tempDir: workDir });
+  refused.sandbox = sandboxWith(['prlimit']);
+  refused.runCommand = async () => {
+    throw new Error('a build step ran');
+  };
+  const project = file => ({ files: [{ name: file, content: '' }], entryPoint: file, multiFile: false });
+  const python = await refused.generatePythonBytecode(project('main.py'));
+  const java = await refused.generateJavaBytecode(project('Main.java'));
+  const ir = await refused.generateProjectLLVMIR(project('main.c'), 'c');
+  check('without an allowed backend nothing is compiled or disassembled', !python.success && !java.success &&
+    /SANDBOX_ALLOW_WEAK/.test(python.error) && ir.length === 0, python.error);
+}
+
+async function testFilesystemView(workDir) {
+  console.log('\n📋 bwrap filesystem view');
+
+  const serverRoot = path.resolve(__dirname, '..');
+  const jobsDir = path.join(os.tmpdir(), 'jobs');
+  const sandbox = new Sandbox({ hidden: [serverRoot, jobsDir] });
+  const mounts = await sandbox.resolveMounts();
+  check('the system paths are bound, the host root is not', mounts.includes('/usr') && !mounts.includes('/'), mounts.join());
+  check('no bound path holds the server\'s directory', !mounts.some(mount => serverRoot === mount ||
+    serverRoot.startsWith(mount + path.sep) || mount.startsWith(serverRoot + path.sep)), mounts.join());
+
+  const { args } = sandbox.wrap('bwrap', ['true'], workDir, sandbox.getLimits('c'));
+  const binds = [];
+  for (let i = 0; i < args.length; i++) {
+    if (/^--(ro-)?bind(-try)?$/.test(args[i])) binds.push(args[i + 1]);
+  }
+  check('only the mounts and the run directory are bound', binds.join() === [...mounts, workDir].join(), binds.join());
+
+  // A runtime prefix such as /tmp would contain JOBS_DIR: it is covered by a tmpfs
+  sandbox.mounts = ['/usr', os.tmpdir()];
+  const covered = sandbox.wrap('bwrap', ['true'], workDir, sandbox.getLimits('c')).args;
+  const tmpfs = covered.indexOf(jobsDir);
+  check('JOBS_DIR inside a bound path is hidden under a tmpfs', covered[tmpfs - 1] === '--tmpfs' &&
+    tmpfs < covered.indexOf('--bind'), covered.slice(0, 10).join(' '));
+}
+
+/**
+ * A pids cgroup this process may create children in, or null
+ */
+function findCgroup() {
+  const candidates = [process.env.SANDBOX_CGROUP, '/sys/fs/cgroup/pids'].filter(Boolean);
+  for (const parent of candidates) {
+    const dir = path.join(parent, `code-executor-test-${process.pid}`);
+    try {
+      fs.mkdirSync(dir);
+      if (fs.existsSync(path.join(dir, 'pids.max'))) return dir;
+      fs.rmdirSync(dir);
+    } catch (error) {
+      // Not a writable cgroup
+    }
+  }
+  return null;
+}
+
+async function testProcessGroup(workDir) {
+  console.log('\n📋 pids cgroup');
+
+  const cgroup = findCgroup();
+  if (!cgroup) {
+    console.log('  ⏭  no writable pids cgroup, skipped');
+    return;
+  }
+
+  try {
+    const sandbox = sandboxWith(['prlimit'], { allowWeak: true, cgroup });
+    const limits = { ...sandbox.getLimits('c'), processes: 4 };
+    const wrapped = sandbox.wrap('prlimit', ['true'], workDir, limits, cgroup);
+    check('a shell joins the cgroup before anything else starts', wrapped.command === 'sh' &&
+      wrapped.args[2] === path.join(cgroup, 'cgroup.procs') && wrapped.args[3] === 'prlimit', JSON.stringify(wrapped.args.slice(0, 4)));
+
+    const bomb = await sandbox.run(['sh', '-c', 'for i in 1 2 3 4 5 6 7 8; do sleep 1 & done; wait'], { workDir, limits });
+    check('the fork bomb hits pids.max', bomb.status === 'RE' && /fork/i.test(bomb.stderr) &&
+      bomb.isolation.process_limit === 'cgroup', `${bomb.status}: ${bomb.stderr.trim()}`);
+    check('the run\'s cgroup and its leftover processes are removed', fs.readdirSync(cgroup).every(name => !name.startsWith('run-')),
+      fs.readdirSync(cgroup).filter(name => name.startsWith('run-')).join());
+  } finally {
+    fs.rmdirSync(cgroup);
+  }
+}
+
+async function runAllTests() {
+  console.log('🚀 Sandbox Tests');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-test-'));
+  try {
+    await testFailClosed(workDir);
+    await testIsolationReport(workDir);
+    await testResults(workDir);
+    await testBuildSteps(workDir);
+    await testFilesystemView(workDir);
+    await testProcessGroup(workDir);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  summarize();
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
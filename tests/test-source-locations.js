@@ -0,0 +1,175 @@
+/**
+ * Source Location Test
+ *
+ * 1. The parser resolves !dbg attachments to !DILocation line, column and file, per module
+ * 2. Debug intrinsics and records (llvm.dbg.declare, #dbg_declare) leave the TAC unchanged
+ * 3. TAC instruction objects carry sourceLine and sourceColumn
+ * 4. verifyLogic points missing, extra and mismatched operations at source ranges in both
+ *    programs, per target function and after normalization too
+ * 5. Without debug info (other languages, IR without -g) there are no ranges
+ *
+ * Runs without the API server: node tests/test-source-locations.js
+ */
+
+const { LLVMIRParser } = require('../services/llvmIRParser');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { TACNormalizer } = require('../services/tacNormalizer');
+const { check, summarize } = require('./check');
+
+/**
+ * clang -O0 -g output for
+ *   1  int area(int w, int h) {
+ *   2    return w <op> h;
+ *   3  }
+ * with the operation at column `column` and its operands at 10 and 14
+ */
+function module(file, opcode, column = 12) {
+  return `; ModuleID = '${file}'
+source_filename = "${file}"
+target triple = "x86_64-pc-linux-gnu"
+
+define dso_local i32 @area(i32 noundef %0, i32 noundef %1) #0 !dbg !10 {
+  %3 = alloca i32, align 4
+  %4 = alloca i32, align 4
+  store i32 %0, ptr %3, align 4
+  call void @llvm.dbg.declare(metadata ptr %3, metadata !16, metadata !DIExpression()), !dbg !17
+  store i32 %1, ptr %4, align 4
+    #dbg_declare(ptr %4, !18, !DIExpression(), !19)
+  %5 = load i32, ptr %3, align 4, !dbg !20
+  %6 = load i32, ptr %4, align 4, !dbg !21
+  %7 = ${opcode} nsw i32 %5, %6, !dbg !22
+  ret i32 %7, !dbg !23
+}
+
+declare void @llvm.dbg.declare(metadata, metadata, metadata) #1
+
+!llvm.dbg.cu = !{!0}
+!0 = distinct !DICompileUnit(language: DW_LANG_C11, file: !1, producer: "clang version 17.0.6", isOptimized: false, emissionKind: FullDebug)
+!1 = !DIFile(filename: "${file}", directory: "/tmp/work", checksumkind: CSK_MD5, checksum: "0123")
+!10 = distinct !DISubprogram(name: "area", scope: !1, file: !1, line: 1, type: !11, scopeLine: 1, flags: DIFlagPrototyped, spFlags: DISPFlagDefinition, unit: !0, retainedNodes: !15)
+!11 = !DISubroutineType(types: !12)
+!12 = !{!13, !13, !13}
+!13 = !DIBasicType(name: "int", size: 32, encoding: DW_ATE_signed)
+!15 = !{}
+!16 = !DILocalVariable(name: "w", arg: 1, scope: !10, file: !1, line: 1, type: !13)
+!17 = !DILocation(line: 1, column: 14, scope: !10)
+!18 = !DILocalVariable(name: "h", arg: 2, scope: !10, file: !1, line: 1, type: !13)
+!19 = !DILocation(line: 1, column: 21, scope: !10)
+!20 = !DILocation(line: 2, column: 10, scope: !24)
+!21 = !DILocation(line: 2, column: 14, scope: !24)
+!22 = !DILocation(line: 2, column: ${column}, scope: !24)
+!23 = !DILocation(line: 2, column: 3, scope: !24)
+!24 = distinct !DILexicalBlock(scope: !10, file: !1, line: 1, column: 25)
+`;
+}
+
+// The same function without debug info
+const PLAIN = `
+define dso_local i32 @area(i32 noundef %0, i32 noundef %1) {
+  %3 = alloca i32, align 4
+  %4 = alloca i32, align 4
+  store i32 %0, ptr %3, align 4
+  store i32 %1, ptr %4, align 4
+  %5 = load i32, ptr %3, align 4
+  %6 = load i32, ptr %4, align 4
+  %7 = mul nsw i32 %5, %6
+  ret i32 %7
+}`;
+
+function llvm(ir) {
+  const converter = new LLVMToTACConverter();
+  const tacRaw = converter.convert(ir);
+  const functions = converter.functions.map(func => ({ ...func, tac: converter.filter(func.tac), tac_raw: func.tac }));
+  return { code: ir, language: 'c', tac: converter.filter(tacRaw), tac_raw: tacRaw, instructions: converter.instructions, functions };
+}
+
+const range = (line, start, end) => ({ start: { line, column: start }, end: { line, column: end } });
+
+function testParser() {
+  console.log('\n📋 !DILocation');
+
+  const parsed = new LLVMIRParser().parse(module('main.c', 'mul'));
+  const instructions = parsed.functions[0].blocks[0].instructions;
+  const mul = instructions.find(instruction => instruction.opcode === 'mul');
+  check('the module parses without errors', parsed.errors.length === 0, JSON.stringify(parsed.errors));
+  check('!dbg resolves to line, column and the file of its scope', JSON.stringify(mul.location) ===
+    '{"line":2,"column":12,"file":"main.c"}', JSON.stringify(mul.location));
+  check('instructions without !dbg have no location', instructions[0].location === null);
+
+  const both = new LLVMIRParser().parse(`${module('main.c', 'mul')}\n${module('util.c', 'add', 20)}`);
+  const locations = both.functions.map(func => func.blocks[0].instructions
+    .find(instruction => ['mul', 'add'].includes(instruction.opcode)).location);
+  check('every module resolves its own metadata ids', JSON.stringify(locations) ===
+    '[{"line":2,"column":12,"file":"main.c"},{"line":2,"column":20,"file":"util.c"}]', JSON.stringify(locations));
+}
+
+function testConverter() {
+  console.log('\n📋 TAC instructions');
+
+  const converter = new LLVMToTACConverter();
+  const tac = converter.convert(module('main.c', 'mul'));
+  check('debug intrinsics and records are not in the TAC', tac.join('\n') === new LLVMToTACConverter().convert(PLAIN).join('\n'),
+    tac.join('; '));
+
+  const byOp = op => converter.instructions.find(instruction => instruction.op === op);
+  check('operations carry their line and column', byOp('mul').sourceLine === 2 && byOp('mul').sourceColumn === 12 &&
+    byOp('return').sourceColumn === 3, JSON.stringify(byOp('mul')));
+  check('instructions without !dbg have none', byOp('alloca').sourceLine === null && byOp('alloca').sourceColumn === null);
+  check('the function objects carry them too', converter.functions[0].instructions.find(entry => entry.op === 'mul').sourceLine === 2);
+}
+
+function testVerifyLogic() {
+  console.log('\n📋 verifyLogic');
+
+  const checker = new TACLogicChecker();
+  const reference = llvm(module('main.c', 'mul'));
+  const result = checker.verifyLogic(reference, llvm(module('main.c', 'add', 20)), { targetFunctions: ['area'] });
+  const ranges = result.tac_comparison.source_ranges;
+  check('a missing operation points at the reference, operands included', JSON.stringify(ranges.mul) ===
+    JSON.stringify({ reference: [range(2, 10, 14)], user: [] }), JSON.stringify(ranges.mul));
+  check('an extra operation points at the user code', JSON.stringify(ranges.add) ===
+    JSON.stringify({ reference: [], user: [range(2, 10, 20)] }), JSON.stringify(ranges.add));
+  check('target functions get their ranges too', JSON.stringify(result.function_comparison.targets[0].source_ranges) ===
+    JSON.stringify(ranges));
+
+  const twice = module('main.c', 'mul').replace('  ret i32 %7, !dbg !23', '  %8 = mul nsw i32 %7, %6, !dbg !25\n  ret i32 %8, !dbg !23') +
+    '!25 = !DILocation(line: 3, column: 5, scope: !24)\n';
+  const mismatched = checker.verifyLogic(reference, llvm(twice));
+  const expected = { mul: { reference: [range(2, 10, 14)], user: [range(2, 10, 14), range(3, 5, 5)] } };
+  check('mismatched counts point at every line of both programs',
+    JSON.stringify(mismatched.tac_comparison.source_ranges) === JSON.stringify(expected),
+    JSON.stringify(mismatched.tac_comparison.source_ranges));
+
+  // The normalized TAC has no positions; instructions are found by the temp they assign
+  const user = llvm(module('main.c', 'add', 20));
+  const normalized = new TACNormalizer({ language: 'c' }).normalizeProgram(user);
+  const afterNormalization = checker.verifyLogic(reference, { ...user, tac: normalized.tac, tac_raw: normalized.tac_raw });
+  check('ranges survive normalization', JSON.stringify(afterNormalization.tac_comparison.source_ranges.add.user) ===
+    JSON.stringify([range(2, 10, 20)]), JSON.stringify(afterNormalization.tac_comparison.source_ranges));
+}
+
+function testWithoutDebugInfo() {
+  console.log('\n📋 Without debug info');
+
+  const checker = new TACLogicChecker();
+  const plain = checker.verifyLogic(llvm(PLAIN), llvm(PLAIN.replace('mul nsw', 'add nsw')));
+  check('IR without -g has no ranges', !plain.passed && plain.tac_comparison.source_ranges === null);
+
+  const strings = checker.verifyLogic({ code: 'a', language: 'python', tac: ['t3 = t1 * t2', 'return t3'] },
+    { code: 'b', language: 'python', tac: ['t3 = t1 + t2', 'return t3'] });
+  check('TAC without instruction objects has no ranges', strings.tac_comparison.source_ranges === null);
+}
+
+function runAllTests() {
+  console.log('🚀 Source Location Tests');
+
+  testParser();
+  testConverter();
+  testVerifyLogic();
+  testWithoutDebugInfo();
+
+  summarize();
+}
+
+runAllTests();
@@ -0,0 +1,229 @@
+/**
+ * TAC Canonicalizer Test
+ *
+ * 1. Strength reduction: x << k and x + x become x * 2^k, x * 2
+ * 2. Negation folding: a - (0 - b), a + (0 - b), 0 - (0 - x) and x * -1, with the negations
+ *    and loads nothing uses any more removed
+ * 3. Reassociation: add and mul chains are rebuilt in structural-hash order, whatever the
+ *    grouping, operand order or temp numbering of the source; orderOperands() only reorders
+ * 4. Nothing is reassociated across blocks, or through temps that are reassigned or used twice
+ * 5. verifyLogic treats algebraically equivalent programs as matching and reports the rewrites;
+ *    new TACLogicChecker({ canonicalize: false }) compares the TAC as extracted
+ *
+ * Runs without the API server: node tests/test-tac-canonicalizer.js
+ */
+
+const { TACCanonicalizer, RULES } = require('../services/tacCanonicalizer');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { TACInstructions } = require('../services/tacInstructions');
+const { check, summarize } = require('./check');
+
+/**
+ * clang -O0 output for int f(int a, int b, int c) { return <body>; }
+ */
+function module(body) {
+  return `
+define dso_local i32 @f(i32 noundef %0, i32 noundef %1, i32 noundef %2) {
+  %4 = alloca i32, align 4
+  %5 = alloca i32, align 4
+  %6 = alloca i32, align 4
+  store i32 %0, ptr %4, align 4
+  store i32 %1, ptr %5, align 4
+  store i32 %2, ptr %6, align 4
+${body}
+}`;
+}
+
+// return a * 2;
+const TIMES_TWO = module(`  %7 = load i32, ptr %4, align 4
+  %8 = mul nsw i32 %7, 2
+  ret i32 %8`);
+
+// return a + a;
+const TWICE = module(`  %7 = load i32, ptr %4, align 4
+  %8 = load i32, ptr %4, align 4
+  %9 = add nsw i32 %7, %8
+  ret i32 %9`);
+
+// return a << 1;
+const SHIFTED = module(`  %7 = load i32, ptr %4, align 4
+  %8 = shl i32 %7, 1
+  ret i32 %8`);
+
+// return a + b;
+const SUM = module(`  %7 = load i32, ptr %4, align 4
+  %8 = load i32, ptr %5, align 4
+  %9 = add nsw i32 %7, %8
+  ret i32 %9`);
+
+// return a - -b;
+const MINUS_NEGATED = module(`  %7 = load i32, ptr %4, align 4
+  %8 = load i32, ptr %5, align 4
+  %9 = sub nsw i32 0, %8
+  %10 = sub nsw i32 %7, %9
+  ret i32 %10`);
+
+// return (c + a) + b;
+const LEFT = module(`  %7 = load i32, ptr %6, align 4
+  %8 = load i32, ptr %4, align 4
+  %9 = add nsw i32 %7, %8
+  %10 = load i32, ptr %5, align 4
+  %11 = add nsw i32 %9, %10
+  ret i32 %11`);
+
+// return a + (b + c);
+const RIGHT = module(`  %7 = load i32, ptr %4, align 4
+  %8 = load i32, ptr %5, align 4
+  %9 = load i32, ptr %6, align 4
+  %10 = add nsw i32 %8, %9
+  %11 = add nsw i32 %7, %10
+  ret i32 %11`);
+
+// return a - b;
+const DIFFERENCE = module(`  %7 = load i32, ptr %4, align 4
+  %8 = load i32, ptr %5, align 4
+  %9 = sub nsw i32 %7, %8
+  ret i32 %9`);
+
+function llvm(ir) {
+  const converter = new LLVMToTACConverter();
+  const tacRaw = converter.convert(ir);
+  const functions = converter.functions.map(func => ({ ...func, tac: converter.filter(func.tac), tac_raw: func.tac }));
+  return { code: ir, language: 'c', tac: converter.filter(tacRaw), tac_raw: tacRaw, instructions: converter.instructions, functions };
+}
+
+const canonicalizer = new TACCanonicalizer();
+
+function canonical(tac) {
+  return canonicalizer.canonicalize(tac).tac.join('; ');
+}
+
+// Canonical TAC without temp names, to compare programs that number their temps differently
+function shape(tac) {
+  return canonical(tac).replace(/\bt\d+\b/g, 't');
+}
+
+function testStrengthReduction() {
+  console.log('\n📋 Strength reduction');
+
+  const shift = canonicalizer.canonicalize(['t2 = t1 << 3', 'return t2']);
+  check('x << k is x * 2^k', shift.tac[0] === 't2 = 8 * t1' || shift.tac[0] === 't2 = t1 * 8', shift.tac.join('; '));
+  check('the rewrite is reported', JSON.stringify(shift.rewrites) ===
+    '[{"rule":"strength_reduction","from":"t2 = t1 << 3","to":"t2 = t1 * 8"}]', JSON.stringify(shift.rewrites));
+  check('a shift by a temp is left alone', canonical(['t3 = t1 << t2', 'return t3']) === 't3 = t1 << t2; return t3');
+
+  const twice = llvm(TWICE);
+  const timesTwo = llvm(TIMES_TWO);
+  check('x + x over two loads of x is x * 2, the second load is removed',
+    shape(twice.tac_raw) === shape(timesTwo.tac_raw), canonical(twice.tac_raw));
+  check('x << 1 is x * 2', shape(llvm(SHIFTED).tac_raw) === shape(timesTwo.tac_raw), canonical(llvm(SHIFTED).tac_raw));
+  check('loads of different slots are not the same value', !canonical(llvm(SUM).tac_raw).includes('*'),
+    canonical(llvm(SUM).tac_raw));
+  check('a store between two loads makes them different values',
+    !canonical(['t3 = load t1', 'store t2 -> t1', 't4 = load t1', 't5 = t3 + t4', 'return t5']).includes('*'));
+}
+
+function testNegationFolding() {
+  console.log('\n📋 Negation folding');
+
+  const folded = canonicalizer.canonicalize(llvm(MINUS_NEGATED).tac_raw);
+  check('a - (0 - b) is a + b, and the negation is gone', shape(llvm(MINUS_NEGATED).tac_raw) === shape(llvm(SUM).tac_raw),
+    folded.tac.join('; '));
+  check('the rewrite is reported', JSON.stringify(folded.rewrites) ===
+    '[{"rule":"negation_folding","from":"t10 = t7 - t9","to":"t10 = t7 + t8"}]', JSON.stringify(folded.rewrites));
+
+  check('a + (0 - b) is a - b', canonical(['t3 = 0 - t2', 't4 = t1 + t3', 'return t4']) === 't4 = t1 - t2; return t4');
+  check('(0 - b) + a is a - b', canonical(['t3 = 0 - t2', 't4 = t3 + t1', 'return t4']) === 't4 = t1 - t2; return t4');
+  check('0 - (0 - x) is x', canonical(['t2 = 0 - t1', 't3 = 0 - t2', 'return t3']) === 't3 = t1; return t3');
+  check('x * -1 is 0 - x', canonical(['t2 = t1 * -1', 'return t2']) === 't2 = 0 - t1; return t2');
+  const shared = canonicalizer.canonicalize(['t3 = 0 - t2', 't4 = t1 - t3', 't5 = call g', 'return t3']).tac;
+  check('a negation that is also used elsewhere stays', shared[0] === 't3 = 0 - t2' &&
+    ['t4 = t1 + t2', 't4 = t2 + t1'].includes(shared[1]), shared.join('; '));
+  check('a - b is not b - a', canonical(llvm(DIFFERENCE).tac_raw) !== canonical(llvm(DIFFERENCE.replace('%7, %8', '%8, %7')).tac_raw));
+}
+
+function testReassociation() {
+  console.log('\n📋 Reassociation');
+
+  const left = canonicalizer.canonicalize(llvm(LEFT).tac_raw);
+  const right = canonicalizer.canonicalize(llvm(RIGHT).tac_raw);
+  const additions = tac => tac.filter(line => line.includes(' + '));
+  // The additions with every loaded value written as the slot it was loaded from
+  const bySlot = tac => {
+    const slots = new Map(tac.filter(line => line.includes(' = load ')).map(line => line.split(' = load ')));
+    return additions(tac).map(line => line.replace(/t\d+/g, temp => slots.get(temp) || 't')).join('; ');
+  };
+  check('(c + a) + b and a + (b + c) are the same chain', bySlot(left.tac) === bySlot(right.tac) && additions(left.tac).length === 2,
+    `${bySlot(left.tac)} / ${bySlot(right.tac)}`);
+  check('the chain keeps its temps', additions(left.tac).map(line => line.split(' = ')[0]).join() === 't9,t11',
+    additions(left.tac).join('; '));
+  check('rebuilt chains are reported', left.rewrites.some(rewrite => rewrite.rule === 'reassociation'), JSON.stringify(left.rewrites));
+
+  // The same sum of the same inputs, numbered differently
+  const first = canonical(['t4 = t1 * t2', 't5 = t4 * t10', 'return t5']);
+  const second = canonical(['t4 = t10 * t1', 't5 = t2 * t4', 'return t5']);
+  check('operand order does not depend on the numbering (t10 < t2)', first.replace(/t[45]/g, 't') === second.replace(/t[45]/g, 't'),
+    `${first} / ${second}`);
+  const ordered = canonicalizer.orderOperands(['t11 = t10 + t2', 't12 = t11 * 3', 'return t12']);
+  check('orderOperands only swaps operands: constants first, inputs by position',
+    ordered.join('; ') === 't11 = t2 + t10; t12 = 3 * t11; return t12', ordered.join('; '));
+
+  const objects = canonicalizer.canonicalize(llvm(LEFT).instructions).tac;
+  check('instruction objects stay objects, with their positions', objects.every(entry => typeof entry === 'object') &&
+    new TACInstructions().renderAll(objects).join('; ') === left.tac.join('; '));
+}
+
+function testBoundaries() {
+  console.log('\n📋 What is not reassociated');
+
+  const blocks = ['t4 = t1 + t2', 'goto L1', 'L1:', 't5 = t4 + t3', 'return t5'];
+  check('no chain across blocks', canonicalizer.canonicalize(blocks).rewrites.length === 0, canonical(blocks));
+
+  const reused = ['t4 = t1 + t2', 't5 = t4 + t3', 't6 = t4 * t5', 'return t6'];
+  check('no chain through a temp used twice', canonicalizer.canonicalize(reused).rewrites.length === 0, canonical(reused));
+
+  const reassigned = ['t4 = t1 + t2', 't1 = t3', 't5 = t4 + t1', 'return t5'];
+  check('no chain over an operand that is reassigned in between',
+    canonicalizer.canonicalize(reassigned).rewrites.length === 0, canonical(reassigned));
+
+  check('the rules can be chosen', RULES.join() === 'negation_folding,strength_reduction,reassociation' &&
+    new TACCanonicalizer({ rules: ['negation_folding'] }).canonicalize(['t2 = t1 << 1', 'return t2']).rewrites.length === 0);
+}
+
+function testVerifyLogic() {
+  console.log('\n📋 verifyLogic');
+
+  const checker = new TACLogicChecker();
+  const reference = llvm(TIMES_TWO);
+  for (const [name, user] of [['x + x', TWICE], ['x << 1', SHIFTED]]) {
+    const result = checker.verifyLogic(reference, llvm(user), { targetFunctions: ['f'] });
+    check(`x * 2 matches ${name} exactly, per function too`, result.passed && result.exact_match &&
+      result.function_comparison.targets[0].passed && result.tac_comparison.user_operations.mul === 1, result.reason);
+  }
+
+  const negated = checker.verifyLogic(llvm(SUM), llvm(MINUS_NEGATED));
+  check('a + b matches a - (-b)', negated.passed && negated.exact_match, negated.reason);
+  check('the rewrites of each side are reported', negated.tac_comparison.canonicalization.reference.length === 0 &&
+    negated.tac_comparison.canonicalization.user[0].rule === 'negation_folding',
+  JSON.stringify(negated.tac_comparison.canonicalization));
+  check('a - b still does not match a + b', !checker.verifyLogic(llvm(SUM), llvm(DIFFERENCE)).passed);
+
+  const exact = new TACLogicChecker({ canonicalize: false }).verifyLogic(reference, llvm(SHIFTED));
+  check('canonicalize: false compares the TAC as extracted', !exact.passed &&
+    exact.reason === 'Missing operations: mul' && exact.tac_comparison.canonicalization === null, exact.reason);
+}
+
+function runAllTests() {
+  console.log('🚀 TAC Canonicalizer Tests');
+
+  testStrengthReduction();
+  testNegationFolding();
+  testReassociation();
+  testBoundaries();
+  testVerifyLogic();
+
+  summarize();
+}
+
+runAllTests();
@@ -0,0 +1,202 @@
+/**
+ * TAC Instruction Model Test
+ *
+ * 1. Every TAC form parses to { op, dst, args, type, sourceLine, sourceColumn } and renders back unchanged
+ * 2. Operators inside string literals and callee names are not operations
+ * 3. LLVMToTACConverter keeps the instruction objects, with IR types
+ * 4. TACLogicChecker counts operations from the model, TACComparer outputs the same model
+ *    (through the TAC pipeline, so it counts what the converter counts)
+ * 5. The JSON schema describes the objects all of them produce
+ *
+ * Runs without the API server: node tests/test-tac-instructions.js
+ */
+
+const { TACInstructions, TAC_INSTRUCTION_SCHEMA } = require('../services/tacInstructions');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { TACComparer } = require('../services/tacComparer');
+const { check, summarize } = require('./check');
+
+const instructions = new TACInstructions();
+
+/**
+ * Minimal check of an instance against TAC_INSTRUCTION_SCHEMA (no validator dependency)
+ */
+function matchesSchema(instruction) {
+  const { required, properties } = TAC_INSTRUCTION_SCHEMA;
+  const types = value => value === null ? 'null' : Number.isInteger(value) ? 'integer' : Array.isArray(value) ? 'array' : typeof value;
+
+  return Object.keys(instruction).every(key => properties[key]) &&
+    required.every(key => key in instruction) &&
+    Object.entries(properties).every(([key, property]) => {
+      const value = instruction[key];
+      const allowed = [].concat(property.type);
+      if (!allowed.includes(types(value))) return false;
+      if (property.pattern && typeof value === 'string' && !new RegExp(property.pattern).test(value)) return false;
+      if (property.minimum && typeof value === 'number' && value < property.minimum) return false;
+      return !property.items || value.every(item => typeof item === property.items.type);
+    });
+}
+
+function testRoundtrip() {
+  console.log('\n📋 Parse and render');
+
+  const forms = {
+    't3 = t1 + t2': ['add', 't3', ['t1', 't2']],
+    't4 = 0 - t3': ['sub', 't4', ['0', 't3']],
+    't5 = t1 <= t2': ['le', 't5', ['t1', 't2']],
+    't6 = t1 === t2': ['strict_eq', 't6', ['t1', 't2']],
+    't7 = t1 ** 2': ['pow', 't7', ['t1', '2']],
+    't8 = t2 instanceof Array': ['instanceof', 't8', ['t2', 'Array']],
+    't9 = !t3': ['not', 't9', ['t3']],
+    't10 = ~t3': ['bitnot', 't10', ['t3']],
+    't11 = typeof t3': ['typeof', 't11', ['t3']],
+    't12 = t3': ['copy', 't12', ['t3']],
+    't13 = t1 ? t2 : 0': ['select', 't13', ['t1', 't2', '0']],
+    't14 = phi [t1, L1], [5, L2]': ['phi', 't14', ['t1', 'L1', '5', 'L2']],
+    't15 = sext t3 to i64': ['sext', 't15', ['t3']],
+    't16 = &t1[0][t2]': ['address', 't16', ['t1[0][t2]']],
+    't17 = load t16': ['load', 't17', ['t16']],
+    't18 = alloca': ['alloca', 't18', []],
+    't19 = call printf': ['call', 't19', ['printf']],
+    'call exit': ['call', null, ['exit']],
+    'store t17 -> t18': ['store', null, ['t17', 't18']],
+    'L3:': ['label', null, ['L3']],
+    'goto L3': ['goto', null, ['L3']],
+    'goto *t5': ['indirect_goto', null, ['t5']],
+    'if t5 goto L1 else L2': ['branch', null, ['t5', 'L1', 'L2']],
+    'switch t1 [1: L2, 2: L3] default L4': ['switch', null, ['t1', 'L4', '1', 'L2', '2', 'L3']],
+    'return t3': ['return', null, ['t3']],
+    'return': ['return', null, []],
+    'unreachable': ['unreachable', null, []],
+    't20 = extractvalue t4, 0': ['extractvalue', 't20', ['t4', '0']]
+  };
+
+  const wrong = Object.entries(forms).filter(([line, [op, dst, args]]) => {
+    const instruction = instructions.parse(line);
+    return instruction.op !== op || instruction.dst !== dst || JSON.stringify(instruction.args) !== JSON.stringify(args) ||
+      instructions.render(instruction) !== line;
+  });
+  check('every form parses to its op, dst and args', wrong.length === 0, wrong.map(([line]) => line).join('; '));
+
+  const cast = instructions.parse('t15 = sext t3 to i64');
+  check('casts keep the target type', cast.type === 'i64' && instructions.render({ ...cast, args: ['t9'] }) === 't15 = sext t9 to i64');
+
+  const located = instructions.parse('t3 = t1 * t2', 7, 12);
+  check('sourceLine and sourceColumn are kept', located.sourceLine === 7 && located.sourceColumn === 12);
+  check('objects pass through parse() and render() gives strings back',
+    instructions.parse(forms) === forms && instructions.renderAll(['return', instructions.create('goto', null, ['L1'])]).join() === 'return,goto L1');
+
+  const unknown = instructions.parse('t3 = t1 + t2 + t4');
+  check('lines that are not a known form are kept whole', unknown.op === 'expr' && unknown.dst === 't3' &&
+    instructions.render(unknown) === 't3 = t1 + t2 + t4', JSON.stringify(unknown));
+}
+
+function testStringLiterals() {
+  console.log('\n📋 String literals and names');
+
+  const checker = new TACLogicChecker();
+  const tac = ['t1 = "a - b"', 't2 = t1 + "x * y"', 'store "one - 1" -> t3', 't4 = call get - value', 'return "c / d"'];
+  const operations = checker.extractOperations(tac);
+  check('operators inside strings are not counted', operations.sub === 0 && operations.mul === 0 && operations.div === 0 &&
+    operations.add === 1, JSON.stringify(operations));
+
+  check('a string with spaces is one operand', JSON.stringify(instructions.parse('t2 = t1 + "x * y"').args) === '["t1","\\"x * y\\""]');
+  check('the whole callee is the call argument', instructions.parse('t4 = call get - value').args[0] === 'get - value');
+  check('return "c / d" is a return', instructions.parse('return "c / d"').op === 'return');
+
+  const converter = new LLVMToTACConverter();
+  check('filter() keeps computations, calls and returns', converter.filter(tac).join('; ') ===
+    't1 = "a - b"; t2 = t1 + "x * y"; t4 = call get - value; return "c / d"', converter.filter(tac).join('; '));
+}
+
+function testLLVMConverter() {
+  console.log('\n📋 LLVMToTACConverter');
+
+  const converter = new LLVMToTACConverter();
+  const tac = converter.convert(`
+define dso_local i32 @add(i32 noundef %0, i32 noundef %1) {
+  %3 = alloca i32, align 4
+  store i32 %0, ptr %3, align 4
+  %4 = load i32, ptr %3, align 4
+  %5 = add nsw i32 %4, %1
+  %6 = sext i32 %5 to i64
+  %7 = fneg double 1.0
+  %8 = icmp sgt i32 %5, 0
+  br i1 %8, label %9, label %10
+
+9:
+  ret i32 %5
+
+10:
+  ret i32 0
+}`);
+
+  check('the objects render to the strings convert() returns',
+    instructions.renderAll(converter.instructions).join('\n') === tac.join('\n'), tac.join('; '));
+
+  const byOp = op => converter.instructions.find(instruction => instruction.op === op);
+  check('results carry their IR type', byOp('add').type === 'i32' && byOp('alloca').type === 'i32*' && byOp('sext').type === 'i64',
+    JSON.stringify(converter.instructions.slice(0, 5)));
+  check('fneg is 0 - x, comparisons are named', byOp('sub').args[0] === '0' && byOp('gt') !== undefined,
+    JSON.stringify(converter.instructions.map(instruction => instruction.op)));
+  check('store and branch have no dst or type', byOp('store').dst === null && byOp('store').type === null &&
+    byOp('branch').args.length === 3);
+  check('every function has its instruction objects', converter.functions[0].instructions.length === tac.length);
+}
+
+function testCheckerAndComparer() {
+  console.log('\n📋 TACLogicChecker and TACComparer');
+
+  const checker = new TACLogicChecker();
+  const tac = [
+    instructions.create('add', 't3', ['t1', 't2'], 'i32'),
+    't4 = call square',
+    instructions.create('return', null, ['42'])
+  ];
+  const operations = checker.extractOperations(tac);
+  check('objects and strings are counted alike', operations.add === 1 && operations.call === 1 && operations.return === 1,
+    JSON.stringify(operations));
+  const hardcoded = ['t1 = call square', instructions.create('return', null, ['42'], 'i32')];
+  check('calls and hardcoded returns come from the model', JSON.stringify(checker.extractCalls(tac)) === '{"square":1}' &&
+    checker.detectHardcodedReturn(hardcoded, checker.extractOperations(hardcoded)).constant === '42');
+
+  const comparer = new TACComparer();
+  const program = 'define i32 @f(i32 %0) {\n%2 = alloca i32\nstore i32 %0, ptr %2\n%3 = load i32, ptr %2\n' +
+    '%4 = mul i32 %3, %3\n%5 = call i32 @g(i32 %4)\nret i32 %5\n}';
+  const result = comparer.comparePrograms(program, 'define void @h() {\nret void\n}');
+  const normalized = result.program_a.normalized_tac;
+  check('TACComparer outputs the shared model', normalized.every(matchesSchema) &&
+    instructions.renderAll(normalized).join('; ') === 't2 = alloca; store t1 -> t2; t3 = load t2; t4 = t3 * t3; t5 = call g; return t5',
+  instructions.renderAll(normalized).join('; '));
+  check('TACComparer filters and counts like the converter', result.program_a.instruction_count === 3 &&
+    result.program_b.instruction_count === 1 && result.comparison.better === 'B', JSON.stringify(result.comparison));
+}
+
+function testSchema() {
+  console.log('\n📋 JSON schema');
+
+  check('all fields are required and no others allowed', TAC_INSTRUCTION_SCHEMA.required.join() === 'op,dst,args,type,sourceLine,sourceColumn' &&
+    TAC_INSTRUCTION_SCHEMA.additionalProperties === false);
+
+  const converter = new LLVMToTACConverter();
+  converter.convert('define i32 @main() {\n  %1 = call i32 @f()\n  ret i32 %1\n}');
+  const produced = [...converter.instructions, ...instructions.parseAll(['t3 = t1 + t2', 'switch t1 [] default L1', 'fence'])];
+  check('converter and parser output match the schema', produced.every(matchesSchema), JSON.stringify(produced));
+  check('a bad dst or a string sourceLine does not', !matchesSchema(instructions.create('add', '%3', ['t1', 't2'])) &&
+    !matchesSchema(instructions.create('return', null, [], null, '4')));
+}
+
+function runAllTests() {
+  console.log('🚀 TAC Instruction Model Tests');
+
+  testRoundtrip();
+  testStringLiterals();
+  testLLVMConverter();
+  testCheckerAndComparer();
+  testSchema();
+
+  summarize();
+}
+
+runAllTests();
@@ -0,0 +1,229 @@
+/**
+ * TAC Normalization Test
+ *
+ * 1. Constant folding: literal arithmetic, comparisons, branches (unreachable blocks go away)
+ * 2. Constant and copy propagation through the locals of a function, stopped by calls
+ * 3. Dead-code elimination: int unused = a * b; leaves no mul, call arguments stay
+ * 4. Division follows the language (C truncates, Python and JavaScript only fold exact quotients)
+ * 5. Pass selection and whole programs (per-function TAC, filtered counts)
+ * 6. verifyLogic on normalized TAC: dead code no longer fails, return 3 + 5 is a hardcoded return
+ *
+ * Runs without the API server: node tests/test-tac-normalizer.js
+ */
+
+const { TACNormalizer, PASSES } = require('../services/tacNormalizer');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { JavaScriptASTToTACConverter } = require('../services/javascriptASTToTAC');
+const { TACLogicChecker } = require('../services/tacLogicChecker');
+const { ASTParser, isAvailable } = require('../services/astParser');
+const { check, summarize } = require('./check');
+
+const normalizer = new TACNormalizer({ language: 'c' });
+
+// clang -O0: int add(int a, int b) { <body> } called from main
+function module(addBody) {
+  return `
+define dso_local i32 @add(i32 noundef %0, i32 noundef %1) {
+  %3 = alloca i32, align 4
+  %4 = alloca i32, align 4
+  %5 = alloca i32, align 4
+  store i32 %0, ptr %3, align 4
+  store i32 %1, ptr %4, align 4
+${addBody}
+}
+
+define dso_local i32 @main() {
+  %1 = call i32 @add(i32 noundef 5, i32 noundef 3)
+  %2 = call i32 (ptr, ...) @printf(ptr noundef @.str, i32 noundef %1)
+  ret i32 0
+}
+
+declare i32 @printf(ptr noundef, ...)
+`;
+}
+
+const REFERENCE = module(`  %6 = load i32, ptr %3, align 4
+  %7 = load i32, ptr %4, align 4
+  %8 = add nsw i32 %6, %7
+  ret i32 %8`);
+
+// int unused = a * b; return a + b;
+const DEAD_MUL = module(`  %6 = load i32, ptr %3, align 4
+  %7 = load i32, ptr %4, align 4
+  %8 = mul nsw i32 %6, %7
+  store i32 %8, ptr %5, align 4
+  %9 = load i32, ptr %3, align 4
+  %10 = load i32, ptr %4, align 4
+  %11 = add nsw i32 %9, %10
+  ret i32 %11`);
+
+// int x = 5; x = x + 3; return x;
+const CONSTANT = module(`  store i32 5, ptr %5, align 4
+  %6 = load i32, ptr %5, align 4
+  %7 = add nsw i32 %6, 3
+  store i32 %7, ptr %5, align 4
+  %8 = load i32, ptr %5, align 4
+  ret i32 %8`);
+
+function llvm(ir) {
+  const converter = new LLVMToTACConverter();
+  const tacRaw = converter.convert(ir);
+  const functions = converter.functions.map(func => ({ ...func, tac: converter.filter(func.tac), tac_raw: func.tac }));
+  return { code: ir, language: 'c', tac: converter.filter(tacRaw), tac_raw: tacRaw, functions };
+}
+
+function normalized(program, language = program.language) {
+  const result = new TACNormalizer({ language }).normalizeProgram(program);
+  return { ...program, tac: result.tac, tac_raw: result.tac_raw, functions: result.functions };
+}
+
+function javascript(code) {
+  const converter = new JavaScriptASTToTACConverter();
+  const tacRaw = converter.convert(new ASTParser().parse('javascript', code).rootNode);
+  const counter = new LLVMToTACConverter();
+  const functions = converter.functions.map(func => ({ ...func, tac: counter.filter(func.tac), tac_raw: func.tac }));
+  return { code, language: 'javascript', tac: counter.filter(tacRaw), tac_raw: tacRaw, functions };
+}
+
+function testFolding() {
+  console.log('\n📋 Constant folding');
+
+  const { tac } = normalizer.normalize(['t1 = 3 + 5', 't2 = t1 * 2', 't3 = t2 > 10', 'return t3']);
+  check('literal arithmetic and comparisons fold into the return', tac.join('; ') === 'return 1', tac.join('; '));
+
+  const floats = normalizer.normalize(['t1 = 1.5 * 2', 'return t1']).tac;
+  check('floating point literals fold', floats.join('; ') === 'return 3', floats.join('; '));
+
+  const branch = normalizer.normalize([
+    't2 = load t1', 't3 = 0 > 1', 'if t3 goto L1 else L2', 'L1:', 't4 = t2 * 2', 'return t4', 'L2:', 'return t2'
+  ], { params: [{ name: 'x', temp: 't1' }] }).tac;
+  check('a branch on a literal becomes a jump, the dead side goes away', branch.join('; ') === 't2 = load t1; return t2',
+    branch.join('; '));
+
+  const switched = normalizer.normalize(['switch 2 [1: L1, 2: L2] default L3', 'L1:', 'return 10', 'L2:', 'return 20', 'L3:', 'return 30']).tac;
+  check('a switch on a literal takes its case', switched.join('; ') === 'return 20', switched.join('; '));
+
+  const zero = normalizer.normalize(['t1 = 7 / 0', 'return t1']).tac;
+  check('division by zero is left alone', zero.join('; ') === 't1 = 7 / 0; return t1', zero.join('; '));
+}
+
+function testPropagation() {
+  console.log('\n📋 Constant and copy propagation');
+
+  const constant = normalized(llvm(CONSTANT));
+  const add = constant.functions.find(func => func.name === 'add');
+  check('int x = 5; x = x + 3; return x; is return 8', add.tac_raw.join('; ') === 'return 8', add.tac_raw.join('; '));
+
+  const reference = normalized(llvm(REFERENCE)).functions.find(func => func.name === 'add');
+  check('parameters are read directly once their allocas are gone', reference.tac_raw.join('; ') === 't8 = t1 + t2; return t8',
+    reference.tac_raw.join('; '));
+
+  const scanf = normalizer.normalize(['t1 = alloca', 'store 0 -> t1', 't2 = call __isoc99_scanf', 't3 = load t1', 'return t3']).tac;
+  check('a call may write to the location, the load stays', scanf.join('; ') ===
+    't1 = alloca; store 0 -> t1; t2 = call __isoc99_scanf; t3 = load t1; return t3', scanf.join('; '));
+
+  const loop = normalizer.normalize([
+    't1 = alloca', 'store 0 -> t1', 'L1:', 't2 = load t1', 't3 = t2 + 1', 'store t3 -> t1', 't4 = t3 < 10',
+    'if t4 goto L1 else L2', 'L2:', 't5 = load t1', 'return t5'
+  ]).tac;
+  check('a location stored in a loop keeps its loads', loop.includes('t2 = load t1') && loop.includes('t5 = load t1'),
+    loop.join('; '));
+
+  const global = normalizer.normalize(['store 5 -> t9', 't2 = load t9', 'return t2'], { shared: new Set(['t9']) }).tac;
+  check('a global another function uses is neither followed nor dropped', global.join('; ') === 'store 5 -> t9; t2 = load t9; return t2',
+    global.join('; '));
+}
+
+function testDeadCode() {
+  console.log('\n📋 Dead-code elimination');
+
+  const dead = normalized(llvm(DEAD_MUL)).functions.find(func => func.name === 'add');
+  check('int unused = a * b; leaves no mul', dead.tac_raw.join('; ') === 't11 = t1 + t2; return t11', dead.tac_raw.join('; '));
+
+  const main = normalized(llvm(DEAD_MUL)).functions.find(func => func.name === 'main');
+  check('calls and their arguments stay', main.tac_raw.join('; ') === 't12 = call add; t13 = call printf; return 0',
+    main.tac_raw.join('; '));
+
+  const argument = normalizer.normalize(['t1 = 2 * 3', 't2 = call printf', 'return 0']).tac;
+  check('a value that was never read is a call argument and stays', argument.join('; ') === 't1 = 6; t2 = call printf; return 0',
+    argument.join('; '));
+
+  const escaped = normalizer.normalize(['t1 = alloca', 'store 1 -> t1', 't2 = &t1[0][0]', 't3 = call fill', 'return 0']).tac;
+  check('a location whose address is taken keeps its stores', escaped.includes('store 1 -> t1'), escaped.join('; '));
+}
+
+function testLanguages() {
+  console.log('\n📋 Division per language');
+
+  const tac = ['t1 = 7 / 2', 'return t1'];
+  const c = new TACNormalizer({ language: 'c' }).normalize(tac).tac;
+  const python = new TACNormalizer({ language: 'python' }).normalize(tac).tac;
+  const exact = new TACNormalizer({ language: 'javascript' }).normalize(['t1 = 8 / 2', 'return t1']).tac;
+  check('C truncates 7 / 2', c.join('; ') === 'return 3', c.join('; '));
+  check('Python keeps 7 / 2 (true or floor division)', python.join('; ') === 't1 = 7 / 2; return t1', python.join('; '));
+  check('JavaScript folds an exact quotient', exact.join('; ') === 'return 4', exact.join('; '));
+
+  const modulo = new TACNormalizer({ language: 'python' }).normalize(['t1 = -7 % 2', 'return t1']).tac;
+  check('Python keeps a remainder whose sign differs from C', modulo.join('; ') === 't1 = -7 % 2; return t1', modulo.join('; '));
+}
+
+function testPasses() {
+  console.log('\n📋 Passes and programs');
+
+  check('every pass runs by default', normalizer.passes.join() === PASSES.join());
+
+  const foldingOnly = new TACNormalizer({ passes: ['constant_folding'] });
+  const result = foldingOnly.normalize(['t1 = 3 + 5', 'return t1']);
+  check('only the selected passes run', result.tac.join('; ') === 't1 = 8; return t1' &&
+    Object.keys(result.changes).join() === 'constant_folding' && result.changes.constant_folding === 1, JSON.stringify(result));
+
+  const program = new TACNormalizer({ language: 'c' }).normalizeProgram(llvm(DEAD_MUL));
+  check('the whole program is the normalized functions, filtered and counted', program.instruction_count === 5 &&
+    program.tac.join('; ') === 't11 = t1 + t2; return t11; t12 = call add; t13 = call printf; return 0', program.tac.join('; '));
+  check('changes are summed over the functions', program.changes.dead_code_elimination > 0 &&
+    program.changes.copy_propagation > 0, JSON.stringify(program.changes));
+
+  const whole = new TACNormalizer().normalizeProgram({ tac_raw: ['t1 = 3 + 5', 'return t1'] });
+  check('without functions the whole TAC is one unit', whole.tac.join('; ') === 'return 8' && whole.functions.length === 0,
+    whole.tac.join('; '));
+}
+
+function testVerifyLogic() {
+  console.log('\n📋 verifyLogic on normalized TAC');
+
+  const raw = new TACLogicChecker().verifyLogic(llvm(REFERENCE), llvm(DEAD_MUL));
+  check('raw TAC: the unused mul fails the operation check', !raw.passed, raw.reason);
+
+  const clean = new TACLogicChecker().verifyLogic(normalized(llvm(REFERENCE)), normalized(llvm(DEAD_MUL)));
+  check('normalized TAC: the unused mul is gone and the logic passes', clean.passed, clean.reason);
+
+  if (!isAvailable) {
+    console.log('  ⏭  tree-sitter not installed, JavaScript skipped');
+    return;
+  }
+
+  const reference = javascript('function add(a, b) {\n  return a + b;\n}\nconsole.log(add(5, 3));');
+  const hardcoded = javascript('function add(a, b) {\n  return 3 + 5;\n}\nconsole.log(add(5, 3));');
+  const rawHardcoded = new TACLogicChecker().verifyLogic(reference, hardcoded);
+  check('raw TAC: return 3 + 5 has the add', rawHardcoded.tac_comparison.operations_match, rawHardcoded.reason);
+
+  const normalizedHardcoded = new TACLogicChecker().verifyLogic(normalized(reference), normalized(hardcoded));
+  check('normalized TAC: return 3 + 5 is return 8, a hardcoded return', !normalizedHardcoded.passed &&
+    normalizedHardcoded.hardcoded_detection.detected && normalized(hardcoded).functions[0].tac_raw.join('; ') === 'return 8',
+    normalizedHardcoded.hardcoded_detection.reason);
+}
+
+function runAllTests() {
+  console.log('🚀 TAC Normalization Tests');
+
+  testFolding();
+  testPropagation();
+  testDeadCode();
+  testLanguages();
+  testPasses();
+  testVerifyLogic();
+
+  summarize();
+}
+
+runAllTests();
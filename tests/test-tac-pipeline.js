@@ -0,0 +1,199 @@
+/**
+ * TAC Pipeline Test
+ *
+ * 1. The default passes (read, lower, rename, normalize, filter, count) give the converter's TAC
+ * 2. Every pass shows its own result: IR lines, SSA names, temps, sorted operands, counts
+ * 3. Passes can be left out, and custom passes plugged in
+ * 4. normalizeTAC folds constants in the normalize pass; instructions keep their source position
+ * 5. TACComparer runs the same pipeline, so it counts what the converter counts
+ *
+ * Runs without the API server: node tests/test-tac-pipeline.js
+ */
+
+const { TACPipeline, PASSES } = require('../services/tacPipeline');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACComparer } = require('../services/tacComparer');
+const { check, summarize } = require('./check');
+
+// clang -O0 (simplified): a global, a loop with a phi, a switch and a second function
+const PROGRAM = `
+@limit = global i32 10
+
+define i32 @sum(i32 %0) {
+  br label %2
+
+2:
+  %3 = phi i32 [ 0, %1 ], [ %7, %5 ]
+  %4 = phi i32 [ 1, %1 ], [ %8, %5 ]
+  %cond = icmp sle i32 %4, %0
+  br i1 %cond, label %5, label %9
+
+5:
+  %6 = load i32, ptr @limit
+  %7 = add nsw i32 %6, %3
+  %8 = add nsw i32 %4, 1
+  br label %2
+
+9:
+  ret i32 %3
+}
+
+define i32 @pick(i32 %k) {
+  switch i32 %k, label %3 [ i32 1, label %2 ]
+
+2:
+  %x = mul i32 %k, 2
+  ret i32 %x
+
+3:
+  %y = call i32 @sum(i32 %k)
+  ret i32 %y
+}`;
+
+// One function with debug info: 1 + 2 folds, the mul keeps line 2
+const LOCATED = `
+define i32 @f(i32 %a) !dbg !3 {
+  %x = add i32 1, 2, !dbg !5
+  %y = mul i32 %x, %a, !dbg !6
+  ret i32 %y, !dbg !7
+}
+
+!1 = !DIFile(filename: "f.c", directory: "/tmp")
+!3 = distinct !DISubprogram(name: "f", scope: !1, file: !1, line: 1)
+!5 = !DILocation(line: 2, column: 11, scope: !3)
+!6 = !DILocation(line: 2, column: 7, scope: !3)
+!7 = !DILocation(line: 3, column: 3, scope: !3)
+`;
+
+const output = (result, name) => result.passes.find(entry => entry.pass === name).output;
+
+function testDefaultPasses() {
+  console.log('\n📋 Default passes');
+
+  const result = new TACPipeline().run(PROGRAM);
+  const converter = new LLVMToTACConverter();
+  const tac = converter.filter(converter.convert(PROGRAM));
+
+  check('every pass runs in order', result.success && result.passes.map(entry => entry.pass).join() === PASSES.join(),
+    result.passes.map(entry => entry.pass).join());
+  check('the TAC is the converter\'s filtered TAC', result.tac.join('\n') === tac.join('\n'), result.tac.join('; '));
+  check('the count is the converter\'s', result.instruction_count === converter.count(tac), String(result.instruction_count));
+
+  const normalized = output(result, 'normalize').functions.flatMap(func => func.tac);
+  check('the normalize pass has the unfiltered TAC', normalized.join('\n') === converter.convert(PROGRAM).join('\n'),
+    normalized.join('; '));
+  check('passes report how long they took', result.passes.every(entry => Number.isInteger(entry.duration_ms)));
+}
+
+function testIntermediateResults() {
+  console.log('\n📋 Intermediate results');
+
+  const result = new TACPipeline().run(PROGRAM);
+
+  const read = output(result, 'read');
+  check('read lists globals, functions and the IR line of every instruction',
+    read.globals.join() === '@limit' && read.functions.map(func => func.name).join() === 'sum,pick' &&
+    read.functions[1].blocks[1].instructions[0] === '%x = mul i32 %k, 2' && read.errors.length === 0,
+  JSON.stringify(read.functions[1].blocks));
+
+  const lowered = output(result, 'lower').functions[0].tac;
+  check('lower keeps the SSA names and block labels', lowered.includes('%3 = phi [0, %1], [%7, %5]') &&
+    lowered.includes('%7 = %6 + %3') && lowered.includes('if %cond goto %5 else %9'), lowered.join('; '));
+
+  const renamed = output(result, 'rename').functions;
+  check('rename numbers temps and labels, locals per function', renamed[0].tac.includes('t2 = phi [0, L1], [t3, L3]') &&
+    renamed[1].tac[0] === 'switch t9 [1: L5] default L6', renamed.map(func => func.tac.join('; ')).join(' | '));
+  check('rename does not touch operand order', renamed[0].tac.includes('t3 = t7 + t2'), renamed[0].tac.join('; '));
+
+  const normalized = output(result, 'normalize').functions[0].tac;
+  check('normalize sorts commutative operands', normalized.includes('t3 = t2 + t7') && normalized.includes('t5 = 1 + t4'),
+    normalized.join('; '));
+
+  const filtered = output(result, 'filter').functions[1];
+  check('filter keeps computations, calls and returns', filtered.tac.join('; ') ===
+    't10 = 2 * t9; return t10; t11 = call sum; return t11', filtered.tac.join('; '));
+  check('the instruction objects travel with the TAC', filtered.instructions.length === 4 && filtered.instructions[2].op === 'call');
+
+  const counted = output(result, 'count');
+  check('count reports every function and the total', JSON.stringify(counted) === JSON.stringify({
+    instruction_count: 10,
+    functions: [{ name: 'sum', instruction_count: 6 }, { name: 'pick', instruction_count: 4 }]
+  }), JSON.stringify(counted));
+}
+
+function testPluggablePasses() {
+  console.log('\n📋 Pluggable passes');
+
+  const unrenamed = new TACPipeline({ passes: ['read', 'lower', 'filter'] }).run(PROGRAM);
+  check('left-out passes do not run', unrenamed.passes.length === 3 && unrenamed.tac.includes('%x = %k * 2') &&
+    unrenamed.instruction_count === null, unrenamed.tac.join('; '));
+
+  const seen = [];
+  const noCalls = {
+    name: 'drop_calls',
+    run: (units, context) => {
+      seen.push(context.ir === PROGRAM);
+      return units.map(unit => ({ ...unit, instructions: unit.instructions.filter(instruction => instruction.op !== 'call') }));
+    },
+    view: units => units.map(unit => unit.instructions.length)
+  };
+  const custom = new TACPipeline({ passes: ['read', 'lower', 'rename', noCalls, 'count'] }).run(PROGRAM);
+  check('a custom pass gets the previous output and the context', custom.success && seen.join() === 'true' &&
+    JSON.stringify(output(custom, 'drop_calls')) === '[14,6]', JSON.stringify(custom.passes.map(entry => entry.pass)));
+  check('later passes get the custom pass output', custom.instruction_count === 20 && !custom.tac.some(line => line.includes('call')),
+    String(custom.instruction_count));
+
+  const broken = new TACPipeline({ passes: ['read', 'rename'] }).run(PROGRAM);
+  check('a failing pass is named, earlier results are kept', !broken.success && /^Pass rename failed/.test(broken.error) &&
+    broken.passes.length === 1, broken.error);
+
+  let error = null;
+  try {
+    new TACPipeline({ passes: ['read', 'optimize'] });
+  } catch (caught) {
+    error = caught;
+  }
+  check('unknown pass names are rejected', error !== null && /Unknown TAC pipeline pass: optimize/.test(error.message));
+}
+
+function testNormalizeTAC() {
+  console.log('\n📋 normalizeTAC');
+
+  const plain = new TACPipeline().run(LOCATED);
+  const folded = new TACPipeline({ normalizeTAC: true, language: 'c' }).run(LOCATED);
+  check('without normalizeTAC the add is counted', plain.tac.join('; ') === 't2 = 1 + 2; t3 = t1 * t2; return t3', plain.tac.join('; '));
+  check('with normalizeTAC it is folded away', folded.tac.join('; ') === 't3 = t1 * 3; return t3' && folded.instruction_count === 2,
+    folded.tac.join('; '));
+
+  const mul = folded.instructions.find(instruction => instruction.op === 'mul');
+  check('folded instructions keep their type and source position', mul.type === 'i32' && mul.sourceLine === 2 &&
+    mul.sourceColumn === 7, JSON.stringify(mul));
+}
+
+function testComparer() {
+  console.log('\n📋 TACComparer');
+
+  const result = new TACComparer().comparePrograms(PROGRAM, LOCATED);
+  check('both programs are counted like the converter counts', result.program_a.instruction_count === 10 &&
+    result.program_b.instruction_count === 3 && result.comparison.better === 'B', JSON.stringify(result.comparison));
+  check('normalized TAC still has the stores and loads, filtered TAC does not',
+    result.program_a.normalized_tac.some(instruction => instruction.op === 'load') &&
+    !result.program_a.filtered_tac.some(instruction => instruction.op === 'load'));
+
+  const normalized = new TACComparer({ normalizeTAC: true }).comparePrograms(PROGRAM, LOCATED);
+  check('pipeline options reach the comparer', normalized.program_b.instruction_count === 2);
+}
+
+function runAllTests() {
+  console.log('🚀 TAC Pipeline Tests');
+
+  testDefaultPasses();
+  testIntermediateResults();
+  testPluggablePasses();
+  testNormalizeTAC();
+  testComparer();
+
+  summarize();
+}
+
+runAllTests();
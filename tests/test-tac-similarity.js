@@ -0,0 +1,150 @@
+/**
+ * TAC Similarity Test
+ *
+ * 1. Operation counts miss reordered instructions and swapped sub operands; alignment and ddg do not
+ * 2. Canonical instructions ignore temp numbering and the order of add and mul operands
+ * 3. The alignment reports matches, substitutions and instructions only one program has
+ * 4. Data-dependence graphs: matching values, unmatched instructions and isomorphism
+ * 5. On normalized TAC from LLVM IR, a - b and b - a are told apart
+ *
+ * Runs without the API server: node tests/test-tac-similarity.js
+ */
+
+const { TACSimilarity, SIMILARITY_METRICS } = require('../services/tacSimilarity');
+const { LLVMToTACConverter } = require('../services/llvmToTAC');
+const { TACNormalizer } = require('../services/tacNormalizer');
+const { check, summarize } = require('./check');
+
+const converter = new LLVMToTACConverter();
+const similarity = new TACSimilarity();
+
+// (a - b) * 2, after calling log()
+const PROGRAM = ['t3 = t1 - t2', 't4 = t3 * 2', 't5 = call log', 'return t4'];
+const REVERSED = [...PROGRAM].reverse();
+const SWAPPED = ['t3 = t2 - t1', 't4 = t3 * 2', 't5 = call log', 'return t4'];
+const RENUMBERED = ['t9 = t7 - t8', 't10 = 2 * t9', 't11 = call log', 'return t10'];
+const EXTRA = ['t3 = t1 - t2', 't6 = t3 + 0', 't4 = t3 * 2', 't5 = call log', 'return t4'];
+
+const score = (tac, metric) => converter.compare(PROGRAM, tac, { metric }).similarity_percentage;
+
+function testMetrics() {
+  console.log('\n📋 Metrics');
+
+  check('operation counts score reversed and swapped programs 100%', score(REVERSED, 'operations') === 100 &&
+    score(SWAPPED, 'operations') === 100);
+  check('alignment does not', score(REVERSED, 'alignment') === 0 && score(SWAPPED, 'alignment') === 25,
+    `${score(REVERSED, 'alignment')}, ${score(SWAPPED, 'alignment')}`);
+  check('ddg does not', score(REVERSED, 'ddg') === 50 && score(SWAPPED, 'ddg') === 25,
+    `${score(REVERSED, 'ddg')}, ${score(SWAPPED, 'ddg')}`);
+
+  const plain = converter.compare(PROGRAM, SWAPPED);
+  check('operation counts stay the default', plain.metric === 'operations' && plain.alignment === undefined &&
+    plain.similarity_level === 'IDENTICAL');
+
+  const aligned = converter.compare(PROGRAM, SWAPPED, { metric: 'alignment' });
+  check('other metrics keep the comparison fields', aligned.metric === 'alignment' && aligned.better === 'EQUAL' &&
+    aligned.similarity_level === 'DIFFERENT' && aligned.details.programA_operations.sub === 1, JSON.stringify(aligned).slice(0, 200));
+
+  let error = null;
+  try {
+    converter.compare(PROGRAM, SWAPPED, { metric: 'lcs' });
+  } catch (caught) {
+    error = caught;
+  }
+  check('unknown metrics are rejected', error !== null && error.message.includes(SIMILARITY_METRICS.join(', ')));
+}
+
+function testCanonicalForm() {
+  console.log('\n📋 Canonical instructions');
+
+  const values = new Map();
+  const forms = similarity.canonicalize(PROGRAM, values);
+  check('temps become program inputs and values', forms.join('; ') === 'sub(a1, a2); mul(2, v1); call(log); return(v2)',
+    forms.join('; '));
+  check('numbering and operand order of mul do not matter', similarity.canonicalize(RENUMBERED, values).join() === forms.join());
+  check('swapped sub operands do', similarity.canonicalize(SWAPPED, values)[0] === 'sub(a2, a1)');
+  check('inputs are ranked by number, not by first use',
+    similarity.canonicalize(['t5 = t9 + 1', 't6 = t5 / t4']).join('; ') === 'add(1, a2); div(v1, a1)');
+}
+
+function testAlignment() {
+  console.log('\n📋 Alignment');
+
+  const alignment = similarity.align(PROGRAM, EXTRA);
+  check('an inserted instruction costs one edit', alignment.edit_distance === 1 && alignment.percentage === 80 &&
+    alignment.only_in_b === 1 && alignment.matched === 4, JSON.stringify(alignment.steps.map(step => step.type)));
+  check('steps pair the TAC lines of both programs', JSON.stringify(alignment.steps[1]) ===
+    JSON.stringify({ type: 'only_in_b', a: null, b: 't6 = t3 + 0' }) && alignment.steps[2].a === 't4 = t3 * 2');
+
+  const swapped = similarity.align(PROGRAM, SWAPPED);
+  check('a changed instruction is a substitution, and so are its users', swapped.substituted === 3 &&
+    swapped.steps[2].type === 'match', JSON.stringify(swapped.steps.map(step => step.type)));
+  check('empty programs align to 0%', similarity.align([], []).percentage === 0);
+}
+
+function testDDG() {
+  console.log('\n📋 Data-dependence graphs');
+
+  const same = similarity.compareDDG(PROGRAM, RENUMBERED);
+  check('the same computation is isomorphic', same.isomorphic && same.percentage === 100 &&
+    same.edges.a === 2 && same.edges.b === 2, JSON.stringify(same));
+
+  const extra = similarity.compareDDG(PROGRAM, EXTRA);
+  check('an extra use is unmatched and breaks isomorphism', !extra.isomorphic && extra.percentage === 80 &&
+    JSON.stringify(extra.unmatched) === '{"a":[],"b":["t6 = t3 + 0"]}', JSON.stringify(extra));
+
+  // t4 and t5 swap places: the same values in another order
+  const reordered = similarity.compareDDG(PROGRAM, ['t3 = t1 - t2', 't5 = call log', 't4 = t3 * 2', 'return t4']);
+  check('instruction order alone does not change the graph', reordered.isomorphic, JSON.stringify(reordered));
+
+  // Two programs computing the same values, one reusing a result the other recomputes
+  const reused = similarity.compareDDG(['t3 = t1 + t2', 't4 = t3 * t3', 'return t4'],
+    ['t3 = t1 + t2', 't5 = t1 + t2', 't4 = t3 * t5', 'return t4']);
+  check('values match, but used differently is not isomorphic', !reused.isomorphic && reused.matching === 3,
+    JSON.stringify(reused));
+}
+
+function testLLVM() {
+  console.log('\n📋 LLVM IR');
+
+  const ir = operation => `
+define i32 @f(i32 %0, i32 %1) {
+  %3 = alloca i32
+  %4 = alloca i32
+  store i32 %0, ptr %3
+  store i32 %1, ptr %4
+  %5 = load i32, ptr ${operation === 'a - b' ? '%3' : '%4'}
+  %6 = load i32, ptr ${operation === 'a - b' ? '%4' : '%3'}
+  %7 = sub nsw i32 %5, %6
+  ret i32 %7
+}`;
+  const tac = operation => {
+    const extractor = new LLVMToTACConverter();
+    const raw = extractor.convert(ir(operation));
+    return {
+      filtered: extractor.filter(raw),
+      normalized: new TACNormalizer({ language: 'c' }).normalizeProgram({ tac_raw: raw, functions: extractor.functions }).tac
+    };
+  };
+  const [ab, ba] = [tac('a - b'), tac('b - a')];
+
+  check('filtered TAC reads both operands from loads in order, so they look alike',
+    converter.compare(ab.filtered, ba.filtered, { metric: 'alignment' }).similarity_percentage === 100, ab.filtered.join('; '));
+  check('normalized TAC reads the parameters, so alignment tells them apart',
+    converter.compare(ab.normalized, ba.normalized, { metric: 'alignment' }).similarity_percentage === 0,
+    `${ab.normalized.join('; ')} | ${ba.normalized.join('; ')}`);
+}
+
+function runAllTests() {
+  console.log('🚀 TAC Similarity Tests');
+
+  testMetrics();
+  testCanonicalForm();
+  testAlignment();
+  testDDG();
+  testLLVM();
+
+  summarize();
+}
+
+runAllTests();
@@ -0,0 +1,144 @@
+/**
+ * Test Cases Array Test for /api/verify
+ * Sends the whole input set in one request via `testCases` instead of one request per input.
+ * Conditional hardcoding (if (a==5 && b==3) return 8;) must fail on the other inputs.
+ */
+
+const axios = require('axios');
+
+const API_URL = 'http://localhost:3000/api/verify';
+
+const referenceCode = {
+  language: 'c',
+  code: `#include <stdio.h>
+int add(int a, int b) {
+    return a + b;
+}
+
+int main() {
+    int x, y;
+    scanf("%d %d", &x, &y);
+    printf("%d", add(x, y));
+    return 0;
+}`
+};
+
+const conditionalHardcodedCode = {
+  language: 'c',
+  code: `#include <stdio.h>
+int add(int a, int b) {
+    if (a == 5 && b == 3) return 8;
+    return a - b;
+}
+
+int main() {
+    int x, y;
+    scanf("%d %d", &x, &y);
+    printf("%d", add(x, y));
+    return 0;
+}`
+};
+
+const correctCode = {
+  language: 'c',
+  code: `#include <stdio.h>
+int add(int x, int y) {
+    return x + y;
+}
+
+int main() {
+    int a, b;
+    scanf("%d %d", &a, &b);
+    printf("%d", add(a, b));
+    return 0;
+}`
+};
+
+const testCases = [
+  { name: 'original', stdin: '5 3', expected_output: '8' },
+  { name: 'different values', stdin: '10 20', expected_output: '30' },
+  { name: 'negative', stdin: '-5 5' },
+  { name: 'reversed', stdin: '3 5' }
+];
+
+async function verify(userCode, name, expectPass) {
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`TEST: ${name}`);
+  console.log(`${'='.repeat(70)}`);
+
+  try {
+    const response = await axios.post(API_URL, {
+      referenceCode,
+      userCode,
+      testCases
+    }, { timeout: 60000 });
+
+    const result = response.data;
+    const summary = result.test_cases;
+    const details = result.logic_correctness?.output_verification?.test_cases ||
+      result.analysis?.['1_logic_correctness']?.output_verification?.test_cases;
+
+    console.log(`  Verdict: ${result.verdict}`);
+    if (summary) {
+      console.log(`  Test cases: ${summary.passed}/${summary.total} passed (score ${summary.score}%)`);
+    }
+
+    if (details) {
+      for (const testCase of details.results) {
+        const status = testCase.passed ? '✅' : '❌';
+        console.log(`  ${status} ${testCase.name}: expected "${testCase.expected_output}", got "${testCase.user_output}"`);
+      }
+    }
+
+    const passed = result.verdict === 'CORRECT';
+    const ok = passed === expectPass && summary !== null;
+    console.log(ok ? '  ✅ Behaved as expected' : '  ❌ Unexpected result');
+    return ok;
+  } catch (error) {
+    console.log(`  ❌ ERROR: ${error.response?.data?.error || error.message}`);
+    return false;
+  }
+}
+
+async function testInvalidTestCases() {
+  console.log(`\n${'='.repeat(70)}`);
+  console.log('TEST: testCases must be an array');
+  console.log(`${'='.repeat(70)}`);
+
+  try {
+    await axios.post(API_URL, {
+      referenceCode,
+      userCode: correctCode,
+      testCases: { stdin: '5 3' }
+    });
+    console.log('  ❌ Request was accepted');
+    return false;
+  } catch (error) {
+    const ok = error.response?.status === 400;
+    console.log(ok ? `  ✅ Rejected: ${error.response.data.error}` : `  ❌ ERROR: ${error.message}`);
+    return ok;
+  }
+}
+
+async function runAllTests() {
+  console.log('\n🚀 Starting testCases Array Test Suite');
+
+  const results = [
+    await verify(correctCode, 'Correct implementation passes all test cases', true),
+    await verify(conditionalHardcodedCode, 'Conditional hardcoding fails on other inputs', false),
+    await testInvalidTestCases()
+  ];
+
+  const passed = results.filter(Boolean).length;
+  console.log(`\n${'─'.repeat(70)}`);
+  console.log(`Total: ${passed}/${results.length} checks passed`);
+
+  if (passed !== results.length) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});